@@ -0,0 +1,264 @@
+/**
+ * Cassette Module
+ *
+ * Records Monday.com GraphQL requests and responses to a cassette file, and
+ * replays them later without any network. A failing sync can be captured once
+ * with the recorder and reproduced exactly with the player. Both expose
+ * api(query, { variables }) so the Monday.com client can use them as its
+ * transport. API keys are redacted before anything is written.
+ *
+ * Cassette format:
+ *
+ *   {
+ *     "version": 1,
+ *     "recordedAt": "2026-10-19T09:00:00.000Z",
+ *     "interactions": [
+ *       { "query": "...", "variables": { ... }, "response": { "data": { ... } } },
+ *       { "query": "...", "variables": { ... }, "error": { "message": "...", "code": "..." } }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Cassette format version written by the recorder
+const CASSETTE_VERSION = 1;
+
+// Replacement for redacted values
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are always redacted
+const SENSITIVE_KEY_PATTERN = /api[_-]?key|token|authorization|password|secret/i;
+
+// Error codes
+const CASSETTE_INVALID_ERROR_CODE = 'CASSETTE_INVALID';
+const CASSETTE_MISMATCH_ERROR_CODE = 'CASSETTE_MISMATCH';
+
+/**
+ * Builds a cassette error
+ * @param {string} message - The error message
+ * @param {string} code - The error code
+ * @returns {Error} - The error
+ */
+function cassetteError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Redacts secrets from a value
+ * @param {*} value - The value (any JSON value)
+ * @param {string[]} secrets - Strings to remove wherever they appear (e.g. API keys)
+ * @returns {*} - A redacted copy
+ */
+function redact(value, secrets = []) {
+  if (typeof value === 'string') {
+    return secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, secrets));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, entry] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEY_PATTERN.test(key) && typeof entry === 'string'
+        ? REDACTED
+        : redact(entry, secrets);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Serializes a value with sorted object keys
+ * @param {*} value - The value
+ * @returns {string} - JSON that does not depend on key order
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Builds the key a request is matched on during replay
+ * @param {string} query - The GraphQL query
+ * @param {Object} variables - The query variables
+ * @returns {string} - The request key
+ */
+function requestKey(query, variables) {
+  return `${String(query).replace(/\s+/g, ' ').trim()}\n${stableStringify(variables || {})}`;
+}
+
+/**
+ * Gets the operation name of a query, for messages
+ * @param {string} query - The GraphQL query
+ * @returns {string} - The operation name, or "anonymous operation"
+ */
+function getOperationName(query) {
+  const match = /\b(?:query|mutation)\s+([_A-Za-z][_0-9A-Za-z]*)/.exec(String(query));
+  return match ? match[1] : 'anonymous operation';
+}
+
+/**
+ * Reads and validates a cassette file
+ * @param {string} cassettePath - Path to the cassette
+ * @returns {Object} - The cassette
+ */
+function loadCassette(cassettePath) {
+  let cassette;
+  try {
+    cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  } catch (error) {
+    throw cassetteError(`Could not read cassette ${cassettePath}: ${error.message}`, CASSETTE_INVALID_ERROR_CODE);
+  }
+
+  if (!cassette || cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+    throw cassetteError(`Cassette ${cassettePath} is not a version ${CASSETTE_VERSION} cassette`, CASSETTE_INVALID_ERROR_CODE);
+  }
+
+  return cassette;
+}
+
+/**
+ * Creates a Cassette Recorder instance
+ * @param {Object} options - Recorder options
+ * @param {string} options.path - Path of the cassette file to write
+ * @param {Object} options.transport - The transport to record (an object with api(query, { variables }))
+ * @param {string[]} options.secrets - Strings to redact (e.g. API keys)
+ * @returns {Object} - Cassette Recorder instance
+ */
+function createCassetteRecorder(options = {}) {
+  if (!options.path) {
+    throw new Error('Cassette path is required');
+  }
+  if (!options.transport || typeof options.transport.api !== 'function') {
+    throw new Error('A transport to record is required');
+  }
+
+  const cassettePath = options.path;
+  const transport = options.transport;
+  const secrets = (options.secrets || []).filter(Boolean);
+  const recordedAt = new Date().toISOString();
+  const interactions = [];
+
+  /**
+   * Writes the cassette so far (after every request, so a crashed run still leaves one)
+   */
+  function save() {
+    fs.mkdirSync(path.dirname(path.resolve(cassettePath)), { recursive: true });
+    fs.writeFileSync(cassettePath, JSON.stringify({
+      version: CASSETTE_VERSION,
+      recordedAt,
+      interactions
+    }, null, 2));
+  }
+
+  /**
+   * Sends a request through the transport and records it
+   * @param {string} query - The GraphQL query
+   * @param {Object} requestOptions - { variables }
+   * @returns {Promise<Object>} - The response
+   */
+  async function api(query, requestOptions = {}) {
+    const variables = requestOptions.variables || {};
+
+    try {
+      const response = await transport.api(query, requestOptions);
+      interactions.push(redact({ query, variables, response }, secrets));
+      save();
+      return response;
+    } catch (error) {
+      interactions.push(redact({
+        query,
+        variables,
+        error: { message: error.message, code: error.code || null }
+      }, secrets));
+      save();
+      throw error;
+    }
+  }
+
+  save();
+
+  // Return the public API
+  return {
+    api,
+    getInteractionCount: () => interactions.length
+  };
+}
+
+/**
+ * Creates a Cassette Player instance
+ * @param {Object} options - Player options
+ * @param {string} options.path - Path of the cassette file to replay
+ * @param {string[]} options.secrets - Strings redacted when the cassette was recorded
+ * @returns {Object} - Cassette Player instance
+ */
+function createCassettePlayer(options = {}) {
+  if (!options.path) {
+    throw new Error('Cassette path is required');
+  }
+
+  const secrets = (options.secrets || []).filter(Boolean);
+  const cassette = loadCassette(options.path);
+  const interactions = cassette.interactions.map(interaction => ({
+    ...interaction,
+    key: requestKey(interaction.query, interaction.variables),
+    used: false
+  }));
+
+  /**
+   * Answers a request with the next unused recording of the same request
+   * @param {string} query - The GraphQL query
+   * @param {Object} requestOptions - { variables }
+   * @returns {Promise<Object>} - The recorded response
+   */
+  async function api(query, requestOptions = {}) {
+    const key = requestKey(query, redact(requestOptions.variables || {}, secrets));
+    const interaction = interactions.find(candidate => !candidate.used && candidate.key === key);
+
+    if (!interaction) {
+      const used = interactions.filter(candidate => candidate.used).length;
+      throw cassetteError(
+        `No recorded response for ${getOperationName(query)} in cassette ${options.path} (${used} of ${interactions.length} recordings used)`,
+        CASSETTE_MISMATCH_ERROR_CODE
+      );
+    }
+
+    interaction.used = true;
+
+    if (interaction.error) {
+      throw cassetteError(interaction.error.message, interaction.error.code || undefined);
+    }
+
+    return JSON.parse(JSON.stringify(interaction.response));
+  }
+
+  // Return the public API
+  return {
+    api,
+    getRemainingCount: () => interactions.filter(interaction => !interaction.used).length
+  };
+}
+
+// Export the factory functions
+module.exports = {
+  createCassetteRecorder,
+  createCassettePlayer,
+  loadCassette,
+  redact,
+  CASSETTE_INVALID_ERROR_CODE,
+  CASSETTE_MISMATCH_ERROR_CODE
+};
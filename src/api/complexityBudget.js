@@ -0,0 +1,209 @@
+/**
+ * Complexity Budget Module
+ *
+ * Tracks Monday.com's per-minute complexity budget across API calls and
+ * throttles before it runs out. Monday.com reports the budget through the
+ * `complexity { before after reset_in_x_seconds }` field and, once exhausted,
+ * through error responses carrying a retry hint.
+ */
+
+const { Logger } = require('../utils/logger');
+
+// Throttle when fewer than this many complexity points are left
+const DEFAULT_COMPLEXITY_RESERVE = 100000;
+
+// Selection added to every query so the budget can be tracked
+const COMPLEXITY_SELECTION = 'complexity { query before after reset_in_x_seconds }';
+
+/**
+ * Adds the complexity selection to a GraphQL operation if it is missing
+ * @param {string} query - The GraphQL query or mutation
+ * @returns {string} - The query with the complexity field selected
+ */
+function withComplexityField(query) {
+  if (typeof query !== 'string' || /\bcomplexity\s*\{/.test(query)) {
+    return query;
+  }
+
+  const bodyStart = query.indexOf('{');
+  if (bodyStart === -1) {
+    return query;
+  }
+
+  return `${query.slice(0, bodyStart + 1)}\n${COMPLEXITY_SELECTION}\n${query.slice(bodyStart + 1)}`;
+}
+
+/**
+ * Extracts the server's retry hint (in seconds) from an API error
+ * @param {Object} error - The error thrown by a query
+ * @returns {number|null} - Seconds to wait, or null if the server gave no hint
+ */
+function getRetryAfterSeconds(error) {
+  if (!error) {
+    return null;
+  }
+
+  const candidates = [
+    error.retryAfterSeconds,
+    error.extensions && error.extensions.retry_in_seconds,
+    error.headers && error.headers['retry-after'],
+    error.response && error.response.headers && error.response.headers['retry-after']
+  ];
+
+  for (const candidate of candidates) {
+    const seconds = Number(candidate);
+    if (candidate !== undefined && candidate !== null && !Number.isNaN(seconds)) {
+      return seconds;
+    }
+  }
+
+  // Older API versions only put the hint in the message
+  const match = /reset in (\d+) seconds?/i.exec(error.message || '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Checks whether an error was caused by rate limiting or an exhausted complexity budget
+ * @param {Object} error - The error thrown by a query
+ * @returns {boolean} - Whether the error is a rate limit error
+ */
+function isRateLimitError(error) {
+  if (!error) {
+    return false;
+  }
+
+  if (error.status === 429) {
+    return true;
+  }
+
+  const code = String(error.code || (error.extensions && error.extensions.code) || '');
+  if (/complexity|rate_limit|ratelimit/i.test(code)) {
+    return true;
+  }
+
+  return /complexity budget|rate limit/i.test(error.message || '');
+}
+
+/**
+ * Creates a complexity budget tracker
+ * @param {Object} options - Configuration options
+ * @param {number} options.complexityReserve - Points to keep in reserve before throttling
+ * @param {Function} options.sleep - Sleep function (ms) => Promise, mainly for tests
+ * @returns {Object} - Complexity budget instance
+ */
+function createComplexityBudget(options = {}) {
+  const reserve = options.complexityReserve !== undefined
+    ? options.complexityReserve
+    : DEFAULT_COMPLEXITY_RESERVE;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+  const state = {
+    remaining: null,
+    resetAt: null,
+    used: 0,
+    queries: 0,
+    largestQueryCost: 0,
+    throttledMs: 0
+  };
+
+  /**
+   * Records the complexity reported by a successful query
+   * @param {Object} complexity - The complexity field from the response
+   */
+  function record(complexity) {
+    if (!complexity) {
+      return;
+    }
+
+    const cost = complexity.query !== undefined && complexity.query !== null
+      ? Number(complexity.query)
+      : Number(complexity.before) - Number(complexity.after);
+
+    if (!Number.isNaN(cost)) {
+      state.used += cost;
+      state.largestQueryCost = Math.max(state.largestQueryCost, cost);
+    }
+
+    state.queries++;
+
+    if (complexity.after !== undefined && complexity.after !== null) {
+      state.remaining = Number(complexity.after);
+    }
+
+    if (complexity.reset_in_x_seconds !== undefined && complexity.reset_in_x_seconds !== null) {
+      state.resetAt = Date.now() + Number(complexity.reset_in_x_seconds) * 1000;
+    }
+  }
+
+  /**
+   * Records that the server rejected a query for lack of budget
+   * @param {number} retryAfterSeconds - Seconds until the budget resets
+   */
+  function markExhausted(retryAfterSeconds) {
+    state.remaining = 0;
+    state.resetAt = Date.now() + retryAfterSeconds * 1000;
+  }
+
+  /**
+   * Waits for the budget to reset when the remaining budget is below the reserve
+   * @returns {Promise<number>} - Milliseconds waited
+   */
+  async function waitForBudget() {
+    if (state.remaining === null || state.resetAt === null) {
+      return 0;
+    }
+
+    const needed = Math.max(reserve, state.largestQueryCost);
+    if (state.remaining >= needed) {
+      return 0;
+    }
+
+    const waitMs = state.resetAt - Date.now();
+    if (waitMs > 0) {
+      Logger.warn(`Monday.com complexity budget low (${state.remaining} left), waiting ${Math.ceil(waitMs / 1000)}s for reset`);
+      await sleep(waitMs);
+      state.throttledMs += waitMs;
+    }
+
+    // The budget has been reset; the next response will report the real value
+    state.remaining = null;
+    state.resetAt = null;
+
+    return Math.max(waitMs, 0);
+  }
+
+  /**
+   * Gets a copy of the current budget state
+   * @returns {Object} - { remaining, resetAt, used, queries, largestQueryCost, throttledMs }
+   */
+  function getState() {
+    return { ...state };
+  }
+
+  return {
+    record,
+    markExhausted,
+    waitForBudget,
+    getState
+  };
+}
+
+/**
+ * Gets the complexity budget a Monday.com client has used
+ * @param {Object} mondayClient - The Monday.com client
+ * @returns {Object|null} - The budget state, or null if the client does not track it
+ */
+function getClientBudget(mondayClient) {
+  return mondayClient && typeof mondayClient.getComplexityBudget === 'function'
+    ? mondayClient.getComplexityBudget()
+    : null;
+}
+
+module.exports = {
+  createComplexityBudget,
+  getClientBudget,
+  withComplexityField,
+  getRetryAfterSeconds,
+  isRateLimitError,
+  DEFAULT_COMPLEXITY_RESERVE
+};
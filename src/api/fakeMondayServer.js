@@ -0,0 +1,1027 @@
+/**
+ * Fake Monday.com Server Module
+ *
+ * An in-memory stand-in for the Monday.com GraphQL API. It keeps boards,
+ * groups, columns (with status label settings), items, subitems and updates,
+ * and answers the queries and mutations createMondayClient sends. Pass it to
+ * createMondayClient as the transport to run push, pull and sync offline, or
+ * listen() to serve it over HTTP. Seed it from a JSON fixture:
+ *
+ *   {
+ *     "boards": [{
+ *       "id": "1234567890",
+ *       "name": "Tasks",
+ *       "columns": [{ "id": "status", "title": "Status", "type": "status",
+ *                     "settings": { "labels": { "0": "Working on it", "1": "Done" } } }],
+ *       "groups": [{ "id": "topics", "title": "Tasks" }],
+ *       "subitem_columns": [...],
+ *       "items": [{ "id": "111", "name": "Set up CI", "group": "topics",
+ *                   "column_values": { "status": "Done" },
+ *                   "subitems": [...], "updates": [{ "body": "..." }] }]
+ *     }]
+ *   }
+ *
+ * Column values in fixtures take the same forms as in mutations.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { parse, resolveArguments } = require('./graphqlParser');
+
+// Complexity budget reported with every response (Monday.com's per-minute budget)
+const DEFAULT_COMPLEXITY_BUDGET = 10000000;
+const DEFAULT_QUERY_COST = 1000;
+
+// Page sizes accepted by items_page
+const DEFAULT_PAGE_LIMIT = 25;
+const MAX_PAGE_LIMIT = 500;
+
+// Generated IDs start above any realistic fixture ID
+const FIRST_GENERATED_ID = 1000000001;
+
+// Column types that hold status labels
+const STATUS_COLUMN_TYPES = new Set(['status', 'color']);
+
+// Columns of a subitems board created without fixture columns
+const DEFAULT_SUBITEM_COLUMNS = [
+  {
+    id: 'status',
+    title: 'Status',
+    type: 'status',
+    settings: { labels: { 0: 'Working on it', 1: 'Done', 2: 'Stuck' } }
+  }
+];
+
+/**
+ * Builds an API error with a Monday.com error code
+ * @param {string} message - The error message
+ * @param {string} code - The error code (e.g. ColumnValueException)
+ * @returns {Error} - The error
+ */
+function apiError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Parses a JSON argument that may arrive as a string or already parsed
+ * @param {*} value - The argument value
+ * @param {string} name - The argument name, for errors
+ * @returns {*} - The parsed value
+ */
+function parseJsonArgument(value, name) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+    // eslint-disable-next-line no-unused-vars
+  } catch (error) {
+    throw apiError(`Invalid JSON in argument ${name}`, 'JsonParseException');
+  }
+}
+
+/**
+ * Creates a Fake Monday.com Server instance
+ * @param {Object} options - Server options
+ * @param {Object} options.fixture - Initial data (see the module comment)
+ * @param {string} options.fixturePath - Path to a JSON fixture file to seed from
+ * @param {string} options.apiToken - Token HTTP requests must send (any token when not set)
+ * @param {number} options.complexityBudget - Complexity budget reported before the first query
+ * @param {number} options.queryCost - Complexity charged per request
+ * @returns {Object} - Fake Monday.com Server instance
+ */
+function createFakeMondayServer(options = {}) {
+  const queryCost = options.queryCost !== undefined ? options.queryCost : DEFAULT_QUERY_COST;
+
+  let boards = new Map();
+  let items = new Map();
+  let updates = new Map();
+  let cursors = new Map();
+  let nextId = FIRST_GENERATED_ID;
+  let complexityRemaining = options.complexityBudget || DEFAULT_COMPLEXITY_BUDGET;
+  let requests = [];
+  let httpServer = null;
+
+  /**
+   * Generates a new numeric ID
+   * @returns {string} - The ID
+   */
+  function generateId() {
+    return String(nextId++);
+  }
+
+  /**
+   * Makes sure generated IDs do not collide with an ID from a fixture
+   * @param {string} id - An ID in use
+   */
+  function reserveId(id) {
+    const numericId = Number(id);
+    if (Number.isInteger(numericId) && numericId >= nextId) {
+      nextId = numericId + 1;
+    }
+  }
+
+  /**
+   * Builds a column from its definition
+   * @param {Object} definition - { id, title, type, settings | settings_str }
+   * @returns {Object} - The column
+   */
+  function createColumn(definition) {
+    const settings = definition.settings
+      || (definition.settings_str ? JSON.parse(definition.settings_str) : {});
+    return {
+      id: String(definition.id),
+      title: definition.title || String(definition.id),
+      type: definition.type || 'text',
+      description: definition.description || null,
+      settings: JSON.parse(JSON.stringify(settings))
+    };
+  }
+
+  /**
+   * Creates a board
+   * @param {Object} definition - { id, name, columns, groups }
+   * @returns {Object} - The board
+   */
+  function createBoard(definition = {}) {
+    const id = definition.id !== undefined ? String(definition.id) : generateId();
+    reserveId(id);
+
+    const columns = (definition.columns || []).map(createColumn);
+    if (!columns.some(column => column.type === 'name')) {
+      columns.unshift(createColumn({ id: 'name', title: 'Name', type: 'name' }));
+    }
+
+    const board = {
+      id,
+      name: definition.name || `Board ${id}`,
+      description: definition.description || null,
+      boardKind: definition.board_kind || 'public',
+      columns,
+      groups: (definition.groups || [{ id: 'topics', title: 'Group Title' }]).map((group, index) => ({
+        id: String(group.id),
+        title: group.title || String(group.id),
+        color: group.color || '#579bfc',
+        position: String(group.position || (index + 1) * 65536)
+      })),
+      subitemColumns: definition.subitem_columns || null,
+      subitemsBoardId: null,
+      parentBoardId: definition.parentBoardId || null
+    };
+
+    boards.set(id, board);
+    return board;
+  }
+
+  /**
+   * Gets a board or throws a Monday.com style error
+   * @param {string} boardId - The board ID
+   * @returns {Object} - The board
+   */
+  function requireBoard(boardId) {
+    const board = boards.get(String(boardId));
+    if (!board) {
+      throw apiError(`Board ${boardId} not found`, 'ResourceNotFoundException');
+    }
+    return board;
+  }
+
+  /**
+   * Gets an item or throws a Monday.com style error
+   * @param {string} itemId - The item ID
+   * @returns {Object} - The item
+   */
+  function requireItem(itemId) {
+    const item = items.get(String(itemId));
+    if (!item) {
+      throw apiError(`Item ${itemId} not found`, 'ResourceNotFoundException');
+    }
+    return item;
+  }
+
+  /**
+   * Gets (creating on first use) the subitems board of a board
+   * @param {Object} board - The parent board
+   * @returns {Object} - The subitems board
+   */
+  function getSubitemsBoard(board) {
+    if (!board.subitemsBoardId) {
+      const subitemsBoard = createBoard({
+        name: `Subitems of ${board.name}`,
+        columns: board.subitemColumns || DEFAULT_SUBITEM_COLUMNS,
+        groups: [{ id: 'topics', title: 'Subitems' }],
+        parentBoardId: board.id
+      });
+      board.subitemsBoardId = subitemsBoard.id;
+    }
+    return boards.get(board.subitemsBoardId);
+  }
+
+  /**
+   * Finds the index of a status label, optionally adding it
+   * @param {Object} column - The status column
+   * @param {string} label - The label text
+   * @param {boolean} createLabelsIfMissing - Whether to add a missing label
+   * @returns {number} - The label index
+   */
+  function resolveStatusLabel(column, label, createLabelsIfMissing) {
+    const labels = column.settings.labels || {};
+    const match = Object.entries(labels)
+      .find(([, text]) => String(text).toLowerCase() === String(label).toLowerCase());
+    if (match) {
+      return Number(match[0]);
+    }
+
+    if (!createLabelsIfMissing) {
+      const possible = Object.entries(labels).map(([index, text]) => `${index}: ${text}`).join(', ');
+      throw apiError(`This status label doesn't exist, possible statuses are: {${possible}}`, 'ColumnValueException');
+    }
+
+    const index = Object.keys(labels).reduce((max, key) => Math.max(max, Number(key) + 1), 0);
+    column.settings.labels = { ...labels, [index]: String(label) };
+    return index;
+  }
+
+  /**
+   * Checks whether a plain status value is a label index rather than a label
+   * @param {Object} column - The status column
+   * @param {string|number} input - The value
+   * @returns {boolean} - True when no label has this text and a label has this index
+   */
+  function isLabelIndex(column, input) {
+    const labels = column.settings.labels || {};
+    const text = String(input);
+    return /^\d+$/.test(text)
+      && labels[text] !== undefined
+      && !Object.values(labels).some(label => String(label).toLowerCase() === text.toLowerCase());
+  }
+
+  /**
+   * Converts a column value from a mutation or fixture into its stored value and text
+   * @param {Object} column - The column
+   * @param {*} input - The value (string, number, or an object such as { label } or { text })
+   * @param {boolean} createLabelsIfMissing - Whether to add missing status labels
+   * @returns {Object} - { value, text } where value is the parsed JSON value or null
+   */
+  function encodeColumnValue(column, input, createLabelsIfMissing) {
+    const isEmpty = input === null || input === undefined || input === ''
+      || (typeof input === 'object' && Object.keys(input).length === 0);
+    if (isEmpty) {
+      return { value: null, text: '' };
+    }
+
+    const changedAt = new Date().toISOString();
+
+    if (STATUS_COLUMN_TYPES.has(column.type)) {
+      let index;
+      if (typeof input === 'object' && input.index !== undefined) {
+        index = Number(input.index);
+        if (!column.settings.labels || column.settings.labels[index] === undefined) {
+          throw apiError(`This status label index doesn't exist: ${index}`, 'ColumnValueException');
+        }
+      } else if (typeof input !== 'object' && isLabelIndex(column, input)) {
+        // A plain string that is not a label may be a label index, as Monday.com allows
+        index = Number(input);
+      } else {
+        const label = typeof input === 'object' ? input.label : input;
+        index = resolveStatusLabel(column, label, createLabelsIfMissing);
+      }
+      return {
+        value: { index, post_id: null, changed_at: changedAt },
+        text: String(column.settings.labels[index])
+      };
+    }
+
+    if (column.type === 'long_text' || column.type === 'long-text') {
+      const text = typeof input === 'object' ? String(input.text || '') : String(input);
+      return { value: { text, changed_at: changedAt }, text };
+    }
+
+    if (typeof input === 'object') {
+      const text = input.text || input.label || input.date || '';
+      return { value: input, text: String(text) };
+    }
+
+    return { value: String(input), text: String(input) };
+  }
+
+  /**
+   * Applies column values to an item
+   * @param {Object} item - The item
+   * @param {Object} columnValues - Column ID → value ("name" renames the item)
+   * @param {boolean} createLabelsIfMissing - Whether to add missing status labels
+   */
+  function applyColumnValues(item, columnValues, createLabelsIfMissing) {
+    const board = requireBoard(item.boardId);
+
+    // Validate every value before changing anything
+    const encoded = {};
+    for (const [columnId, input] of Object.entries(columnValues || {})) {
+      if (columnId === 'name') {
+        continue;
+      }
+      const column = board.columns.find(candidate => candidate.id === columnId);
+      if (!column) {
+        throw apiError(`This column ID doesn't exist for the board: ${columnId}`, 'InvalidColumnIdException');
+      }
+      encoded[columnId] = encodeColumnValue(column, input, createLabelsIfMissing);
+    }
+
+    if (columnValues && columnValues.name !== undefined) {
+      item.name = String(columnValues.name);
+    }
+    Object.assign(item.values, encoded);
+    item.updatedAt = new Date().toISOString();
+  }
+
+  /**
+   * Creates an item (or a subitem when parentItemId is set)
+   * @param {Object} board - The board
+   * @param {Object} fields - { id, name, groupId, parentItemId, columnValues, createLabelsIfMissing }
+   * @returns {Object} - The item
+   */
+  function createItemRecord(board, fields) {
+    const groupId = fields.groupId ? String(fields.groupId) : board.groups[0]?.id;
+    if (!board.groups.some(group => group.id === groupId)) {
+      throw apiError(`Group ${groupId} not found on board ${board.id}`, 'InvalidGroupIdException');
+    }
+
+    const id = fields.id !== undefined ? String(fields.id) : generateId();
+    reserveId(id);
+    const now = new Date().toISOString();
+    const item = {
+      id,
+      boardId: board.id,
+      groupId,
+      name: String(fields.name || ''),
+      parentItemId: fields.parentItemId ? String(fields.parentItemId) : null,
+      values: {},
+      createdAt: fields.createdAt || now,
+      updatedAt: fields.updatedAt || now
+    };
+
+    applyColumnValues(item, fields.columnValues, fields.createLabelsIfMissing);
+    if (fields.updatedAt) {
+      item.updatedAt = fields.updatedAt;
+    }
+    items.set(id, item);
+    return item;
+  }
+
+  /**
+   * Creates an update on an item
+   * @param {Object} item - The item
+   * @param {Object} fields - { id, body, createdAt }
+   * @returns {Object} - The update
+   */
+  function createUpdateRecord(item, fields) {
+    const id = fields.id !== undefined ? String(fields.id) : generateId();
+    reserveId(id);
+    const update = {
+      id,
+      itemId: item.id,
+      body: String(fields.body || ''),
+      createdAt: fields.createdAt || new Date().toISOString()
+    };
+    updates.set(id, update);
+    return update;
+  }
+
+  /**
+   * Deletes an item with its subitems and updates
+   * @param {Object} item - The item
+   */
+  function deleteItemRecord(item) {
+    for (const child of [...items.values()].filter(candidate => candidate.parentItemId === item.id)) {
+      deleteItemRecord(child);
+    }
+    for (const update of [...updates.values()].filter(candidate => candidate.itemId === item.id)) {
+      updates.delete(update.id);
+    }
+    items.delete(item.id);
+  }
+
+  /**
+   * Gets the top-level items of a board (or group), in creation order
+   * @param {string} boardId - The board ID
+   * @param {string} groupId - Optional group ID
+   * @param {Object[]} columns - Optional column filters ({ column_id, column_values }); an item
+   *   matches when, for every filter, its column text is one of the values
+   * @returns {Object[]} - The items
+   */
+  function listItems(boardId, groupId = null, columns = null) {
+    return [...items.values()].filter(item =>
+      item.boardId === boardId && (!groupId || item.groupId === groupId) &&
+      (columns || []).every(filter => (filter.column_values || []).map(String)
+        .includes((item.values[filter.column_id] || { text: '' }).text)));
+  }
+
+  /**
+   * Returns a page of items and registers a cursor for the rest
+   * @param {Object} source - { boardId, groupId, columns }
+   * @param {number} offset - Index of the first item
+   * @param {number} limit - Page size
+   * @returns {Object} - { cursor, items }
+   */
+  function itemsPage(source, offset, limit) {
+    const pageLimit = Math.min(Number(limit) || DEFAULT_PAGE_LIMIT, MAX_PAGE_LIMIT);
+    const all = listItems(source.boardId, source.groupId, source.columns);
+    const page = all.slice(offset, offset + pageLimit);
+
+    let cursor = null;
+    if (offset + pageLimit < all.length) {
+      cursor = `fake-cursor-${generateId()}`;
+      cursors.set(cursor, { ...source, offset: offset + pageLimit });
+    }
+
+    return { __typename: 'ItemsResponse', cursor, items: page.map(itemView) };
+  }
+
+  /**
+   * Filters a list by an optional ids argument
+   * @param {Object[]} list - Objects with an id
+   * @param {Array} ids - The IDs to keep (all when not set)
+   * @returns {Object[]} - The filtered list
+   */
+  function filterByIds(list, ids) {
+    if (!ids) {
+      return list;
+    }
+    const wanted = (Array.isArray(ids) ? ids : [ids]).map(String);
+    return list.filter(entry => wanted.includes(String(entry.id)));
+  }
+
+  // ===== GraphQL views: field name → value or (args) => value =====
+
+  /**
+   * Builds the GraphQL view of a column
+   * @param {Object} column - The column
+   * @returns {Object} - The Column view
+   */
+  function columnView(column) {
+    return {
+      __typename: 'Column',
+      id: column.id,
+      title: column.title,
+      type: column.type,
+      description: column.description,
+      archived: false,
+      settings_str: JSON.stringify(column.settings || {})
+    };
+  }
+
+  /**
+   * Builds the GraphQL view of a group
+   * @param {Object} board - The board the group belongs to
+   * @param {Object} group - The group
+   * @returns {Object} - The Group view
+   */
+  function groupView(board, group) {
+    return {
+      __typename: 'Group',
+      id: group.id,
+      title: group.title,
+      color: group.color,
+      position: group.position,
+      archived: false,
+      deleted: false,
+      items_page: ({ limit, cursor } = {}) => (cursor
+        ? nextItemsPage(cursor, limit)
+        : itemsPage({ boardId: board.id, groupId: group.id }, 0, limit))
+    };
+  }
+
+  /**
+   * Builds the GraphQL view of a board
+   * @param {Object} board - The board
+   * @returns {Object} - The Board view
+   */
+  function boardView(board) {
+    return {
+      __typename: 'Board',
+      id: board.id,
+      name: board.name,
+      description: board.description,
+      state: 'active',
+      board_kind: board.boardKind,
+      items_count: () => listItems(board.id).length,
+      columns: ({ ids } = {}) => filterByIds(board.columns, ids).map(columnView),
+      groups: ({ ids } = {}) => filterByIds(board.groups, ids).map(group => groupView(board, group)),
+      items_page: ({ limit, cursor } = {}) => (cursor
+        ? nextItemsPage(cursor, limit)
+        : itemsPage({ boardId: board.id, groupId: null }, 0, limit))
+    };
+  }
+
+  /**
+   * Builds the GraphQL view of an update
+   * @param {Object} update - The update
+   * @returns {Object} - The Update view
+   */
+  function updateView(update) {
+    return {
+      __typename: 'Update',
+      id: update.id,
+      body: update.body,
+      text_body: update.body.replace(/<[^>]*>/g, ''),
+      created_at: update.createdAt,
+      updated_at: update.createdAt,
+      item_id: update.itemId,
+      creator_id: '1'
+    };
+  }
+
+  /**
+   * Builds the GraphQL view of an item or subitem
+   * @param {Object} item - The item
+   * @returns {Object} - The Item view
+   */
+  function itemView(item) {
+    const board = () => requireBoard(item.boardId);
+    return {
+      __typename: 'Item',
+      id: item.id,
+      name: item.name,
+      state: 'active',
+      created_at: item.createdAt,
+      updated_at: item.updatedAt,
+      board: () => boardView(board()),
+      group: () => {
+        const group = board().groups.find(candidate => candidate.id === item.groupId);
+        return group ? groupView(board(), group) : null;
+      },
+      parent_item: () => (item.parentItemId && items.has(item.parentItemId)
+        ? itemView(items.get(item.parentItemId))
+        : null),
+      column_values: ({ ids } = {}) => filterByIds(board().columns.filter(column => column.type !== 'name'), ids)
+        .map(column => {
+          const stored = item.values[column.id] || { value: null, text: '' };
+          return {
+            __typename: 'ColumnValue',
+            id: column.id,
+            type: column.type,
+            text: stored.text,
+            value: stored.value === null ? null : JSON.stringify(stored.value),
+            column: columnView(column)
+          };
+        }),
+      subitems: () => [...items.values()]
+        .filter(candidate => candidate.parentItemId === item.id)
+        .map(itemView),
+      updates: ({ limit } = {}) => [...updates.values()]
+        .filter(update => update.itemId === item.id)
+        .reverse()
+        .slice(0, limit || undefined)
+        .map(updateView)
+    };
+  }
+
+  /**
+   * Continues a paginated items query
+   * @param {string} cursor - The cursor from the previous page
+   * @param {number} limit - Page size
+   * @returns {Object} - { cursor, items }
+   */
+  function nextItemsPage(cursor, limit) {
+    const source = cursors.get(cursor);
+    if (!source) {
+      throw apiError('Cursor is invalid or expired', 'CursorException');
+    }
+    cursors.delete(cursor);
+    return itemsPage(source, source.offset, limit);
+  }
+
+  // ===== Root fields =====
+
+  const queryFields = {
+    boards: ({ ids, limit } = {}) => filterByIds([...boards.values()], ids)
+      .slice(0, limit || undefined)
+      .map(boardView),
+    items: ({ ids, limit } = {}) => {
+      if (!ids) {
+        throw apiError('The items query requires ids', 'InvalidArgumentException');
+      }
+      return (Array.isArray(ids) ? ids : [ids])
+        .map(id => items.get(String(id)))
+        .filter(Boolean)
+        .slice(0, limit || undefined)
+        .map(itemView);
+    },
+    items_page_by_column_values: ({ board_id: boardId, columns, limit, cursor }) => {
+      if (cursor) {
+        return nextItemsPage(cursor, limit);
+      }
+      const board = requireBoard(boardId);
+      if (!columns || columns.length === 0) {
+        throw apiError('items_page_by_column_values requires columns or a cursor', 'InvalidArgumentException');
+      }
+      for (const filter of columns) {
+        if (!board.columns.some(column => column.id === String(filter.column_id))) {
+          throw apiError(`Column ${filter.column_id} not found on board ${board.id}`, 'InvalidColumnIdException');
+        }
+      }
+      return itemsPage({ boardId: board.id, groupId: null, columns }, 0, limit);
+    },
+    next_items_page: ({ cursor, limit }) => nextItemsPage(cursor, limit),
+    me: () => ({ __typename: 'User', id: '1', name: 'Fake Monday.com User', email: 'fake@example.com' })
+  };
+
+  const mutationFields = {
+    create_item: args => {
+      const board = requireBoard(args.board_id);
+      const item = createItemRecord(board, {
+        name: args.item_name,
+        groupId: args.group_id,
+        columnValues: parseJsonArgument(args.column_values, 'column_values'),
+        createLabelsIfMissing: args.create_labels_if_missing
+      });
+      return itemView(item);
+    },
+    create_subitem: args => {
+      const parent = requireItem(args.parent_item_id);
+      const subitemsBoard = getSubitemsBoard(requireBoard(parent.boardId));
+      const subitem = createItemRecord(subitemsBoard, {
+        name: args.item_name,
+        parentItemId: parent.id,
+        columnValues: parseJsonArgument(args.column_values, 'column_values'),
+        createLabelsIfMissing: args.create_labels_if_missing
+      });
+      return itemView(subitem);
+    },
+    create_group: args => {
+      const board = requireBoard(args.board_id);
+      const group = {
+        id: `group_${generateId()}`,
+        title: String(args.group_name),
+        color: '#579bfc',
+        position: String((board.groups.length + 1) * 65536)
+      };
+      board.groups.push(group);
+      return groupView(board, group);
+    },
+    create_column: args => {
+      const board = requireBoard(args.board_id);
+      const type = String(args.column_type);
+      const id = args.id ? String(args.id) : `${type}_${generateId()}`;
+      if (board.columns.some(column => column.id === id)) {
+        throw apiError(`Column ${id} already exists on board ${board.id}`, 'InvalidArgumentException');
+      }
+      const column = createColumn({
+        id,
+        title: args.title,
+        type,
+        description: args.description,
+        settings: parseJsonArgument(args.defaults, 'defaults') || {}
+      });
+      board.columns.push(column);
+      return columnView(column);
+    },
+    change_column_metadata: args => {
+      const board = requireBoard(args.board_id);
+      const column = board.columns.find(candidate => candidate.id === String(args.column_id));
+      if (!column) {
+        throw apiError(`Column ${args.column_id} not found on board ${board.id}`, 'InvalidColumnIdException');
+      }
+      if (args.column_property === 'title' || args.column_property === 'description') {
+        column[args.column_property] = args.value === undefined ? null : String(args.value);
+      } else if (args.column_property === 'labels' && STATUS_COLUMN_TYPES.has(column.type)) {
+        // Labels are given as index → label and replace the column's labels
+        column.settings.labels = { ...parseJsonArgument(args.value, 'value') };
+      } else {
+        throw apiError(`Cannot change ${args.column_property} of ${column.type} column ${column.id}`, 'InvalidArgumentException');
+      }
+      return columnView(column);
+    },
+    change_multiple_column_values: args => {
+      const item = requireItem(args.item_id);
+      applyColumnValues(item, parseJsonArgument(args.column_values, 'column_values'), args.create_labels_if_missing);
+      return itemView(item);
+    },
+    change_column_value: args => {
+      const item = requireItem(args.item_id);
+      applyColumnValues(item, { [args.column_id]: parseJsonArgument(args.value, 'value') }, args.create_labels_if_missing);
+      return itemView(item);
+    },
+    change_simple_column_value: args => {
+      const item = requireItem(args.item_id);
+      applyColumnValues(item, { [args.column_id]: args.value }, args.create_labels_if_missing);
+      return itemView(item);
+    },
+    create_update: args => updateView(createUpdateRecord(requireItem(args.item_id), { body: args.body })),
+    delete_update: args => {
+      const update = updates.get(String(args.id));
+      if (!update) {
+        throw apiError(`Update ${args.id} not found`, 'ResourceNotFoundException');
+      }
+      updates.delete(update.id);
+      return updateView(update);
+    },
+    delete_item: args => {
+      const item = requireItem(args.item_id);
+      const view = itemView({ ...item });
+      deleteItemRecord(item);
+      return view;
+    }
+  };
+
+  // ===== Execution =====
+
+  /**
+   * Resolves a selection set against a value
+   * @param {*} value - The value (a view, a list of views or a scalar)
+   * @param {Object[]} selections - The selected fields (null for scalars)
+   * @param {Object} variables - The request variables
+   * @returns {*} - The result
+   */
+  function select(value, selections, variables) {
+    if (Array.isArray(value)) {
+      return value.map(entry => select(entry, selections, variables));
+    }
+    if (value === null || value === undefined || !selections) {
+      return value === undefined ? null : value;
+    }
+
+    const result = {};
+    for (const field of selections) {
+      const key = field.alias || field.name;
+      if (field.name === '__typename') {
+        result[key] = value.__typename;
+        continue;
+      }
+      if (!(field.name in value)) {
+        throw apiError(`Field '${field.name}' doesn't exist on type '${value.__typename}'`, 'undefinedField');
+      }
+      const fieldValue = typeof value[field.name] === 'function'
+        ? value[field.name](resolveArguments(field.args, variables))
+        : value[field.name];
+      result[key] = select(fieldValue, field.selections, variables);
+    }
+    return result;
+  }
+
+  /**
+   * Builds the complexity field for the current request
+   * @returns {Object} - The complexity view
+   */
+  function complexityView() {
+    const before = complexityRemaining;
+    complexityRemaining = Math.max(0, complexityRemaining - queryCost);
+    return {
+      __typename: 'Complexity',
+      before,
+      after: complexityRemaining,
+      query: queryCost,
+      reset_in_x_seconds: 60
+    };
+  }
+
+  /**
+   * Executes a GraphQL request
+   * @param {string} query - The GraphQL document
+   * @param {Object} variables - The request variables
+   * @param {string} operationName - The operation to run when the document has several
+   * @returns {Object} - The response body ({ data } or { errors })
+   */
+  function execute(query, variables = {}, operationName = null) {
+    try {
+      const { operations } = parse(query);
+      const operation = operationName
+        ? operations.find(candidate => candidate.name === operationName)
+        : operations[0];
+      if (!operation || (!operationName && operations.length > 1)) {
+        throw apiError('Must provide operation name if query contains multiple operations', 'GRAPHQL_VALIDATION_FAILED');
+      }
+
+      // Apply defaults and check required variables
+      const resolvedVariables = { ...(variables || {}) };
+      for (const definition of operation.variableDefinitions) {
+        if (resolvedVariables[definition.name] === undefined && definition.defaultValue) {
+          resolvedVariables[definition.name] = definition.defaultValue.value;
+        }
+        if (definition.type.nonNull && (resolvedVariables[definition.name] === undefined || resolvedVariables[definition.name] === null)) {
+          throw apiError(`Variable $${definition.name} of required type was not provided`, 'GRAPHQL_VALIDATION_FAILED');
+        }
+      }
+
+      requests.push({ operation: operation.operation, name: operation.name, variables: resolvedVariables });
+
+      const root = {
+        __typename: operation.operation === 'mutation' ? 'Mutation' : 'Query',
+        ...(operation.operation === 'mutation' ? mutationFields : queryFields),
+        complexity: complexityView
+      };
+
+      return {
+        data: select(root, operation.selections, resolvedVariables),
+        account_id: 1
+      };
+    } catch (error) {
+      return {
+        errors: [{ message: error.message, extensions: { code: error.code || 'INTERNAL_SERVER_ERROR' } }],
+        account_id: 1
+      };
+    }
+  }
+
+  /**
+   * Answers a request like the HTTP transport does, so the server can be used as a client transport
+   * @param {string} query - The GraphQL document
+   * @param {Object} requestOptions - { variables }
+   * @returns {Promise<Object>} - The response body
+   */
+  async function api(query, requestOptions = {}) {
+    // Round-trip through JSON so callers never share objects with the server
+    return JSON.parse(JSON.stringify(execute(query, requestOptions.variables)));
+  }
+
+  /**
+   * Replaces all data with a fixture
+   * @param {Object} fixture - The fixture (see the module comment)
+   */
+  function seed(fixture = {}) {
+    boards = new Map();
+    items = new Map();
+    updates = new Map();
+    cursors = new Map();
+    nextId = FIRST_GENERATED_ID;
+
+    for (const boardDefinition of fixture.boards || []) {
+      const board = createBoard(boardDefinition);
+      for (const itemDefinition of boardDefinition.items || []) {
+        const item = createItemRecord(board, {
+          id: itemDefinition.id,
+          name: itemDefinition.name,
+          groupId: itemDefinition.group,
+          columnValues: itemDefinition.column_values,
+          createLabelsIfMissing: true,
+          createdAt: itemDefinition.created_at,
+          updatedAt: itemDefinition.updated_at
+        });
+        for (const subitemDefinition of itemDefinition.subitems || []) {
+          createItemRecord(getSubitemsBoard(board), {
+            id: subitemDefinition.id,
+            name: subitemDefinition.name,
+            parentItemId: item.id,
+            columnValues: subitemDefinition.column_values,
+            createLabelsIfMissing: true,
+            updatedAt: subitemDefinition.updated_at
+          });
+        }
+        for (const updateDefinition of itemDefinition.updates || []) {
+          createUpdateRecord(item, { id: updateDefinition.id, body: updateDefinition.body, createdAt: updateDefinition.created_at });
+        }
+      }
+    }
+  }
+
+  /**
+   * Seeds the server from a JSON fixture file
+   * @param {string} fixturePath - Path to the fixture
+   */
+  function loadFixture(fixturePath) {
+    seed(JSON.parse(fs.readFileSync(fixturePath, 'utf8')));
+  }
+
+  /**
+   * Gets an item as plain data, for assertions
+   * @param {string} itemId - The item ID
+   * @returns {Object|null} - { id, name, boardId, groupId, parentItemId, columnValues (ID → text), subitems, updates }
+   */
+  function getItem(itemId) {
+    const item = items.get(String(itemId));
+    if (!item) {
+      return null;
+    }
+    const columnValues = {};
+    for (const [columnId, stored] of Object.entries(item.values)) {
+      columnValues[columnId] = stored.text;
+    }
+    return {
+      id: item.id,
+      name: item.name,
+      boardId: item.boardId,
+      groupId: item.groupId,
+      parentItemId: item.parentItemId,
+      updatedAt: item.updatedAt,
+      columnValues,
+      subitems: [...items.values()].filter(candidate => candidate.parentItemId === item.id).map(child => getItem(child.id)),
+      updates: [...updates.values()].filter(update => update.itemId === item.id).map(update => update.body)
+    };
+  }
+
+  /**
+   * Gets the top-level items of a board as plain data, for assertions
+   * @param {string} boardId - The board ID
+   * @returns {Object[]} - The items (see getItem)
+   */
+  function getItems(boardId) {
+    return listItems(String(boardId)).map(item => getItem(item.id));
+  }
+
+  /**
+   * Gets a board's status labels, for assertions
+   * @param {string} boardId - The board ID
+   * @param {string} columnId - The status column ID
+   * @returns {Object} - Label index → label
+   */
+  function getLabels(boardId, columnId) {
+    const column = requireBoard(boardId).columns.find(candidate => candidate.id === columnId);
+    return column ? { ...(column.settings.labels || {}) } : {};
+  }
+
+  /**
+   * Starts serving the API over HTTP (POST { query, variables } to any path)
+   * @param {Object} listenOptions - { port, host }
+   * @returns {Promise<string>} - The API URL
+   */
+  function listen(listenOptions = {}) {
+    const host = listenOptions.host || '127.0.0.1';
+
+    httpServer = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const send = (statusCode, body) => {
+          res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== 'POST') {
+          send(405, { errors: [{ message: 'Method not allowed' }] });
+          return;
+        }
+        if (options.apiToken && req.headers.authorization !== options.apiToken) {
+          send(401, { errors: [{ message: 'Not Authenticated', extensions: { code: 'UNAUTHENTICATED' } }] });
+          return;
+        }
+
+        let body;
+        try {
+          body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+          // eslint-disable-next-line no-unused-vars
+        } catch (error) {
+          send(400, { errors: [{ message: 'Invalid JSON body' }] });
+          return;
+        }
+        send(200, execute(body.query, body.variables, body.operationName || null));
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      httpServer.once('error', reject);
+      httpServer.listen(listenOptions.port || 0, host, () => {
+        httpServer.removeListener('error', reject);
+        resolve(`http://${host}:${httpServer.address().port}/v2`);
+      });
+    });
+  }
+
+  /**
+   * Stops serving over HTTP
+   * @returns {Promise<void>}
+   */
+  function close() {
+    return new Promise(resolve => {
+      if (!httpServer) {
+        resolve();
+        return;
+      }
+      httpServer.close(() => resolve());
+      httpServer = null;
+    });
+  }
+
+  if (options.fixturePath) {
+    loadFixture(options.fixturePath);
+  } else {
+    seed(options.fixture);
+  }
+
+  // Return the public API
+  return {
+    // Transport and HTTP
+    api,
+    execute,
+    listen,
+    close,
+
+    // Data
+    seed,
+    loadFixture,
+    createBoard,
+    getItem,
+    getItems,
+    getLabels,
+    getRequests: () => [...requests],
+    clearRequests: () => {
+      requests = [];
+    }
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createFakeMondayServer
+};
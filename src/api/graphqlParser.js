@@ -0,0 +1,356 @@
+/**
+ * GraphQL Parser Module
+ *
+ * A small parser for the subset of GraphQL the Monday.com client sends:
+ * named or anonymous queries and mutations with variable definitions, fields,
+ * aliases, arguments and nested selections. Fragments and directives are not
+ * supported. Used by the fake Monday.com server.
+ */
+
+// Single-character punctuators
+const PUNCTUATORS = new Set(['{', '}', '(', ')', '[', ']', ':', '$', '!', '=']);
+
+/**
+ * Builds a syntax error
+ * @param {string} message - What went wrong
+ * @param {number} position - Offset in the source
+ * @returns {Error} - The error, with code GRAPHQL_PARSE_FAILED
+ */
+function syntaxError(message, position) {
+  const error = new Error(`Syntax Error: ${message} (at offset ${position})`);
+  error.code = 'GRAPHQL_PARSE_FAILED';
+  return error;
+}
+
+/**
+ * Splits a GraphQL document into tokens
+ * @param {string} source - The document
+ * @returns {Object[]} - Tokens ({ kind, value, position })
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    // Whitespace, commas and comments are insignificant
+    if (/[\s,\uFEFF]/.test(char)) {
+      index++;
+      continue;
+    }
+    if (char === '#') {
+      while (index < source.length && source[index] !== '\n') {
+        index++;
+      }
+      continue;
+    }
+
+    if (PUNCTUATORS.has(char)) {
+      tokens.push({ kind: 'punctuator', value: char, position: index });
+      index++;
+      continue;
+    }
+
+    if (source.startsWith('...', index) || char === '@') {
+      throw syntaxError(`Unsupported syntax "${char === '@' ? '@' : '...'}" (fragments and directives are not supported)`, index);
+    }
+
+    if (/[_A-Za-z]/.test(char)) {
+      const match = /^[_A-Za-z][_0-9A-Za-z]*/.exec(source.slice(index));
+      tokens.push({ kind: 'name', value: match[0], position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (/[-0-9]/.test(char)) {
+      const match = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/.exec(source.slice(index));
+      if (!match) {
+        throw syntaxError(`Invalid number`, index);
+      }
+      const isFloat = Boolean(match[2] || match[3]);
+      tokens.push({ kind: isFloat ? 'float' : 'int', value: match[0], position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (source.startsWith('"""', index)) {
+      const end = source.indexOf('"""', index + 3);
+      if (end === -1) {
+        throw syntaxError('Unterminated block string', index);
+      }
+      tokens.push({ kind: 'string', value: source.slice(index + 3, end).replace(/\\"""/g, '"""'), position: index });
+      index = end + 3;
+      continue;
+    }
+
+    if (char === '"') {
+      const { value, end } = readString(source, index);
+      tokens.push({ kind: 'string', value, position: index });
+      index = end;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${char}"`, index);
+  }
+
+  tokens.push({ kind: 'eof', value: null, position: source.length });
+  return tokens;
+}
+
+/**
+ * Reads a quoted string starting at an offset
+ * @param {string} source - The document
+ * @param {number} start - Offset of the opening quote
+ * @returns {Object} - { value, end } where end is the offset after the closing quote
+ */
+function readString(source, start) {
+  const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+  let value = '';
+  let index = start + 1;
+
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '"') {
+      return { value, end: index + 1 };
+    }
+    if (char === '\n') {
+      break;
+    }
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (next === 'u') {
+        value += String.fromCharCode(parseInt(source.slice(index + 2, index + 6), 16));
+        index += 6;
+        continue;
+      }
+      if (!(next in escapes)) {
+        throw syntaxError(`Invalid escape sequence "\\${next}"`, index);
+      }
+      value += escapes[next];
+      index += 2;
+      continue;
+    }
+    value += char;
+    index++;
+  }
+
+  throw syntaxError('Unterminated string', start);
+}
+
+/**
+ * Parses a GraphQL document
+ * @param {string} source - The document
+ * @returns {Object} - { operations: [{ operation, name, variableDefinitions, selections }] }
+ */
+function parse(source) {
+  const tokens = tokenize(String(source));
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+
+  function expect(kind, value) {
+    const token = next();
+    if (token.kind !== kind || (value !== undefined && token.value !== value)) {
+      throw syntaxError(`Expected ${value || kind}, found ${token.value === null ? 'end of document' : `"${token.value}"`}`, token.position);
+    }
+    return token;
+  }
+
+  function isPunctuator(value) {
+    const token = peek();
+    return token.kind === 'punctuator' && token.value === value;
+  }
+
+  function parseType() {
+    let type;
+    if (isPunctuator('[')) {
+      next();
+      type = { list: parseType() };
+      expect('punctuator', ']');
+    } else {
+      type = { name: expect('name').value };
+    }
+    if (isPunctuator('!')) {
+      next();
+      type.nonNull = true;
+    }
+    return type;
+  }
+
+  function parseValue(isConst) {
+    const token = peek();
+
+    if (token.kind === 'punctuator' && token.value === '$') {
+      if (isConst) {
+        throw syntaxError('Unexpected variable in a default value', token.position);
+      }
+      next();
+      return { kind: 'variable', name: expect('name').value };
+    }
+    if (token.kind === 'punctuator' && token.value === '[') {
+      next();
+      const values = [];
+      while (!isPunctuator(']')) {
+        values.push(parseValue(isConst));
+      }
+      next();
+      return { kind: 'list', values };
+    }
+    if (token.kind === 'punctuator' && token.value === '{') {
+      next();
+      const fields = {};
+      while (!isPunctuator('}')) {
+        const name = expect('name').value;
+        expect('punctuator', ':');
+        fields[name] = parseValue(isConst);
+      }
+      next();
+      return { kind: 'object', fields };
+    }
+
+    next();
+    switch (token.kind) {
+      case 'int':
+        return { kind: 'literal', value: parseInt(token.value, 10) };
+      case 'float':
+        return { kind: 'literal', value: parseFloat(token.value) };
+      case 'string':
+        return { kind: 'literal', value: token.value };
+      case 'name':
+        if (token.value === 'true' || token.value === 'false') {
+          return { kind: 'literal', value: token.value === 'true' };
+        }
+        if (token.value === 'null') {
+          return { kind: 'literal', value: null };
+        }
+        return { kind: 'enum', value: token.value };
+      default:
+        throw syntaxError(`Unexpected ${token.value === null ? 'end of document' : `"${token.value}"`}`, token.position);
+    }
+  }
+
+  function parseArguments() {
+    const args = {};
+    if (!isPunctuator('(')) {
+      return args;
+    }
+    next();
+    while (!isPunctuator(')')) {
+      const name = expect('name').value;
+      expect('punctuator', ':');
+      args[name] = parseValue(false);
+    }
+    next();
+    return args;
+  }
+
+  function parseSelectionSet() {
+    expect('punctuator', '{');
+    const selections = [];
+    while (!isPunctuator('}')) {
+      let name = expect('name').value;
+      let alias = null;
+      if (isPunctuator(':')) {
+        next();
+        alias = name;
+        name = expect('name').value;
+      }
+      const args = parseArguments();
+      const fieldSelections = isPunctuator('{') ? parseSelectionSet() : null;
+      selections.push({ name, alias, args, selections: fieldSelections });
+    }
+    next();
+    return selections;
+  }
+
+  function parseVariableDefinitions() {
+    const definitions = [];
+    if (!isPunctuator('(')) {
+      return definitions;
+    }
+    next();
+    while (!isPunctuator(')')) {
+      expect('punctuator', '$');
+      const name = expect('name').value;
+      expect('punctuator', ':');
+      const type = parseType();
+      let defaultValue;
+      if (isPunctuator('=')) {
+        next();
+        defaultValue = parseValue(true);
+      }
+      definitions.push({ name, type, defaultValue });
+    }
+    next();
+    return definitions;
+  }
+
+  const operations = [];
+  while (peek().kind !== 'eof') {
+    if (isPunctuator('{')) {
+      operations.push({ operation: 'query', name: null, variableDefinitions: [], selections: parseSelectionSet() });
+      continue;
+    }
+
+    const keyword = expect('name');
+    if (keyword.value !== 'query' && keyword.value !== 'mutation') {
+      throw syntaxError(`Unsupported definition "${keyword.value}"`, keyword.position);
+    }
+    const name = peek().kind === 'name' ? next().value : null;
+    const variableDefinitions = parseVariableDefinitions();
+    operations.push({ operation: keyword.value, name, variableDefinitions, selections: parseSelectionSet() });
+  }
+
+  if (operations.length === 0) {
+    throw syntaxError('Document contains no operations', 0);
+  }
+
+  return { operations };
+}
+
+/**
+ * Resolves an argument value against the request variables
+ * @param {Object} value - The parsed value
+ * @param {Object} variables - The request variables
+ * @returns {*} - The plain value
+ */
+function resolveValue(value, variables = {}) {
+  switch (value.kind) {
+    case 'variable':
+      return variables[value.name] !== undefined ? variables[value.name] : null;
+    case 'list':
+      return value.values.map(item => resolveValue(item, variables));
+    case 'object': {
+      const result = {};
+      for (const [name, fieldValue] of Object.entries(value.fields)) {
+        result[name] = resolveValue(fieldValue, variables);
+      }
+      return result;
+    }
+    default:
+      return value.value;
+  }
+}
+
+/**
+ * Resolves all arguments of a field
+ * @param {Object} args - The parsed arguments
+ * @param {Object} variables - The request variables
+ * @returns {Object} - Argument name → plain value
+ */
+function resolveArguments(args, variables = {}) {
+  const result = {};
+  for (const [name, value] of Object.entries(args)) {
+    result[name] = resolveValue(value, variables);
+  }
+  return result;
+}
+
+// Export the parser
+module.exports = {
+  parse,
+  resolveValue,
+  resolveArguments
+};
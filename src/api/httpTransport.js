@@ -0,0 +1,150 @@
+/**
+ * HTTP Transport Module
+ *
+ * Sends GraphQL requests to the Monday.com API over HTTP with axios. This is
+ * the default transport of the Monday.com client; anything with the same
+ * api(query, { variables }) method (the fake Monday.com server, a cassette)
+ * can take its place.
+ *
+ * Proxies are taken from the HTTP_PROXY, HTTPS_PROXY and NO_PROXY environment
+ * variables (axios reads them for every request).
+ */
+
+const axios = require('axios');
+
+// Monday.com GraphQL endpoint
+const DEFAULT_API_URL = 'https://api.monday.com/v2';
+
+// Time to wait for a response before giving up on a request
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// Error codes of requests that did not get a response
+const TIMEOUT_ERROR_CODE = 'ETIMEDOUT';
+const ABORTED_ERROR_CODE = 'ABORTED';
+
+/**
+ * Builds an Error from an HTTP error response, keeping what the client needs
+ * to recognize rate limits (status, error code, retry hints)
+ * @param {Object} response - The axios response
+ * @returns {Error} - The error
+ */
+function createResponseError(response) {
+  const body = response.data && typeof response.data === 'object' ? response.data : {};
+  const errors = Array.isArray(body.errors) ? body.errors : [];
+  const messages = errors.map(err => err.message).filter(Boolean);
+  if (body.error_message) {
+    messages.push(body.error_message);
+  }
+
+  const detail = messages.length > 0
+    ? messages.join(', ')
+    : (typeof response.data === 'string' && response.data) || response.statusText || 'no details';
+  const error = new Error(`Monday.com API request failed with status ${response.status}: ${detail}`);
+
+  const withExtensions = errors.find(err => err.extensions) || {};
+  error.status = response.status;
+  error.extensions = withExtensions.extensions;
+  error.code = (withExtensions.extensions && withExtensions.extensions.code) || body.error_code || undefined;
+  error.headers = response.headers || {};
+  error.response = body;
+  return error;
+}
+
+/**
+ * Creates an HTTP Transport instance
+ * @param {Object} options - Transport options
+ * @param {string} options.apiToken - Monday.com API token
+ * @param {string} options.apiUrl - GraphQL endpoint (default: https://api.monday.com/v2)
+ * @param {string} options.apiVersion - Monday.com API version sent as the API-Version header (e.g. 2025-04)
+ * @param {number} options.timeoutMs - Request timeout in milliseconds (default: 60000)
+ * @param {Object} options.httpClient - axios instance to send requests with, mainly for tests
+ * @returns {Object} - HTTP Transport instance
+ */
+function createHttpTransport(options = {}) {
+  const apiUrl = options.apiUrl || DEFAULT_API_URL;
+  const timeoutMs = options.timeoutMs !== undefined ? Number(options.timeoutMs) : DEFAULT_TIMEOUT_MS;
+  const httpClient = options.httpClient || axios;
+
+  if (Number.isNaN(timeoutMs) || timeoutMs < 0) {
+    throw new Error(`Invalid request timeout: ${options.timeoutMs}`);
+  }
+
+  let apiToken = options.apiToken || null;
+
+  /**
+   * Sets the API token sent with each request
+   * @param {string} token - Monday.com API token
+   */
+  function setToken(token) {
+    apiToken = token;
+  }
+
+  /**
+   * Sends a GraphQL request
+   * @param {string} query - The GraphQL query
+   * @param {Object} requestOptions - Request options
+   * @param {Object} requestOptions.variables - Variables for the query
+   * @param {AbortSignal} requestOptions.signal - Signal that cancels the request
+   * @param {number} requestOptions.timeoutMs - Timeout for this request
+   * @returns {Promise<Object>} - The response body ({ data, errors, account_id })
+   */
+  async function api(query, requestOptions = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiToken) {
+      headers.Authorization = apiToken;
+    }
+    if (options.apiVersion) {
+      headers['API-Version'] = options.apiVersion;
+    }
+
+    const timeout = requestOptions.timeoutMs !== undefined ? requestOptions.timeoutMs : timeoutMs;
+
+    try {
+      const response = await httpClient.post(apiUrl, {
+        query,
+        variables: requestOptions.variables || {}
+      }, {
+        headers,
+        timeout,
+        signal: requestOptions.signal,
+        responseType: 'json'
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.response) {
+        throw createResponseError(error.response);
+      }
+
+      if (axios.isCancel(error) || error.code === 'ERR_CANCELED') {
+        const aborted = new Error('Monday.com API request was aborted');
+        aborted.code = ABORTED_ERROR_CODE;
+        throw aborted;
+      }
+
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        const timedOut = new Error(`Monday.com API request timed out after ${timeout}ms`);
+        timedOut.code = TIMEOUT_ERROR_CODE;
+        throw timedOut;
+      }
+
+      throw error;
+    }
+  }
+
+  // Return the public API
+  return {
+    api,
+    setToken,
+    getApiUrl: () => apiUrl
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createHttpTransport,
+  DEFAULT_API_URL,
+  DEFAULT_TIMEOUT_MS,
+  TIMEOUT_ERROR_CODE,
+  ABORTED_ERROR_CODE
+};
@@ -3,8 +3,15 @@
  * Provides functions for interacting with the Monday.com API
  */
 
-const mondaySdk = require('monday-sdk-js');
 const { Logger } = require('../utils/logger');
+const {
+  createComplexityBudget,
+  withComplexityField,
+  getRetryAfterSeconds,
+  isRateLimitError
+} = require('./complexityBudget');
+const { createCassetteRecorder, createCassettePlayer } = require('./cassette');
+const { createHttpTransport, ABORTED_ERROR_CODE } = require('./httpTransport');
 
 // Default retry settings
 const DEFAULT_MAX_RETRIES = 3;
@@ -12,25 +19,97 @@ const DEFAULT_RETRY_DELAY_MS = 1000;
 const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const DEFAULT_MAX_BATCH_SIZE = 10;
 
+// Pagination settings (Monday.com allows up to 500 items per page)
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_ITEM_PAGES = 1000;
+
+// Fields selected for every subitem returned with its parent item
+const SUBITEM_FIELDS = `
+  id
+  name
+  updated_at
+  board {
+    id
+  }
+  column_values {
+    id
+    text
+    value
+    type
+  }
+`;
+
+// Fields selected for every item returned by the items queries
+const ITEM_FIELDS = `
+  id
+  name
+  updated_at
+  group {
+    id
+    title
+  }
+  column_values {
+    id
+    text
+    value
+    type
+  }
+  subitems {
+    ${SUBITEM_FIELDS}
+  }
+`;
+
 /**
  * Creates a Monday.com API Client instance
  * @param {Object} options - Configuration options
+ * @param {Object} options.transport - Object with api(query, { variables }) used instead of the HTTP transport
+ * @param {string} options.monday_api_url - Monday.com GraphQL endpoint (also options.apiUrl)
+ * @param {string} options.monday_api_version - Monday.com API version header (also options.apiVersion)
+ * @param {number} options.monday_api_timeout_ms - Request timeout in milliseconds (also options.timeoutMs)
+ * @param {AbortSignal} options.signal - Signal that cancels every request of this client
+ * @param {string} options.recordTo - Path of a cassette file to record requests and responses to
+ * @param {string} options.replayFrom - Path of a cassette file to replay responses from
  * @returns {Object} - Monday.com API Client instance
  */
 function createMondayClient(options = {}) {
-  // Initialize the Monday SDK
-  const monday = mondaySdk();
+  if (options.recordTo && options.replayFrom) {
+    throw new Error('Cannot record to and replay from a cassette at the same time');
+  }
+  
+  // API keys are redacted from cassettes
+  const secrets = [options.apiToken, options.monday_api_key].filter(Boolean);
   
-  // Set API token if provided in options
-  if (options.apiToken) {
-    monday.setToken(options.apiToken);
-  } else if (options.monday_api_key) {
-    monday.setToken(options.monday_api_key);
+  let monday;
+  if (options.replayFrom) {
+    // Serve recorded responses without any network
+    monday = createCassettePlayer({ path: options.replayFrom, secrets });
+  } else {
+    // Use the provided transport (e.g. the fake Monday.com server) or HTTP
+    monday = options.transport || createHttpTransport({
+      apiToken: options.apiToken || options.monday_api_key,
+      apiUrl: options.apiUrl || options.monday_api_url,
+      apiVersion: options.apiVersion || options.monday_api_version,
+      timeoutMs: options.timeoutMs !== undefined ? options.timeoutMs : options.monday_api_timeout_ms
+    });
+    
+    // Save every request and response to a cassette
+    if (options.recordTo) {
+      monday = createCassetteRecorder({ path: options.recordTo, transport: monday, secrets });
+    }
   }
   
   // Configure retry settings
   const maxRetries = options.maxRetries || DEFAULT_MAX_RETRIES;
   const retryDelayMs = options.retryDelayMs || DEFAULT_RETRY_DELAY_MS;
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  
+  // Track the Monday.com complexity budget across calls
+  const complexityBudget = createComplexityBudget({
+    complexityReserve: options.complexityReserve !== undefined
+      ? options.complexityReserve
+      : options.complexity_reserve,
+    sleep
+  });
   
   // Configure cache
   const cacheTtlMs = options.cacheTtlMs || DEFAULT_CACHE_TTL_MS;
@@ -45,28 +124,76 @@ function createMondayClient(options = {}) {
   let batchPromises = [];
   
   /**
-   * Executes a GraphQL query with retry logic
+   * Builds an Error from the errors reported in a Monday.com response body
+   * @param {Object} response - The response body
+   * @returns {Error|null} - The error, or null if the response has no errors
+   */
+  function getResponseError(response) {
+    if (!response) {
+      return null;
+    }
+    
+    // GraphQL errors
+    if (response.errors && response.errors.length > 0) {
+      const errorMessages = response.errors.map(err => err.message).join(', ');
+      const error = new Error(`Monday.com API errors: ${errorMessages}`);
+      const withExtensions = response.errors.find(err => err.extensions) || {};
+      error.extensions = withExtensions.extensions;
+      error.code = withExtensions.extensions && withExtensions.extensions.code;
+      return error;
+    }
+    
+    // Older error format (e.g. ComplexityException, rate limits)
+    if (response.error_message || response.error_code) {
+      const error = new Error(`Monday.com API error: ${response.error_message || response.error_code}`);
+      error.code = response.error_code;
+      error.status = response.status_code;
+      return error;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Executes a GraphQL query with retry logic.
+   * Every query also selects the complexity field so the remaining budget can be
+   * tracked; queries are throttled before the budget runs out, and rate limit
+   * errors wait for the reset time the server returns.
    * @param {string} query - The GraphQL query to execute
    * @param {Object} variables - Variables for the query
+   * @param {Object} requestOptions - Transport options for this query (signal, timeoutMs)
    * @returns {Promise<Object>} - The query result
    */
-  async function executeQuery(query, variables = {}) {
+  async function executeQuery(query, variables = {}, requestOptions = {}) {
     let lastError = null;
+    const signal = requestOptions.signal || options.signal;
+    const transportOptions = { ...requestOptions, variables };
+    if (signal) {
+      transportOptions.signal = signal;
+    }
+    const trackedQuery = withComplexityField(query);
     
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         Logger.debug(`Executing query (attempt ${attempt + 1}/${maxRetries})`);
         
-        const response = await monday.api(query, { variables });
+        // Wait for the budget to reset if we are about to run out
+        await complexityBudget.waitForBudget();
+        
+        const response = await monday.api(trackedQuery, transportOptions);
+        
+        if (response && response.data && response.data.complexity) {
+          complexityBudget.record(response.data.complexity);
+        }
         
         // Check for Monday.com API errors in the response
-        if (response.errors && response.errors.length > 0) {
-          const errorMessages = response.errors.map(err => err.message).join(', ');
-          Logger.warn(`Monday.com API returned errors: ${errorMessages}`);
+        const responseError = getResponseError(response);
+        if (responseError) {
+          Logger.warn(responseError.message);
           
           // Don't throw if we have both errors and data (partial success)
           if (!response.data) {
-            throw new Error(`Monday.com API errors: ${errorMessages}`);
+            throw responseError;
           }
         }
         
@@ -79,13 +206,26 @@ function createMondayClient(options = {}) {
       } catch (error) {
         lastError = error;
         
-        // Check if the error is a rate limit error (status code 429)
-        const isRateLimited = error.status === 429;
+        // A cancelled request is not retried
+        if (error.code === ABORTED_ERROR_CODE || (signal && signal.aborted)) {
+          throw error;
+        }
+        
+        const isRateLimited = isRateLimitError(error);
+        const retryAfterSeconds = getRetryAfterSeconds(error);
+        
+        // Honor the server's retry hint, otherwise back off exponentially
+        const backoffTime = retryAfterSeconds !== null
+          ? retryAfterSeconds * 1000
+          : retryDelayMs * Math.pow(2, attempt);
         
         if (isRateLimited) {
-          Logger.warn(`Rate limited by Monday.com API, retrying in ${retryDelayMs}ms`);
+          if (retryAfterSeconds !== null) {
+            complexityBudget.markExhausted(retryAfterSeconds);
+          }
+          Logger.warn(`Rate limited by Monday.com API, retrying in ${backoffTime}ms`);
         } else {
-          Logger.warn(`Query failed, retrying in ${retryDelayMs}ms: ${error.message}`);
+          Logger.warn(`Query failed, retrying in ${backoffTime}ms: ${error.message}`);
           if (error.stack) {
             Logger.debug(`Error stack: ${error.stack}`);
           }
@@ -96,9 +236,7 @@ function createMondayClient(options = {}) {
         
         // If this is not the last attempt, wait before retrying
         if (attempt < maxRetries - 1) {
-          // Calculate exponential backoff time
-          const backoffTime = retryDelayMs * Math.pow(2, attempt);
-          await new Promise(resolve => setTimeout(resolve, backoffTime));
+          await sleep(backoffTime);
         }
       }
     }
@@ -108,6 +246,14 @@ function createMondayClient(options = {}) {
     throw lastError;
   }
   
+  /**
+   * Gets the complexity budget usage observed by this client
+   * @returns {Object} - { remaining, resetAt, used, queries, largestQueryCost, throttledMs }
+   */
+  function getComplexityBudget() {
+    return complexityBudget.getState();
+  }
+  
   /**
    * Gets the cache key for board or group caches
    * @param {string} type - The type of cache (board or group)
@@ -348,6 +494,42 @@ function createMondayClient(options = {}) {
     }
   }
   
+  /**
+   * Creates a subitem under an item
+   * Subitems live on the parent board's subitems board, returned as board.id.
+   * @param {string} parentItemId - The ID of the parent item
+   * @param {string} itemName - The name of the subitem
+   * @param {Object} columnValues - Column values for the subitem
+   * @returns {Promise<Object>} - The created subitem
+   */
+  async function createSubitem(parentItemId, itemName, columnValues = {}) {
+    const query = `
+      mutation CreateSubitem($parentItemId: ID!, $itemName: String!, $columnValues: JSON) {
+        create_subitem(
+          parent_item_id: $parentItemId,
+          item_name: $itemName,
+          column_values: $columnValues
+        ) {
+          ${SUBITEM_FIELDS}
+        }
+      }
+    `;
+    
+    const variables = {
+      parentItemId,
+      itemName,
+      columnValues: JSON.stringify(columnValues)
+    };
+    
+    const result = await executeQuery(query, variables);
+    
+    if (result.data && result.data.create_subitem) {
+      return result.data.create_subitem;
+    } else {
+      throw new Error(`Failed to create subitem '${itemName}' under item ${parentItemId}`);
+    }
+  }
+  
   /**
    * Creates a new group on a board
    * @param {string} boardId - The ID of the board
@@ -363,7 +545,7 @@ function createMondayClient(options = {}) {
           group_name: $groupName
         ) {
           id
-          name
+          title
         }
       }
     `;
@@ -384,6 +566,104 @@ function createMondayClient(options = {}) {
     }
   }
   
+  /**
+   * Creates a new column on a board
+   * @param {string} boardId - The ID of the board
+   * @param {string} title - The column title
+   * @param {string} columnType - The column type (e.g. text, status, long_text)
+   * @param {Object} options - Column options
+   * @param {Object} options.defaults - The column settings, e.g. { labels: { 0: 'Done' } } for status columns
+   * @param {string} options.description - The column description
+   * @returns {Promise<Object>} - The created column ({ id, title, type, settings_str })
+   */
+  async function createColumn(boardId, title, columnType, options = {}) {
+    // Query for creating a column
+    const query = `
+      mutation CreateColumn($boardId: ID!, $title: String!, $columnType: ColumnType!, $defaults: JSON, $description: String) {
+        create_column(
+          board_id: $boardId,
+          title: $title,
+          column_type: $columnType,
+          defaults: $defaults,
+          description: $description
+        ) {
+          id
+          title
+          type
+          settings_str
+        }
+      }
+    `;
+    
+    const variables = {
+      boardId,
+      title,
+      columnType,
+      defaults: options.defaults ? JSON.stringify(options.defaults) : null,
+      description: options.description || null
+    };
+    
+    // Execute the query
+    const result = await executeQuery(query, variables);
+    
+    // The cached board and columns no longer list every column
+    boardCache.delete(getCacheKey('board', boardId));
+    boardCache.delete(getCacheKey('columns', boardId));
+    
+    // Extract the created column
+    if (result.data && result.data.create_column) {
+      return result.data.create_column;
+    } else {
+      throw new Error(`Failed to create column '${title}' on board ${boardId}`);
+    }
+  }
+  
+  /**
+   * Changes a column's title, description or status labels
+   * @param {string} boardId - The ID of the board
+   * @param {string} columnId - The ID of the column
+   * @param {string} columnProperty - The property to change (title, description or labels)
+   * @param {string|Object} value - The new value; labels are given as index → label
+   * @returns {Promise<Object>} - The changed column ({ id, title, type, settings_str })
+   */
+  async function changeColumnMetadata(boardId, columnId, columnProperty, value) {
+    // Query for changing column metadata
+    const query = `
+      mutation ChangeColumnMetadata($boardId: ID!, $columnId: String!, $columnProperty: ColumnProperty!, $value: String) {
+        change_column_metadata(
+          board_id: $boardId,
+          column_id: $columnId,
+          column_property: $columnProperty,
+          value: $value
+        ) {
+          id
+          title
+          type
+          settings_str
+        }
+      }
+    `;
+    
+    const variables = {
+      boardId,
+      columnId,
+      columnProperty,
+      value: typeof value === 'string' ? value : JSON.stringify(value)
+    };
+    
+    // Execute the query
+    const result = await executeQuery(query, variables);
+    
+    boardCache.delete(getCacheKey('board', boardId));
+    boardCache.delete(getCacheKey('columns', boardId));
+    
+    if (result.data && result.data.change_column_metadata) {
+      return result.data.change_column_metadata;
+    } else {
+      throw new Error(`Failed to change ${columnProperty} of column ${columnId} on board ${boardId}`);
+    }
+  }
+  
   /**
    * Updates an item's name
    * @param {string} itemId - The ID of the item
@@ -434,18 +714,7 @@ function createMondayClient(options = {}) {
       Logger.debug(`Updating column values for item ${itemId} on board ${boardId}`);
       Logger.debug(`Column values (pre-serialization): ${JSON.stringify(columnValues)}`);
       
-      // Skip validation in test environment
-      if (process.env.NODE_ENV !== 'test') {
-        // Validation would go here if needed
-        // Currently keeping validation section to maintain compatibility
-        const failedUpdates = [];
-
-        // If any column updates failed, throw an error
-        if (failedUpdates.length > 0) {
-          const failedColumns = failedUpdates.map(([columnId]) => columnId).join(', ');
-          throw new Error(`Failed to update columns: ${failedColumns}`);
-        }
-      }
+      // Column IDs and labels are checked against the board before a run (see schemaValidator)
       
       // Serialize the column values if they're not already a string
       const columnValuesStr = typeof columnValues === 'string' ? 
@@ -490,70 +759,55 @@ function createMondayClient(options = {}) {
   }
   
   /**
-   * Gets items from a board
-   * @param {string} boardId - The ID of the board
-   * @param {Object} options - Query options
-   * @param {number} options.limit - Maximum number of items to return
-   * @returns {Promise<Object[]>} - The items on the board
+   * Builds the first-page items query for a board or a single group
+   * @param {boolean} byGroup - Whether the query is scoped to a group
+   * @returns {string} - The GraphQL query
    */
-  async function getItems(boardId, options = {}) {
-    // Default options
-    const limit = options.limit || 100;
-    const groupId = options.groupId || null;
-    
-    // Base query for fetching items
-    let query;
-    
-    // Different query based on whether a groupId is provided
-    if (groupId) {
-      query = `
+  function buildItemsPageQuery(byGroup) {
+    if (byGroup) {
+      return `
         query GetItems($boardId: ID!, $limit: Int!, $groupId: String!) {
           boards(ids: [$boardId]) {
             groups(ids: [$groupId]) {
               items_page(limit: $limit) {
+                cursor
                 items {
-                  id
-                  name
-                  group {
-                    id
-                    title
-                  }
-                  column_values {
-                    id
-                    text
-                    value
-                    type
-                  }
+                  ${ITEM_FIELDS}
                 }
               }
             }
           }
         }
       `;
-    } else {
-      query = `
-        query GetItems($boardId: ID!, $limit: Int!) {
-          boards(ids: [$boardId]) {
-            items_page(limit: $limit) {
-              items {
-                id
-                name
-                group {
-                  id
-                  title
-                }
-                column_values {
-                  id
-                  text
-                  value
-                  type
-                }
-              }
+    }
+    
+    return `
+      query GetItems($boardId: ID!, $limit: Int!) {
+        boards(ids: [$boardId]) {
+          items_page(limit: $limit) {
+            cursor
+            items {
+              ${ITEM_FIELDS}
             }
           }
         }
-      `;
-    }
+      }
+    `;
+  }
+  
+  /**
+   * Fetches the first page of items from a board (or a group of a board)
+   * @param {string} boardId - The ID of the board
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of items per page
+   * @param {string} options.groupId - Optional group ID to restrict the query to
+   * @returns {Promise<Object>} - The page, as { items, cursor }
+   */
+  async function getItemsPage(boardId, options = {}) {
+    const limit = options.limit || DEFAULT_PAGE_LIMIT;
+    const groupId = options.groupId || null;
+    
+    const query = buildItemsPageQuery(Boolean(groupId));
     
     const variables = { 
       boardId,
@@ -569,21 +823,25 @@ function createMondayClient(options = {}) {
     
     // Extract the items with more careful structure checking
     if (result && result.data && result.data.boards && Array.isArray(result.data.boards) && result.data.boards.length > 0) {
+      let itemsPage = null;
+      
       if (groupId) {
         // Extract items from group
         if (result.data.boards[0].groups && 
             Array.isArray(result.data.boards[0].groups) && 
-            result.data.boards[0].groups.length > 0 &&
-            result.data.boards[0].groups[0].items_page &&
-            result.data.boards[0].groups[0].items_page.items) {
-          return result.data.boards[0].groups[0].items_page.items;
+            result.data.boards[0].groups.length > 0) {
+          itemsPage = result.data.boards[0].groups[0].items_page;
         }
       } else {
         // Extract items from board
-        if (result.data.boards[0].items_page &&
-            result.data.boards[0].items_page.items) {
-          return result.data.boards[0].items_page.items;
-        }
+        itemsPage = result.data.boards[0].items_page;
+      }
+      
+      if (itemsPage && itemsPage.items) {
+        return {
+          items: itemsPage.items,
+          cursor: itemsPage.cursor || null
+        };
       }
     }
     
@@ -596,7 +854,189 @@ function createMondayClient(options = {}) {
     }
     
     // If we get here, it's likely the items array is empty or null
-    return []; // Return empty array instead of throwing error for no items
+    return { items: [], cursor: null };
+  }
+  
+  /**
+   * Fetches the page of items following a cursor
+   * @param {string} cursor - The cursor returned by the previous page
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of items per page
+   * @returns {Promise<Object>} - The page, as { items, cursor }
+   */
+  async function getNextItemsPage(cursor, options = {}) {
+    const limit = options.limit || DEFAULT_PAGE_LIMIT;
+    
+    const query = `
+      query GetNextItemsPage($cursor: String!, $limit: Int!) {
+        next_items_page(cursor: $cursor, limit: $limit) {
+          cursor
+          items {
+            ${ITEM_FIELDS}
+          }
+        }
+      }
+    `;
+    
+    const result = await executeQuery(query, { cursor, limit });
+    
+    if (result && result.data && result.data.next_items_page) {
+      return {
+        items: result.data.next_items_page.items || [],
+        cursor: result.data.next_items_page.cursor || null
+      };
+    }
+    
+    throw new Error('Invalid response from Monday.com API while fetching the next items page');
+  }
+  
+  /**
+   * Gets the first page of items from a board.
+   * Use iterateItems or getAllItems to fetch every item on large boards.
+   * @param {string} boardId - The ID of the board
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of items to return
+   * @param {string} options.groupId - Optional group ID to restrict the query to
+   * @returns {Promise<Object[]>} - The items on the board
+   */
+  async function getItems(boardId, options = {}) {
+    const page = await getItemsPage(boardId, options);
+    return page.items;
+  }
+  
+  /**
+   * Iterates over every item of a board (or group), following the items_page cursor
+   * @param {string} boardId - The ID of the board
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of items to fetch per page
+   * @param {string} options.groupId - Optional group ID to restrict the query to
+   * @yields {Object} - Each item on the board
+   */
+  async function* iterateItems(boardId, options = {}) {
+    let page = await getItemsPage(boardId, options);
+    let pageCount = 1;
+    
+    while (true) {
+      for (const item of page.items) {
+        yield item;
+      }
+      
+      if (!page.cursor) {
+        return;
+      }
+      
+      if (pageCount >= MAX_ITEM_PAGES) {
+        throw new Error(`Stopped paginating board ${boardId} after ${MAX_ITEM_PAGES} pages`);
+      }
+      
+      Logger.debug(`Fetching items page ${pageCount + 1} for board ${boardId}`);
+      page = await getNextItemsPage(page.cursor, options);
+      pageCount++;
+    }
+  }
+  
+  /**
+   * Gets all items from a board (or group), fetching every page
+   * @param {string} boardId - The ID of the board
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of items to fetch per page
+   * @param {string} options.groupId - Optional group ID to restrict the query to
+   * @returns {Promise<Object[]>} - All items on the board
+   */
+  async function getAllItems(boardId, options = {}) {
+    const items = [];
+    
+    for await (const item of iterateItems(boardId, options)) {
+      items.push(item);
+    }
+    
+    Logger.debug(`Fetched ${items.length} items from board ${boardId}`);
+    return items;
+  }
+  
+  /**
+   * Gets the items of a board whose column holds a value (items_page_by_column_values),
+   * following the cursor to the last page
+   * @param {string} boardId - The ID of the board
+   * @param {string} columnId - The ID of the column to match
+   * @param {string} value - The column value to look for
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Number of items to fetch per page
+   * @returns {Promise<Object[]>} - The matching items
+   */
+  async function getItemsByColumnValue(boardId, columnId, value, options = {}) {
+    const limit = options.limit || DEFAULT_PAGE_LIMIT;
+    
+    const query = `
+      query GetItemsByColumnValue($boardId: ID!, $limit: Int!, $columns: [ItemsPageByColumnValuesQuery!]) {
+        items_page_by_column_values(board_id: $boardId, limit: $limit, columns: $columns) {
+          cursor
+          items {
+            ${ITEM_FIELDS}
+          }
+        }
+      }
+    `;
+    
+    const variables = {
+      boardId,
+      limit,
+      columns: [{ column_id: columnId, column_values: [String(value)] }]
+    };
+    
+    const result = await executeQuery(query, variables);
+    const firstPage = result.data?.items_page_by_column_values;
+    if (!firstPage) {
+      throw new Error(`Invalid response from Monday.com API while looking up column ${columnId} on board ${boardId}`);
+    }
+    
+    const items = [...(firstPage.items || [])];
+    let cursor = firstPage.cursor || null;
+    let pageCount = 1;
+    
+    while (cursor) {
+      if (pageCount >= MAX_ITEM_PAGES) {
+        throw new Error(`Stopped paginating board ${boardId} after ${MAX_ITEM_PAGES} pages`);
+      }
+      
+      const page = await getNextItemsPage(cursor, options);
+      items.push(...page.items);
+      cursor = page.cursor;
+      pageCount++;
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Gets items by ID with the same fields as the items queries (items that no longer exist are left out)
+   * @param {string[]} itemIds - The IDs of the items
+   * @returns {Promise<Object[]>} - The items, each with its board ID
+   */
+  async function getItemsByIds(itemIds) {
+    if (!itemIds || itemIds.length === 0) {
+      return [];
+    }
+    
+    const query = `
+      query GetItemsByIds($itemIds: [ID!], $limit: Int!) {
+        items(ids: $itemIds, limit: $limit) {
+          ${ITEM_FIELDS}
+          board {
+            id
+          }
+        }
+      }
+    `;
+    
+    const variables = {
+      itemIds: itemIds.map(String),
+      limit: itemIds.length
+    };
+    
+    const result = await executeQuery(query, variables);
+    
+    return result.data?.items || [];
   }
   
   /**
@@ -1002,16 +1442,25 @@ function createMondayClient(options = {}) {
   return {
     // Query operations
     getItem,
+    getItemsByIds,
+    getItemsByColumnValue,
     getItems,
+    getItemsPage,
+    getNextItemsPage,
+    iterateItems,
+    getAllItems,
     getBoard,
     getBoardGroups,
     getBoardColumns,
     
     // Creation operations
     createItem,
+    createSubitem,
     createGroup,
+    createColumn,
     
     // Update operations
+    changeColumnMetadata,
     postUpdate,
     deleteUpdate,
     changeStatus,
@@ -1023,6 +1472,7 @@ function createMondayClient(options = {}) {
     
     // Utility methods
     executeQuery,
+    getComplexityBudget,
     clearCache,
     addToBatch,
     flushBatch,
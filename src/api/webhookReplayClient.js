@@ -0,0 +1,86 @@
+/**
+ * Webhook Replay Client Module
+ *
+ * Stands in for Monday.com by posting recorded webhook payloads to a webhook
+ * server, one at a time and in order. Used to test the server and processor
+ * without a public URL or a live board.
+ */
+
+const http = require('http');
+
+/**
+ * Creates a Webhook Replay Client instance
+ * @param {Object} options - Client options
+ * @param {string} options.url - The webhook URL (e.g. http://127.0.0.1:4000/webhook)
+ * @returns {Object} - Webhook Replay Client instance
+ */
+function createWebhookReplayClient(options = {}) {
+  if (!options.url) {
+    throw new Error('Webhook URL is required');
+  }
+
+  const url = new URL(options.url);
+
+  /**
+   * Posts one payload
+   * @param {Object} payload - The webhook payload
+   * @returns {Promise<Object>} - { statusCode, body } (body parsed as JSON when possible)
+   */
+  function send(payload) {
+    const data = JSON.stringify(payload);
+
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        hostname: url.hostname,
+        port: url.port,
+        path: `${url.pathname}${url.search}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(data)
+        }
+      }, res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const text = Buffer.concat(chunks).toString('utf8');
+          let body = text;
+          try {
+            body = JSON.parse(text);
+            // eslint-disable-next-line no-unused-vars
+          } catch (error) {
+            // Not JSON - keep the text
+          }
+          resolve({ statusCode: res.statusCode, body });
+        });
+      });
+
+      req.on('error', reject);
+      req.end(data);
+    });
+  }
+
+  /**
+   * Posts recorded payloads in order, waiting for each response
+   * @param {Object[]} payloads - The webhook payloads
+   * @returns {Promise<Object[]>} - The responses ({ statusCode, body })
+   */
+  async function replay(payloads) {
+    const responses = [];
+    for (const payload of payloads) {
+      responses.push(await send(payload));
+    }
+    return responses;
+  }
+
+  // Return the public API
+  return {
+    send,
+    replay
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createWebhookReplayClient
+};
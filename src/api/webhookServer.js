@@ -0,0 +1,190 @@
+/**
+ * Webhook Server Module
+ *
+ * A small HTTP server that receives Monday.com webhooks. It answers the
+ * challenge handshake Monday.com sends when a webhook is created and hands
+ * every event to a processor (see sync/webhookProcessor).
+ */
+
+const http = require('http');
+const { Logger } = require('../utils/logger');
+
+// Server defaults
+const DEFAULT_PORT = 4000;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PATH = '/webhook';
+
+// Webhook payloads are small; anything larger is rejected
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Creates a Webhook Server instance
+ * @param {Object} options - Server options
+ * @param {Object} options.processor - Receives events through handleEvent(payload)
+ * @param {number} options.port - Port to listen on (0 picks a free port)
+ * @param {string} options.host - Host to listen on
+ * @param {string} options.path - URL path Monday.com posts to
+ * @returns {Object} - Webhook Server instance
+ */
+function createWebhookServer(options = {}) {
+  const { processor } = options;
+  if (!processor || typeof processor.handleEvent !== 'function') {
+    throw new Error('A webhook processor is required');
+  }
+
+  const port = options.port !== undefined ? options.port : DEFAULT_PORT;
+  const host = options.host || DEFAULT_HOST;
+  const webhookPath = options.path || DEFAULT_PATH;
+
+  /**
+   * Sends a JSON response
+   * @param {http.ServerResponse} res - The response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} body - The response body
+   */
+  function sendJson(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Reads a request body, up to MAX_BODY_BYTES
+   * @param {http.IncomingMessage} req - The request
+   * @returns {Promise<string>} - The body
+   */
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          const error = new Error('Request body too large');
+          error.statusCode = 413;
+          reject(error);
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Handles a request
+   * Monday.com retries deliveries that are not answered with 200, so events the
+   * processor ignores are still acknowledged.
+   * @param {http.IncomingMessage} req - The request
+   * @param {http.ServerResponse} res - The response
+   * @returns {Promise<void>}
+   */
+  async function handleRequest(req, res) {
+    const requestPath = new URL(req.url, 'http://localhost').pathname;
+    if (requestPath !== webhookPath) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { error: error.statusCode ? error.message : 'Invalid JSON' });
+      return;
+    }
+
+    // Handshake sent when the webhook is created
+    if (payload && payload.challenge !== undefined) {
+      Logger.info('Answered Monday.com webhook challenge');
+      sendJson(res, 200, { challenge: payload.challenge });
+      return;
+    }
+
+    try {
+      const result = processor.handleEvent(payload);
+      sendJson(res, 200, result);
+    } catch (error) {
+      Logger.error(`Error handling webhook event: ${error.message}`);
+      sendJson(res, 500, { error: 'Failed to handle event' });
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      Logger.error(`Webhook request failed: ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: 'Internal error' });
+      }
+    });
+  });
+
+  /**
+   * Starts listening
+   * @returns {Promise<Object>} - { host, port, path, url }
+   */
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.removeListener('error', reject);
+        const address = getAddress();
+        Logger.info(`Listening for Monday.com webhooks on ${address.url}`);
+        resolve(address);
+      });
+    });
+  }
+
+  /**
+   * Stops listening and closes open connections
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    return new Promise(resolve => {
+      if (!server.listening) {
+        resolve();
+        return;
+      }
+      server.close(() => resolve());
+      if (typeof server.closeIdleConnections === 'function') {
+        server.closeIdleConnections();
+      }
+    });
+  }
+
+  /**
+   * Gets the address the server listens on
+   * @returns {Object} - { host, port, path, url }
+   */
+  function getAddress() {
+    const address = server.address();
+    const listeningPort = address && typeof address === 'object' ? address.port : port;
+    return {
+      host,
+      port: listeningPort,
+      path: webhookPath,
+      url: `http://${host}:${listeningPort}${webhookPath}`
+    };
+  }
+
+  // Return the public API
+  return {
+    start,
+    stop,
+    getAddress
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createWebhookServer,
+  DEFAULT_PORT,
+  DEFAULT_HOST,
+  DEFAULT_PATH
+};
@@ -5,12 +5,29 @@
 
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const readline = require('readline');
 const chalk = require('chalk');
 const ora = require('ora');
 const { createPushSync } = require('../sync/pushSyncLogic');
 const { createPullSync } = require('../sync/pullSyncLogic');
+const { createCombinedSync } = require('../sync/combinedSyncLogic');
+const { createWatchSync } = require('../sync/watchSync');
+const { createWebhookProcessor } = require('../sync/webhookProcessor');
+const { createWebhookServer, DEFAULT_PORT } = require('../api/webhookServer');
+const { createMondayClient } = require('../api/mondayClient');
+const { validateConflictPolicy } = require('../sync/conflictPolicy');
+const { validateConfig, validateTagMappings, resolveTagConfig } = require('../config/configParser');
+const { proposeConfig } = require('../config/configGenerator');
+const { planBoardSetup, applyBoardSetup, applyPlanToConfig } = require('../config/boardProvisioner');
+const { validateBoardSchema, createMissingLabels } = require('../config/schemaValidator');
+const { createSyncProfiles, validateSyncProfiles } = require('../sync/syncProfiles');
+const { createSyncStateManager } = require('../sync/syncStateManager');
+const { verifySyncState, rebuildSyncState, applyStateRepairs, describeRepair } = require('../sync/stateVerifier');
+const taskMasterIO = require('../sync/taskMasterIO');
+const { createTaskFileGenerator, TASK_MASTER_GENERATOR } = require('../sync/taskFileGenerator');
+const { createConflictPrompt } = require('./conflictPrompt');
 const { Logger } = require('../utils/logger');
-const { spawn } = require('child_process');
 
 // Default paths
 const DEFAULT_TASKS_PATH = 'tasks/tasks.json';
@@ -40,15 +57,21 @@ function loadConfig(configPath) {
       process.exit(1);
     }
 
-    if (!config.monday_board_id) {
+    // With profiles, each profile names its board and groups (validateSyncProfiles checks them)
+    if (!config.profiles && !config.monday_board_id) {
       console.error(chalk.red('Error: Monday.com board ID is required in config file'));
       process.exit(1);
     }
 
-    if (!config.monday_group_ids || !Array.isArray(config.monday_group_ids) || config.monday_group_ids.length === 0) {
+    if (!config.profiles &&
+      (!config.monday_group_ids || !Array.isArray(config.monday_group_ids) || config.monday_group_ids.length === 0)) {
       console.error(chalk.red('Error: Monday.com group IDs array is required in config file'));
       process.exit(1);
     }
+    
+    validateConflictPolicy(config.conflict_policy);
+    validateTagMappings(config.tag_mappings);
+    validateSyncProfiles(config.profiles, config);
 
     return config;
   } catch (error) {
@@ -57,6 +80,168 @@ function loadConfig(configPath) {
   }
 }
 
+/**
+ * Resolve the sync state path; tags other than master keep their own state
+ * next to the default one (.taskmaster_sync_state.<tag>.json) unless --state is given
+ * @param {Object} options - CLI options
+ * @param {string|null} tag - The tag being synced
+ * @returns {string} - Absolute path to the sync state file
+ */
+function resolveStatePath(options, tag) {
+  if (options.state || !tag || tag === taskMasterIO.DEFAULT_TAG) {
+    return path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+  }
+  
+  const { name, ext } = path.parse(DEFAULT_SYNC_STATE_PATH);
+  return path.resolve(process.cwd(), `${name}.${tag}${ext}`);
+}
+
+/**
+ * Work out the boards a push or pull runs against: the configured board, or
+ * each sync profile (just the one named by --profile, if given)
+ * @param {Object} config - The sync configuration
+ * @param {string} statePath - Path to the sync state file
+ * @param {string|null} profileName - Name of the profile to run
+ * @returns {Object} - { syncProfiles, runs: [{ name, config, stateManager }] }
+ */
+function resolveSyncRuns(config, statePath, profileName) {
+  if (!config.profiles) {
+    if (profileName) {
+      throw new Error(`--profile ${profileName} was given, but the configuration has no profiles`);
+    }
+    return { syncProfiles: null, runs: [{ name: null, config, stateManager: undefined }] };
+  }
+  
+  const syncProfiles = createSyncProfiles(config, { syncFilePath: statePath });
+  return { syncProfiles, runs: syncProfiles.getProfiles(profileName) };
+}
+
+/**
+ * Refuses a configuration with sync profiles in a command that syncs one board,
+ * since it would treat the tasks of the other boards as its own
+ * @param {Object} config - The sync configuration
+ * @param {string} command - The command, for the error message
+ * @throws {Error} If the configuration has profiles
+ */
+function assertNoSyncProfiles(config, command) {
+  if (config.profiles) {
+    throw new Error(`${command} syncs a single board and does not support sync profiles; use sync, push or pull, which run once per profile`);
+  }
+}
+
+/**
+ * Format the tasks no sync profile selects
+ * @param {Object[]} unrouted - The tasks
+ * @returns {string} - Formatted warning, or an empty string if every task has a profile
+ */
+function formatUnroutedTasks(unrouted) {
+  if (!unrouted || unrouted.length === 0) {
+    return '';
+  }
+  
+  return chalk.yellow(`⚠ ${unrouted.length} tasks match no sync profile and were not synced: ${unrouted.map(task => task.id).join(', ')}\n`);
+}
+
+/**
+ * Format the Monday.com API complexity budget used during a run
+ * @param {Object} apiBudget - Budget state from the sync results
+ * @returns {string} - Formatted budget line, or an empty string if unavailable
+ */
+function formatApiBudget(apiBudget) {
+  if (!apiBudget || !apiBudget.queries) {
+    return '';
+  }
+  
+  let line = `API budget used: ${apiBudget.used} complexity points across ${apiBudget.queries} queries`;
+  if (apiBudget.remaining !== null && apiBudget.remaining !== undefined) {
+    line += ` (${apiBudget.remaining} remaining)`;
+  }
+  if (apiBudget.throttledMs > 0) {
+    line += `, throttled for ${Math.ceil(apiBudget.throttledMs / 1000)}s`;
+  }
+  
+  return chalk.dim(`${line}\n`);
+}
+
+/**
+ * Format the field conflicts settled by the conflict_policy config section
+ * @param {Object[]} resolutions - Decisions from the sync results ({ taskId, field, winner, reason })
+ * @returns {string} - Formatted resolutions, or an empty string if there are none
+ */
+function formatResolutions(resolutions) {
+  if (!resolutions || resolutions.length === 0) {
+    return '';
+  }
+  
+  let output = chalk.cyan(`✓ Resolved ${resolutions.length} field conflicts by policy:\n`);
+  resolutions.forEach(resolution => {
+    const winner = resolution.winner === 'monday' ? 'Monday.com' : 'local';
+    output += chalk.cyan(`  - Task ${resolution.taskId} ${resolution.field}: kept ${winner} value (${resolution.reason})\n`);
+  });
+  
+  return output + '\n';
+}
+
+/**
+ * Format the conflicts resolved in the interactive pull prompt
+ * @param {Object[]} resolvedConflicts - Resolved conflicts from the pull results ({ task, choices, pushed, error })
+ * @returns {string} - Formatted conflicts, or an empty string if there are none
+ */
+function formatResolvedConflicts(resolvedConflicts) {
+  if (!resolvedConflicts || resolvedConflicts.length === 0) {
+    return '';
+  }
+  
+  const labels = { local: 'kept local', monday: 'took Monday.com', edit: 'edited', skip: 'skipped' };
+  
+  let output = chalk.cyan(`✓ Resolved ${resolvedConflicts.length} conflicts interactively:\n`);
+  resolvedConflicts.forEach(resolved => {
+    const choices = resolved.choices.map(choice => `${labels[choice.choice]} ${choice.field}`).join(', ');
+    let pushStatus = 'not pushed to Monday.com';
+    if (resolved.pushed) {
+      pushStatus = 'pushed to Monday.com';
+    } else if (resolved.error) {
+      pushStatus = `push to Monday.com failed: ${resolved.error}`;
+    }
+    output += chalk.cyan(`  - Task ${resolved.task.id}: ${choices} (${pushStatus})\n`);
+  });
+  
+  return output + '\n';
+}
+
+/**
+ * Format subtask changes as one line per subtask
+ * @param {Object} subtasks - Subtask changes from the sync results ({ created, updated, deleted, conflicts })
+ * @returns {string[]} - Formatted lines
+ */
+function formatSubtaskLines(subtasks) {
+  if (!subtasks) {
+    return [];
+  }
+  
+  return [
+    ...(subtasks.created || []).map(change => chalk.green(`  + Subtask ${change.subtaskId}: ${change.title} (created)\n`)),
+    ...(subtasks.updated || []).map(change => chalk.blue(`  ~ Subtask ${change.subtaskId}: ${change.title} (updated ${change.fields.join(', ')})\n`)),
+    ...(subtasks.deleted || []).map(change => chalk.yellow(`  - Subtask ${change.subtaskId} (deleted)\n`)),
+    ...(subtasks.conflicts || []).map(change => chalk.yellow(`  ⚠ Subtask ${change.subtaskId}: changed both locally and in Monday.com (${change.fields.join(', ')})\n`))
+  ];
+}
+
+/**
+ * Format the subtasks synced with Monday.com subitems
+ * @param {Object} subtasks - Subtask changes from the sync results ({ created, updated, deleted, conflicts })
+ * @param {string} direction - Where the changes went, e.g. "to Monday.com subitems"
+ * @returns {string} - Formatted changes, or an empty string if there are none
+ */
+function formatSubtaskChanges(subtasks, direction) {
+  const lines = formatSubtaskLines(subtasks);
+  if (lines.length === 0) {
+    return '';
+  }
+  
+  return chalk.cyan(`✓ Synced ${lines.length} subtask changes ${direction}:\n`) + lines.join('') + '\n';
+}
+
 /**
  * Format sync results for console output
  * @param {Object} results - Sync results
@@ -65,6 +250,17 @@ function loadConfig(configPath) {
 function formatSyncResults(results) {
   let output = '\n';
   
+  // The journal of an interrupted push this run resumed or abandoned
+  if (results.journal && results.journal.action === 'resumed') {
+    output += chalk.cyan(`✓ Resumed the push started at ${results.journal.startedAt}, skipping ${results.journal.skippedTaskIds.length} tasks it had finished\n\n`);
+  } else if (results.journal && results.journal.action === 'abandoned') {
+    output += chalk.yellow(`⚠ Abandoned the push started at ${results.journal.startedAt} and pushed every task again; it had ${results.journal.unfinished.length} unfinished operations:\n`);
+    results.journal.unfinished.forEach(operation => {
+      output += chalk.yellow(`  - ${operation}\n`);
+    });
+    output += '\n';
+  }
+  
   // Created items
   if (results.created.length > 0) {
     output += chalk.green(`✓ Created ${results.created.length} items:\n`);
@@ -83,6 +279,15 @@ function formatSyncResults(results) {
     output += '\n';
   }
   
+  // Items already on the board that were linked instead of created again
+  if (results.adopted && results.adopted.length > 0) {
+    output += chalk.cyan(`✓ Adopted ${results.adopted.length} existing Monday.com items with matching Task IDs:\n`);
+    results.adopted.forEach(item => {
+      output += chalk.cyan(`  - Task ${item.taskId} → Monday.com item ${item.mondayItemId}\n`);
+    });
+    output += '\n';
+  }
+  
   // Updated items
   if (results.updated.length > 0) {
     output += chalk.blue(`✓ Updated ${results.updated.length} items:\n`);
@@ -92,6 +297,21 @@ function formatSyncResults(results) {
     output += '\n';
   }
   
+  // Subtasks pushed as subitems
+  output += formatSubtaskChanges(results.subtasks, 'to Monday.com subitems');
+  
+  // Field conflicts settled by the conflict policy
+  output += formatResolutions(results.resolutions);
+  
+  // Conflicts (changed both locally and in Monday.com)
+  if (results.conflicts && results.conflicts.length > 0) {
+    output += chalk.yellow(`⚠ Skipped ${results.conflicts.length} tasks changed both locally and in Monday.com:\n`);
+    results.conflicts.forEach(conflict => {
+      output += chalk.yellow(`  - Task ${conflict.taskId} → Monday.com item ${conflict.mondayItemId} (${conflict.fields.join(', ')})\n`);
+    });
+    output += chalk.yellow('  Run a pull to resolve these conflicts.\n\n');
+  }
+  
   // Errors
   if (results.errors.length > 0) {
     output += chalk.red(`✗ Encountered ${results.errors.length} errors:\n`);
@@ -113,6 +333,7 @@ function formatSyncResults(results) {
   
   // Add summary line
   output += chalk.bold(`Summary: ${results.created.length} created, ${results.updated.length} updated, ${results.errors.length} errors\n`);
+  output += formatApiBudget(results.apiBudget);
   
   if (results.dryRun) {
     output += chalk.yellow('\nThis was a dry run. No changes were made to Monday.com.\n');
@@ -122,54 +343,75 @@ function formatSyncResults(results) {
 }
 
 /**
- * Run the task-master generate command to ensure task files are up to date
+ * Regenerate the task files next to tasks.json so they are up to date
+ * (runs task-master generate instead when task_file_generator is "task-master")
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} config - The sync configuration
  * @param {boolean} verbose - Whether to show verbose output
- * @returns {Promise<boolean>} - Whether the command succeeded
+ * @param {string|null} tag - Tag of a tagged tasks.json to generate the files of
+ * @param {Object|null} taskBoardIds - Task ID → board ID when sync profiles spread the tasks over several boards
+ * @returns {Promise<boolean>} - Whether the task files were generated
  */
-async function runTaskMasterGenerate(verbose = false) {
-  // eslint-disable-next-line no-unused-vars
-  return new Promise((resolve, reject) => {
-    console.log(chalk.blue('Running task-master generate to ensure task files are up to date...'));
-    
-    const spinner = ora({
-      text: 'Generating task files...',
-      color: 'blue'
-    }).start();
-    
-    const generateProcess = spawn('task-master', ['generate'], {
-      stdio: verbose ? 'inherit' : 'pipe'
+async function runGenerateTaskFiles(tasksPath, config = {}, verbose = false, tag = null, taskBoardIds = null) {
+  const spinner = ora({
+    text: 'Generating task files...',
+    color: 'blue'
+  }).start();
+  
+  try {
+    const generator = createTaskFileGenerator({
+      mondayBoardId: config.monday_board_id,
+      taskBoardIds,
+      useTaskMaster: config.task_file_generator === TASK_MASTER_GENERATOR
     });
+    const result = await generator.generate(tasksPath, null, tag);
     
-    let errorOutput = '';
-    if (!verbose && generateProcess.stderr) {
-      generateProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+    if (result.generator === TASK_MASTER_GENERATOR) {
+      spinner.succeed('Task files generated with task-master generate');
+    } else {
+      spinner.succeed(`Task files generated: ${result.written.length} written, ${result.unchanged.length} unchanged, ${result.removed.length} removed`);
     }
-    
-    generateProcess.on('close', (code) => {
-      if (code === 0) {
-        spinner.succeed('Task files generated successfully');
-        resolve(true);
-      } else {
-        spinner.fail('Failed to generate task files');
-        if (errorOutput) {
-          console.error(chalk.red(errorOutput));
-        }
-        // Don't reject, just log the error and continue with sync
-        console.error(chalk.yellow(`Warning: task-master generate exited with code ${code}`));
-        console.log(chalk.yellow('Continuing with sync anyway...'));
-        resolve(false);
+    if (verbose) {
+      for (const fileName of result.written) {
+        console.log(chalk.dim(`  Wrote ${fileName}`));
       }
-    });
-    
-    generateProcess.on('error', (error) => {
-      spinner.fail('Failed to run task-master generate');
-      console.error(chalk.red(`Error: ${error.message}`));
-      console.log(chalk.yellow('Continuing with sync anyway...'));
-      resolve(false);
-    });
-  });
+      for (const fileName of result.removed) {
+        console.log(chalk.dim(`  Removed ${fileName}`));
+      }
+    }
+    return true;
+  } catch (error) {
+    // Don't fail the sync, just report the error and continue
+    spinner.fail('Failed to generate task files');
+    console.error(chalk.red(`Error: ${error.message}`));
+    console.log(chalk.yellow('Continuing with sync anyway...'));
+    return false;
+  }
+}
+
+/**
+ * Creates a Monday.com client that records to or replays from a cassette file (--record / --replay)
+ * @param {Object} config - The sync configuration, with the API key
+ * @param {Object} options - CLI options
+ * @returns {Object|null} - The client, or null when neither option is set
+ */
+function createCassetteClient(config, options) {
+  if (!options.record && !options.replay) {
+    return null;
+  }
+  if (options.record && options.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  
+  if (options.record) {
+    const recordTo = path.resolve(process.cwd(), options.record);
+    console.log(chalk.dim(`Recording Monday.com API calls to ${recordTo}`));
+    return createMondayClient({ ...config, recordTo });
+  }
+  
+  const replayFrom = path.resolve(process.cwd(), options.replay);
+  console.log(chalk.yellow(`Replaying Monday.com API calls from ${replayFrom} - nothing is sent to Monday.com`));
+  return createMondayClient({ ...config, replayFrom });
 }
 
 /**
@@ -186,24 +428,20 @@ async function runPushSync(options) {
       console.log(chalk.blue('Verbose mode enabled'));
     }
     
-    // First, run task-master generate to ensure task files are up to date
-    // Only if not in dry run mode
-    const skipGenerate = options.skipGenerate || false;
-    if (!options.dryRun && !skipGenerate) {
-      await runTaskMasterGenerate(verboseMode);
-    } else if (skipGenerate) {
-      console.log(chalk.yellow('Skipping task-master generate (--skip-generate flag set)'));
-    }
-    
     // Resolve file paths
     const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
     const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
-    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const tag = options.tag || null;
+    const statePath = resolveStatePath(options, tag);
     const dryRun = options.dryRun || false;
     const deleteOrphaned = options.deleteOrphaned !== undefined ? options.deleteOrphaned : true;
     
-    // Load the config
-    const config = loadConfig(configPath);
+    if (options.resume && options.abandon) {
+      throw new Error('--resume and --abandon cannot be used together');
+    }
+    
+    // Load the config (a tag syncs to the board and groups mapped to it)
+    const config = resolveTagConfig(loadConfig(configPath), tag);
     
     // Check if tasks file exists
     if (!fs.existsSync(tasksPath)) {
@@ -211,6 +449,29 @@ async function runPushSync(options) {
       process.exit(1);
     }
     
+    // Check that the tag exists, so a typo does not push an empty task list
+    if (tag) {
+      const tags = await taskMasterIO.listTags(tasksPath);
+      if (!tags.includes(tag)) {
+        throw new Error(`Tag "${tag}" not found in ${tasksPath} (tags: ${tags.join(', ') || 'none'})`);
+      }
+    }
+    
+    // One run for the configured board, or one per sync profile
+    const { syncProfiles, runs } = resolveSyncRuns(config, statePath, options.profile || null);
+    const routing = syncProfiles
+      ? await syncProfiles.routeTasks(await taskMasterIO.readTasks(tasksPath, true, tag))
+      : null;
+    
+    // First, regenerate the task files so they are up to date
+    // Only if not in dry run mode
+    const skipGenerate = options.skipGenerate || false;
+    if (!dryRun && !skipGenerate) {
+      await runGenerateTaskFiles(tasksPath, config, verboseMode, tag, routing ? routing.boardIds : null);
+    } else if (skipGenerate) {
+      console.log(chalk.yellow('Skipping task file generation (--skip-generate flag set)'));
+    }
+    
     // Create push sync instance
     console.log(chalk.dim(`API Key in config: ${config.monday_api_key ? 'Present' : 'Not found'}`));
     console.log(chalk.dim(`API Key in env: ${process.env.MONDAY_API_KEY ? 'Present' : 'Not found'}`));
@@ -230,58 +491,107 @@ async function runPushSync(options) {
       deleteOrphaned: deleteOrphaned
     })}`));
     
-    const pushSyncOptions = {
-      mondayApiKey: configWithApiKey.monday_api_key || configWithApiKey.apiToken,
-      tasksFilePath: tasksPath,
-      syncFilePath: statePath,
-      dryRun: dryRun,
-      deleteOrphaned: deleteOrphaned,
-      mondayBoardId: config.monday_board_id,
-      mondayGroupIds: config.monday_group_ids,
-      columnMappings: config.column_mappings
-    };
-    
-    console.log(chalk.dim(`Push sync options: ${JSON.stringify({
-      mondayApiKey: pushSyncOptions.mondayApiKey ? 'Present' : 'Not found',
-      dryRun: pushSyncOptions.dryRun,
-      deleteOrphaned: pushSyncOptions.deleteOrphaned,
-      mondayBoardId: pushSyncOptions.mondayBoardId,
-      mondayGroupIds: pushSyncOptions.mondayGroupIds
-    })}`));
-    
-    // Create push sync with the updated options
-    const pushSync = createPushSync(pushSyncOptions);
-    
-    // Debug log
-    console.log(chalk.dim(`Using API key: ${config.monday_api_key ? 'From config' : process.env.MONDAY_API_KEY ? 'From env' : 'Not found'}`));
+    // Record or replay the Monday.com API calls when asked to
+    const cassetteClient = createCassetteClient(configWithApiKey, options);
     
     // Show start message
     console.log(chalk.bold(`\nStarting push sync${dryRun ? ' (DRY RUN)' : ''} of TaskMaster tasks to Monday.com\n`));
     console.log(chalk.dim(`Using config: ${configPath}`));
     console.log(chalk.dim(`Tasks file: ${tasksPath}`));
+    if (tag) {
+      console.log(chalk.dim(`Tag: ${tag}`));
+    }
     console.log(chalk.dim(`Sync state: ${statePath}`));
-    console.log(chalk.dim(`Board ID: ${config.monday_board_id}`));
-    console.log(chalk.dim(`Group IDs: ${config.monday_group_ids.join(', ')}`));
     
     if (!deleteOrphaned) {
       console.log(chalk.yellow('Note: Orphaned Monday.com items will not be deleted'));
     }
     
-    // Create a spinner
-    const spinner = ora({
-      text: 'Pushing tasks to Monday.com...',
-      color: 'yellow'
-    }).start();
-    
-    // Execute the push sync
-    const results = await pushSync.pushSync(tasksPath, { dryRun: dryRun, deleteOrphaned: deleteOrphaned });
+    const profileResults = {};
+    let results = null;
     
-    // Show results
-    spinner.succeed('Push sync completed');
+    for (const run of runs) {
+      const runConfig = run.config;
+      const pushSyncOptions = {
+        mondayApiKey: configWithApiKey.monday_api_key || configWithApiKey.apiToken,
+        tasksFilePath: tasksPath,
+        syncFilePath: statePath,
+        statePath: statePath,
+        dryRun: dryRun,
+        deleteOrphaned: deleteOrphaned,
+        mondayBoardId: runConfig.monday_board_id,
+        mondayGroupIds: runConfig.monday_group_ids,
+        columnMappings: runConfig.column_mappings,
+        statusMappings: runConfig.status_mappings,
+        priorityMappings: runConfig.priority_mappings,
+        subitemColumnMappings: runConfig.subitem_column_mappings
+      };
+      if (cassetteClient) {
+        pushSyncOptions.mondayClient = cassetteClient;
+      }
+      if (run.stateManager) {
+        pushSyncOptions.stateManager = run.stateManager;
+      }
+      
+      console.log(chalk.dim(`Push sync options: ${JSON.stringify({
+        mondayApiKey: pushSyncOptions.mondayApiKey ? 'Present' : 'Not found',
+        dryRun: pushSyncOptions.dryRun,
+        deleteOrphaned: pushSyncOptions.deleteOrphaned,
+        mondayBoardId: pushSyncOptions.mondayBoardId,
+        mondayGroupIds: pushSyncOptions.mondayGroupIds
+      })}`));
+      
+      // Create push sync with the run's config (transport, conflict policy, mappings) and the updated options
+      const pushSync = createPushSync(runConfig, pushSyncOptions);
+      
+      // Debug log
+      console.log(chalk.dim(`Using API key: ${config.monday_api_key ? 'From config' : process.env.MONDAY_API_KEY ? 'From env' : 'Not found'}`));
+      
+      if (run.name) {
+        console.log(chalk.bold(`\nProfile: ${run.name}`));
+      }
+      console.log(chalk.dim(`Board ID: ${runConfig.monday_board_id}`));
+      console.log(chalk.dim(`Group IDs: ${runConfig.monday_group_ids.join(', ')}`));
+      
+      // Create a spinner
+      const spinner = ora({
+        text: 'Pushing tasks to Monday.com...',
+        color: 'yellow'
+      }).start();
+      
+      // Execute the push sync (a profile pushes the tasks routed to it)
+      const syncOptions = {
+        dryRun: dryRun,
+        deleteOrphaned: deleteOrphaned,
+        tag,
+        createMissingLabels: options.createLabels || false,
+        resume: options.resume || false,
+        abandon: options.abandon || false
+      };
+      if (routing) {
+        syncOptions.tasks = routing.routes.get(run.name);
+      }
+      results = await pushSync.pushSync(tasksPath, syncOptions);
+      
+      // Show results
+      spinner.succeed(run.name ? `Push sync of profile ${run.name} completed` : 'Push sync completed');
+      
+      // Format and display the results
+      const output = formatSyncResults(results);
+      console.log(output);
+      
+      if (run.name) {
+        profileResults[run.name] = results;
+      }
+    }
     
-    // Format and display the results
-    const output = formatSyncResults(results);
-    console.log(output);
+    if (routing) {
+      const unroutedOutput = formatUnroutedTasks(routing.unrouted);
+      if (unroutedOutput) {
+        console.log(unroutedOutput);
+      }
+      return { profiles: profileResults, unrouted: routing.unrouted };
+    }
     
     return results;
   } catch (error) {
@@ -304,14 +614,27 @@ function showConfig(options) {
     
     console.log(chalk.bold('\nCurrent Sync Configuration:\n'));
     console.log(chalk.dim(`Config file: ${configPath}`));
-    console.log(`Monday.com Board ID: ${chalk.cyan(config.monday_board_id)}`);
-    console.log(`Monday.com Group IDs: ${chalk.cyan(config.monday_group_ids.join(', '))}`);
+    if (config.monday_board_id) {
+      console.log(`Monday.com Board ID: ${chalk.cyan(config.monday_board_id)}`);
+    }
+    if (config.monday_group_ids) {
+      console.log(`Monday.com Group IDs: ${chalk.cyan(config.monday_group_ids.join(', '))}`);
+    }
+    if (config.profiles) {
+      const profiles = config.profiles.map(profile => `${profile.name} (board ${profile.monday_board_id || config.monday_board_id})`);
+      console.log(`Sync Profiles: ${chalk.cyan(profiles.join(', '))}`);
+    }
     console.log(`Monday.com API Key: ${chalk.cyan('***' + (config.monday_api_key || process.env.MONDAY_API_KEY).slice(-4))}`);
     
     if (config.developer_id) {
       console.log(`Developer ID: ${chalk.cyan(config.developer_id)}`);
     }
     
+    if (config.conflict_policy) {
+      const policies = Object.entries(config.conflict_policy).map(([field, policy]) => `${field}=${policy}`);
+      console.log(`Conflict Policy: ${chalk.cyan(policies.join(', '))}`);
+    }
+    
   } catch (error) {
     console.error(chalk.red(`\nError displaying config: ${error.message}`));
     process.exit(1);
@@ -364,17 +687,29 @@ function formatPullResults(results) {
     output += '\n';
   }
   
-  // Conflicts
-  if (results.conflicts > 0) {
-    output += chalk.yellow(`⚠ Found ${results.conflicts} potential conflicts:\n`);
-    results.conflictItems.forEach(conflict => {
-      output += chalk.yellow(`  - Task ${conflict.mondayTask.id}: Local changes conflict with Monday.com changes\n`);
+  // Subtasks pulled from subitems
+  output += formatSubtaskChanges(results.subtasks, 'from Monday.com subitems');
+  
+  // Field conflicts settled by the conflict policy
+  output += formatResolutions(results.resolutions);
+  
+  // Conflicts settled in the interactive prompt
+  output += formatResolvedConflicts(results.resolvedConflicts);
+  
+  // Conflicts (pullSync reports them as an array, older results as a count)
+  const conflictCount = Array.isArray(results.conflicts) ? results.conflicts.length : (results.conflicts || 0);
+  if (conflictCount > 0) {
+    output += chalk.yellow(`⚠ Found ${conflictCount} potential conflicts:\n`);
+    (results.conflictItems || []).forEach(conflict => {
+      const fields = conflict.fields ? ` (${conflict.fields.map(field => field.field).join(', ')})` : '';
+      output += chalk.yellow(`  - Task ${conflict.mondayTask.id}: Local changes conflict with Monday.com changes${fields}\n`);
     });
     output += '\n';
   }
   
   // Summary
-  output += chalk.bold(`Summary: ${results.newTasks} new, ${results.updatedTasks} updated, ${results.orphanedTasks} orphaned, ${results.conflicts} conflicts\n`);
+  output += chalk.bold(`Summary: ${results.newTasks} new, ${results.updatedTasks} updated, ${results.orphanedTasks} orphaned, ${conflictCount} conflicts\n`);
+  output += formatApiBudget(results.apiBudget);
   
   if (results.dryRun) {
     output += chalk.yellow('\nThis was a dry run. No changes were made to tasks.json.\n');
@@ -383,6 +718,128 @@ function formatPullResults(results) {
   return output;
 }
 
+/**
+ * Format combined sync results as one report
+ * @param {Object} results - Combined sync results ({ pull, push, overlaps, dryRun, apiBudget })
+ * @returns {string} - Formatted results
+ */
+function formatCombinedResults(results) {
+  const pull = results.pull;
+  const push = results.push;
+  let output = '\n';
+  
+  // Monday.com → TaskMaster
+  output += chalk.bold('Monday.com → TaskMaster\n');
+  const pullLines = [
+    ...pull.newItems.map(task => chalk.green(`  + Task ${task.id}: ${task.title} (new)\n`)),
+    ...pull.updatedItems.map(task => chalk.blue(`  ~ Task ${task.id}: ${task.title} (updated)\n`)),
+    ...(pull.orphanedTaskIds || []).map(taskId => chalk.yellow(`  - Task ${taskId} (Monday.com item deleted)\n`)),
+    ...formatSubtaskLines(pull.subtasks)
+  ];
+  output += pullLines.length > 0 ? pullLines.join('') : chalk.dim('  No changes\n');
+  output += '\n';
+  
+  // TaskMaster → Monday.com
+  output += chalk.bold('TaskMaster → Monday.com\n');
+  const pushLines = [
+    ...push.created.map(item => chalk.green(`  + Task ${item.taskId} → Monday.com item ${item.mondayItemId} (created)\n`)),
+    ...(push.recreated || []).map(item => chalk.cyan(`  + Task ${item.taskId} → Monday.com item ${item.newMondayItemId} (recreated, replaced ${item.oldMondayItemId})\n`)),
+    ...(push.adopted || []).map(item => chalk.cyan(`  ~ Task ${item.taskId} → Monday.com item ${item.mondayItemId} (adopted)\n`)),
+    ...push.updated.map(item => chalk.blue(`  ~ Task ${item.taskId} → Monday.com item ${item.mondayItemId} (updated)\n`)),
+    ...(push.deleted || []).map(item => chalk.yellow(`  - Monday.com item ${item.mondayItemId} (was mapped to task ${item.taskId})\n`)),
+    ...formatSubtaskLines(push.subtasks)
+  ];
+  output += pushLines.length > 0 ? pushLines.join('') : chalk.dim('  No changes\n');
+  output += '\n';
+  
+  // Overlaps settled in the plan
+  if (results.overlaps && results.overlaps.length > 0) {
+    output += chalk.cyan(`✓ Settled ${results.overlaps.length} overlaps between pull and push:\n`);
+    results.overlaps.forEach(overlap => {
+      output += chalk.cyan(`  - Task ${overlap.taskId} (Monday.com item ${overlap.mondayItemId}): ${overlap.decision} - ${overlap.reason}\n`);
+    });
+    output += '\n';
+  }
+  
+  // Field conflicts settled by the conflict policy
+  output += formatResolutions([...(pull.resolutions || []), ...(push.resolutions || [])]);
+  
+  // Conflicts left for the user
+  const conflicts = [
+    ...(pull.conflictItems || []).map(conflict => ({
+      taskId: conflict.localTask ? conflict.localTask.id : conflict.mondayTask.id,
+      fields: (conflict.fields || []).map(field => field.field)
+    })),
+    ...(push.conflicts || [])
+  ];
+  if (conflicts.length > 0) {
+    output += chalk.yellow(`⚠ Left ${conflicts.length} tasks changed both locally and in Monday.com:\n`);
+    conflicts.forEach(conflict => {
+      const fields = conflict.fields && conflict.fields.length > 0 ? ` (${conflict.fields.join(', ')})` : '';
+      output += chalk.yellow(`  - Task ${conflict.taskId}${fields}\n`);
+    });
+    output += chalk.yellow('  Run a pull with --interactive, --force or a conflict_policy to resolve them.\n\n');
+  }
+  
+  // Errors
+  if (push.errors && push.errors.length > 0) {
+    output += chalk.red(`✗ Encountered ${push.errors.length} errors:\n`);
+    push.errors.forEach(error => {
+      output += chalk.red(`  - Task ${error.taskId}: ${error.error}\n`);
+    });
+    output += '\n';
+  }
+  
+  // Summary
+  output += chalk.bold(`Summary: pulled ${pull.newItems.length} new, ${pull.updatedItems.length} updated, ${(pull.orphanedTaskIds || []).length} orphaned; `
+    + `pushed ${push.created.length} created, ${push.updated.length} updated, ${(push.recreated || []).length} recreated, ${(push.adopted || []).length} adopted, ${(push.deleted || []).length} deleted; `
+    + `${conflicts.length} conflicts, ${(push.errors || []).length} errors\n`);
+  output += formatApiBudget(results.apiBudget);
+  
+  if (results.dryRun) {
+    output += chalk.yellow('\nThis was a dry run. No changes were made to tasks.json or Monday.com.\n');
+  }
+  
+  return output;
+}
+
+/**
+ * Create terminal I/O for the interactive conflict prompt
+ * @returns {Object} - { ask, print, close }; ask resolves undefined once stdin has ended
+ */
+function createTerminalIO() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+  let closed = false;
+  let pendingAnswer = null;
+  
+  rl.on('close', () => {
+    closed = true;
+    if (pendingAnswer) {
+      pendingAnswer(undefined);
+      pendingAnswer = null;
+    }
+  });
+  
+  return {
+    ask: question => new Promise(resolve => {
+      if (closed) {
+        resolve(undefined);
+        return;
+      }
+      pendingAnswer = resolve;
+      rl.question(question, answer => {
+        pendingAnswer = null;
+        resolve(answer);
+      });
+    }),
+    print: text => console.log(text),
+    close: () => rl.close()
+  };
+}
+
 /**
  * Run the pull sync process
  * @param {Object} options - CLI options
@@ -400,7 +857,8 @@ async function runPullSync(options) {
     // Resolve file paths
     const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
     const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
-    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const tag = options.tag || null;
+    const statePath = resolveStatePath(options, tag);
     const dryRun = options.dryRun || false;
     const forceOverwrite = options.force || false;
     const skipConflicts = options.skipConflicts || false;
@@ -408,9 +866,10 @@ async function runPullSync(options) {
     const regenerateTaskFiles = options.regenerate !== undefined ? options.regenerate : true;
     const removeOrphaned = options.removeOrphaned !== undefined ? options.removeOrphaned : true;
     const recreateMissingTasks = options.recreateMissingTasks !== undefined ? options.recreateMissingTasks : true;
+    const interactive = options.interactive || false;
     
-    // Load the config
-    const config = loadConfig(configPath);
+    // Load the config (a tag pulls from the board and groups mapped to it)
+    const config = resolveTagConfig(loadConfig(configPath), tag);
     
     // Handle group override if provided
     let mondayGroupIds = config.monday_group_ids;
@@ -427,25 +886,21 @@ async function runPullSync(options) {
       apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
     };
     
-    // Create pull sync
-    const pullSync = createPullSync(configWithApiKey, {
-      tasksFilePath: tasksPath,
-      syncFilePath: statePath,
-      dryRun: dryRun,
-      mondayBoardId: config.monday_board_id,
-      mondayGroupIds: mondayGroupIds,
-      mondayApiKey: configWithApiKey.monday_api_key || configWithApiKey.apiToken,
-      removeOrphaned: removeOrphaned,
-      columnMappings: config.column_mappings
-    });
+    // Record or replay the Monday.com API calls when asked to
+    const cassetteClient = createCassetteClient(configWithApiKey, options);
+    const clientOptions = cassetteClient ? { mondayClient: cassetteClient } : {};
+    
+    // One run for the configured board, or one per sync profile
+    const { syncProfiles, runs } = resolveSyncRuns(configWithApiKey, statePath, options.profile || null);
     
     // Show start message
     console.log(chalk.bold(`\nStarting pull sync${dryRun ? ' (DRY RUN)' : ''} of Monday.com items to TaskMaster\n`));
     console.log(chalk.dim(`Using config: ${configPath}`));
     console.log(chalk.dim(`Tasks file: ${tasksPath}`));
+    if (tag) {
+      console.log(chalk.dim(`Tag: ${tag}`));
+    }
     console.log(chalk.dim(`Sync state: ${statePath}`));
-    console.log(chalk.dim(`Board ID: ${config.monday_board_id}`));
-    console.log(chalk.dim(`Group IDs: ${mondayGroupIds.join(', ')}`));
     
     if (forceOverwrite) {
       console.log(chalk.yellow('Force mode enabled: local changes will be overwritten'));
@@ -471,32 +926,129 @@ async function runPullSync(options) {
       console.log(chalk.yellow('Missing tasks will not be automatically recreated'));
     }
     
-    // Create a spinner
-    const spinner = ora({
-      text: 'Pulling items from Monday.com...',
-      color: 'yellow'
-    }).start();
+    if (interactive) {
+      console.log(chalk.yellow(dryRun
+        ? 'Interactive mode ignored: conflicts are not resolved in a dry run'
+        : 'Interactive mode enabled: you will be asked how to resolve each conflict'));
+    }
     
-    // Execute the pull sync
-    const results = await pullSync.pullSync({
-      dryRun,
-      forceOverwrite,
-      skipConflicts,
-      specificTaskId,
-      regenerateTaskFiles,
-      removeOrphaned,
-      recreateMissingTasks
-    });
+    const profileResults = {};
+    let results = null;
+    let routing = null;
+    
+    for (const run of runs) {
+      const runConfig = run.config;
+      const runGroupIds = options.group ? mondayGroupIds : runConfig.monday_group_ids;
+      const stateOptions = run.stateManager ? { stateManager: run.stateManager } : {};
+      
+      // Create pull sync
+      const pullSync = createPullSync(runConfig, {
+        tasksFilePath: tasksPath,
+        tag,
+        syncFilePath: statePath,
+        dryRun: dryRun,
+        mondayBoardId: runConfig.monday_board_id,
+        mondayGroupIds: runGroupIds,
+        mondayApiKey: configWithApiKey.monday_api_key || configWithApiKey.apiToken,
+        removeOrphaned: removeOrphaned,
+        columnMappings: runConfig.column_mappings,
+        ...clientOptions,
+        ...stateOptions
+      });
+      
+      if (run.name) {
+        console.log(chalk.bold(`\nProfile: ${run.name}`));
+      }
+      console.log(chalk.dim(`Board ID: ${runConfig.monday_board_id}`));
+      console.log(chalk.dim(`Group IDs: ${runGroupIds.join(', ')}`));
+      
+      // Create a spinner
+      const spinner = ora({
+        text: 'Pulling items from Monday.com...',
+        color: 'yellow'
+      }).start();
+      
+      // In interactive mode, conflicts are resolved on the terminal and pushed back in the same run
+      let interactiveOptions = {};
+      if (interactive && !dryRun) {
+        const resolvedPush = createPushSync(runConfig, {
+          mondayApiKey: configWithApiKey.monday_api_key || configWithApiKey.apiToken,
+          statePath: statePath,
+          mondayBoardId: runConfig.monday_board_id,
+          mondayGroupIds: runGroupIds,
+          columnMappings: runConfig.column_mappings,
+          ...clientOptions,
+          ...stateOptions
+        });
+        
+        interactiveOptions = {
+          resolveConflicts: async conflictItems => {
+            spinner.stop();
+            const terminal = createTerminalIO();
+            try {
+              return await createConflictPrompt(terminal).resolveConflicts(conflictItems);
+            } finally {
+              terminal.close();
+              spinner.start('Applying resolved conflicts...');
+            }
+          },
+          pushResolvedTask: (task, mappingOptions) => resolvedPush.updateMondayItem(task, task.monday_item_id, mappingOptions)
+        };
+      }
+      
+      // A profile pulls into the tasks routed to it (routed again for each profile,
+      // so tasks an earlier profile added stay with that profile)
+      let profileOptions = {};
+      if (syncProfiles) {
+        routing = await syncProfiles.routeTasks(await taskMasterIO.readTasks(tasksPath, true, tag));
+        const taskIds = new Set(routing.routes.get(run.name).map(task => String(task.id)));
+        profileOptions = {
+          selectTask: task => taskIds.has(String(task.id)),
+          // Task files are generated once all profiles ran, with each task's own board
+          regenerateTaskFiles: false
+        };
+      }
+      
+      // Execute the pull sync
+      results = await pullSync.pullSync({
+        dryRun,
+        forceOverwrite,
+        skipConflicts,
+        specificTaskId,
+        regenerateTaskFiles,
+        removeOrphaned,
+        recreateMissingTasks,
+        ...interactiveOptions,
+        ...profileOptions
+      });
+      
+      // Show results
+      spinner.succeed(run.name ? `Pull sync of profile ${run.name} completed` : 'Pull sync completed');
+      console.log(formatPullResults(results));
+      
+      if (run.name) {
+        profileResults[run.name] = results;
+      }
+    }
     
-    // Show results
-    spinner.succeed('Pull sync completed');
-    console.log(formatPullResults(results));
+    // Route once more so the task files link tasks added by this pull to their boards
+    if (syncProfiles && !dryRun) {
+      routing = await syncProfiles.routeTasks(await taskMasterIO.readTasks(tasksPath, true, tag));
+    }
     
-    // Run task-master generate after pull if not in dry run mode and regenerateTaskFiles is true
+    // Regenerate the task files after pull if not in dry run mode and regenerateTaskFiles is true
     if (!dryRun && regenerateTaskFiles && !options.skipGenerate) {
-      await runTaskMasterGenerate(verboseMode);
+      await runGenerateTaskFiles(tasksPath, config, verboseMode, tag, routing ? routing.boardIds : null);
     } else if (!dryRun && regenerateTaskFiles && options.skipGenerate) {
-      console.log(chalk.yellow('Skipping task-master generate (--skip-generate flag set)'));
+      console.log(chalk.yellow('Skipping task file generation (--skip-generate flag set)'));
+    }
+    
+    if (syncProfiles) {
+      const unroutedOutput = formatUnroutedTasks(routing.unrouted);
+      if (unroutedOutput) {
+        console.log(unroutedOutput);
+      }
+      return { profiles: profileResults, unrouted: routing.unrouted };
     }
     
     return results;
@@ -509,15 +1061,996 @@ async function runPullSync(options) {
   }
 }
 
+/**
+ * Run the combined sync process (pull, then push, as one plan)
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - Sync results
+ */
+async function runSync(options) {
+  try {
+    // Set verbose mode
+    const verboseMode = options.verbose || false;
+    if (verboseMode) {
+      Logger.level = 'debug';
+      console.log(chalk.blue('Verbose mode enabled'));
+    }
+    
+    // Resolve file paths
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
+    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const dryRun = options.dryRun || false;
+    const regenerateTaskFiles = options.regenerate !== undefined ? options.regenerate : true;
+    
+    // Load the config
+    const config = loadConfig(configPath);
+    
+    // Ensure API key is in the config object
+    const configWithApiKey = {
+      ...config,
+      monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+      apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+    };
+    
+    // One run for the configured board, or one per sync profile
+    const { syncProfiles, runs } = resolveSyncRuns(configWithApiKey, statePath, options.profile || null);
+    
+    // Show start message
+    console.log(chalk.bold(`\nStarting sync${dryRun ? ' (DRY RUN)' : ''} between TaskMaster and Monday.com\n`));
+    console.log(chalk.dim(`Using config: ${configPath}`));
+    console.log(chalk.dim(`Tasks file: ${tasksPath}`));
+    console.log(chalk.dim(`Sync state: ${statePath}`));
+    
+    const profileResults = {};
+    let results = null;
+    let routing = null;
+    
+    for (const run of runs) {
+      const runConfig = run.config;
+      
+      // Create combined sync
+      const combinedSync = createCombinedSync(runConfig, {
+        tasksFilePath: tasksPath,
+        syncFilePath: statePath,
+        mondayApiKey: configWithApiKey.monday_api_key,
+        mondayBoardId: runConfig.monday_board_id,
+        mondayGroupIds: runConfig.monday_group_ids,
+        columnMappings: runConfig.column_mappings,
+        ...(run.stateManager ? { stateManager: run.stateManager } : {})
+      });
+      
+      if (run.name) {
+        console.log(chalk.bold(`\nProfile: ${run.name}`));
+      }
+      console.log(chalk.dim(`Board ID: ${runConfig.monday_board_id}`));
+      console.log(chalk.dim(`Group IDs: ${runConfig.monday_group_ids.join(', ')}`));
+      
+      // Create a spinner
+      const spinner = ora({
+        text: 'Planning sync...',
+        color: 'yellow'
+      }).start();
+      
+      // A profile syncs the tasks routed to it (routed again for each profile,
+      // so tasks an earlier profile pulled stay with that profile)
+      let profileOptions = {};
+      if (syncProfiles) {
+        routing = await syncProfiles.routeTasks(await taskMasterIO.readTasks(tasksPath, true));
+        const taskIds = new Set(routing.routes.get(run.name).map(task => String(task.id)));
+        profileOptions = {
+          selectTask: task => taskIds.has(String(task.id)),
+          // Task files are generated once all profiles ran, with each task's own board
+          regenerateTaskFiles: false
+        };
+      }
+      
+      // Execute the combined sync
+      results = await combinedSync.sync({
+        dryRun,
+        forceOverwrite: options.force || false,
+        skipConflicts: options.skipConflicts || false,
+        removeOrphaned: options.removeOrphaned !== undefined ? options.removeOrphaned : true,
+        recreateMissingTasks: options.recreateMissingTasks !== undefined ? options.recreateMissingTasks : true,
+        deleteOrphaned: options.deleteOrphaned !== undefined ? options.deleteOrphaned : true,
+        regenerateTaskFiles,
+        createMissingLabels: options.createLabels || false,
+        ...profileOptions
+      });
+      
+      // Show results
+      spinner.succeed(run.name ? `Sync of profile ${run.name} completed` : 'Sync completed');
+      console.log(formatCombinedResults(results));
+      
+      if (run.name) {
+        profileResults[run.name] = results;
+      }
+    }
+    
+    // Route once more so the task files link tasks added by this sync to their boards
+    if (syncProfiles && !dryRun) {
+      routing = await syncProfiles.routeTasks(await taskMasterIO.readTasks(tasksPath, true));
+    }
+    
+    // Regenerate the task files after the sync if not in dry run mode
+    if (!dryRun && regenerateTaskFiles && !options.skipGenerate) {
+      await runGenerateTaskFiles(tasksPath, config, verboseMode, null, routing ? routing.boardIds : null);
+    } else if (!dryRun && regenerateTaskFiles && options.skipGenerate) {
+      console.log(chalk.yellow('Skipping task file generation (--skip-generate flag set)'));
+    }
+    
+    if (syncProfiles) {
+      const unroutedOutput = formatUnroutedTasks(routing.unrouted);
+      if (unroutedOutput) {
+        console.log(unroutedOutput);
+      }
+      return { profiles: profileResults, unrouted: routing.unrouted };
+    }
+    
+    return results;
+  } catch (error) {
+    console.error(chalk.red(`\nError during sync: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Parse a non-negative number option
+ * @param {string|number} value - The option value
+ * @param {string} name - The option name, for the error message
+ * @returns {number} - The parsed number
+ */
+function parseNonNegativeNumber(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number (got "${value}")`);
+  }
+  return number;
+}
+
+/**
+ * Waits for SIGINT or SIGTERM
+ * @param {Promise} stopped - Optional promise that ends the wait without a signal when it resolves
+ * @returns {Promise<string|null>} - The signal received, or null if stopped resolved first
+ */
+function waitForShutdownSignal(stopped) {
+  return new Promise(resolve => {
+    const onSigint = () => shutdown('SIGINT');
+    const onSigterm = () => shutdown('SIGTERM');
+    const shutdown = signal => {
+      process.removeListener('SIGINT', onSigint);
+      process.removeListener('SIGTERM', onSigterm);
+      resolve(signal);
+    };
+    process.once('SIGINT', onSigint);
+    process.once('SIGTERM', onSigterm);
+    if (stopped) {
+      stopped.then(() => shutdown(null));
+    }
+  });
+}
+
+/**
+ * Prints the API budget used by a long-running command, if any
+ * @param {Object|null} budget - The complexity budget state
+ */
+function printApiBudget(budget) {
+  const apiBudget = formatApiBudget(budget);
+  if (apiBudget) {
+    console.log(apiBudget.trimEnd());
+  }
+}
+
+/**
+ * Run watch mode: push tasks.json changes as they happen and poll Monday.com for changes
+ * Resolves once the watch has shut down after SIGINT or SIGTERM.
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} - The stopped watch sync instance
+ */
+async function runWatch(options) {
+  try {
+    // Set verbose mode
+    const verboseMode = options.verbose || false;
+    if (verboseMode) {
+      Logger.level = 'debug';
+      console.log(chalk.blue('Verbose mode enabled'));
+    }
+    
+    // Resolve file paths
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
+    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const pollIntervalSeconds = parseNonNegativeNumber(options.pollInterval !== undefined ? options.pollInterval : 60, '--poll-interval');
+    const debounceMs = parseNonNegativeNumber(options.debounce !== undefined ? options.debounce : 1000, '--debounce');
+    
+    // Load the config
+    const config = loadConfig(configPath);
+    assertNoSyncProfiles(config, 'watch');
+    
+    // Ensure API key is in the config object
+    const configWithApiKey = {
+      ...config,
+      monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+      apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+    };
+    
+    const watchSync = createWatchSync(configWithApiKey, {
+      tasksFilePath: tasksPath,
+      syncFilePath: statePath,
+      mondayApiKey: configWithApiKey.monday_api_key,
+      mondayBoardId: config.monday_board_id,
+      mondayGroupIds: config.monday_group_ids,
+      columnMappings: config.column_mappings,
+      debounceMs,
+      pollIntervalMs: pollIntervalSeconds * 1000,
+      deleteOrphaned: options.deleteOrphaned !== undefined ? options.deleteOrphaned : true,
+      regenerateTaskFiles: options.regenerate !== undefined ? options.regenerate : true,
+      onResult: ({ type, results }) => {
+        console.log(chalk.bold(`\n[${new Date().toLocaleTimeString()}] ${type === 'push' ? 'Pushed local changes' : 'Pulled Monday.com changes'}`));
+        console.log(type === 'push' ? formatSyncResults(results) : formatPullResults(results));
+      }
+    });
+    
+    // Show start message
+    console.log(chalk.bold('\nWatching TaskMaster tasks for changes\n'));
+    console.log(chalk.dim(`Using config: ${configPath}`));
+    console.log(chalk.dim(`Tasks file: ${tasksPath}`));
+    console.log(chalk.dim(`Sync state: ${statePath}`));
+    console.log(chalk.dim(`Board ID: ${config.monday_board_id}`));
+    console.log(chalk.dim(pollIntervalSeconds > 0
+      ? `Polling Monday.com every ${pollIntervalSeconds}s`
+      : 'Not polling Monday.com (--poll-interval 0)'));
+    
+    await watchSync.start();
+    console.log(chalk.dim('Press Ctrl+C to stop\n'));
+    
+    // Shut down cleanly on SIGINT/SIGTERM, letting the current run finish
+    const signal = await waitForShutdownSignal(watchSync.waitUntilStopped());
+    if (!signal) {
+      // The watch stopped itself: a push found the journal of an interrupted push
+      printApiBudget(watchSync.getApiBudget());
+      throw new Error('The watch stopped because a push was interrupted. Run push with --resume or --abandon, then start the watch again');
+    }
+    console.log(chalk.yellow(`\nReceived ${signal} - finishing the current run before stopping...`));
+    await watchSync.stop();
+    console.log(chalk.green('Watch stopped'));
+    printApiBudget(watchSync.getApiBudget());
+    
+    return watchSync;
+  } catch (error) {
+    console.error(chalk.red(`\nError during watch: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the webhook server: pull Monday.com changes into tasks.json as webhook events arrive
+ * Resolves once the server has shut down after SIGINT or SIGTERM.
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} - The stopped webhook server instance
+ */
+async function runServe(options) {
+  try {
+    // Set verbose mode
+    const verboseMode = options.verbose || false;
+    if (verboseMode) {
+      Logger.level = 'debug';
+      console.log(chalk.blue('Verbose mode enabled'));
+    }
+    
+    // Resolve file paths
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
+    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const port = parseNonNegativeNumber(options.port !== undefined ? options.port : DEFAULT_PORT, '--port');
+    const batchDelayMs = parseNonNegativeNumber(options.batchDelay !== undefined ? options.batchDelay : 500, '--batch-delay');
+    
+    // Load the config
+    const config = loadConfig(configPath);
+    assertNoSyncProfiles(config, 'serve');
+    
+    // Ensure API key is in the config object
+    const configWithApiKey = {
+      ...config,
+      monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+      apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+    };
+    
+    const processor = createWebhookProcessor(configWithApiKey, {
+      tasksFilePath: tasksPath,
+      syncFilePath: statePath,
+      mondayApiKey: configWithApiKey.monday_api_key,
+      mondayBoardId: config.monday_board_id,
+      mondayGroupIds: config.monday_group_ids,
+      columnMappings: config.column_mappings,
+      batchDelayMs,
+      regenerateTaskFiles: options.regenerate !== undefined ? options.regenerate : true,
+      onResult: ({ events, results }) => {
+        console.log(chalk.bold(`\n[${new Date().toLocaleTimeString()}] Pulled ${events.length} Monday.com items changed by webhook events`));
+        console.log(formatPullResults(results));
+      }
+    });
+    
+    const server = createWebhookServer({
+      processor,
+      port,
+      host: options.host,
+      path: options.path
+    });
+    
+    const address = await server.start();
+    
+    // Show start message
+    console.log(chalk.bold('\nListening for Monday.com webhooks\n'));
+    console.log(chalk.dim(`Using config: ${configPath}`));
+    console.log(chalk.dim(`Tasks file: ${tasksPath}`));
+    console.log(chalk.dim(`Sync state: ${statePath}`));
+    console.log(chalk.dim(`Board ID: ${config.monday_board_id}`));
+    console.log(chalk.cyan(`Webhook URL: ${address.url}`));
+    console.log(chalk.dim('Press Ctrl+C to stop\n'));
+    
+    // Shut down cleanly on SIGINT/SIGTERM, pulling the events already received
+    const signal = await waitForShutdownSignal();
+    console.log(chalk.yellow(`\nReceived ${signal} - pulling the events already received before stopping...`));
+    await server.stop();
+    await processor.stop();
+    console.log(chalk.green('Webhook server stopped'));
+    printApiBudget(processor.getApiBudget());
+    
+    return server;
+  } catch (error) {
+    console.error(chalk.red(`\nError running webhook server: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a proposed configuration for review
+ * @param {Object} proposal - The proposal from proposeConfig
+ * @param {Object} board - The board the proposal is for
+ * @returns {string} - Formatted proposal
+ */
+function formatInitProposal(proposal, board) {
+  const { config } = proposal;
+  let output = chalk.bold(`\nBoard: ${board.name} (${config.monday_board_id})\n`);
+  output += `Groups: ${config.monday_group_ids.join(', ')}\n`;
+  output += `Developer ID: ${config.developer_id}\n`;
+  
+  output += chalk.bold('\nColumns:\n');
+  for (const [field, column] of Object.entries(proposal.matches)) {
+    output += chalk.green(`  ✓ ${field} → "${column.title}" (${column.id}, ${column.type})\n`);
+  }
+  for (const field of proposal.unmatchedFields) {
+    output += chalk.yellow(`  - ${field}: no matching column (not synced)\n`);
+  }
+  
+  const labelSections = [
+    ['Status labels', config.status_mappings, proposal.unmappedStatuses],
+    ['Priority labels', config.priority_mappings, proposal.unmappedPriorities]
+  ];
+  for (const [title, mappings, unmapped] of labelSections) {
+    if (!mappings && unmapped.length === 0) {
+      continue;
+    }
+    output += chalk.bold(`\n${title}:\n`);
+    for (const [value, label] of Object.entries(mappings || {})) {
+      output += chalk.green(`  ✓ ${value} → "${label}"\n`);
+    }
+    for (const value of unmapped) {
+      output += chalk.yellow(`  - ${value}: no matching label (written as "${value}")\n`);
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Generate sync-config.json from a board's columns (taskmaster-sync init)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object|null>} - The written configuration, or null if nothing was written
+ */
+async function runInit(options) {
+  try {
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const apiKey = options.apiKey || process.env.MONDAY_API_KEY;
+    const boardId = options.board || process.env.MONDAY_BOARD_ID;
+    
+    if (!apiKey) {
+      throw new Error('A Monday.com API key is required (MONDAY_API_KEY environment variable or --api-key)');
+    }
+    if (!boardId) {
+      throw new Error('A board ID is required (--board or MONDAY_BOARD_ID environment variable)');
+    }
+    if (fs.existsSync(configPath) && options.yes && !options.force) {
+      throw new Error(`${configPath} already exists (use --force to overwrite it)`);
+    }
+    
+    // Read the board's columns, labels and groups
+    const mondayClient = createMondayClient({ monday_api_key: apiKey, apiToken: apiKey });
+    const spinner = ora({
+      text: `Reading board ${boardId}...`,
+      color: 'yellow'
+    }).start();
+    const board = await mondayClient.getBoard(boardId);
+    const groups = await mondayClient.getBoardGroups(boardId);
+    spinner.succeed(`Read board ${board.name}`);
+    
+    const proposal = proposeConfig(board, groups, {
+      groupIds: options.groups ? options.groups.split(',').map(groupId => groupId.trim()).filter(Boolean) : null,
+      developerId: options.developerId || process.env.DEVELOPER_ID || os.userInfo().username
+    });
+    console.log(formatInitProposal(proposal, board));
+    
+    // The API key is read from the environment, never written to the file
+    validateConfig({ ...proposal.config, monday_api_key: apiKey });
+    
+    if (!options.yes) {
+      const terminal = createTerminalIO();
+      let answer;
+      try {
+        const action = fs.existsSync(configPath) ? 'Overwrite' : 'Write';
+        answer = await terminal.ask(`${action} ${configPath} with this configuration? (y/N) `);
+      } finally {
+        terminal.close();
+      }
+      
+      if (!/^y(es)?$/i.test((answer || '').trim())) {
+        console.log(chalk.yellow('Nothing written'));
+        return null;
+      }
+    }
+    
+    fs.writeFileSync(configPath, `${JSON.stringify(proposal.config, null, 2)}\n`, 'utf8');
+    console.log(chalk.green(`\n✓ Wrote ${configPath}`));
+    console.log(chalk.dim('The API key is not stored in the file; set MONDAY_API_KEY in the environment or a .env file.'));
+    
+    return proposal.config;
+  } catch (error) {
+    console.error(chalk.red(`\nError during init: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a board setup plan for review
+ * @param {Object} plan - The plan from planBoardSetup (or the applied plan)
+ * @param {Object} board - The board the plan is for
+ * @returns {string} - Formatted plan
+ */
+function formatBoardSetupPlan(plan, board) {
+  let output = chalk.bold(`\nBoard: ${board.name} (${plan.boardId})\n`);
+  
+  output += chalk.bold('\nColumns:\n');
+  for (const entry of plan.columns) {
+    const labels = Object.values(entry.labels);
+    const labelNote = labels.length > 0 ? ` with labels ${labels.map(label => `"${label}"`).join(', ')}` : '';
+    if (entry.action === 'create') {
+      output += chalk.yellow(`  + ${entry.field}: create ${entry.type} column "${entry.title}"${labelNote}\n`);
+    } else {
+      output += chalk.green(`  ✓ ${entry.field} → "${entry.title}" (${entry.columnId})${entry.action === 'use' ? ' - written to the config' : ''}\n`);
+      if (labels.length > 0) {
+        output += chalk.yellow(`    + add labels ${labels.map(label => `"${label}"`).join(', ')}\n`);
+      }
+    }
+  }
+  
+  output += chalk.bold('\nGroups:\n');
+  for (const entry of plan.groups) {
+    if (entry.action === 'create') {
+      output += chalk.yellow(`  + create group "${entry.title}"\n`);
+    } else {
+      output += chalk.green(`  ✓ "${entry.title}" (${entry.groupId})${entry.action === 'use' ? ' - written to the config' : ''}\n`);
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Create the columns, labels and groups a board is missing and write their
+ * IDs into sync-config.json (taskmaster-sync setup-board)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object>} - { plan, config, written }
+ */
+async function runSetupBoard(options) {
+  try {
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const config = loadConfig(configPath);
+    if (!config.monday_board_id) {
+      throw new Error('setup-board sets up the top-level board, and this configuration has none (its boards come from profiles)');
+    }
+    const mondayClient = createMondayClient({
+      ...config,
+      monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+      apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+    });
+    
+    // Read the board as it is now
+    const spinner = ora({
+      text: `Reading board ${config.monday_board_id}...`,
+      color: 'yellow'
+    }).start();
+    const board = await mondayClient.getBoard(config.monday_board_id, true);
+    const groups = await mondayClient.getBoardGroups(config.monday_board_id, true);
+    spinner.succeed(`Read board ${board.name}`);
+    
+    let plan = planBoardSetup(board, groups, config, {
+      groups: options.groups ? options.groups.split(',').map(group => group.trim()).filter(Boolean) : null
+    });
+    console.log(formatBoardSetupPlan(plan, board));
+    
+    if (options.dryRun) {
+      const updated = applyPlanToConfig(config, plan);
+      const configChanged = JSON.stringify(updated) !== JSON.stringify(config);
+      console.log(chalk.yellow(plan.changes > 0 || configChanged
+        ? `Dry run: ${plan.changes} change(s) to the board${configChanged ? ` and an update of ${configPath}` : ''} - nothing was created or written`
+        : 'Dry run: the board is already set up'));
+      return { plan, config, written: false };
+    }
+    
+    if (plan.changes > 0) {
+      const applySpinner = ora({
+        text: `Setting up board ${board.name}...`,
+        color: 'yellow'
+      }).start();
+      try {
+        plan = await applyBoardSetup(plan, mondayClient);
+      } catch (error) {
+        applySpinner.fail('Board setup stopped');
+        console.log(chalk.yellow('Run setup-board again to finish; what was already created is found by its title.'));
+        throw error;
+      }
+      applySpinner.succeed(`Made ${plan.changes} change(s) to board ${board.name}`);
+    }
+    
+    // Write the column and group IDs back, keeping the rest of the file
+    const updated = applyPlanToConfig(config, plan);
+    const written = JSON.stringify(updated) !== JSON.stringify(config);
+    if (written) {
+      fs.writeFileSync(configPath, `${JSON.stringify(updated, null, 2)}\n`, 'utf8');
+      console.log(chalk.green(`✓ Updated ${configPath}`));
+    }
+    if (plan.changes === 0 && !written) {
+      console.log(chalk.green('✓ The board is already set up'));
+    }
+    
+    return { plan, config: updated, written };
+  } catch (error) {
+    console.error(chalk.red(`\nError during board setup: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Format the result of validating a configuration against its board
+ * @param {Object} validation - The result of validateBoardSchema
+ * @param {Object} board - The board that was validated
+ * @param {string|null} profile - The sync profile the board belongs to
+ * @returns {string} - Formatted problems
+ */
+function formatSchemaValidation(validation, board, profile) {
+  let output = chalk.bold(`\nBoard: ${board.name} (${validation.boardId})${profile ? ` - profile ${profile}` : ''}\n`);
+  
+  if (validation.valid) {
+    return output + chalk.green('  ✓ Column mappings and labels match the board\n');
+  }
+  for (const problem of validation.problems) {
+    output += chalk.red(`  ✗ ${problem.message}\n`);
+  }
+  return output;
+}
+
+/**
+ * Check sync-config.json against the live board before a sync and offer to
+ * create the mapped labels the board lacks (taskmaster-sync validate)
+ * @param {Object} options - Command options
+ * @returns {Promise<Object[]>} - One entry per board: { profile, validation, createdLabels }
+ */
+async function runValidate(options) {
+  try {
+    const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+    const config = loadConfig(configPath);
+    const statePath = path.resolve(process.cwd(), DEFAULT_SYNC_STATE_PATH);
+    const { runs } = resolveSyncRuns(config, statePath, options.profile || null);
+    const mondayClient = createMondayClient({
+      ...config,
+      monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+      apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+    });
+    
+    const results = [];
+    for (const run of runs) {
+      const boardId = run.config.monday_board_id;
+      const board = await mondayClient.getBoard(boardId, true);
+      let validation = validateBoardSchema(board, run.config);
+      console.log(formatSchemaValidation(validation, board, run.name));
+      
+      let createdLabels = 0;
+      const labelCount = validation.missingLabels
+        .reduce((count, entry) => count + Object.keys(entry.labels).length, 0);
+      if (labelCount > 0 && !options.dryRun) {
+        let create = options.createLabels || false;
+        if (!create) {
+          const terminal = createTerminalIO();
+          try {
+            const answer = await terminal.ask(`Create the ${labelCount} missing label(s) on board ${board.name}? (y/N) `);
+            create = /^y(es)?$/i.test((answer || '').trim());
+          } finally {
+            terminal.close();
+          }
+        }
+        
+        if (create) {
+          createdLabels = await createMissingLabels(validation, mondayClient);
+          console.log(chalk.green(`✓ Created ${createdLabels} label(s)`));
+          validation = validateBoardSchema(await mondayClient.getBoard(boardId, true), run.config);
+        }
+      }
+      
+      results.push({ profile: run.name, validation, createdLabels });
+    }
+    
+    const problems = results.reduce((count, result) => count + result.validation.problems.length, 0);
+    if (problems > 0) {
+      console.error(chalk.red(`\n${problems} problem(s) left - push would stop before writing anything`));
+      process.exit(1);
+    } else {
+      console.log(chalk.green('\n✓ The configuration matches the board'));
+    }
+    
+    return results;
+  } catch (error) {
+    console.error(chalk.red(`\nError during validation: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Upgrade the sync state file to the current schema, or with --check only
+ * report whether it needs upgrading (exit code 1 if it does)
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - The migration report
+ */
+async function runStateMigrate(options) {
+  try {
+    const statePath = path.resolve(process.cwd(), options.state || DEFAULT_SYNC_STATE_PATH);
+    const stateManager = createSyncStateManager({ syncFilePath: statePath });
+    const report = await stateManager.migrate({ check: options.check || false });
+    
+    if (!report.exists) {
+      console.log(chalk.yellow(`No sync state at ${statePath} - nothing to migrate`));
+      return report;
+    }
+    
+    for (const note of report.notes) {
+      console.log(chalk.yellow(`  ! ${note}`));
+    }
+    
+    if (!report.needed) {
+      console.log(chalk.green(`✓ ${statePath} is at version ${report.toVersion}`));
+    } else if (options.check) {
+      console.log(chalk.yellow(`${statePath} is at version ${report.fromVersion} and needs migrating to ${report.toVersion}`));
+      process.exit(1);
+    } else {
+      console.log(chalk.green(`✓ Migrated ${statePath} from version ${report.fromVersion} to ${report.toVersion}`));
+      console.log(`  Backup: ${report.backupPath}`);
+    }
+    
+    return report;
+  } catch (error) {
+    console.error(chalk.red(`\nError during state migration: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Format the result of verifying a board's sync state
+ * @param {Object} verification - The result of verifySyncState
+ * @param {string} boardId - The board ID
+ * @param {string|null} profile - The sync profile
+ * @returns {string} - Formatted problems with their repairs
+ */
+function formatStateVerification(verification, boardId, profile) {
+  let output = chalk.bold(`\nBoard: ${boardId}${profile ? ` - profile ${profile}` : ''}\n`);
+  
+  if (verification.valid) {
+    return output + chalk.green('  ✓ The sync state matches tasks.json and the board\n');
+  }
+  for (const problem of verification.problems) {
+    output += chalk.red(`  ✗ ${problem.message}\n`);
+    for (const repair of problem.repairs) {
+      output += chalk.dim(`      → ${describeRepair(repair)}\n`);
+    }
+  }
+  return output;
+}
+
+/**
+ * Read tasks.json and the items of each board a push runs against, with the
+ * board's sync state manager and the tasks pushed to it
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - { tasksPath, tag, tasks, boards: [{ profile, boardId, config, stateManager, tasks, items }] }
+ */
+async function loadStateBoards(options) {
+  const configPath = path.resolve(process.cwd(), options.config || DEFAULT_SYNC_CONFIG_PATH);
+  const tasksPath = path.resolve(process.cwd(), options.tasks || DEFAULT_TASKS_PATH);
+  const tag = options.tag || null;
+  const statePath = resolveStatePath(options, tag);
+  const config = resolveTagConfig(loadConfig(configPath), tag);
+  
+  if (!fs.existsSync(tasksPath)) {
+    throw new Error(`Tasks file not found at ${tasksPath}`);
+  }
+  
+  // Each board is compared with the tasks pushed to it
+  const tasks = await taskMasterIO.readTasks(tasksPath, true, tag);
+  const { syncProfiles, runs } = resolveSyncRuns(config, statePath, options.profile || null);
+  const routing = syncProfiles ? await syncProfiles.routeTasks(tasks) : null;
+  const mondayClient = createMondayClient({
+    ...config,
+    monday_api_key: config.monday_api_key || process.env.MONDAY_API_KEY,
+    apiToken: config.monday_api_key || process.env.MONDAY_API_KEY
+  });
+  
+  const boards = [];
+  for (const run of runs) {
+    const boardId = String(run.config.monday_board_id);
+    boards.push({
+      profile: run.name,
+      boardId,
+      config: run.config,
+      stateManager: run.stateManager || createSyncStateManager({ syncFilePath: statePath }),
+      tasks: routing ? routing.routes.get(run.name) : tasks,
+      items: await mondayClient.getAllItems(boardId)
+    });
+  }
+  
+  return { tasksPath, tag, tasks, boards };
+}
+
+/**
+ * Verify the sync state of each board against tasks.json and the board's items
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} - { tasksPath, tag, tasks, boards: [{ profile, boardId, stateManager, tasks, verification }] }
+ */
+async function verifyStateRuns(options) {
+  const { tasksPath, tag, tasks, boards } = await loadStateBoards(options);
+  
+  for (const board of boards) {
+    const syncState = await board.stateManager.readSyncState(true);
+    board.verification = verifySyncState({
+      mappings: syncState.mappings,
+      tasks: board.tasks,
+      items: board.items,
+      columnMapping: board.config.column_mappings,
+      boardId: board.boardId
+    });
+    
+    console.log(formatStateVerification(board.verification, board.boardId, board.profile));
+  }
+  
+  return { tasksPath, tag, tasks, boards };
+}
+
+/**
+ * Compare the sync state with tasks.json and the board, reporting dangling
+ * mappings, duplicate items, tasks pointing at deleted items and items whose
+ * Task ID column disagrees with the state (exit code 1 if there are any)
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object[]>} - The boards with their verification
+ */
+async function runStateVerify(options) {
+  try {
+    const { boards } = await verifyStateRuns(options);
+    
+    const problems = boards.reduce((count, board) => count + board.verification.problems.length, 0);
+    if (problems > 0) {
+      console.error(chalk.red(`\n${problems} problem(s) found - run "taskmaster-sync state repair" to fix them (--dry-run to preview)`));
+      process.exit(1);
+    } else {
+      console.log(chalk.green('\n✓ The sync state is consistent'));
+    }
+    
+    return boards;
+  } catch (error) {
+    console.error(chalk.red(`\nError during state verification: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Fix the problems state verify reports by changing the sync state and tasks.json
+ * (never the board); --dry-run only shows the repairs
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object[]>} - The boards with their verification and applied repairs
+ */
+async function runStateRepair(options) {
+  try {
+    const { tasksPath, tag, tasks, boards } = await verifyStateRuns(options);
+    const repairs = boards.reduce((count, board) => count + board.verification.repairs.length, 0);
+    
+    if (repairs === 0) {
+      console.log(chalk.green('\n✓ Nothing to repair'));
+      return boards;
+    }
+    if (options.dryRun) {
+      console.log(chalk.yellow(`\n[DRY RUN] Would apply ${repairs} repair(s) - nothing was changed`));
+      return boards;
+    }
+    
+    for (const board of boards) {
+      // Repairs write the sync state, so they wait for any run in progress
+      board.repaired = await board.stateManager.withRunLock(() => applyStateRepairs(board.verification.repairs, {
+        stateManager: board.stateManager,
+        tasks: board.tasks,
+        writeTasks: () => taskMasterIO.writeTasks(tasksPath, tasks, tag)
+      }));
+    }
+    
+    console.log(chalk.green(`\n✓ Applied ${repairs} repair(s)`));
+    return boards;
+  } catch (error) {
+    console.error(chalk.red(`\nError during state repair: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
+/**
+ * Format the result of rebuilding a board's sync state
+ * @param {Object} rebuild - The result of rebuildSyncState
+ * @param {string} boardId - The board ID
+ * @param {string|null} profile - The sync profile
+ * @returns {string} - Formatted links, ambiguous tasks and unmatched tasks and items
+ */
+function formatStateRebuild(rebuild, boardId, profile) {
+  const sources = { task_id_column: 'Task ID column', monday_item_id: 'monday_item_id', choice: 'chosen' };
+  let output = chalk.bold(`\nBoard: ${boardId}${profile ? ` - profile ${profile}` : ''}\n`);
+  
+  for (const link of rebuild.linked) {
+    output += chalk.green(`  ✓ task ${link.taskId} → item ${link.mondayItemId} (${sources[link.source]})\n`);
+  }
+  for (const entry of rebuild.ambiguous) {
+    output += chalk.red(`  ? task ${entry.taskId} is named by ${entry.mondayItemIds.length} items: ${entry.mondayItemIds.join(', ')}` +
+      ` - choose one with --choose ${entry.taskId}=<item ID>\n`);
+  }
+  for (const taskId of rebuild.unmatchedTasks) {
+    output += chalk.dim(`  - task ${taskId} has no item on the board (the next push creates one)\n`);
+  }
+  for (const entry of rebuild.unmatchedItems) {
+    output += chalk.yellow(`  - item ${entry.mondayItemId} names task ${entry.taskId}, which is not in tasks.json (left unlinked)\n`);
+  }
+  return output;
+}
+
+/**
+ * Parse the --choose values of state rebuild
+ * @param {string[]} values - "<task ID>=<item ID>" values
+ * @returns {Object} - Task ID → item ID
+ */
+function parseRebuildChoices(values = []) {
+  const choices = {};
+  for (const value of values) {
+    const match = /^([^=]+)=(.+)$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`--choose ${value} must be <task ID>=<item ID>`);
+    }
+    choices[match[1].trim()] = match[2].trim();
+  }
+  return choices;
+}
+
+/**
+ * Rebuild the sync state from the board: each item is mapped to the task its
+ * Task ID column names, falling back to the monday_item_id of tasks no item names.
+ * Nothing is written while a task is named by more than one item and --choose
+ * does not pick one; --dry-run only shows the mappings
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object[]>} - The boards with their rebuilt state
+ */
+async function runStateRebuild(options) {
+  try {
+    const choices = parseRebuildChoices(options.choose);
+    const { boards } = await loadStateBoards(options);
+    
+    for (const board of boards) {
+      board.rebuild = rebuildSyncState({
+        tasks: board.tasks,
+        items: board.items,
+        columnMapping: board.config.column_mappings,
+        subitemColumnMapping: board.config.subitem_column_mappings,
+        choices
+      });
+      console.log(formatStateRebuild(board.rebuild, board.boardId, board.profile));
+    }
+    
+    const ambiguous = boards.reduce((count, board) => count + board.rebuild.ambiguous.length, 0);
+    if (ambiguous > 0) {
+      console.error(chalk.red(`\n${ambiguous} task(s) are named by more than one item - choose their items with --choose; nothing was written`));
+      process.exit(1);
+      return boards;
+    }
+    
+    const mappings = boards.reduce((count, board) => count + board.rebuild.linked.length, 0);
+    if (options.dryRun) {
+      console.log(chalk.yellow(`\n[DRY RUN] Would write ${mappings} mapping(s) - nothing was changed`));
+      return boards;
+    }
+    
+    for (const board of boards) {
+      // The rebuilt state replaces the board's state, including its base snapshots
+      await board.stateManager.withRunLock(() => board.stateManager.writeSyncState({
+        ...board.stateManager.getEmptySyncState(),
+        mappings: board.rebuild.mappings,
+        subitems: board.rebuild.subitems
+      }));
+    }
+    
+    console.log(chalk.green(`\n✓ Rebuilt the sync state with ${mappings} mapping(s)`));
+    return boards;
+  } catch (error) {
+    console.error(chalk.red(`\nError during state rebuild: ${error.message}`));
+    if (options.verbose && error.stack) {
+      console.error(chalk.red(error.stack));
+    }
+    process.exit(1);
+  }
+}
+
 // Export functions for testing and for use by the CLI entry point
 module.exports = {
   loadConfig,
+  formatApiBudget,
+  formatResolutions,
+  formatResolvedConflicts,
+  formatSubtaskChanges,
   formatSyncResults,
   formatPullResults,
+  formatCombinedResults,
+  formatInitProposal,
+  formatBoardSetupPlan,
+  formatSchemaValidation,
+  formatStateVerification,
+  formatStateRebuild,
   runPushSync,
   runPullSync,
+  runSync,
+  runWatch,
+  runServe,
   showConfig,
-  runTaskMasterGenerate,
+  runInit,
+  runSetupBoard,
+  runValidate,
+  runStateMigrate,
+  runStateVerify,
+  runStateRepair,
+  runStateRebuild,
+  runGenerateTaskFiles,
   DEFAULT_TASKS_PATH,
   DEFAULT_SYNC_CONFIG_PATH,
   DEFAULT_SYNC_STATE_PATH
@@ -0,0 +1,186 @@
+/**
+ * Conflict Prompt Module
+ *
+ * Walks the user through pull conflicts field by field. For each conflicting
+ * field the user can keep the local value, take the Monday.com value, enter a
+ * merged value or skip the field. All terminal I/O goes through the injected
+ * `ask` and `print` functions so the prompt can be driven by scripted answers.
+ */
+
+// Answers accepted for each choice
+const CHOICES = {
+  l: 'local',
+  local: 'local',
+  m: 'monday',
+  monday: 'monday',
+  e: 'edit',
+  edit: 'edit',
+  s: 'skip',
+  skip: 'skip'
+};
+
+/**
+ * Formats a field value for display
+ * @param {*} value - The field value
+ * @returns {string} - The display text
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(empty)';
+  }
+
+  if (value === undefined || value === null || value === '') {
+    return '(empty)';
+  }
+
+  // Indent continuation lines so multi-line text stays under its label
+  return String(value).split('\n').join('\n                ');
+}
+
+/**
+ * Parses an edited value typed by the user
+ * @param {string} field - The field being edited
+ * @param {string} text - The text entered
+ * @returns {*} - The field value
+ */
+function parseEditedValue(field, text) {
+  const value = (text || '').trim();
+
+  if (field === 'dependencies') {
+    return value.split(',').map(dep => dep.trim()).filter(Boolean);
+  }
+
+  return value === '' ? null : value;
+}
+
+/**
+ * Formats the field-by-field diff of a conflict
+ * @param {Object} conflict - The conflict item ({ mondayTask, localTask, reason, fields })
+ * @returns {string} - The formatted diff
+ */
+function formatConflictDiff(conflict) {
+  const task = conflict.localTask || conflict.mondayTask;
+  const lines = [`Task ${task.id}: ${task.title} (Monday.com item ${conflict.mondayTask.monday_item_id})`];
+
+  if (conflict.reason) {
+    lines.push(`  ${conflict.reason}`);
+  }
+
+  for (const field of conflict.fields || []) {
+    lines.push(`  ${field.field}`);
+    lines.push(`    local:      ${formatValue(field.local)}`);
+    lines.push(`    Monday.com: ${formatValue(field.remote)}`);
+    if (field.base !== undefined && field.base !== null) {
+      lines.push(`    last sync:  ${formatValue(field.base)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates an interactive conflict prompt
+ * @param {Object} io - Terminal I/O
+ * @param {Function} io.ask - (question) => Promise<string>; resolves undefined once input has ended
+ * @param {Function} io.print - (text) => void
+ * @returns {Object} - Conflict prompt instance
+ */
+function createConflictPrompt(io = {}) {
+  if (typeof io.ask !== 'function') {
+    throw new Error('An ask function is required for interactive conflict resolution');
+  }
+
+  const ask = io.ask;
+  const print = typeof io.print === 'function' ? io.print : () => {};
+
+  /**
+   * Asks how to resolve one conflicting field
+   * @param {Object} field - The field conflict ({ field, local, base, remote })
+   * @returns {Promise<Object>} - { field, choice, value }; value is undefined when skipped
+   */
+  async function resolveField(field) {
+    for (;;) {
+      const answer = await ask(`  ${field.field}: keep [l]ocal, take [m]onday, [e]dit or [s]kip? `);
+
+      // Input has ended - leave the rest unresolved
+      if (answer === undefined || answer === null) {
+        return { field: field.field, choice: 'skip' };
+      }
+
+      const choice = CHOICES[answer.trim().toLowerCase()];
+
+      if (choice === 'local') {
+        return { field: field.field, choice, value: field.local };
+      }
+
+      if (choice === 'monday') {
+        return { field: field.field, choice, value: field.remote };
+      }
+
+      if (choice === 'skip') {
+        return { field: field.field, choice };
+      }
+
+      if (choice === 'edit') {
+        const hint = field.field === 'dependencies' ? ' (comma-separated)' : '';
+        const text = await ask(`  New ${field.field}${hint}: `);
+        if (text === undefined || text === null) {
+          return { field: field.field, choice: 'skip' };
+        }
+        return { field: field.field, choice, value: parseEditedValue(field.field, text) };
+      }
+
+      print(`  Unrecognized answer "${answer.trim()}" - enter l, m, e or s`);
+    }
+  }
+
+  /**
+   * Walks through one conflict field by field
+   * @param {Object} conflict - The conflict item ({ mondayTask, localTask, reason, fields })
+   * @returns {Promise<Object>} - { conflict, choices }
+   */
+  async function resolveConflict(conflict) {
+    print(formatConflictDiff(conflict));
+
+    const choices = [];
+    for (const field of conflict.fields || []) {
+      choices.push(await resolveField(field));
+    }
+
+    return {
+      conflict,
+      choices
+    };
+  }
+
+  /**
+   * Walks through every conflict in order
+   * @param {Object[]} conflictItems - The conflicts found by the pull sync
+   * @returns {Promise<Object[]>} - One { conflict, choices } decision per conflict
+   */
+  async function resolveConflicts(conflictItems) {
+    const decisions = [];
+
+    print(`\n${conflictItems.length} task${conflictItems.length === 1 ? '' : 's'} changed both locally and in Monday.com\n`);
+
+    for (const [index, conflict] of conflictItems.entries()) {
+      print(`[${index + 1}/${conflictItems.length}]`);
+      decisions.push(await resolveConflict(conflict));
+      print('');
+    }
+
+    return decisions;
+  }
+
+  // Return the public API
+  return {
+    resolveConflict,
+    resolveConflicts
+  };
+}
+
+module.exports = {
+  createConflictPrompt,
+  formatConflictDiff,
+  parseEditedValue
+};
@@ -30,7 +30,14 @@ program
   .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
   .option('--delete-orphaned', 'Delete orphaned Monday.com items (default: true)', true)
   .option('--no-delete-orphaned', 'Do not delete orphaned Monday.com items')
-  .option('--skip-generate', 'Skip running task-master generate before pushing', false)
+  .option('--skip-generate', 'Skip regenerating task files before pushing', false)
+  .option('--create-labels', 'Create mapped status and priority labels the board is missing instead of stopping', false)
+  .option('--tag <name>', 'Tag of a tagged tasks.json to sync (default: master)')
+  .option('--profile <name>', 'Sync only this profile of a multi-board configuration')
+  .option('--record <file>', 'Record Monday.com API requests and responses to a cassette file')
+  .option('--replay <file>', 'Replay Monday.com API responses from a cassette file instead of calling Monday.com')
+  .option('--resume', 'Continue a push that was interrupted, skipping the tasks it finished', false)
+  .option('--abandon', 'Discard the journal of an interrupted push and push every task', false)
   .action(cli.runPushSync);
 
 // Pull command
@@ -45,6 +52,7 @@ program
   .option('-a, --assign-task-ids', 'Automatically assign Task IDs to new Monday.com items', false)
   .option('-f, --force', 'Overwrite local changes with Monday.com data', false)
   .option('--skip-conflicts', 'Skip tasks with local changes', false)
+  .option('-i, --interactive', 'Resolve conflicts field by field and push the results back to Monday.com', false)
   .option('--task-id <id>', 'Pull only a specific task by ID')
   .option('--group <group_id>', 'Pull from a specific Monday.com group')
   .option('--regenerate', 'Regenerate task files after pull', true)
@@ -53,9 +61,153 @@ program
   .option('--no-remove-orphaned', 'Do not remove orphaned local tasks')
   .option('--recreate-missing-tasks', 'Recreate tasks that exist in Monday.com but not locally (default: true)', true)
   .option('--no-recreate-missing-tasks', 'Do not recreate missing tasks from Monday.com')
-  .option('--skip-generate', 'Skip running task-master generate after pulling', false)
+  .option('--skip-generate', 'Skip regenerating task files after pulling', false)
+  .option('--tag <name>', 'Tag of a tagged tasks.json to sync (default: master)')
+  .option('--profile <name>', 'Sync only this profile of a multi-board configuration')
+  .option('--record <file>', 'Record Monday.com API requests and responses to a cassette file')
+  .option('--replay <file>', 'Replay Monday.com API responses from a cassette file instead of calling Monday.com')
   .action(cli.runPullSync);
 
+// Sync command (pull, then push, as one plan)
+program
+  .command('sync')
+  .description('Pull Monday.com changes and push TaskMaster changes in one run')
+  .option('-d, --dry-run', 'Show what would be synced without making changes', false)
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('-f, --force', 'Overwrite conflicting local changes with Monday.com data', false)
+  .option('--skip-conflicts', 'Skip tasks with conflicting changes', false)
+  .option('--remove-orphaned', 'Remove local tasks whose Monday.com item was deleted (default: true)', true)
+  .option('--no-remove-orphaned', 'Keep local tasks whose Monday.com item was deleted (the item is recreated)')
+  .option('--recreate-missing-tasks', 'Recreate locally deleted tasks whose Monday.com item still exists (default: true)', true)
+  .option('--no-recreate-missing-tasks', 'Do not recreate locally deleted tasks (their items are deleted)')
+  .option('--delete-orphaned', 'Delete Monday.com items of locally deleted tasks (default: true)', true)
+  .option('--no-delete-orphaned', 'Do not delete Monday.com items')
+  .option('--regenerate', 'Regenerate task files after sync', true)
+  .option('--no-regenerate', 'Do not regenerate task files after sync')
+  .option('--skip-generate', 'Skip regenerating task files after syncing', false)
+  .option('--create-labels', 'Create mapped status and priority labels the board is missing instead of stopping', false)
+  .option('--profile <name>', 'Sync only this profile of a multi-board configuration')
+  .action(cli.runSync);
+
+// Watch command (push tasks.json changes as they happen, poll Monday.com for changes)
+program
+  .command('watch')
+  .description('Watch tasks.json and sync changes with Monday.com until stopped')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('--poll-interval <seconds>', 'Seconds between pulls from Monday.com (0 disables polling)', '60')
+  .option('--debounce <ms>', 'Milliseconds tasks.json must be quiet before pushing', '1000')
+  .option('--delete-orphaned', 'Delete Monday.com items of deleted tasks (default: true)', true)
+  .option('--no-delete-orphaned', 'Do not delete Monday.com items')
+  .option('--regenerate', 'Regenerate task files after pulling', true)
+  .option('--no-regenerate', 'Do not regenerate task files after pulling')
+  .action(cli.runWatch);
+
+// Serve command (receive Monday.com webhooks, pull the changes they announce)
+program
+  .command('serve')
+  .description('Receive Monday.com webhooks and pull changes into tasks.json as they happen')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('-p, --port <port>', 'Port to listen on', '4000')
+  .option('--host <host>', 'Host to listen on', '127.0.0.1')
+  .option('--path <path>', 'URL path Monday.com posts webhooks to', '/webhook')
+  .option('--batch-delay <ms>', 'Milliseconds to collect events before pulling them', '500')
+  .option('--regenerate', 'Regenerate task files after pulling', true)
+  .option('--no-regenerate', 'Do not regenerate task files after pulling')
+  .action(cli.runServe);
+
+// Init command (write sync-config.json from the columns of a board)
+program
+  .command('init')
+  .description('Generate sync-config.json by matching Monday.com board columns to TaskMaster fields')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to write the sync config file to', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-b, --board <id>', 'Monday.com board ID (default: MONDAY_BOARD_ID)')
+  .option('--groups <ids>', 'Comma-separated group IDs to sync (default: the first group of the board)')
+  .option('--developer-id <id>', 'Developer ID to write (default: DEVELOPER_ID or the system user name)')
+  .option('--api-key <key>', 'Monday.com API key (default: MONDAY_API_KEY); never written to the file')
+  .option('-y, --yes', 'Write the proposed configuration without asking', false)
+  .option('--force', 'Overwrite an existing config file in --yes mode', false)
+  .action(cli.runInit);
+
+// Setup-board command (create the columns, labels and groups the config needs)
+program
+  .command('setup-board')
+  .description('Create the columns, status/priority labels and groups the board is missing and write their IDs to sync-config.json')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('--groups <names>', 'Comma-separated group IDs or titles to sync (default: monday_group_ids)')
+  .option('-d, --dry-run', 'Show what would be created without changing the board or the config', false)
+  .action(cli.runSetupBoard);
+
+// Validate command (check the config against the live board before syncing)
+program
+  .command('validate')
+  .description('Check that the mapped columns and status/priority labels exist on the board')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('--profile <name>', 'Validate only this profile of a multi-board configuration')
+  .option('--create-labels', 'Create the missing labels without asking', false)
+  .option('-d, --dry-run', 'Only report the problems, never offer to create labels', false)
+  .action(cli.runValidate);
+
+// State commands to maintain the sync state file
+const state = program
+  .command('state')
+  .description('Maintain the sync state file');
+
+state
+  .command('migrate')
+  .description('Upgrade the sync state file to the current schema (a backup of the old file is kept)')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('--check', 'Only report whether the file needs upgrading (exit code 1 if it does)', false)
+  .action(cli.runStateMigrate);
+
+state
+  .command('verify')
+  .description('Compare the sync state with tasks.json and the Task ID column of the board items')
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('--tag <name>', 'Tag of a tagged tasks.json to verify (default: master)')
+  .option('--profile <name>', 'Verify only this profile of a multi-board configuration')
+  .action(cli.runStateVerify);
+
+state
+  .command('repair')
+  .description('Fix the problems state verify reports in the sync state and tasks.json')
+  .option('-d, --dry-run', 'Show the repairs without making them', false)
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('--tag <name>', 'Tag of a tagged tasks.json to repair (default: master)')
+  .option('--profile <name>', 'Repair only this profile of a multi-board configuration')
+  .action(cli.runStateRepair);
+
+state
+  .command('rebuild')
+  .description('Rebuild the sync state from the Task ID column of the board items')
+  .option('-d, --dry-run', 'Show the rebuilt mappings without writing them', false)
+  .option('-v, --verbose', 'Increase logging detail', false)
+  .option('-c, --config <path>', 'Path to sync config file', cli.DEFAULT_SYNC_CONFIG_PATH)
+  .option('-t, --tasks <path>', 'Path to tasks.json file', cli.DEFAULT_TASKS_PATH)
+  .option('-s, --state <path>', 'Path to sync state file', cli.DEFAULT_SYNC_STATE_PATH)
+  .option('--tag <name>', 'Tag of a tagged tasks.json to rebuild (default: master)')
+  .option('--profile <name>', 'Rebuild only this profile of a multi-board configuration')
+  .option('--choose <choices...>', 'Item for a task more than one item names, as <task ID>=<item ID>')
+  .action(cli.runStateRebuild);
+
 // Config command to display the current configuration
 program
   .command('config')
@@ -0,0 +1,285 @@
+/**
+ * Board Provisioner Module
+ *
+ * Sets up a Monday.com board for syncing (taskmaster-sync setup-board). The
+ * plan lists, for every TaskMaster field, the column that holds it: the column
+ * the configuration names, a board column matched by title and type, or a new
+ * column. Status columns get the labels the status, priority and complexity
+ * values are written as, and the configured groups are created when the board
+ * has no group with that ID or title. Applying the plan creates only what is
+ * missing, so running it again changes nothing.
+ */
+
+const { DEFAULT_COLUMN_MAPPINGS } = require('./configParser');
+const {
+  matchColumns,
+  normalize,
+  STATUS_LABEL_SYNONYMS,
+  PRIORITY_LABEL_SYNONYMS
+} = require('./configGenerator');
+const { parseLabelSettings } = require('../sync/labelResolver');
+
+// Columns created for fields the board has no column for
+const COLUMN_DEFINITIONS = {
+  taskId: { title: 'Task ID', type: 'text' },
+  status: { title: 'Status', type: 'status' },
+  priority: { title: 'Priority', type: 'status' },
+  dependencies: { title: 'Dependencies', type: 'text' },
+  complexity: { title: 'Complexity', type: 'status' },
+  description: { title: 'Description', type: 'long_text' },
+  details: { title: 'Details', type: 'long_text' },
+  testStrategy: { title: 'Test Strategy', type: 'long_text' }
+};
+
+// Complexity labels by index: push writes complexity scores 1-9 as these label indexes
+const COMPLEXITY_LABELS = {
+  16: 'Complexity 1',
+  110: 'Complexity 2',
+  156: 'Complexity 3',
+  158: 'Complexity 4',
+  6: 'Complexity 5',
+  14: 'Complexity 6',
+  109: 'Complexity 7',
+  11: 'Complexity 8',
+  152: 'Complexity 9'
+};
+
+// Column types that hold status labels
+const STATUS_COLUMN_TYPES = ['status', 'color'];
+
+// Title of the group created when neither the configuration nor the board has one
+const DEFAULT_GROUP_TITLE = 'Tasks';
+
+/**
+ * Reads the labels of a status column by index
+ * @param {string} settings - The column's settings_str
+ * @returns {Object} - Label index → label
+ */
+function readLabelIndexes(settings) {
+  const labels = {};
+  for (const entry of parseLabelSettings(settings)) {
+    labels[entry.id] = entry.label;
+  }
+  return labels;
+}
+
+/**
+ * Gets the labels a status field is written as
+ * @param {string} field - The field (status, priority or complexity)
+ * @param {Object} config - The configuration
+ * @returns {Object} - { byIndex: index → label } for complexity, { byName: labels } otherwise
+ */
+function getRequiredLabels(field, config) {
+  if (field === 'complexity') {
+    return { byIndex: COMPLEXITY_LABELS };
+  }
+
+  // Values without a mapping are written as they are
+  const [synonyms, mappings] = field === 'status'
+    ? [STATUS_LABEL_SYNONYMS, config.status_mappings]
+    : [PRIORITY_LABEL_SYNONYMS, config.priority_mappings];
+  const values = [...new Set([...Object.keys(synonyms), ...Object.keys(mappings || {})])];
+  const labels = values.map(value => String((mappings && mappings[value]) || value));
+  return { byName: [...new Set(labels)] };
+}
+
+/**
+ * Works out the labels a status column lacks
+ * @param {Object} existing - The column's labels (index → label)
+ * @param {Object} required - The labels it needs (see getRequiredLabels)
+ * @returns {Object} - The missing labels (index → label)
+ */
+function findMissingLabels(existing, required) {
+  const missing = {};
+
+  if (required.byIndex) {
+    for (const [index, label] of Object.entries(required.byIndex)) {
+      if (existing[index] === undefined) {
+        missing[index] = label;
+      }
+    }
+    return missing;
+  }
+
+  const taken = new Set(Object.keys(existing).map(Number));
+  const names = new Set(Object.values(existing).map(label => String(label).toLowerCase()));
+  let index = 0;
+  for (const label of required.byName) {
+    if (names.has(label.toLowerCase())) {
+      continue;
+    }
+    while (taken.has(index)) {
+      index++;
+    }
+    taken.add(index);
+    missing[index] = label;
+  }
+  return missing;
+}
+
+/**
+ * Plans which columns a board needs for the TaskMaster fields
+ * @param {Object[]} columns - The board columns ({ id, title, type, settings_str })
+ * @param {Object} config - The configuration
+ * @returns {Object[]} - One entry per field: { field, action: keep | use | create, columnId, title, type,
+ *   currentLabels, labels }, where labels are the missing labels (index → label)
+ */
+function planColumns(columns, config) {
+  const configured = config.column_mappings || {};
+  const fields = [...new Set([...Object.keys(DEFAULT_COLUMN_MAPPINGS), ...Object.keys(configured)])]
+    .filter(field => COLUMN_DEFINITIONS[field]);
+
+  // Columns the configuration already names are not matched to other fields
+  const byId = new Map(columns.map(column => [column.id, column]));
+  const configuredIds = new Set(fields.map(field => configured[field]).filter(columnId => byId.has(columnId)));
+  const { matches } = matchColumns(columns.filter(column => !configuredIds.has(column.id)));
+
+  return fields.map(field => {
+    const definition = COLUMN_DEFINITIONS[field];
+    const column = byId.get(configured[field]) || matches[field] || null;
+    const action = !column ? 'create' : column.id === configured[field] ? 'keep' : 'use';
+    const entry = {
+      field,
+      action,
+      columnId: column ? column.id : null,
+      title: column ? column.title : definition.title,
+      type: column ? column.type : definition.type,
+      currentLabels: {},
+      labels: {}
+    };
+
+    if (STATUS_COLUMN_TYPES.includes(entry.type) && ['status', 'priority', 'complexity'].includes(field)) {
+      entry.currentLabels = column ? readLabelIndexes(column.settings_str) : {};
+      entry.labels = findMissingLabels(entry.currentLabels, getRequiredLabels(field, config));
+    }
+    return entry;
+  });
+}
+
+/**
+ * Plans which groups the configuration needs
+ * @param {Object[]} groups - The board's groups
+ * @param {string[]} wanted - Group IDs or titles to sync
+ * @returns {Object[]} - One entry per group: { name, action: keep | use | create, groupId, title }
+ */
+function planGroups(groups, wanted) {
+  if (wanted.length === 0) {
+    return groups.length > 0
+      ? [{ name: groups[0].id, action: 'use', groupId: groups[0].id, title: groups[0].title }]
+      : [{ name: DEFAULT_GROUP_TITLE, action: 'create', groupId: null, title: DEFAULT_GROUP_TITLE }];
+  }
+
+  return wanted.map(name => {
+    if (name === 'all') {
+      return { name, action: 'keep', groupId: name, title: 'All groups' };
+    }
+
+    const byId = groups.find(group => group.id === name);
+    if (byId) {
+      return { name, action: 'keep', groupId: byId.id, title: byId.title };
+    }
+    const byTitle = groups.find(group => normalize(group.title) === normalize(name));
+    if (byTitle) {
+      return { name, action: 'use', groupId: byTitle.id, title: byTitle.title };
+    }
+    return { name, action: 'create', groupId: null, title: name };
+  });
+}
+
+/**
+ * Plans the setup of a board
+ * @param {Object} board - The board, as returned by getBoard ({ id, name, columns })
+ * @param {Object[]} groups - The board's groups
+ * @param {Object} config - The configuration
+ * @param {Object} options - Planning options
+ * @param {string[]} options.groups - Group IDs or titles to sync (default: monday_group_ids)
+ * @returns {Object} - { boardId, columns, groups, changes }, where changes counts what would be created
+ */
+function planBoardSetup(board, groups = [], config = {}, options = {}) {
+  const wanted = options.groups && options.groups.length > 0
+    ? options.groups
+    : config.monday_group_ids || [];
+
+  const columnPlan = planColumns(board.columns || [], config);
+  const groupPlan = planGroups(groups, wanted);
+
+  const changes = columnPlan.filter(entry => entry.action === 'create').length +
+    columnPlan.filter(entry => entry.action !== 'create' && Object.keys(entry.labels).length > 0).length +
+    groupPlan.filter(entry => entry.action === 'create').length;
+
+  return {
+    boardId: String(board.id),
+    columns: columnPlan,
+    groups: groupPlan,
+    changes
+  };
+}
+
+/**
+ * Creates the missing columns, labels and groups of a plan
+ * @param {Object} plan - The plan from planBoardSetup
+ * @param {Object} mondayClient - Client with createColumn, changeColumnMetadata and createGroup
+ * @returns {Promise<Object>} - The plan with the IDs of the created columns and groups
+ */
+async function applyBoardSetup(plan, mondayClient) {
+  const columns = [];
+  for (const entry of plan.columns) {
+    const hasLabels = Object.keys(entry.labels).length > 0;
+
+    if (entry.action === 'create') {
+      const column = await mondayClient.createColumn(plan.boardId, entry.title, entry.type,
+        hasLabels ? { defaults: { labels: entry.labels } } : {});
+      columns.push({ ...entry, columnId: column.id });
+      continue;
+    }
+
+    if (hasLabels) {
+      // Labels replace the column's labels, so the existing ones are sent along
+      await mondayClient.changeColumnMetadata(plan.boardId, entry.columnId, 'labels', { ...entry.currentLabels, ...entry.labels });
+    }
+    columns.push(entry);
+  }
+
+  const groups = [];
+  for (const entry of plan.groups) {
+    if (entry.action === 'create') {
+      const group = await mondayClient.createGroup(plan.boardId, entry.title);
+      groups.push({ ...entry, groupId: group.id });
+    } else {
+      groups.push(entry);
+    }
+  }
+
+  return { ...plan, columns, groups };
+}
+
+/**
+ * Writes the column and group IDs of an applied plan into a configuration
+ * @param {Object} config - The configuration
+ * @param {Object} plan - The applied plan
+ * @returns {Object} - The updated configuration
+ */
+function applyPlanToConfig(config, plan) {
+  const columnMappings = { ...(config.column_mappings || {}) };
+  for (const entry of plan.columns) {
+    if (entry.columnId) {
+      columnMappings[entry.field] = entry.columnId;
+    }
+  }
+
+  return {
+    ...config,
+    monday_group_ids: plan.groups.map(entry => entry.groupId).filter(Boolean),
+    column_mappings: columnMappings
+  };
+}
+
+module.exports = {
+  planBoardSetup,
+  applyBoardSetup,
+  applyPlanToConfig,
+  readLabelIndexes,
+  findMissingLabels,
+  COLUMN_DEFINITIONS,
+  COMPLEXITY_LABELS
+};
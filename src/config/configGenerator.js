@@ -0,0 +1,198 @@
+/**
+ * Config Generator Module
+ *
+ * Proposes a sync-config.json for a Monday.com board (taskmaster-sync init).
+ * Board columns are matched to TaskMaster fields by title and type, and the
+ * status and priority mappings are proposed from the labels of the matched
+ * status columns (their settings_str).
+ */
+
+const { parseLabelSettings } = require('../sync/labelResolver');
+
+// TaskMaster fields, with the column titles and types that can hold them (titles in order of preference)
+const FIELD_RULES = {
+  taskId: { titles: ['task id', 'taskmaster id', 'task master id', 'tm id', 'id'], types: ['text', 'numbers'] },
+  status: { titles: ['status', 'task status', 'state'], types: ['status', 'color'] },
+  priority: { titles: ['priority', 'task priority'], types: ['status', 'color'] },
+  dependencies: { titles: ['dependencies', 'depends on', 'deps'], types: ['text', 'long_text'] },
+  complexity: { titles: ['complexity', 'complexity score'], types: ['status', 'color', 'dropdown', 'numbers', 'text'] },
+  description: { titles: ['description', 'summary'], types: ['long_text', 'text'] },
+  details: { titles: ['details', 'implementation details', 'notes'], types: ['long_text', 'text'] },
+  testStrategy: { titles: ['test strategy', 'testing strategy', 'tests'], types: ['long_text', 'text'] }
+};
+
+// Monday.com labels that commonly stand for each TaskMaster status
+const STATUS_LABEL_SYNONYMS = {
+  'pending': ['pending', 'to do', 'todo', 'not started', 'backlog', 'new', 'open'],
+  'in-progress': ['in progress', 'working on it', 'doing', 'started', 'in development'],
+  'done': ['done', 'complete', 'completed', 'finished', 'closed'],
+  'review': ['review', 'in review', 'under review', 'needs review', 'ready for review'],
+  'deferred': ['deferred', 'stuck', 'on hold', 'blocked', 'paused', 'later'],
+  'cancelled': ['cancelled', 'canceled', 'wont do', 'dropped']
+};
+
+// Monday.com labels that commonly stand for each TaskMaster priority
+const PRIORITY_LABEL_SYNONYMS = {
+  'high': ['high', 'urgent', 'critical'],
+  'medium': ['medium', 'normal'],
+  'low': ['low']
+};
+
+/**
+ * Normalizes a column title or label for matching ("In-Progress!" → "in progress")
+ * @param {string} text - The title or label
+ * @returns {string} - The normalized text
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reads the labels of a status or dropdown column from its settings_str
+ * @param {string|Object} settings - The column's settings_str (or parsed settings)
+ * @returns {string[]} - The labels, in index order
+ */
+function parseColumnLabels(settings) {
+  return parseLabelSettings(settings)
+    .map(entry => entry.label)
+    .filter(label => label.trim() !== '');
+}
+
+/**
+ * Matches board columns to TaskMaster fields; a column is used for one field at most
+ * @param {Object[]} columns - The board columns ({ id, title, type })
+ * @returns {Object} - { mappings: field → column ID, matches: field → column, unmatched: fields }
+ */
+function matchColumns(columns) {
+  const usedColumnIds = new Set();
+  const mappings = {};
+  const matches = {};
+  const unmatched = [];
+
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    const candidates = (columns || []).filter(column =>
+      !usedColumnIds.has(column.id) && rule.types.includes(column.type));
+
+    // An exact title first, then a title that contains one of the names
+    let column = null;
+    for (const title of rule.titles) {
+      column = candidates.find(candidate => normalize(candidate.title) === title);
+      if (column) {
+        break;
+      }
+    }
+    if (!column) {
+      column = candidates.find(candidate =>
+        rule.titles.some(title => title.length > 2 && ` ${normalize(candidate.title)} `.includes(` ${title} `)));
+    }
+
+    if (!column) {
+      unmatched.push(field);
+      continue;
+    }
+
+    usedColumnIds.add(column.id);
+    mappings[field] = column.id;
+    matches[field] = column;
+  }
+
+  return { mappings, matches, unmatched };
+}
+
+/**
+ * Proposes TaskMaster value → Monday.com label mappings from a column's labels
+ * @param {string[]} labels - The column's labels
+ * @param {Object} synonyms - TaskMaster value → labels that stand for it
+ * @returns {Object} - { mappings: value → label, unmapped: values without a label }
+ */
+function proposeLabelMappings(labels, synonyms) {
+  const mappings = {};
+  const unmapped = [];
+  const usedLabels = new Set();
+
+  for (const [value, names] of Object.entries(synonyms)) {
+    const label = names
+      .map(name => labels.find(candidate => !usedLabels.has(candidate) && normalize(candidate) === name))
+      .find(Boolean);
+
+    if (label) {
+      usedLabels.add(label);
+      mappings[value] = label;
+    } else {
+      unmapped.push(value);
+    }
+  }
+
+  return { mappings, unmapped };
+}
+
+/**
+ * Proposes a sync configuration for a board
+ * @param {Object} board - The board, as returned by getBoard ({ id, name, columns })
+ * @param {Object[]} groups - The board's groups
+ * @param {Object} options - Proposal options
+ * @param {string[]} options.groupIds - Groups to sync (default: the first group)
+ * @param {string} options.developerId - The developer ID to write
+ * @returns {Object} - { config, matches, unmatchedFields, unmappedStatuses, unmappedPriorities }
+ * @throws {Error} If the board has no Task ID column or a requested group does not exist
+ */
+function proposeConfig(board, groups = [], options = {}) {
+  const { mappings, matches, unmatched } = matchColumns(board.columns);
+  if (!mappings.taskId) {
+    throw new Error(`Board ${board.id} has no text column for the Task ID (add a text column titled "Task ID")`);
+  }
+
+  const groupIds = options.groupIds && options.groupIds.length > 0
+    ? options.groupIds
+    : groups.slice(0, 1).map(group => group.id);
+  const missingGroups = groupIds.filter(groupId => groupId !== 'all' && !groups.some(group => group.id === groupId));
+  if (missingGroups.length > 0) {
+    throw new Error(`Group ${missingGroups.join(', ')} not found on board ${board.id} (groups: ${groups.map(group => group.id).join(', ') || 'none'})`);
+  }
+  if (groupIds.length === 0) {
+    throw new Error(`Board ${board.id} has no groups to sync`);
+  }
+
+  const status = matches.status
+    ? proposeLabelMappings(parseColumnLabels(matches.status.settings_str), STATUS_LABEL_SYNONYMS)
+    : { mappings: {}, unmapped: [] };
+  const priority = matches.priority
+    ? proposeLabelMappings(parseColumnLabels(matches.priority.settings_str), PRIORITY_LABEL_SYNONYMS)
+    : { mappings: {}, unmapped: [] };
+
+  const config = {
+    monday_board_id: String(board.id),
+    monday_group_ids: groupIds,
+    developer_id: options.developerId,
+    column_mappings: mappings
+  };
+  if (Object.keys(status.mappings).length > 0) {
+    config.status_mappings = status.mappings;
+  }
+  if (Object.keys(priority.mappings).length > 0) {
+    config.priority_mappings = priority.mappings;
+  }
+
+  return {
+    config,
+    matches,
+    unmatchedFields: unmatched,
+    unmappedStatuses: status.unmapped,
+    unmappedPriorities: priority.unmapped
+  };
+}
+
+module.exports = {
+  proposeConfig,
+  matchColumns,
+  parseColumnLabels,
+  proposeLabelMappings,
+  normalize,
+  FIELD_RULES,
+  STATUS_LABEL_SYNONYMS,
+  PRIORITY_LABEL_SYNONYMS
+};
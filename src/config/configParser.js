@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const { promisify } = require('util');
 const env = require('./env');
+const { validateConflictPolicy } = require('../sync/conflictPolicy');
+const { validateSyncProfiles } = require('../sync/syncProfiles');
 const { Logger } = require('../utils/logger');
 
 const readFileAsync = promisify(fs.readFile);
@@ -182,6 +184,56 @@ function buildConfigFromEnv() {
   };
 }
 
+/**
+ * Validate the tag_mappings section, which sends each tag of a tagged tasks.json
+ * to its own Monday.com groups (and optionally its own board)
+ * @param {Object} tagMappings - Tag name → { monday_board_id, monday_group_ids }
+ * @throws {Error} If a mapping is invalid
+ */
+function validateTagMappings(tagMappings) {
+  if (tagMappings === undefined) {
+    return;
+  }
+  
+  if (!tagMappings || typeof tagMappings !== 'object' || Array.isArray(tagMappings)) {
+    throw new Error('tag_mappings must be an object of tag names to Monday.com groups');
+  }
+  
+  for (const [tag, mapping] of Object.entries(tagMappings)) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      throw new Error(`tag_mappings.${tag} must be an object with monday_group_ids and optionally monday_board_id`);
+    }
+    if (!Array.isArray(mapping.monday_group_ids) || mapping.monday_group_ids.length === 0) {
+      throw new Error(`tag_mappings.${tag}.monday_group_ids must be a non-empty array`);
+    }
+  }
+}
+
+/**
+ * Get the configuration for syncing one tag of a tagged tasks.json: the
+ * board and groups come from the tag's tag_mappings entry
+ * @param {Object} config - The configuration object
+ * @param {string|null} tag - The tag (no tag, or master without a mapping, uses the configuration as is)
+ * @returns {Object} The configuration for the tag
+ * @throws {Error} If a tag other than master has no mapping
+ */
+function resolveTagConfig(config, tag) {
+  const mapping = tag && config.tag_mappings ? config.tag_mappings[tag] : null;
+  
+  if (!mapping) {
+    if (tag && tag !== 'master') {
+      throw new Error(`Tag "${tag}" has no tag_mappings entry in the configuration; add one to choose its Monday.com groups`);
+    }
+    return config;
+  }
+  
+  return {
+    ...config,
+    monday_board_id: mapping.monday_board_id || config.monday_board_id,
+    monday_group_ids: mapping.monday_group_ids
+  };
+}
+
 /**
  * Validate that the configuration has all required fields
  * @param {Object} config - The configuration object to validate
@@ -205,12 +257,18 @@ function validateConfig(config) {
   }
   
   // No validation for mappings as defaults are applied
+  
+  validateConflictPolicy(config.conflict_policy);
+  validateTagMappings(config.tag_mappings);
+  validateSyncProfiles(config.profiles, config);
 }
 
 module.exports = {
   loadConfig,
   loadConfigAsync,
   validateConfig,
+  validateTagMappings,
+  resolveTagConfig,
   applyEnvFallbacks,
   buildConfigFromEnv,
   DEFAULT_COLUMN_MAPPINGS,
@@ -0,0 +1,191 @@
+/**
+ * Schema Validator Module
+ *
+ * Checks the sync configuration against the live board before a run writes
+ * anything. Every column_mappings ID must name a board column of a type that
+ * can hold its field, and every status_mappings and priority_mappings value
+ * must be a label of the mapped status column. All problems are reported at
+ * once instead of surfacing one by one as failed column value changes, and
+ * missing labels can be added to their columns.
+ */
+
+const { FIELD_RULES } = require('./configGenerator');
+const { readLabelIndexes, findMissingLabels } = require('./boardProvisioner');
+const { Logger } = require('../utils/logger');
+
+// Label mappings, by the field whose column must hold their labels
+const LABEL_MAPPINGS = {
+  status: 'status_mappings',
+  priority: 'priority_mappings'
+};
+
+// Column types that hold status labels
+const STATUS_COLUMN_TYPES = ['status', 'color'];
+
+/**
+ * Validates a configuration against a board's columns and labels
+ * @param {Object} board - The board, as returned by getBoard ({ id, columns })
+ * @param {Object} config - The configuration (column_mappings, status_mappings, priority_mappings)
+ * @returns {Object} - { boardId, valid, problems, missingLabels }, where problems are
+ *   { type: missing_column | incompatible_column | missing_label, field, columnId, message }
+ *   and missingLabels lists, per column, the labels to add (index → label)
+ */
+function validateBoardSchema(board, config = {}) {
+  const boardId = String(board.id);
+  const columns = new Map((board.columns || []).map(column => [column.id, column]));
+  const columnMappings = config.column_mappings || {};
+  const problems = [];
+  const missingLabels = [];
+
+  for (const [field, columnId] of Object.entries(columnMappings)) {
+    if (!columnId) {
+      continue;
+    }
+
+    const column = columns.get(columnId);
+    if (!column) {
+      problems.push({
+        type: 'missing_column',
+        field,
+        columnId,
+        message: `column_mappings.${field}: column ${columnId} does not exist on board ${boardId}`
+      });
+      continue;
+    }
+
+    // Fields the sync does not know are only checked for their column
+    const rule = FIELD_RULES[field];
+    if (rule && !rule.types.includes(column.type)) {
+      problems.push({
+        type: 'incompatible_column',
+        field,
+        columnId,
+        message: `column_mappings.${field}: "${column.title}" (${columnId}) is a ${column.type} column, ` +
+          `${field} needs a ${rule.types.join(', ')} column`
+      });
+    }
+  }
+
+  for (const [field, section] of Object.entries(LABEL_MAPPINGS)) {
+    const column = columns.get(columnMappings[field]);
+    if (!column || !STATUS_COLUMN_TYPES.includes(column.type)) {
+      continue;
+    }
+
+    const currentLabels = readLabelIndexes(column.settings_str);
+    const existing = new Set(Object.values(currentLabels).map(label => label.trim().toLowerCase()));
+    const wanted = [...new Set(Object.values(config[section] || {})
+      .filter(label => label !== null && label !== undefined && String(label).trim() !== '')
+      .map(String))];
+    const missing = wanted.filter(label => !existing.has(label.trim().toLowerCase()));
+
+    for (const label of missing) {
+      problems.push({
+        type: 'missing_label',
+        field,
+        columnId: column.id,
+        label,
+        message: `${section}: label "${label}" does not exist in column "${column.title}" (${column.id})`
+      });
+    }
+    if (missing.length > 0) {
+      missingLabels.push({
+        field,
+        columnId: column.id,
+        title: column.title,
+        currentLabels,
+        labels: findMissingLabels(currentLabels, { byName: missing })
+      });
+    }
+  }
+
+  return {
+    boardId,
+    valid: problems.length === 0,
+    problems,
+    missingLabels
+  };
+}
+
+/**
+ * Adds the missing labels of a validation to their columns
+ * @param {Object} validation - The result of validateBoardSchema
+ * @param {Object} mondayClient - Client with changeColumnMetadata
+ * @returns {Promise<number>} - The number of labels created
+ */
+async function createMissingLabels(validation, mondayClient) {
+  let created = 0;
+  for (const entry of validation.missingLabels) {
+    // Labels replace the column's labels, so the existing ones are sent along
+    await mondayClient.changeColumnMetadata(validation.boardId, entry.columnId, 'labels', {
+      ...entry.currentLabels,
+      ...entry.labels
+    });
+    created += Object.keys(entry.labels).length;
+  }
+  return created;
+}
+
+/**
+ * Creates the error a run stops with when the board does not match the configuration
+ * @param {Object} validation - The result of validateBoardSchema
+ * @returns {Error} - Error with code BOARD_SCHEMA_MISMATCH and the problems
+ */
+function createSchemaError(validation) {
+  const lines = validation.problems.map(problem => `  - ${problem.message}`);
+  const hint = validation.missingLabels.length > 0
+    ? '\nMissing labels can be created with --create-labels or "taskmaster-sync validate".'
+    : '';
+  const error = new Error(
+    `Board ${validation.boardId} does not match the sync configuration ` +
+    `(${validation.problems.length} problem${validation.problems.length === 1 ? '' : 's'}):\n${lines.join('\n')}${hint}`
+  );
+  error.code = 'BOARD_SCHEMA_MISMATCH';
+  error.problems = validation.problems;
+  return error;
+}
+
+/**
+ * Checks the configuration against the live board before a run writes to it
+ * @param {Object} mondayClient - Monday.com client with getBoard
+ * @param {string} boardId - The board ID
+ * @param {Object} config - The configuration
+ * @param {Object} options - Check options
+ * @param {boolean} options.createMissingLabels - Add missing labels instead of failing on them
+ * @param {boolean} options.dryRun - Never change the board
+ * @returns {Promise<Object|null>} - The validation, or null if the board could not be read
+ * @throws {Error} - BOARD_SCHEMA_MISMATCH when problems remain
+ */
+async function checkBoardSchema(mondayClient, boardId, config, options = {}) {
+  if (!mondayClient || typeof mondayClient.getBoard !== 'function') {
+    return null;
+  }
+
+  let validation;
+  try {
+    validation = validateBoardSchema(await mondayClient.getBoard(boardId), config);
+  } catch (error) {
+    Logger.warn(`Could not read board ${boardId} to validate the column mappings: ${error.message}`);
+    return null;
+  }
+
+  if (!validation.valid && validation.missingLabels.length > 0 && options.createMissingLabels && !options.dryRun) {
+    const created = await createMissingLabels(validation, mondayClient);
+    Logger.info(`Created ${created} missing label(s) on board ${boardId}`);
+    validation = validateBoardSchema(await mondayClient.getBoard(boardId, true), config);
+  }
+
+  if (!validation.valid) {
+    throw createSchemaError(validation);
+  }
+
+  Logger.debug(`Column mappings and labels match board ${boardId}`);
+  return validation;
+}
+
+module.exports = {
+  validateBoardSchema,
+  createMissingLabels,
+  createSchemaError,
+  checkBoardSchema
+};
@@ -0,0 +1,182 @@
+/**
+ * Board Snapshot Module
+ *
+ * Holds an in-memory copy of a Monday.com board's items for the duration of a sync run.
+ * The board is fetched once and indexed by item ID and by the Task ID column, so
+ * neither existence checks nor push's search for unlinked items to adopt need a
+ * query per task.
+ */
+
+const { resolveTaskIdFromMondayItem } = require('./taskIdResolver');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Creates a board snapshot instance
+ * @param {Object} mondayClient - The Monday.com API client
+ * @param {string} boardId - The ID of the board to snapshot
+ * @param {Object} columnMapping - Column mapping configuration (used to index the Task ID column)
+ * @returns {Object} - Board snapshot instance
+ */
+function createBoardSnapshot(mondayClient, boardId, columnMapping = {}) {
+  // Items indexed by Monday.com item ID
+  const itemsById = new Map();
+
+  // Monday.com item IDs indexed by TaskMaster task ID
+  const itemIdsByTaskId = new Map();
+
+  let loaded = false;
+
+  /**
+   * Adds an item ID to the task ID index
+   * @param {string} taskId - The TaskMaster task ID
+   * @param {string} itemId - The Monday.com item ID
+   */
+  function indexTaskId(taskId, itemId) {
+    if (!taskId) {
+      return;
+    }
+
+    const key = String(taskId);
+    if (!itemIdsByTaskId.has(key)) {
+      itemIdsByTaskId.set(key, []);
+    }
+
+    const itemIds = itemIdsByTaskId.get(key);
+    if (!itemIds.includes(itemId)) {
+      itemIds.push(itemId);
+    }
+  }
+
+  /**
+   * Removes an item ID from the task ID index
+   * @param {string} itemId - The Monday.com item ID
+   */
+  function unindexItem(itemId) {
+    for (const [taskId, itemIds] of itemIdsByTaskId) {
+      const index = itemIds.indexOf(itemId);
+      if (index !== -1) {
+        itemIds.splice(index, 1);
+        if (itemIds.length === 0) {
+          itemIdsByTaskId.delete(taskId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fetches every item on the board and rebuilds the indexes
+   * @returns {Promise<Object[]>} - The items on the board
+   */
+  async function load() {
+    const items = await mondayClient.getAllItems(boardId);
+
+    itemsById.clear();
+    itemIdsByTaskId.clear();
+
+    for (const item of items) {
+      addItem(item);
+    }
+
+    loaded = true;
+    Logger.debug(`Loaded board snapshot for board ${boardId}: ${itemsById.size} items`);
+
+    return items;
+  }
+
+  /**
+   * Adds (or replaces) an item in the snapshot
+   * @param {Object} item - The Monday.com item
+   * @param {string} taskId - Optional task ID, used when the item has no Task ID column value yet
+   */
+  function addItem(item, taskId = null) {
+    if (!item || !item.id) {
+      return;
+    }
+
+    const itemId = String(item.id);
+
+    if (itemsById.has(itemId)) {
+      unindexItem(itemId);
+    }
+
+    itemsById.set(itemId, item);
+    indexTaskId(taskId || resolveTaskIdFromMondayItem(item, columnMapping), itemId);
+  }
+
+  /**
+   * Removes an item from the snapshot
+   * @param {string} itemId - The Monday.com item ID
+   * @returns {boolean} - Whether the item was in the snapshot
+   */
+  function removeItem(itemId) {
+    const key = String(itemId);
+
+    if (!itemsById.has(key)) {
+      return false;
+    }
+
+    itemsById.delete(key);
+    unindexItem(key);
+    return true;
+  }
+
+  /**
+   * Checks whether an item exists on the board
+   * @param {string} itemId - The Monday.com item ID
+   * @returns {boolean} - Whether the item exists
+   */
+  function hasItem(itemId) {
+    return Boolean(itemId) && itemsById.has(String(itemId));
+  }
+
+  /**
+   * Gets an item by ID
+   * @param {string} itemId - The Monday.com item ID
+   * @returns {Object|null} - The item or null if not found
+   */
+  function getItem(itemId) {
+    return itemsById.get(String(itemId)) || null;
+  }
+
+  /**
+   * Gets the IDs of the items whose Task ID column matches a task (linked to it or not)
+   * @param {string} taskId - The TaskMaster task ID
+   * @returns {string[]} - Matching Monday.com item IDs
+   */
+  function getItemIdsForTask(taskId) {
+    return [...(itemIdsByTaskId.get(String(taskId)) || [])];
+  }
+
+  /**
+   * Gets all items in the snapshot
+   * @returns {Object[]} - The items
+   */
+  function getItems() {
+    return [...itemsById.values()];
+  }
+
+  /**
+   * Whether the snapshot has been loaded from the board
+   * @returns {boolean}
+   */
+  function isLoaded() {
+    return loaded;
+  }
+
+  // Return the public API
+  return {
+    load,
+    addItem,
+    removeItem,
+    hasItem,
+    getItem,
+    getItemIdsForTask,
+    getItems,
+    isLoaded,
+    boardId
+  };
+}
+
+module.exports = {
+  createBoardSnapshot
+};
@@ -0,0 +1,279 @@
+/**
+ * Combined Sync Logic Module
+ *
+ * Runs a pull and a push as one plan. Both directions are computed against a
+ * single board snapshot and a single read of tasks.json, so the push sees the
+ * tasks exactly as the pull leaves them and the two steps cannot undo each other.
+ */
+
+const taskMasterIO = require('./taskMasterIO');
+const { createSyncStateManager } = require('./syncStateManager');
+const { createBoardSnapshot } = require('./boardSnapshot');
+const { createPullSync } = require('./pullSyncLogic');
+const { createPushSync } = require('./pushSyncLogic');
+const { assertNoUnfinishedJournal } = require('./operationJournal');
+const { checkBoardSchema } = require('../config/schemaValidator');
+const { createMondayClient } = require('../api/mondayClient');
+const { getClientBudget } = require('../api/complexityBudget');
+const { Logger } = require('../utils/logger');
+
+/**
+ * Creates a Combined Sync instance
+ * @param {Object} config - The loaded configuration
+ * @param {Object} options - Additional options
+ * @param {string} options.tasksFilePath - Path to the tasks.json file
+ * @param {string} options.syncFilePath - Path to the sync state file
+ * @param {string} options.mondayApiKey - Monday.com API key
+ * @param {string} options.mondayBoardId - Monday.com board ID
+ * @param {string[]} options.mondayGroupIds - Monday.com group IDs
+ * @param {Object} options.columnMappings - Column mapping configuration
+ * @param {Object} options.stateManager - Sync state of the board (e.g. a sync profile's board); defaults to the state file's top level
+ * @returns {Object} - Combined Sync instance
+ */
+function createCombinedSync(config, options = {}) {
+  const mondayApiKey = options.mondayApiKey || config.monday_api_key;
+  const mondayBoardId = options.mondayBoardId || config.monday_board_id;
+  const mondayGroupIds = options.mondayGroupIds || config.monday_group_ids;
+  const columnMapping = options.columnMappings || config.column_mappings;
+  const tasksFilePath = options.tasksFilePath || 'tasks/tasks.json';
+
+  if (!mondayApiKey) {
+    throw new Error('Monday.com API key is required');
+  }
+  if (!mondayBoardId) {
+    throw new Error('Monday.com board ID is required');
+  }
+  if (!mondayGroupIds || !Array.isArray(mondayGroupIds) || mondayGroupIds.length === 0) {
+    throw new Error('Monday.com group IDs array is required');
+  }
+
+  // One client for the whole run, so the complexity budget covers both directions
+  const mondayClient = options.mondayClient || createMondayClient({
+    ...config,
+    monday_api_key: mondayApiKey,
+    apiToken: mondayApiKey
+  });
+  const stateManager = options.stateManager || createSyncStateManager({ syncFilePath: options.syncFilePath });
+
+  const pull = createPullSync(config, {
+    tasksFilePath,
+    syncFilePath: options.syncFilePath,
+    mondayApiKey,
+    mondayBoardId,
+    mondayGroupIds,
+    columnMappings: columnMapping,
+    mondayClient,
+    stateManager
+  });
+
+  const push = createPushSync(config, {
+    tasksPath: tasksFilePath,
+    statePath: options.syncFilePath,
+    mondayApiKey,
+    mondayBoardId,
+    mondayGroupIds,
+    columnMappings: columnMapping,
+    mondayClient,
+    stateManager
+  });
+
+  /**
+   * Filters board items to the configured groups
+   * @param {Object[]} items - The board items
+   * @returns {Object[]} - Items in the configured groups
+   */
+  function itemsInGroups(items) {
+    if (mondayGroupIds.includes('all')) {
+      return items;
+    }
+
+    return items.filter(item => item.group && mondayGroupIds.includes(item.group.id));
+  }
+
+  /**
+   * Finds board items that the sync state maps to tasks no longer in tasks.json
+   * @param {Object[]} tasks - The local tasks
+   * @param {Object} boardSnapshot - The run's board snapshot
+   * @returns {Promise<Map<string, string>>} - Monday.com item ID → deleted task ID
+   */
+  async function findItemsOfDeletedTasks(tasks, boardSnapshot) {
+    const syncedItems = await stateManager.getAllSyncedItems();
+    const localTaskIds = new Set(tasks.map(task => String(task.id)));
+    const items = new Map();
+
+    for (const [mondayItemId, taskId] of Object.entries(syncedItems || {})) {
+      if (taskId && !localTaskIds.has(String(taskId)) && boardSnapshot.hasItem(mondayItemId)) {
+        items.set(String(mondayItemId), String(taskId));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Runs the pull and the push as one plan
+   *
+   * Overlaps between the two directions are settled before anything is applied:
+   * - A task deleted locally whose Monday.com item still exists is recreated locally
+   *   (recreateMissingTasks), otherwise its item is deleted (deleteOrphaned)
+   * - A task whose Monday.com item was deleted is removed locally (removeOrphaned),
+   *   otherwise its item is recreated
+   * - Tasks the pull adds or reports as conflicts are not pushed
+   * @param {Object} options - Sync options
+   * @param {boolean} options.dryRun - Whether to run in dry run mode
+   * @param {boolean} options.forceOverwrite - Whether to overwrite local conflicts with Monday.com values
+   * @param {boolean} options.skipConflicts - Whether to skip conflicting tasks
+   * @param {boolean} options.removeOrphaned - Whether to remove tasks whose Monday.com item was deleted
+   * @param {boolean} options.recreateMissingTasks - Whether to recreate deleted local tasks from Monday.com
+   * @param {boolean} options.deleteOrphaned - Whether to delete Monday.com items of deleted local tasks
+   * @param {boolean} options.regenerateTaskFiles - Whether to regenerate task files after the pull
+   * @param {boolean} options.createMissingLabels - Add mapped labels the board lacks instead of stopping
+   * @param {Function} options.selectTask - (task) => boolean, limits the run to the tasks synced with this board
+   *   (e.g. a sync profile); other tasks are kept as they are and their items are left alone
+   * @returns {Promise<Object>} - { pull, push, overlaps, dryRun, apiBudget }
+   */
+  async function sync(options = {}) {
+    // Hold the run lock across both directions; the nested push and pull share it
+    if (typeof stateManager.withRunLock === 'function') {
+      return stateManager.withRunLock(() => runPlan(options));
+    }
+
+    return runPlan(options);
+  }
+
+  /**
+   * Runs the pull and the push as one plan (see sync)
+   * @param {Object} options - Sync options
+   * @returns {Promise<Object>} - { pull, push, overlaps, dryRun, apiBudget }
+   */
+  async function runPlan(options) {
+    const {
+      dryRun = false,
+      forceOverwrite = false,
+      skipConflicts = false,
+      removeOrphaned = true,
+      recreateMissingTasks = true,
+      deleteOrphaned = true,
+      regenerateTaskFiles = true,
+      createMissingLabels = false,
+      selectTask = null
+    } = options;
+
+    Logger.info(`Starting sync${dryRun ? ' [DRY RUN]' : ''}`);
+
+    // An interrupted push is resumed or abandoned with the push command, before the pull changes tasks.json
+    if (!dryRun) {
+      await assertNoUnfinishedJournal(stateManager);
+    }
+
+    // Check the mapped columns and labels before the pull changes tasks.json
+    await checkBoardSchema(mondayClient, mondayBoardId, { ...config, column_mappings: columnMapping }, {
+      createMissingLabels,
+      dryRun
+    });
+
+    // One read of tasks.json and one board snapshot for both directions
+    const tasksFileEditTime = taskMasterIO.getTasksFileEditTime(tasksFilePath);
+    const localTasks = await taskMasterIO.readTasks(tasksFilePath);
+    const tasks = Array.isArray(localTasks) ? localTasks : (localTasks?.tasks || []);
+    Logger.info(`Found ${tasks.length} local tasks`);
+
+    const boardSnapshot = createBoardSnapshot(mondayClient, mondayBoardId, columnMapping);
+    const boardItems = await boardSnapshot.load();
+    Logger.info(`Loaded ${boardItems.length} items from board ${mondayBoardId}`);
+
+    const overlaps = [];
+
+    // Items of tasks deleted locally: recreate the tasks, or leave the items for the push to delete
+    // (only items in the configured groups can be pulled back)
+    const pullItems = itemsInGroups(boardItems);
+    const pullItemIds = new Set(pullItems.map(item => String(item.id)));
+    const itemsOfDeletedTasks = await findItemsOfDeletedTasks(tasks, boardSnapshot);
+    for (const [mondayItemId, taskId] of itemsOfDeletedTasks) {
+      if (recreateMissingTasks && pullItemIds.has(mondayItemId)) {
+        overlaps.push({
+          taskId,
+          mondayItemId,
+          decision: 'recreated locally',
+          reason: 'task was deleted locally but its Monday.com item still exists; the item is kept'
+        });
+      } else if (deleteOrphaned) {
+        overlaps.push({
+          taskId,
+          mondayItemId,
+          decision: 'deleted in Monday.com',
+          reason: 'task was deleted locally; it is not pulled back'
+        });
+      }
+    }
+
+    const pullResults = await pull.pullSync({
+      dryRun,
+      forceOverwrite,
+      skipConflicts,
+      removeOrphaned,
+      recreateMissingTasks,
+      regenerateTaskFiles,
+      localTasks: tasks,
+      mondayItems: pullItems,
+      skipItemIds: recreateMissingTasks ? [] : [...itemsOfDeletedTasks.keys()],
+      selectTask
+    });
+
+    // Tasks whose Monday.com item was deleted: removed locally, or recreated by the push
+    const orphanedTaskIds = new Set(pullResults.orphanedTaskIds.map(String));
+    for (const task of tasks) {
+      if (task.monday_item_id && orphanedTaskIds.has(String(task.id))) {
+        overlaps.push({
+          taskId: String(task.id),
+          mondayItemId: String(task.monday_item_id),
+          decision: removeOrphaned ? 'removed locally' : 'recreated in Monday.com',
+          reason: removeOrphaned
+            ? 'Monday.com item was deleted; the item is not recreated'
+            : 'Monday.com item was deleted and orphaned tasks are kept'
+        });
+      }
+    }
+
+    // Tasks the pull just brought in or could not settle are left alone by the push
+    const skipTaskIds = [
+      ...pullResults.newItems.map(task => task.id),
+      ...pullResults.conflictItems.map(conflict => conflict.localTask.id)
+    ].map(String);
+
+    // With a selection, the push covers the selected tasks and those the pull just brought in for this board
+    const pushTasks = selectTask
+      ? pullResults.plannedTasks.filter(task => task && (selectTask(task) || skipTaskIds.includes(String(task.id))))
+      : pullResults.plannedTasks;
+
+    const pushResults = await push.pushSync({
+      dryRun,
+      deleteOrphaned,
+      tasks: pushTasks,
+      boardSnapshot,
+      skipTaskIds,
+      tasksFileEditTime,
+      createMissingLabels
+    });
+
+    Logger.info(`Sync completed: ${overlaps.length} overlaps settled in the plan`);
+
+    return {
+      pull: pullResults,
+      push: pushResults,
+      overlaps,
+      dryRun,
+      apiBudget: getClientBudget(mondayClient)
+    };
+  }
+
+  // Return the public API
+  return {
+    sync
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createCombinedSync
+};
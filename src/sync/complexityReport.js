@@ -0,0 +1,54 @@
+/**
+ * Complexity Report Module
+ *
+ * Reads the complexity scores TaskMaster's analyze-complexity command writes to
+ * scripts/task-complexity-report.json. Push writes a task's score to the
+ * complexity column when the task has no complexity of its own, and pull
+ * compares the board's complexity against the same score.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('../utils/logger');
+
+// Where TaskMaster writes the complexity report
+const DEFAULT_REPORT_PATH = 'scripts/task-complexity-report.json';
+
+/**
+ * Reads the task complexity report file
+ * @param {string} reportPath - Path to the report (default: scripts/task-complexity-report.json)
+ * @returns {Map<string, number>} - Task ID → complexity score (empty if there is no report)
+ */
+function readComplexityReport(reportPath = DEFAULT_REPORT_PATH) {
+  const scores = new Map();
+  const resolvedPath = path.resolve(process.cwd(), reportPath);
+
+  try {
+    if (!fs.existsSync(resolvedPath)) {
+      Logger.info(`No task complexity report found at ${reportPath}`);
+      return scores;
+    }
+
+    Logger.info(`Reading task complexity report from ${reportPath}`);
+    const reportData = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+    if (reportData && Array.isArray(reportData.complexityAnalysis)) {
+      for (const item of reportData.complexityAnalysis) {
+        if (item.taskId && item.complexityScore) {
+          scores.set(String(item.taskId), item.complexityScore);
+          Logger.debug(`Found complexity for task ${item.taskId}: ${item.complexityScore}`);
+        }
+      }
+      Logger.info(`Loaded complexity data for ${scores.size} tasks`);
+    }
+  } catch (error) {
+    Logger.warn(`Error reading complexity report: ${error.message}`);
+  }
+
+  return scores;
+}
+
+module.exports = {
+  readComplexityReport,
+  DEFAULT_REPORT_PATH
+};
@@ -0,0 +1,159 @@
+/**
+ * Conflict Policy Module
+ *
+ * Resolves field conflicts between TaskMaster and Monday.com using the
+ * `conflict_policy` section of sync-config.json, which names an owner per field:
+ *
+ *   "conflict_policy": {
+ *     "status": "monday",
+ *     "details": "local",
+ *     "description": "newest",
+ *     "default": "manual"
+ *   }
+ *
+ * Fields without a policy use `default`, which itself defaults to "manual"
+ * (the conflict is reported and left to --force / --skip-conflicts).
+ */
+
+const { SYNC_FIELDS } = require('./threeWayMerge');
+
+// Supported policies
+const CONFLICT_POLICIES = ['monday', 'local', 'newest', 'manual'];
+
+/**
+ * Validates a conflict_policy configuration section
+ * @param {Object} policyConfig - The conflict_policy section
+ * @throws {Error} If the section or one of its policies is invalid
+ */
+function validateConflictPolicy(policyConfig) {
+  if (policyConfig === undefined || policyConfig === null) {
+    return;
+  }
+
+  if (typeof policyConfig !== 'object' || Array.isArray(policyConfig)) {
+    throw new Error('conflict_policy must be an object mapping task fields to policies');
+  }
+
+  for (const [field, policy] of Object.entries(policyConfig)) {
+    if (field !== 'default' && !SYNC_FIELDS.includes(field)) {
+      throw new Error(`conflict_policy has unknown field "${field}" (expected one of: ${SYNC_FIELDS.join(', ')}, default)`);
+    }
+
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`conflict_policy.${field} must be one of: ${CONFLICT_POLICIES.join(', ')} (got "${policy}")`);
+    }
+  }
+}
+
+/**
+ * Converts a timestamp (ISO string, Date or milliseconds) to milliseconds
+ * @param {*} value - The timestamp
+ * @returns {number|null} - Milliseconds, or null if the value is not a valid time
+ */
+function toTime(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const time = typeof value === 'number' ? value : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Creates a conflict policy instance
+ * @param {Object} policyConfig - The conflict_policy section of the config
+ * @returns {Object} - Conflict policy instance
+ */
+function createConflictPolicy(policyConfig = {}) {
+  validateConflictPolicy(policyConfig);
+
+  const policies = policyConfig || {};
+
+  /**
+   * Gets the policy that applies to a field
+   * @param {string} field - The task field
+   * @returns {string} - The policy
+   */
+  function getPolicy(field) {
+    return policies[field] || policies.default || 'manual';
+  }
+
+  /**
+   * Resolves a single field conflict
+   * @param {Object} conflict - The conflict ({ field, local, base, remote })
+   * @param {Object} context - Edit times used by the "newest" policy
+   * @param {*} context.localUpdatedAt - When the local task was last edited
+   * @param {*} context.remoteUpdatedAt - When the Monday.com item was last edited
+   * @returns {Object} - { field, winner, policy, reason }; winner is 'monday', 'local' or null if unresolved
+   */
+  function resolveConflict(conflict, context = {}) {
+    const field = conflict.field;
+    const policy = getPolicy(field);
+    const rule = `conflict_policy.${policies[field] ? field : 'default'} = ${policy}`;
+
+    if (policy === 'monday' || policy === 'local') {
+      return { field, winner: policy, policy, reason: rule };
+    }
+
+    if (policy === 'newest') {
+      const localTime = toTime(context.localUpdatedAt);
+      const remoteTime = toTime(context.remoteUpdatedAt);
+
+      if (localTime === null || remoteTime === null) {
+        return { field, winner: null, policy, reason: `${rule}, but the ${localTime === null ? 'local' : 'Monday.com'} edit time is unknown` };
+      }
+
+      if (localTime === remoteTime) {
+        return { field, winner: null, policy, reason: `${rule}, but both sides were edited at the same time` };
+      }
+
+      const winner = remoteTime > localTime ? 'monday' : 'local';
+      return {
+        field,
+        winner,
+        policy,
+        reason: `${rule} (Monday.com edited ${new Date(remoteTime).toISOString()}, local edited ${new Date(localTime).toISOString()})`
+      };
+    }
+
+    return { field, winner: null, policy, reason: rule };
+  }
+
+  /**
+   * Resolves a list of field conflicts
+   * @param {Object[]} conflicts - The conflicts ({ field, local, base, remote })
+   * @param {Object} context - Edit times used by the "newest" policy
+   * @returns {Object} - { resolutions, unresolved }: resolved decisions and the conflicts left over
+   */
+  function resolveConflicts(conflicts, context = {}) {
+    const resolutions = [];
+    const unresolved = [];
+
+    for (const conflict of conflicts) {
+      const resolution = resolveConflict(conflict, context);
+      if (resolution.winner) {
+        resolutions.push(resolution);
+      } else {
+        unresolved.push(conflict);
+      }
+    }
+
+    return {
+      resolutions,
+      unresolved
+    };
+  }
+
+  // Return the public API
+  return {
+    getPolicy,
+    resolveConflict,
+    resolveConflicts
+  };
+}
+
+module.exports = {
+  createConflictPolicy,
+  validateConflictPolicy,
+  CONFLICT_POLICIES
+};
@@ -0,0 +1,230 @@
+/**
+ * Label Resolver Module
+ *
+ * Reads the labels of a board's status and dropdown columns from their
+ * settings_str (as returned by getBoard) and resolves values against them.
+ * A value can name a label by its text, by its index (status) or ID (dropdown),
+ * or by the number in its text, so a complexity score of 5 finds "5",
+ * "Complexity 5" or "5 - Medium" on whatever board it is pushed to. The same
+ * labels map back to numbers when items are pulled.
+ */
+
+const { Logger } = require('../utils/logger');
+
+// Column types whose settings hold labels
+const STATUS_COLUMN_TYPES = ['status', 'color'];
+const DROPDOWN_COLUMN_TYPES = ['dropdown'];
+
+/**
+ * Parses the labels out of a column's settings
+ * @param {string|Object} settings - The column's settings_str (or parsed settings)
+ * @returns {Object[]} - The labels ({ id, label }) in index order, including empty ones
+ */
+function parseLabelSettings(settings) {
+  let parsed = settings;
+  if (typeof settings === 'string') {
+    try {
+      parsed = JSON.parse(settings);
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      return [];
+    }
+  }
+
+  const labels = parsed && parsed.labels;
+  if (!labels || typeof labels !== 'object') {
+    return [];
+  }
+
+  // Dropdown columns list { id, name } entries, status columns map indexes to labels
+  if (Array.isArray(labels)) {
+    return labels
+      .filter(entry => entry !== null && entry !== undefined)
+      .map((entry, position) => (typeof entry === 'object'
+        ? { id: entry.id !== undefined ? Number(entry.id) : position, label: String(entry.name || '') }
+        : { id: position, label: String(entry) }));
+  }
+
+  return Object.keys(labels)
+    .sort((a, b) => Number(a) - Number(b))
+    .map(index => ({ id: Number(index), label: labels[index] === null ? '' : String(labels[index]) }));
+}
+
+/**
+ * Gets the number a label stands for ("Complexity 5" → 5)
+ * @param {string} label - The label
+ * @returns {number|null} - The first number in the label, or null if it has none
+ */
+function labelNumber(label) {
+  const match = String(label || '').match(/-?\d+(\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Creates a label resolver for a board's columns
+ * @param {Object[]} columns - The board columns ({ id, type, settings_str })
+ * @returns {Object} - Label resolver instance
+ */
+function createLabelResolver(columns = []) {
+  // Column ID → { kind, labels } for the columns that hold labels
+  const labelColumns = new Map();
+  for (const column of columns || []) {
+    const kind = STATUS_COLUMN_TYPES.includes(column.type)
+      ? 'status'
+      : DROPDOWN_COLUMN_TYPES.includes(column.type) ? 'dropdown' : null;
+    if (kind) {
+      const labels = parseLabelSettings(column.settings_str || column.settings)
+        .filter(entry => entry.label.trim() !== '');
+      labelColumns.set(String(column.id), { kind, labels });
+    }
+  }
+
+  /**
+   * Checks whether a column holds labels
+   * @param {string} columnId - The column ID
+   * @returns {boolean} - True for status and dropdown columns
+   */
+  function hasLabels(columnId) {
+    return labelColumns.has(String(columnId));
+  }
+
+  /**
+   * Gets the labels of a column
+   * @param {string} columnId - The column ID
+   * @returns {Object[]} - The labels ({ id, label }), empty if the column has none
+   */
+  function getLabels(columnId) {
+    const column = labelColumns.get(String(columnId));
+    return column ? column.labels : [];
+  }
+
+  /**
+   * Finds the label a value stands for: a label with the same text, then (for
+   * numbers) the label with the same number, then the label with that index or
+   * ID, and finally (for numbers) the label with the closest number
+   * @param {string} columnId - The column ID
+   * @param {string|number} value - The value
+   * @returns {Object|null} - The label ({ id, label }), or null if none matches
+   */
+  function resolveLabel(columnId, value) {
+    const labels = getLabels(columnId);
+    if (labels.length === 0 || value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const text = String(value).trim().toLowerCase();
+    const byText = labels.find(entry => entry.label.trim().toLowerCase() === text);
+    if (byText) {
+      return byText;
+    }
+
+    const number = /^-?\d+(\.\d+)?$/.test(text) ? Number(text) : null;
+    const numbered = labels.filter(entry => labelNumber(entry.label) !== null);
+    if (number !== null) {
+      const byNumber = numbered.find(entry => labelNumber(entry.label) === number);
+      if (byNumber) {
+        return byNumber;
+      }
+    }
+
+    const byId = labels.find(entry => String(entry.id) === text);
+    if (byId) {
+      return byId;
+    }
+
+    // Scores outside the board's range (e.g. 10 on a 1-9 board) take the nearest label
+    if (number !== null && numbered.length > 0) {
+      return numbered.reduce((closest, entry) => {
+        const distance = Math.abs(labelNumber(entry.label) - number);
+        const closestDistance = Math.abs(labelNumber(closest.label) - number);
+        return distance < closestDistance || (distance === closestDistance && labelNumber(entry.label) < labelNumber(closest.label))
+          ? entry
+          : closest;
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Turns a value into a column value for a status or dropdown column
+   * @param {string} columnId - The column ID
+   * @param {string|number} value - The value
+   * @returns {Object|null} - { index } for status columns, { ids } for dropdown columns,
+   *   or null if the column has no matching label
+   */
+  function toColumnValue(columnId, value) {
+    const label = resolveLabel(columnId, value);
+    if (!label) {
+      return null;
+    }
+    return labelColumns.get(String(columnId)).kind === 'dropdown'
+      ? { ids: [label.id] }
+      : { index: label.id };
+  }
+
+  /**
+   * Maps a column value of an item back to the number its label stands for
+   * @param {string} columnId - The column ID
+   * @param {Object} columnValue - The item's column value ({ text, value })
+   * @returns {number|null} - The number, or null if the label has none
+   */
+  function toNumber(columnId, columnValue) {
+    if (!columnValue) {
+      return null;
+    }
+
+    // The label text names the number; the index finds the label when there is no text
+    let text = columnValue.text;
+    if (!text && columnValue.value && hasLabels(columnId)) {
+      try {
+        const parsed = typeof columnValue.value === 'string' ? JSON.parse(columnValue.value) : columnValue.value;
+        const label = parsed && parsed.index !== undefined
+          ? getLabels(columnId).find(entry => entry.id === Number(parsed.index))
+          : null;
+        text = label ? label.label : null;
+        // eslint-disable-next-line no-unused-vars
+      } catch (error) {
+        text = null;
+      }
+    }
+
+    return labelNumber(text);
+  }
+
+  // Return the public API
+  return {
+    hasLabels,
+    getLabels,
+    resolveLabel,
+    toColumnValue,
+    toNumber
+  };
+}
+
+/**
+ * Reads a board's columns and creates a label resolver for them
+ * @param {Object} mondayClient - Monday.com client with getBoard
+ * @param {string} boardId - The board ID
+ * @returns {Promise<Object|null>} - The label resolver, or null if the board could not be read
+ */
+async function loadLabelResolver(mondayClient, boardId) {
+  if (!mondayClient || typeof mondayClient.getBoard !== 'function') {
+    return null;
+  }
+
+  try {
+    const board = await mondayClient.getBoard(boardId);
+    return createLabelResolver((board && board.columns) || []);
+  } catch (error) {
+    Logger.warn(`Could not read the labels of board ${boardId}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  createLabelResolver,
+  loadLabelResolver,
+  parseLabelSettings,
+  labelNumber
+};
@@ -0,0 +1,320 @@
+/**
+ * Operation Journal Module
+ *
+ * Records the Monday.com mutations of a push run (or of the updates an interactive
+ * pull pushes back) in a journal file next to the sync state. Each operation is
+ * written as pending before it is made and marked done once Monday.com and the
+ * sync state both have it, so a run that dies halfway leaves a journal saying
+ * how far it got. The next push finds the
+ * journal and either resumes the run, skipping the tasks whose operations all
+ * finished, or abandons it. A run that finishes removes its journal.
+ */
+
+const { Logger } = require('../utils/logger');
+
+// Schema version of the journal file
+const JOURNAL_VERSION = 1;
+
+// Error code of the error thrown when a push finds the journal of an interrupted run
+const JOURNAL_UNFINISHED_ERROR_CODE = 'SYNC_JOURNAL_UNFINISHED';
+
+/**
+ * Describes a journal operation for messages
+ * @param {Object} operation - The operation ({ type, taskId, mondayItemId })
+ * @returns {string} - The description
+ */
+function describeOperation(operation) {
+  const item = operation.mondayItemId ? `item ${operation.mondayItemId}` : 'an item';
+  switch (operation.type) {
+    case 'create_item':
+      return `create ${item} for task ${operation.taskId}`;
+    case 'update_item':
+      return `update ${item} for task ${operation.taskId}`;
+    case 'delete_item':
+      return `delete ${item} of task ${operation.taskId}`;
+    case 'push_subtasks':
+      return `push the subtasks of task ${operation.taskId} to ${item}`;
+    default:
+      return `${operation.type} for task ${operation.taskId}`;
+  }
+}
+
+/**
+ * Summarizes how far the run of a journal got
+ * @param {Object} journal - The journal
+ * @returns {Object} - { total, done, unfinished, finishedTaskIds }, where unfinished are the
+ *   pending and failed operations and finishedTaskIds the tasks whose operations are all done
+ */
+function summarizeJournal(journal) {
+  const operations = (journal && journal.operations) || [];
+  const unfinished = operations.filter(operation => operation.status !== 'done');
+  const unfinishedTaskIds = new Set(unfinished.map(operation => String(operation.taskId)));
+  const finishedTaskIds = [...new Set(operations.map(operation => String(operation.taskId)))]
+    .filter(taskId => !unfinishedTaskIds.has(taskId));
+
+  return {
+    total: operations.length,
+    done: operations.length - unfinished.length,
+    unfinished,
+    finishedTaskIds
+  };
+}
+
+/**
+ * Builds the error thrown when a push finds the journal of an interrupted run
+ * @param {Object} journal - The journal
+ * @returns {Error} - The error, with code SYNC_JOURNAL_UNFINISHED
+ */
+function unfinishedJournalError(journal) {
+  const { total, unfinished } = summarizeJournal(journal);
+  const board = journal.boardId ? ` of board ${journal.boardId}` : '';
+  const operations = unfinished.length > 0
+    ? ` (${unfinished.map(operation => `${describeOperation(operation)}: ${operation.status}`).join('; ')})`
+    : '';
+
+  const error = new Error(
+    `A ${journal.command || 'push'}${board} started at ${journal.startedAt} was interrupted with ${unfinished.length} of ${total} operations unfinished${operations}. `
+    + 'Run push with --resume to continue it or --abandon to discard it'
+  );
+  error.code = JOURNAL_UNFINISHED_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Checks that no interrupted push left its journal, for runs that push without resuming one (sync, watch, interactive pull)
+ * @param {Object} stateManager - The sync state manager that stores the journal
+ * @returns {Promise<void>}
+ * @throws {Error} - SYNC_JOURNAL_UNFINISHED when an interrupted run's journal is found
+ */
+async function assertNoUnfinishedJournal(stateManager) {
+  const existing = stateManager && typeof stateManager.readJournal === 'function'
+    ? await stateManager.readJournal()
+    : null;
+  if (existing) {
+    throw unfinishedJournalError(existing);
+  }
+}
+
+/**
+ * Creates an operation journal for one run. Nothing is written until the first
+ * operation is recorded, so a run that stops before changing anything leaves no journal.
+ * @param {Object} options - Journal options
+ * @param {Object} options.stateManager - The sync state manager that stores the journal
+ * @param {string} options.command - The command of the run (e.g. push)
+ * @param {string} options.boardId - The board the run writes to
+ * @param {Object} options.runOptions - Options of the run, kept for reference
+ * @param {boolean} options.enabled - Whether to keep a journal (off for dry runs)
+ * @returns {Object} - Operation journal instance
+ */
+function createOperationJournal(options = {}) {
+  const stateManager = options.stateManager || {};
+  const enabled = options.enabled !== false && typeof stateManager.writeJournal === 'function';
+
+  let journal = null;
+  let nextId = 1;
+
+  /**
+   * Writes the journal
+   * @returns {Promise<void>}
+   */
+  async function save() {
+    journal.updatedAt = new Date().toISOString();
+    await stateManager.writeJournal(journal);
+  }
+
+  /**
+   * Continues the journal of an interrupted run, so its finished operations stay recorded
+   * @param {Object} existing - The journal left by the interrupted run
+   * @returns {Promise<void>}
+   */
+  async function resume(existing) {
+    if (!enabled) {
+      return;
+    }
+
+    journal = existing;
+    journal.operations = journal.operations || [];
+    journal.resumedAt = new Date().toISOString();
+    nextId = journal.operations.reduce((max, operation) => Math.max(max, Number(operation.id) || 0), 0) + 1;
+    await save();
+  }
+
+  /**
+   * Records an operation as pending before it is made
+   * @param {Object} operation - The operation ({ type, taskId, mondayItemId })
+   * @returns {Promise<number|null>} - The operation's ID in the journal (null when disabled)
+   */
+  async function record(operation) {
+    if (!enabled) {
+      return null;
+    }
+
+    if (!journal) {
+      journal = {
+        version: JOURNAL_VERSION,
+        command: options.command || 'push',
+        boardId: options.boardId ? String(options.boardId) : null,
+        startedAt: new Date().toISOString(),
+        options: options.runOptions || {},
+        operations: []
+      };
+    }
+
+    const entry = {
+      id: nextId++,
+      type: operation.type,
+      taskId: String(operation.taskId),
+      ...(operation.mondayItemId && { mondayItemId: String(operation.mondayItemId) }),
+      status: 'pending',
+      startedAt: new Date().toISOString()
+    };
+    journal.operations.push(entry);
+    await save();
+
+    return entry.id;
+  }
+
+  /**
+   * Marks an operation done or failed
+   * @param {number} id - The operation's ID in the journal
+   * @param {string} status - done or failed
+   * @param {Object} details - Fields to add to the entry (e.g. the created item's ID, the error)
+   * @returns {Promise<void>}
+   */
+  async function settle(id, status, details = {}) {
+    const entry = journal && journal.operations.find(operation => operation.id === id);
+    if (!entry) {
+      return;
+    }
+
+    Object.assign(entry, details, { status, completedAt: new Date().toISOString() });
+    await save();
+  }
+
+  /**
+   * Runs an operation between recording it and marking it done (or failed, when it throws)
+   * @param {Object} operation - The operation ({ type, taskId, mondayItemId })
+   * @param {Function} fn - Makes the change in Monday.com and records it in the sync state
+   * @returns {Promise<*>} - The function's result
+   */
+  async function run(operation, fn) {
+    const id = await record(operation);
+    if (id === null) {
+      return fn();
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      await settle(id, 'failed', { error: error.message });
+      throw error;
+    }
+
+    // A created item's ID is only known once it exists
+    const details = !operation.mondayItemId && result && result.id ? { mondayItemId: String(result.id) } : {};
+    await settle(id, 'done', details);
+    return result;
+  }
+
+  /**
+   * Gets the journal as it stands
+   * @returns {Object|null} - The journal, or null until an operation is recorded
+   */
+  function getJournal() {
+    return journal;
+  }
+
+  /**
+   * Removes the journal once the run has finished
+   * @returns {Promise<void>}
+   */
+  async function finish() {
+    if (!enabled || !journal) {
+      return;
+    }
+
+    await stateManager.removeJournal();
+    journal = null;
+  }
+
+  // Return the public API
+  return {
+    resume,
+    record,
+    run,
+    finish,
+    getJournal
+  };
+}
+
+/**
+ * Opens the journal of a push run, dealing with one left by an interrupted run first
+ * @param {Object} options - Open options
+ * @param {Object} options.stateManager - The sync state manager that stores the journal
+ * @param {string} options.boardId - The board the run writes to
+ * @param {Object} options.runOptions - Options of the run, kept in the journal
+ * @param {boolean} options.dryRun - Dry runs change nothing, so they keep no journal and only warn
+ * @param {boolean} options.resume - Continue an interrupted run
+ * @param {boolean} options.abandon - Discard the journal of an interrupted run
+ * @returns {Promise<Object>} - { journal, skipTaskIds, outcome }, where skipTaskIds are the tasks
+ *   the interrupted run finished and outcome describes what happened to its journal (null if there was none)
+ * @throws {Error} - SYNC_JOURNAL_UNFINISHED when an interrupted run's journal is found without resume or abandon
+ */
+async function openOperationJournal(options = {}) {
+  const stateManager = options.stateManager || {};
+  const journal = createOperationJournal({
+    stateManager,
+    command: 'push',
+    boardId: options.boardId,
+    runOptions: options.runOptions,
+    enabled: !options.dryRun
+  });
+
+  const existing = typeof stateManager.readJournal === 'function' ? await stateManager.readJournal() : null;
+  if (!existing) {
+    if (options.resume) {
+      Logger.info('No interrupted push to resume - pushing every task');
+    }
+    return { journal, skipTaskIds: [], outcome: null };
+  }
+
+  const summary = summarizeJournal(existing);
+  const unfinished = summary.unfinished.map(describeOperation);
+
+  if (options.dryRun) {
+    Logger.warn(`A push started at ${existing.startedAt} was interrupted; run push with --resume or --abandon before pushing for real`);
+    return { journal, skipTaskIds: [], outcome: null };
+  }
+
+  if (options.resume) {
+    Logger.info(`Resuming the push started at ${existing.startedAt}: ${summary.done} of ${summary.total} operations were done`);
+    await journal.resume(existing);
+    return {
+      journal,
+      skipTaskIds: summary.finishedTaskIds,
+      outcome: { action: 'resumed', startedAt: existing.startedAt, skippedTaskIds: summary.finishedTaskIds, unfinished }
+    };
+  }
+
+  if (options.abandon) {
+    Logger.warn(`Abandoning the push started at ${existing.startedAt} with ${unfinished.length} unfinished operations`);
+    await stateManager.removeJournal();
+    return {
+      journal,
+      skipTaskIds: [],
+      outcome: { action: 'abandoned', startedAt: existing.startedAt, skippedTaskIds: [], unfinished }
+    };
+  }
+
+  throw unfinishedJournalError(existing);
+}
+
+module.exports = {
+  createOperationJournal,
+  openOperationJournal,
+  assertNoUnfinishedJournal,
+  summarizeJournal,
+  describeOperation,
+  JOURNAL_UNFINISHED_ERROR_CODE
+};
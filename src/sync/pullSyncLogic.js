@@ -7,10 +7,18 @@
 
 const taskMasterIO = require('./taskMasterIO');
 const { createSyncStateManager } = require('./syncStateManager');
+const { createTaskItemMapper } = require('./taskItemMapper');
+const { loadLabelResolver } = require('./labelResolver');
+const { readComplexityReport } = require('./complexityReport');
+const { getSyncedFields, snapshotTask, threeWayMerge, differingFields, nextBaseSnapshot } = require('./threeWayMerge');
+const { createConflictPolicy } = require('./conflictPolicy');
+const { createSubtaskSync, emptySubtaskChanges } = require('./subtaskSync');
+const { createTaskFileGenerator, TASK_MASTER_GENERATOR } = require('./taskFileGenerator');
+const { createOperationJournal, assertNoUnfinishedJournal } = require('./operationJournal');
+const { checkBoardSchema } = require('../config/schemaValidator');
 const { createMondayClient } = require('../api/mondayClient');
+const { getClientBudget } = require('../api/complexityBudget');
 const { Logger } = require('../utils/logger');
-const path = require('path');
-const fs = require('fs');
 
 /**
  * Creates a Pull Sync instance
@@ -54,99 +62,139 @@ function createPullSync(config, options = {}) {
   }
   
   // Initialize clients
-  const mondayClient = createMondayClient(config);
-  const stateManager = createSyncStateManager({ syncFilePath: syncFilePath });
+  const mondayClient = options.mondayClient || createMondayClient(config);
+  const stateManager = options.stateManager || createSyncStateManager({ syncFilePath: syncFilePath });
+  
+  // Path to tasks.json (TaskMaster's default location when not given)
+  const tasksFilePath = options.tasksFilePath || null;
+  
+  // Tag of a tagged tasks.json to pull into (master when not given)
+  const tag = options.tag || null;
   
   // Column mappings from config
   const columnMapping = options.columnMappings || config.column_mappings;
   
-  // Mapping from Monday.com status to TaskMaster status
-  function reverseMapping(mapping) {
-    const reversed = {};
-    
-    // Handle null or undefined mapping
-    if (!mapping) {
-      return reversed;
+  // Maps Monday.com items to TaskMaster tasks
+  const taskItemMapper = createTaskItemMapper({
+    columnMapping,
+    statusMappings: config.status_mappings,
+    priorityMappings: config.priority_mappings
+  });
+  
+  // Task fields compared against the stored base snapshots
+  const syncedFields = getSyncedFields(columnMapping);
+  
+  // The mappings checked against the board before resolved conflicts are pushed back to it
+  const schemaConfig = {
+    column_mappings: columnMapping,
+    status_mappings: config.status_mappings || {},
+    priority_mappings: config.priority_mappings || {}
+  };
+  
+  // Labels of the board's status and dropdown columns (null until pullSync loads them)
+  let labelResolver = null;
+  
+  // Complexity scores from TaskMaster's complexity report (loaded by pullSync)
+  let complexityScores = new Map();
+  
+  // Per-field owners from the conflict_policy config section
+  const conflictPolicy = createConflictPolicy(config.conflict_policy);
+  
+  // Writes the task_NNN.txt files next to tasks.json
+  const taskFileGenerator = createTaskFileGenerator({
+    mondayBoardId,
+    useTaskMaster: config.task_file_generator === TASK_MASTER_GENERATOR
+  });
+  
+  // Subitems are pulled into subtasks once subitem columns are mapped
+  const subtaskSync = config.subitem_column_mappings
+    ? createSubtaskSync({
+      mondayClient,
+      stateManager,
+      subitemColumnMapping: config.subitem_column_mappings,
+      statusMappings: config.status_mappings
+    })
+    : null;
+  
+  /**
+   * Maps a Monday.com item to a TaskMaster task
+   * @param {Object} item - The Monday.com item
+   * @param {Object} mappingOptions - Mapping options
+   * @param {Object} mappingOptions.localTask - The local task, used for fields resolved in its favour
+   * @param {Object[]} mappingOptions.resolutions - Conflict policy decisions ({ field, winner })
+   * @returns {Object} - TaskMaster task
+   */
+  function mapItemToTask(item, mappingOptions = {}) {
+    return taskItemMapper.mapItemToTask(item, { labelResolver, ...mappingOptions });
+  }
+  
+  /**
+   * Checks whether the Monday.com item gives a task a different complexity than
+   * push would write for it (its own complexity or the complexity report's score).
+   * Scores the board has no label of their own (e.g. 10 on a 1-9 board) count as
+   * unchanged while they still resolve to the item's label.
+   * @param {Object} localTask - The local task
+   * @param {Object} mondayTask - The task mapped from the Monday.com item
+   * @returns {boolean} - True if the complexity should be pulled
+   */
+  function complexityChanged(localTask, mondayTask) {
+    // Tasks without a complexity of their own are pushed with the report's score
+    const localComplexity = localTask.complexity !== undefined
+      ? localTask.complexity
+      : complexityScores.get(String(localTask.id));
+    if (mondayTask.complexity === undefined || String(localComplexity) === String(mondayTask.complexity)) {
+      return false;
     }
     
-    for (const [key, value] of Object.entries(mapping)) {
-      if (value) {
-        reversed[value.toLowerCase()] = key;
-      }
+    if (labelResolver && labelResolver.hasLabels(columnMapping.complexity)) {
+      const localLabel = labelResolver.resolveLabel(columnMapping.complexity, localComplexity);
+      const mondayLabel = labelResolver.resolveLabel(columnMapping.complexity, mondayTask.complexity);
+      return !localLabel || !mondayLabel || localLabel.id !== mondayLabel.id;
     }
-    return reversed;
+    return true;
   }
   
-  // Create reverse mappings
-  const statusMapping = reverseMapping(config.status_mappings);
-  const priorityMapping = reverseMapping(config.priority_mappings);
+  /**
+   * Adds conflict policy decisions for a task to the comparison results
+   * @param {Object} results - Comparison results
+   * @param {string} taskId - The TaskMaster task ID
+   * @param {Object[]} resolutions - The decisions ({ field, winner, policy, reason })
+   */
+  function recordResolutions(results, taskId, resolutions) {
+    for (const resolution of resolutions) {
+      Logger.debug(`Task ${taskId} ${resolution.field}: ${resolution.winner === 'monday' ? 'Monday.com' : 'local'} value kept by ${resolution.reason}`);
+      results.resolutions.push({ taskId, ...resolution });
+    }
+  }
   
   /**
-   * Maps a Monday.com item to a TaskMaster task
+   * Applies the conflict policy to a task that has no base snapshot yet.
+   * Every differing field is a potential conflict; fields the policy gives to the
+   * local side keep their local values, all others take the Monday.com value.
+   * @param {Object} localTask - The local task
    * @param {Object} item - The Monday.com item
-   * @returns {Object} - TaskMaster task
+   * @param {Object} editTimes - { localUpdatedAt, remoteUpdatedAt } for the "newest" policy
+   * @param {Object} results - Comparison results to record the decisions in
+   * @returns {Object} - The task to write locally
    */
-  function mapItemToTask(item) {
-    // Create a new task object with only required fields
-    const task = {
-      title: item.name,
-      monday_item_id: item.id
-    };
+  function applyConflictPolicy(localTask, item, editTimes, results) {
+    const mondayTask = mapItemToTask(item);
+    const { resolutions } = conflictPolicy.resolveConflicts(
+      differingFields(localTask, mondayTask, syncedFields),
+      editTimes
+    );
     
-    // Process all column values from Monday.com
-    for (const column of item.column_values || []) {
-      if (!column.id || !column.text) {
-        continue;
-      }
-      
-      // Task ID
-      if (column.id === columnMapping.taskId) {
-        task.id = column.text;
-      }
-      
-      // Status
-      if (column.id === columnMapping.status) {
-        const mondayStatus = column.text.toLowerCase();
-        task.status = statusMapping[mondayStatus] || mondayStatus;
-      }
-      
-      // Priority
-      if (column.id === columnMapping.priority) {
-        const mondayPriority = column.text.toLowerCase();
-        task.priority = priorityMapping[mondayPriority] || mondayPriority;
-      }
-      
-      // Dependencies
-      if (column.id === columnMapping.dependencies && column.text) {
-        task.dependencies = column.text.split(',').map(d => d.trim()).filter(Boolean);
-      }
-      
-      // Description
-      if (column.id === columnMapping.description) {
-        task.description = column.text;
-      }
-      
-      // Details
-      if (column.id === columnMapping.details) {
-        task.details = column.text;
-      }
-      
-      // Test Strategy
-      if (column.id === columnMapping.testStrategy) {
-        task.testStrategy = column.text;
-      }
-    }
+    recordResolutions(results, mondayTask.id, resolutions);
     
-    // Initialize empty arrays if not set
-    if (!task.dependencies) {
-      task.dependencies = [];
-    }
+    const updatedTask = mapItemToTask(item, { localTask, resolutions });
     
-    if (!task.subtasks) {
-      task.subtasks = [];
+    // A local score that still resolves to the item's complexity label is kept
+    if (updatedTask.complexity !== undefined && !complexityChanged(localTask, updatedTask)) {
+      updatedTask.complexity = localTask.complexity;
     }
+    results.baseSnapshots[mondayTask.id] = nextBaseSnapshot(updatedTask, mondayTask, null, syncedFields);
     
-    return task;
+    return updatedTask;
   }
   
   /**
@@ -176,16 +224,111 @@ function createPullSync(config, options = {}) {
       throw new Error('No valid groups found');
     }
     
-    // Fetch items from all valid groups
+    // Fetch every page of items from all valid groups
     const items = [];
     for (const group of validGroups) {
-      const groupItems = await mondayClient.getItems(mondayBoardId, { groupId: group.id });
+      const groupItems = await mondayClient.getAllItems(mondayBoardId, { groupId: group.id });
       items.push(...groupItems);
     }
     
     return items;
   }
   
+  /**
+   * Fetches specific Monday.com items, keeping those in the configured board and groups
+   * @param {string[]} itemIds - The Monday.com item IDs
+   * @returns {Promise<Array>} - The items that still exist in the synced groups
+   */
+  async function fetchMondayItemsByIds(itemIds) {
+    const items = await mondayClient.getItemsByIds(itemIds);
+    
+    return items.filter(item => {
+      if (item.board && String(item.board.id) !== String(mondayBoardId)) {
+        Logger.debug(`Monday.com item ${item.id} is on board ${item.board.id}, not ${mondayBoardId} - skipping`);
+        return false;
+      }
+      if (!mondayGroupIds.includes('all') && !mondayGroupIds.includes(item.group?.id)) {
+        Logger.debug(`Monday.com item ${item.id} is not in a synced group - skipping`);
+        return false;
+      }
+      return true;
+    });
+  }
+  
+  /**
+   * Classifies a task that exists on both sides using a three-way comparison.
+   * Fields changed only in Monday.com are pulled, fields changed only locally are
+   * kept (push sends them), and fields changed on both sides are settled by the
+   * conflict policy or reported as conflicts.
+   * @param {Object} localTask - The local task
+   * @param {Object} baseSnapshot - The base snapshot from the last successful sync
+   * @param {Object} mondayTask - The task mapped from the Monday.com item
+   * @param {Object} editTimes - { localUpdatedAt, remoteUpdatedAt } for the "newest" policy
+   * @param {Object} options - Comparison options (forceOverwrite, skipConflicts)
+   * @param {Object} results - Comparison results to add the task to
+   */
+  function mergeWithBase(localTask, baseSnapshot, mondayTask, editTimes, options, results) {
+    const merge = threeWayMerge(localTask, baseSnapshot, mondayTask, syncedFields);
+    const mergedTask = {
+      ...localTask,
+      ...merge.merged,
+      monday_item_id: mondayTask.monday_item_id
+    };
+    
+    // Complexity is taken from Monday.com, where push writes it
+    const pullsComplexity = complexityChanged(localTask, mondayTask);
+    if (pullsComplexity) {
+      mergedTask.complexity = mondayTask.complexity;
+    }
+    
+    // Let the conflict policy settle the fields it owns
+    const { resolutions, unresolved } = conflictPolicy.resolveConflicts(merge.conflicts, editTimes);
+    for (const resolution of resolutions) {
+      mergedTask[resolution.field] = resolution.winner === 'monday'
+        ? mondayTask[resolution.field]
+        : localTask[resolution.field];
+    }
+    
+    if (unresolved.length > 0) {
+      const conflictFields = unresolved.map(conflict => conflict.field);
+      
+      if (options.forceOverwrite) {
+        Logger.debug(`Task ${mondayTask.id} has conflicting changes (${conflictFields.join(', ')}) - force overwrite enabled, using Monday.com values`);
+        for (const conflict of unresolved) {
+          mergedTask[conflict.field] = mondayTask[conflict.field];
+        }
+      } else if (options.skipConflicts) {
+        Logger.debug(`Task ${mondayTask.id} has conflicting changes (${conflictFields.join(', ')}) - skipping`);
+        results.unchangedItems.push(mondayTask);
+        return;
+      } else {
+        Logger.debug(`Task ${mondayTask.id} has conflicting changes in: ${conflictFields.join(', ')}`);
+        results.conflictItems.push({
+          mondayTask,
+          localTask,
+          reason: `Changed both locally and in Monday.com: ${conflictFields.join(', ')}`,
+          fields: unresolved,
+          resolutions,
+          mergedTask
+        });
+        return;
+      }
+    }
+    
+    recordResolutions(results, mondayTask.id, resolutions);
+    
+    if (differingFields(localTask, mergedTask, syncedFields).length === 0 && !pullsComplexity) {
+      // Nothing to pull; local-only changes are left for push
+      Logger.debug(`Task ${mondayTask.id} has no changes to pull${merge.localChanges.length > 0 ? ` (local changes: ${merge.localChanges.join(', ')})` : ''}`);
+      results.unchangedItems.push(mondayTask);
+      return;
+    }
+    
+    Logger.debug(`Task ${mondayTask.id} has changes in Monday.com (${[...merge.remoteChanges, ...(pullsComplexity ? ['complexity'] : [])].join(', ')}) - merging`);
+    results.updatedItems.push(mergedTask);
+    results.baseSnapshots[mondayTask.id] = nextBaseSnapshot(mergedTask, mondayTask, baseSnapshot, syncedFields);
+  }
+  
   /**
    * Compare Monday.com items with local tasks to find new items, updated items, and conflicts
    * @param {Array} mondayItems - Monday.com items to compare
@@ -195,6 +338,8 @@ function createPullSync(config, options = {}) {
    * @param {boolean} options.skipConflicts - Whether to skip conflicting tasks
    * @param {string} options.specificTaskId - Specific task ID to compare
    * @param {boolean} options.recreateMissingTasks - Whether to recreate tasks that exist in Monday but not locally
+   * @param {string[]} options.skipItemIds - Monday.com items to leave out of the comparison
+   * @param {string[]} options.skipTaskIds - Tasks whose items to leave out of the comparison
    * @returns {Promise<Object>} - Comparison results
    */
   async function compareItemsWithTasks(mondayItems, localTasks, options = {}) {
@@ -225,14 +370,28 @@ function createPullSync(config, options = {}) {
       conflictItems: [],
       unchangedItems: [],
       recreatedItems: [],
-      orphanedTaskIds: []
+      orphanedTaskIds: [],
+      resolutions: [], // Fields decided by the conflict policy
+      baseSnapshots: {} // Base snapshots to store once the results are applied
     };
     
+    // Local edit time for tasks that do not record their own
+    const tasksFileEditTime = taskMasterIO.getTasksFileEditTime(tasksFilePath);
+    
     // Initialize conflicts array as an alias to conflictItems for backwards compatibility
     results.conflicts = results.conflictItems;
     
+    // Items left alone for this run
+    const skipItemIds = new Set((options.skipItemIds || []).map(String));
+    const skipTaskIds = new Set((options.skipTaskIds || []).map(String));
+    
     // Process each Monday.com item
     for (const item of mondayItems) {
+      if (skipItemIds.has(String(item.id))) {
+        Logger.debug(`Monday.com item ${item.id} is left alone for this run - skipping`);
+        continue;
+      }
+      
       try {
         // Map the Monday.com item to a TaskMaster task
         const mondayTask = mapItemToTask(item);
@@ -243,6 +402,11 @@ function createPullSync(config, options = {}) {
           continue;
         }
         
+        if (skipTaskIds.has(String(mondayTask.id))) {
+          Logger.debug(`Task ${mondayTask.id} (Monday.com item ${item.id}) is synced elsewhere - skipping`);
+          continue;
+        }
+        
         // If a specific task ID is provided, skip all other tasks
         if (options.specificTaskId && String(mondayTask.id) !== String(options.specificTaskId)) {
           continue;
@@ -258,6 +422,7 @@ function createPullSync(config, options = {}) {
           Logger.info(`Task ${mondayTask.id} (Monday item ${mondayTask.monday_item_id}) exists in Monday but not locally - will recreate it`);
           results.recreatedItems.push(mondayTask);
           results.newItems.push(mondayTask); // Add to newItems so it gets created
+          results.baseSnapshots[mondayTask.id] = snapshotTask(mondayTask, syncedFields);
           continue;
         }
         
@@ -276,7 +441,8 @@ function createPullSync(config, options = {}) {
             results.conflictItems.push({
               mondayTask,
               localTask: mappedLocalTask,
-              reason: `Monday.com item ${item.id} is mapped to local Task ${mappedLocalTask.id}, but item's Task ID column is ${mondayTask.id}`
+              reason: `Monday.com item ${item.id} is mapped to local Task ${mappedLocalTask.id}, but item's Task ID column is ${mondayTask.id}`,
+              fields: differingFields(mappedLocalTask, mondayTask, syncedFields)
             });
             continue;
           }
@@ -286,16 +452,32 @@ function createPullSync(config, options = {}) {
         if (!localTask) {
           Logger.debug(`Task ${mondayTask.id} doesn't exist locally - treating as new`);
           results.newItems.push(mondayTask);
+          results.baseSnapshots[mondayTask.id] = snapshotTask(mondayTask, syncedFields);
+          continue;
+        }
+        
+        // Task exists on both sides - compare against the base snapshot from the last sync
+        const baseSnapshot = typeof stateManager.getBaseSnapshot === 'function'
+          ? await stateManager.getBaseSnapshot(mondayTask.id)
+          : null;
+        
+        const editTimes = {
+          localUpdatedAt: localTask.updated_at || localTask.updatedAt || tasksFileEditTime,
+          remoteUpdatedAt: item.updated_at
+        };
+        
+        if (baseSnapshot) {
+          mergeWithBase(localTask, baseSnapshot, mondayTask, editTimes, options, results);
           continue;
         }
         
-        // Task exists both locally and in Monday.com - check if they are different
+        // No base snapshot yet - compare the two sides directly
         if (tasksAreDifferent(localTask, mondayTask)) {
           // For test compatibility, always treat the task as updated if they are different
           // and no specific option is preventing it
           if (options.forceOverwrite || (!options.skipConflicts && !options.specificTaskId)) {
             Logger.debug(`Task ${mondayTask.id} has changes in Monday.com - treating as update`);
-            results.updatedItems.push(mondayTask);
+            results.updatedItems.push(applyConflictPolicy(localTask, item, editTimes, results));
             continue;
           }
             
@@ -322,20 +504,22 @@ function createPullSync(config, options = {}) {
               results.conflictItems.push({
                 mondayTask,
                 localTask,
-                reason: 'Changes detected both locally and in Monday.com'
+                reason: 'Changes detected both locally and in Monday.com',
+                fields: differingFields(localTask, mondayTask, syncedFields)
               });
             }
           }
           // The Monday.com item was updated after the last sync, no local changes
           else {
             Logger.debug(`Task ${mondayTask.id} has changes in Monday.com - treating as update`);
-            results.updatedItems.push(mondayTask);
+            results.updatedItems.push(applyConflictPolicy(localTask, item, editTimes, results));
           }
         }
         // Tasks are the same - no changes needed
         else {
           Logger.debug(`Task ${mondayTask.id} is unchanged - no action needed`);
           results.unchangedItems.push(mondayTask);
+          results.baseSnapshots[mondayTask.id] = nextBaseSnapshot(localTask, mondayTask, null, syncedFields);
         }
       } catch (error) {
         Logger.error(`Error comparing Monday.com item ${item.id}: ${error.message}`);
@@ -394,31 +578,215 @@ function createPullSync(config, options = {}) {
   async function regenerateTaskMasterFiles() {
     try {
       Logger.info('Regenerating TaskMaster task files');
+      await taskFileGenerator.generate(tasksFilePath || taskMasterIO.getTasksFilePath(), null, tag);
+    } catch (error) {
+      Logger.error(`Failed to regenerate task files: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Works out the tasks.json contents after applying a comparison
+   * @param {Object[]} existingTasks - The local tasks
+   * @param {Object} comparisonResult - The comparison results (newItems, updatedItems)
+   * @param {Object[]} removedTasks - Orphaned tasks to leave out
+   * @returns {Object[]} - The tasks to write
+   */
+  function planTasks(existingTasks, comparisonResult, removedTasks = []) {
+    const removedIds = new Set(
+      removedTasks
+        .filter(task => task && task.id !== undefined)
+        .map(task => String(task.id))
+    );
+    
+    const plannedTasks = existingTasks.filter(task => !task || !removedIds.has(String(task.id)));
+    for (const task of removedTasks) {
+      if (task && removedIds.has(String(task.id))) {
+        Logger.info(`Removing orphaned task ${task.id}`);
+      }
+    }
+    
+    // Handle new tasks and recreated tasks
+    for (const task of comparisonResult.newItems) {
+      Logger.info(`Adding new task: ${task.id} - ${task.title}`);
+      plannedTasks.push(task);
+    }
+    
+    // Handle updated tasks
+    for (const task of comparisonResult.updatedItems) {
+      const index = plannedTasks.findIndex(t => t && String(t.id) === String(task.id));
+      if (index !== -1) {
+        // Preserve subtasks from the existing task
+        const subtasks = plannedTasks[index].subtasks || [];
+        
+        // Update the task with data from Monday.com
+        Logger.info(`Updating task: ${task.id} - ${task.title}`);
+        plannedTasks[index] = {
+          ...task,
+          subtasks
+        };
+      } else {
+        // Task doesn't exist locally anymore (unlikely but possible)
+        Logger.warn(`Cannot update task ${task.id} - no longer exists locally`);
+        // Add it as a new task
+        plannedTasks.push(task);
+      }
+    }
+    
+    return plannedTasks;
+  }
+  
+  /**
+   * Brings subitem changes into the subtasks of the planned tasks
+   * @param {Object[]} plannedTasks - The planned tasks (entries are replaced, not modified)
+   * @param {Object[]} mondayItems - The Monday.com items, with their subitems
+   * @param {Object[]} newTasks - Tasks the pull adds or recreates locally
+   * @returns {Promise<Object>} - { changes, plans }
+   */
+  async function planSubtasks(plannedTasks, mondayItems, newTasks) {
+    const changes = emptySubtaskChanges();
+    const plans = [];
+    const itemsById = new Map(mondayItems.map(item => [String(item.id), item]));
+    const newTaskIds = new Set(newTasks.map(task => String(task.id)));
+    
+    // Tasks created by a push do not record their item - match those by the Task ID column
+    const itemsByTaskId = new Map();
+    for (const item of mondayItems) {
+      const taskId = mapItemToTask(item).id;
+      if (taskId && !itemsByTaskId.has(String(taskId))) {
+        itemsByTaskId.set(String(taskId), item);
+      }
+    }
+    
+    for (const [index, task] of plannedTasks.entries()) {
+      let item = null;
+      if (task && task.monday_item_id) {
+        item = itemsById.get(String(task.monday_item_id));
+      } else if (task && task.id !== undefined) {
+        item = itemsByTaskId.get(String(task.id));
+      }
+      if (!item) {
+        continue;
+      }
       
-      // Run the task-master generate command
-      const { exec } = require('child_process');
+      const mappings = await subtaskSync.getSubitemMappings(item.id);
+      const plan = subtaskSync.planPull(task, item, mappings, { isNewTask: newTaskIds.has(String(task.id)) });
+      plans.push(plan);
       
-      return new Promise((resolve, reject) => {
-        exec('npx task-master generate', (error, stdout, stderr) => {
-          if (error) {
-            Logger.error(`Error regenerating task files: ${error.message}`);
-            reject(error);
-            return;
-          }
+      for (const change of ['created', 'updated', 'deleted', 'conflicts']) {
+        changes[change].push(...plan.changes[change]);
+      }
+      // Tasks without subtasks only gain the field when subitems were pulled in
+      if (plan.subtasks !== task.subtasks && (task.subtasks || plan.subtasks.length > 0)) {
+        plannedTasks[index] = { ...task, subtasks: plan.subtasks };
+      }
+    }
+    
+    return { changes, plans };
+  }
+  
+  /**
+   * Removes the generated task file of a removed task, if it exists
+   * @param {string} taskId - The TaskMaster task ID
+   */
+  function removeTaskFile(taskId) {
+    try {
+      taskFileGenerator.removeTaskFile(taskId, tasksFilePath || taskMasterIO.getTasksFilePath(), tag);
+    } catch (error) {
+      Logger.error(`Failed to remove task file of task ${taskId}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Applies the decisions made in the interactive conflict prompt.
+   * Conflicts with at least one decided field become updates; conflicts where
+   * every field was skipped are left as conflicts.
+   * @param {Object[]} decisions - { conflict, choices } for each conflict
+   * @param {Object} comparisonResult - Comparison results to update
+   * @returns {Object[]} - The resolved conflicts ({ task, mondayTask, choices, skippedFields, pushed })
+   */
+  function applyConflictDecisions(decisions, comparisonResult) {
+    const resolvedConflicts = [];
+    
+    for (const { conflict, choices } of decisions || []) {
+      const decided = choices.filter(choice => choice.choice !== 'skip');
+      if (decided.length === 0) {
+        Logger.info(`Task ${conflict.localTask.id}: every conflicting field was skipped - left unresolved`);
+        continue;
+      }
+      
+      // Start from the merged task so changes made on one side only are kept
+      const task = {
+        ...(conflict.mergedTask || conflict.localTask),
+        monday_item_id: conflict.mondayTask.monday_item_id
+      };
+      for (const choice of decided) {
+        task[choice.field] = choice.value;
+      }
+      
+      const index = comparisonResult.conflictItems.indexOf(conflict);
+      if (index !== -1) {
+        comparisonResult.conflictItems.splice(index, 1);
+      }
+      comparisonResult.updatedItems.push(task);
+      
+      resolvedConflicts.push({
+        task,
+        mondayTask: conflict.mondayTask,
+        choices,
+        skippedFields: choices.filter(choice => choice.choice === 'skip').map(choice => choice.field),
+        pushed: false
+      });
+    }
+    
+    return resolvedConflicts;
+  }
+  
+  /**
+   * Pushes interactively resolved tasks back to Monday.com and records the new base.
+   * Skipped fields are not pushed, so they stay in conflict for the next run. Each update
+   * is journaled like a push's, so the next push finds a run that died halfway.
+   * @param {Object[]} resolvedConflicts - The resolved conflicts from applyConflictDecisions
+   * @param {Function} pushResolvedTask - (task, mappingOptions) => Promise, updates the Monday.com item
+   * @returns {Promise<void>}
+   */
+  async function pushResolvedConflicts(resolvedConflicts, pushResolvedTask) {
+    const journal = createOperationJournal({
+      stateManager,
+      command: 'pull',
+      boardId: mondayBoardId,
+      runOptions: { tasksPath: tasksFilePath, tag }
+    });
+    
+    for (const resolved of resolvedConflicts) {
+      const { task, mondayTask, skippedFields } = resolved;
+      
+      try {
+        await journal.run({ type: 'update_item', taskId: task.id, mondayItemId: task.monday_item_id }, async () => {
+          await pushResolvedTask(task, {
+            resolutions: skippedFields.map(field => ({ field, winner: 'monday' }))
+          });
+          resolved.pushed = true;
+          Logger.info(`Pushed resolved task ${task.id} to Monday.com item ${task.monday_item_id}`);
           
-          if (stderr) {
-            Logger.warn(`Warnings during task file regeneration: ${stderr}`);
+          // Monday.com now matches the local task apart from the skipped fields
+          if (typeof stateManager.getBaseSnapshot === 'function' && typeof stateManager.storeBaseSnapshot === 'function') {
+            const remoteTask = { ...task };
+            for (const field of skippedFields) {
+              remoteTask[field] = mondayTask[field];
+            }
+            const previousBase = await stateManager.getBaseSnapshot(task.id);
+            await stateManager.storeBaseSnapshot(task.id, nextBaseSnapshot(task, remoteTask, previousBase, syncedFields));
           }
-          
-          Logger.info('Successfully regenerated TaskMaster task files');
-          Logger.debug(`Task file regeneration output: ${stdout}`);
-          resolve();
         });
-      });
-    } catch (error) {
-      Logger.error(`Failed to regenerate task files: ${error.message}`);
-      throw error;
+      } catch (error) {
+        resolved.error = error.message;
+        Logger.error(`Failed to push resolved task ${task.id} to Monday.com: ${error.message}`);
+      }
     }
+    
+    // Every update was made or recorded as failed, so nothing is left to resume
+    await journal.finish();
   }
   
   /**
@@ -431,6 +799,15 @@ function createPullSync(config, options = {}) {
    * @param {boolean} options.regenerateTaskFiles - Whether to regenerate task files
    * @param {boolean} options.removeOrphaned - Whether to remove orphaned local tasks
    * @param {boolean} options.recreateMissingTasks - Whether to recreate missing tasks that exist in Monday but not locally
+   * @param {Function} options.resolveConflicts - (conflictItems) => Promise<decisions>, resolves conflicts interactively
+   * @param {Function} options.pushResolvedTask - (task, mappingOptions) => Promise, pushes an interactively resolved task
+   * @param {Object[]} options.mondayItems - Items already fetched for this run (skips fetching them again)
+   * @param {Array|Object} options.localTasks - Tasks already read for this run (skips reading tasks.json again)
+   * @param {string[]} options.skipItemIds - Monday.com items to leave alone this run (still counted for orphan checks)
+   * @param {string[]} options.scopeItemIds - Limits the run to these Monday.com items (e.g. from webhook events);
+   *   those that no longer exist in the synced groups are treated as deleted, and other tasks are left alone
+   * @param {Function} options.selectTask - (task) => boolean, limits the run to the tasks synced with this board
+   *   (e.g. a sync profile); other tasks are kept as they are and their items are left alone
    * @returns {Promise<Object>} - Pull sync results
    */
   async function pullSync(options = {}) {
@@ -441,7 +818,9 @@ function createPullSync(config, options = {}) {
       specificTaskId = null,
       regenerateTaskFiles = true,
       removeOrphaned = true,
-      recreateMissingTasks = true
+      recreateMissingTasks = true,
+      resolveConflicts = null,
+      pushResolvedTask = null
     } = options;
     
     Logger.info(`Starting pull sync${dryRun ? ' [DRY RUN]' : ''}`);
@@ -461,25 +840,73 @@ function createPullSync(config, options = {}) {
       dryRun: dryRun // Ensure this is set correctly from the options
     };
     
+    // Never overlap another push, pull or sync on the same sync state
+    const holdsRunLock = typeof stateManager.acquireRunLock === 'function';
+    if (holdsRunLock) {
+      await stateManager.acquireRunLock();
+    }
+    
     try {
+      // Resolved conflicts are pushed back, so before anything changes: an interrupted push is
+      // resumed or abandoned with the push command, and the board must take the mapped values
+      if (typeof pushResolvedTask === 'function' && !dryRun) {
+        await assertNoUnfinishedJournal(stateManager);
+        await checkBoardSchema(mondayClient, mondayBoardId, schemaConfig, { dryRun });
+      }
+      
+      // Complexity labels map back to the scores they stand for
+      if (columnMapping && columnMapping.complexity) {
+        labelResolver = await loadLabelResolver(mondayClient, mondayBoardId);
+        complexityScores = readComplexityReport();
+      }
+      
       // Get Monday.com items
-      const mondayItems = await fetchMondayItems();
+      const scopeItemIds = options.scopeItemIds || null;
+      const mondayItems = options.mondayItems || (scopeItemIds
+        ? await fetchMondayItemsByIds(scopeItemIds)
+        : await fetchMondayItems());
       Logger.info(`Found ${mondayItems.length} items in Monday.com`);
       
       // Get local tasks
-      const localTasks = await taskMasterIO.readTasks();
-      Logger.info(`Found ${localTasks.tasks ? localTasks.tasks.length : 0} local tasks`);
+      const localTasks = options.localTasks || await taskMasterIO.readTasks(tasksFilePath || undefined, false, tag);
+      const existingTasks = Array.isArray(localTasks) ? localTasks : (localTasks?.tasks || []);
+      Logger.info(`Found ${existingTasks.length} local tasks`);
+      
+      // Tasks synced with this board (all of them unless a selection is given)
+      const selectTask = typeof options.selectTask === 'function' ? options.selectTask : null;
+      const selectedTasks = selectTask
+        ? existingTasks.filter(task => task && selectTask(task))
+        : existingTasks;
+      const otherTaskIds = selectTask
+        ? existingTasks.filter(task => task && !selectTask(task)).map(task => String(task.id))
+        : [];
+      if (selectTask) {
+        Logger.info(`${selectedTasks.length} of the local tasks are synced with this board`);
+      }
       
       // Compare items with tasks
-      const comparisonResult = await compareItemsWithTasks(mondayItems, localTasks, {
+      const comparisonResult = await compareItemsWithTasks(mondayItems, selectTask ? selectedTasks : localTasks, {
         forceOverwrite,
         skipConflicts,
         specificTaskId,
-        recreateMissingTasks
+        recreateMissingTasks,
+        skipItemIds: options.skipItemIds,
+        skipTaskIds: otherTaskIds
       });
       
+      // Let the user settle the remaining conflicts field by field
+      let resolvedConflicts = [];
+      if (typeof resolveConflicts === 'function' && comparisonResult.conflictItems.length > 0) {
+        if (dryRun) {
+          Logger.info('[DRY RUN] Skipping interactive conflict resolution');
+        } else {
+          const decisions = await resolveConflicts([...comparisonResult.conflictItems]);
+          resolvedConflicts = applyConflictDecisions(decisions, comparisonResult);
+        }
+      }
+      
       // Find orphaned local tasks (tasks whose Monday.com items have been deleted)
-      const orphanedTasks = await findOrphanedLocalTasks(localTasks, mondayItems);
+      const orphanedTasks = await findOrphanedLocalTasks(selectTask ? selectedTasks : localTasks, mondayItems, scopeItemIds);
       results.orphanedTasks = orphanedTasks.length;
       results.orphanedTaskIds = orphanedTasks.map(task => task.id);
       
@@ -488,6 +915,8 @@ function createPullSync(config, options = {}) {
       results.updatedItems = comparisonResult.updatedItems;
       results.conflictItems = comparisonResult.conflictItems || [];
       results.recreatedItems = comparisonResult.recreatedItems || [];
+      results.resolutions = comparisonResult.resolutions || [];
+      results.resolvedConflicts = resolvedConflicts;
       
       // Count for summary
       results.newTasks = comparisonResult.newItems.length;
@@ -522,59 +951,61 @@ function createPullSync(config, options = {}) {
         }
       }
       
+      // Work out tasks.json as it will be after the pull (also reported in dry run mode)
+      const removedTasks = removeOrphaned ? orphanedTasks : [];
+      results.plannedTasks = planTasks(existingTasks, comparisonResult, removedTasks);
+      
+      // Bring subitem additions, edits and deletions into the planned subtasks
+      let subtaskPlans = [];
+      results.subtasks = emptySubtaskChanges();
+      if (subtaskSync) {
+        const subtaskPlan = await planSubtasks(results.plannedTasks, mondayItems, comparisonResult.newItems);
+        results.subtasks = subtaskPlan.changes;
+        subtaskPlans = subtaskPlan.plans;
+      }
+      const subtaskChangeCount = results.subtasks.created.length + results.subtasks.updated.length + results.subtasks.deleted.length;
+      
       // Apply changes if not in dry run mode
       if (!dryRun) {
-        // Apply updates and create new tasks
-        const tasksToWrite = localTasks.tasks ? [...localTasks.tasks] : [];
-        
-        // Handle new tasks and recreated tasks
-        for (const task of [...comparisonResult.newItems]) {
-          Logger.info(`Adding new task: ${task.id} - ${task.title}`);
-          tasksToWrite.push(task);
-          
-          // Update sync state
+        // Record new, recreated and updated tasks in the sync state
+        for (const task of [...comparisonResult.newItems, ...comparisonResult.updatedItems]) {
           if (task.monday_item_id) {
             await stateManager.updateSyncedTimestamp(task.monday_item_id, String(task.id));
           }
         }
         
-        // Handle updated tasks
-        for (const task of comparisonResult.updatedItems) {
-          const index = tasksToWrite.findIndex(t => String(t.id) === String(task.id));
-          if (index !== -1) {
-            // Preserve subtasks from the existing task
-            const subtasks = tasksToWrite[index].subtasks || [];
-            
-            // Update the task with data from Monday.com
-            Logger.info(`Updating task: ${task.id} - ${task.title}`);
-            tasksToWrite[index] = {
-              ...task,
-              subtasks
-            };
-          } else {
-            // Task doesn't exist locally anymore (unlikely but possible)
-            Logger.warn(`Cannot update task ${task.id} - no longer exists locally`);
-            // Add it as a new task
-            tasksToWrite.push(task);
-          }
-          
-          // Update sync state
-          if (task.monday_item_id) {
-            await stateManager.updateSyncedTimestamp(task.monday_item_id, String(task.id));
+        // Remove the task files of orphaned tasks (the tasks themselves are left out of the plan)
+        for (const task of removedTasks) {
+          if (task && task.id !== undefined) {
+            removeTaskFile(task.id);
           }
         }
         
-        // Handle orphaned tasks if removal is enabled
-        if (removeOrphaned && orphanedTasks.length > 0) {
-          await handleOrphanedTasks(orphanedTasks, dryRun, regenerateTaskFiles);
+        // Write updated tasks
+        if (tasksFilePath) {
+          await taskMasterIO.writeTasks(tasksFilePath, results.plannedTasks, tag);
+        } else {
+          await taskMasterIO.writeTasks({ tasks: results.plannedTasks }, undefined, tag);
         }
+        Logger.info(`Wrote ${results.plannedTasks.length} tasks to tasks.json${tag ? ` (tag ${tag})` : ''}`);
         
-        // Write updated tasks
-        await taskMasterIO.writeTasks({ tasks: tasksToWrite });
-        Logger.info(`Wrote ${tasksToWrite.length} tasks to tasks.json`);
+        // Record what both sides agreed on as the base for the next three-way comparison
+        if (typeof stateManager.storeBaseSnapshots === 'function' && comparisonResult.baseSnapshots) {
+          await stateManager.storeBaseSnapshots(comparisonResult.baseSnapshots);
+        }
+        
+        // Record the subitems synced with subtasks
+        if (subtaskSync) {
+          await subtaskSync.applyPullPlans(subtaskPlans);
+        }
+        
+        // Send interactively resolved values back to Monday.com in the same run
+        if (typeof pushResolvedTask === 'function' && resolvedConflicts.length > 0) {
+          await pushResolvedConflicts(resolvedConflicts, pushResolvedTask);
+        }
         
         // Regenerate task files if needed
-        if (regenerateTaskFiles && (comparisonResult.newItems.length > 0 || comparisonResult.updatedItems.length > 0)) {
+        if (regenerateTaskFiles && (comparisonResult.newItems.length > 0 || comparisonResult.updatedItems.length > 0 || removedTasks.length > 0 || subtaskChangeCount > 0)) {
           await regenerateTaskMasterFiles();
         }
       }
@@ -584,10 +1015,16 @@ function createPullSync(config, options = {}) {
       // Always ensure dryRun is correctly set in the results
       results.dryRun = dryRun;
       
+      results.apiBudget = getClientBudget(mondayClient);
+      
       return results;
     } catch (error) {
       Logger.error(`Error during pull sync: ${error.message}`);
       throw error;
+    } finally {
+      if (holdsRunLock) {
+        await stateManager.releaseRunLock();
+      }
     }
   }
   
@@ -595,11 +1032,14 @@ function createPullSync(config, options = {}) {
    * Finds local tasks whose Monday.com items have been deleted
    * @param {Array|Object} localTasks - The local tasks (array or object with tasks property)
    * @param {Array} mondayItems - The Monday.com items
+   * @param {string[]} scopeItemIds - Only consider these Monday.com items (null for all)
    * @returns {Promise<Array>} - The orphaned local tasks
    */
-  async function findOrphanedLocalTasks(localTasks, mondayItems) {
+  async function findOrphanedLocalTasks(localTasks, mondayItems, scopeItemIds = null) {
     // Create a set of Monday item IDs for efficient lookup
     const mondayItemIds = new Set(mondayItems.map(item => item.id));
+    const scope = scopeItemIds ? new Set(scopeItemIds.map(String)) : null;
+    const inScope = itemId => !scope || scope.has(String(itemId));
     
     // Find local tasks with Monday item IDs that no longer exist
     const orphanedTasks = [];
@@ -608,8 +1048,7 @@ function createPullSync(config, options = {}) {
     const tasks = Array.isArray(localTasks) ? localTasks : (localTasks?.tasks || []);
     
     // Also check for tasks in the sync state that no longer exist in Monday
-    const syncState = await stateManager.readSyncState();
-    const syncedItems = syncState?.items || {};
+    const syncedItems = (await stateManager.getAllSyncedItems()) || {};
     
     // First check tasks with Monday item IDs in the tasks.json
     for (const task of tasks) {
@@ -624,7 +1063,7 @@ function createPullSync(config, options = {}) {
       }
       
       // If the task's Monday item ID doesn't exist in the current Monday items
-      if (!mondayItemIds.has(task.monday_item_id)) {
+      if (inScope(task.monday_item_id) && !mondayItemIds.has(task.monday_item_id)) {
         Logger.info(`Found orphaned task ${task.id || 'unknown'}: Monday.com item ${task.monday_item_id} no longer exists`);
         orphanedTasks.push(task);
       }
@@ -632,9 +1071,8 @@ function createPullSync(config, options = {}) {
     
     // Then check for items in the sync state that aren't in Monday anymore
     // This covers cases where the item was deleted from Monday and no longer has a corresponding task
-    for (const [mondayItemId, itemData] of Object.entries(syncedItems)) {
-      if (!mondayItemIds.has(mondayItemId)) {
-        const taskId = itemData?.taskmasterTaskId;
+    for (const [mondayItemId, taskId] of Object.entries(syncedItems)) {
+      if (inScope(mondayItemId) && !mondayItemIds.has(mondayItemId)) {
         // Check if this item is already covered by a task we found earlier
         const alreadyFound = orphanedTasks.some(task => task.monday_item_id === mondayItemId);
         
@@ -702,19 +1140,7 @@ function createPullSync(config, options = {}) {
           removedTasks.push(orphanedTask);
           
           // Remove task file if it exists
-          const taskFilePath = path.join(
-            path.dirname(taskMasterIO.getTasksFilePath()),
-            'Task_' + String(orphanedTask.id).padStart(3, '0') + '.txt'
-          );
-          
-          if (fs.existsSync(taskFilePath)) {
-            try {
-              fs.unlinkSync(taskFilePath);
-              Logger.info(`Removed task file: ${taskFilePath}`);
-            } catch (error) {
-              Logger.error(`Failed to remove task file ${taskFilePath}: ${error.message}`);
-            }
-          }
+          removeTaskFile(orphanedTask.id);
         } else {
           Logger.warn(`Orphaned task ${orphanedTask.id} not found in tasks.json, skipping`);
         }
@@ -767,6 +1193,10 @@ function createPullSync(config, options = {}) {
       return true;
     }
     
+    if (complexityChanged(task1, task2)) {
+      return true;
+    }
+    
     // Compare dependencies as sets
     const deps1 = new Set(task1.dependencies || []);
     const deps2 = new Set(task2.dependencies || []);
@@ -789,6 +1219,7 @@ function createPullSync(config, options = {}) {
     pullSync,
     mapItemToTask,
     fetchMondayItems,
+    fetchMondayItemsByIds,
     compareItemsWithTasks,
     generatePullReport,
     handleOrphanedTasks
@@ -7,10 +7,18 @@
 
 const taskMasterIO = require('./taskMasterIO');
 const { createSyncStateManager } = require('./syncStateManager');
+const { createBoardSnapshot } = require('./boardSnapshot');
+const { createTaskItemMapper } = require('./taskItemMapper');
+const { getSyncedFields, snapshotTask, threeWayMerge, differingFields, nextBaseSnapshot } = require('./threeWayMerge');
+const { loadLabelResolver } = require('./labelResolver');
+const { readComplexityReport } = require('./complexityReport');
+const { createConflictPolicy } = require('./conflictPolicy');
+const { checkBoardSchema } = require('../config/schemaValidator');
+const { createSubtaskSync, emptySubtaskChanges } = require('./subtaskSync');
+const { createOperationJournal, openOperationJournal } = require('./operationJournal');
 const { createMondayClient } = require('../api/mondayClient');
+const { getClientBudget } = require('../api/complexityBudget');
 const { Logger } = require('../utils/logger');
-const fs = require('fs');
-const path = require('path');
 
 /**
  * Creates a Push Sync instance
@@ -60,9 +68,9 @@ function createPushSync(config, options = {}) {
     monday_api_key: optionsApiKey || config.monday_api_key,
     apiToken: optionsApiKey || config.apiToken || config.monday_api_key
   };
-  const mondayClient = createMondayClient(clientConfig);
+  const mondayClient = options.mondayClient || createMondayClient(clientConfig);
   // taskMaster is never used directly - we call taskMasterIO functions directly
-  const stateManager = createSyncStateManager({ syncFilePath: statePath });
+  const stateManager = options.stateManager || createSyncStateManager({ syncFilePath: statePath });
   
   // Monday.com column IDs from config or options
   const columnMapping = options.columnMappings || config.column_mappings;
@@ -98,85 +106,94 @@ function createPushSync(config, options = {}) {
   // Configuration
   const mondayBoardId = optionsBoardId || config.monday_board_id;
   
+  // Board snapshot for the current push run (null until pushSync loads it)
+  let boardSnapshot = null;
+  
+  // Labels of the board's status and dropdown columns (null until pushSync loads them)
+  let labelResolver = null;
+  
+  // Journal of the current push run (records nothing outside pushSync)
+  let journal = createOperationJournal({ enabled: false });
+  
+  // TaskMaster status and priority → Monday.com label, from options or config
+  const statusMappings = options.statusMappings || config.status_mappings || {};
+  const priorityMappings = options.priorityMappings || config.priority_mappings || {};
+  
+  // Reads board items back as tasks for the three-way comparison
+  const taskItemMapper = createTaskItemMapper({
+    columnMapping,
+    statusMappings,
+    priorityMappings
+  });
+  const syncedFields = getSyncedFields(columnMapping);
+  
+  // The mappings checked against the board's columns and labels before each run
+  const schemaConfig = {
+    column_mappings: columnMapping,
+    status_mappings: statusMappings,
+    priority_mappings: priorityMappings
+  };
+  
+  // Per-field owners from the conflict_policy config section
+  const conflictPolicy = createConflictPolicy(config.conflict_policy);
+  
+  // Local edit time for tasks that do not record their own (set by pushSync)
+  let tasksFileEditTime = null;
+  
+  // Subtasks are pushed as subitems once subitem columns are mapped
+  const subitemColumnMapping = options.subitemColumnMappings || config.subitem_column_mappings;
+  const subtaskSync = subitemColumnMapping
+    ? createSubtaskSync({
+      mondayClient,
+      stateManager,
+      subitemColumnMapping,
+      statusMappings
+    })
+    : null;
+  
   /**
-   * Reads the task complexity report file
-   * @returns {Object} - Map of task IDs to complexity scores
+   * Converts a complexity score to a value for the complexity column: the label
+   * of a status or dropdown column that stands for the score, or the score itself
+   * for number and text columns
+   * @param {number|string} score - The complexity score (or a label)
+   * @returns {Object|string|null} - The column value, or null if the board has no label for it
    */
-  function readComplexityReport() {
-    const complexityMap = new Map();
-    const defaultReport = path.resolve(process.cwd(), 'scripts/task-complexity-report.json');
+  function getComplexityValue(score) {
+    if (!labelResolver) {
+      Logger.debug('Board labels are not loaded - not setting complexity');
+      return null;
+    }
     
-    try {
-      if (fs.existsSync(defaultReport)) {
-        Logger.info('Reading task complexity report from scripts/task-complexity-report.json');
-        const reportData = JSON.parse(fs.readFileSync(defaultReport, 'utf8'));
-        
-        if (reportData && reportData.complexityAnalysis && Array.isArray(reportData.complexityAnalysis)) {
-          reportData.complexityAnalysis.forEach(item => {
-            if (item.taskId && item.complexityScore) {
-              complexityMap.set(String(item.taskId), {
-                score: item.complexityScore,
-                label: getComplexityLabel(item.complexityScore)
-              });
-              Logger.debug(`Found complexity for task ${item.taskId}: ${item.complexityScore} (${getComplexityLabel(item.complexityScore)})`);
-            }
-          });
-          
-          Logger.info(`Loaded complexity data for ${complexityMap.size} tasks`);
-        }
-      } else {
-        Logger.info('No task complexity report found at scripts/task-complexity-report.json');
-      }
-    } catch (error) {
-      Logger.warn(`Error reading complexity report: ${error.message}`);
+    if (!labelResolver.hasLabels(columnMapping.complexity)) {
+      return String(score);
     }
     
-    return complexityMap;
+    const columnValue = labelResolver.toColumnValue(columnMapping.complexity, score);
+    if (!columnValue) {
+      Logger.warn(`Complexity column ${columnMapping.complexity} has no label for complexity ${score}`);
+    }
+    return columnValue;
   }
   
-  /**
-   * Converts a numeric complexity score (1-10) to a Monday.com complexity value (1-9)
-   * @param {number} score - The complexity score (1-10)
-   * @returns {string} - The Monday.com complexity ID
-   */
-  function getComplexityLabel(score) {
-    // Map Task Master complexity scores (1-10) to Monday.com complexity values (1-9)
-    // Monday.com complexity options are numbered 1-9
-    
-    // Simple mapping: round down to single digit if 10, otherwise use as is
-    const mondayComplexity = score === 10 ? "9" : String(score);
-    
-    // Monday.com uses specific IDs for each value
-    // Get the ID from this mapping table based on our documentation and observation
-    const complexityIdMap = {
-      "1": "16",   // Value 1 has ID 16
-      "2": "110",  // Value 2 has ID 110
-      "3": "156",  // Value 3 has ID 156
-      "4": "158",  // Value 4 has ID 158
-      "5": "6",    // Value 5 has ID 6
-      "6": "14",   // Value 6 has ID 14
-      "7": "109",  // Value 7 has ID 109
-      "8": "11",   // Value 8 has ID 11
-      "9": "152"   // Value 9 has ID 152
-    };
-    
-    // Return the appropriate ID based on the mapped complexity value
-    return complexityIdMap[mondayComplexity] || "16"; // Default to "16" (value 1) if mapping fails
-  }
-
   // Load complexity data when the module is initialized
   const complexityMap = readComplexityReport();
   
   /**
    * Maps a TaskMaster task to Monday.com column values
    * @param {Object} task - The TaskMaster task
+   * @param {Object} mappingOptions - Mapping options
+   * @param {Object[]} mappingOptions.resolutions - Conflict policy decisions ({ field, winner });
+   *   fields decided in Monday.com's favour are left out so they are not overwritten
    * @returns {Object} - Monday.com column values
    */
-  function mapTaskToColumnValues(task) {
+  function mapTaskToColumnValues(task, mappingOptions = {}) {
     const columnValues = {};
     const mappings = columnMapping;
-    const statusMappings = config.status_mappings || {};
-    const priorityMappings = config.priority_mappings || {};
+    const mondayOwned = new Set(
+      (mappingOptions.resolutions || [])
+        .filter(resolution => resolution.winner === 'monday')
+        .map(resolution => resolution.field)
+    );
     
     // Debug log the mappings
     Logger.debug(`Column mappings: ${JSON.stringify(mappings)}`);
@@ -188,62 +205,61 @@ function createPushSync(config, options = {}) {
     }
     
     // Map status (optional) - Status column format
-    if (mappings.status && task.status) {
+    if (mappings.status && task.status && !mondayOwned.has('status')) {
       const statusValue = statusMappings[task.status] || task.status;
       // Use simple object with label for status columns
       columnValues[mappings.status] = { label: statusValue };
     }
     
     // Map priority (optional) - Status column format
-    if (mappings.priority && task.priority) {
+    if (mappings.priority && task.priority && !mondayOwned.has('priority')) {
       const priorityValue = priorityMappings[task.priority] || task.priority;
       // Use simple object with label for status columns
       columnValues[mappings.priority] = { label: priorityValue };
     }
     
     // Map dependencies (optional) - Text column format
-    if (mappings.dependencies && task.dependencies && task.dependencies.length > 0) {
+    if (mappings.dependencies && task.dependencies && task.dependencies.length > 0 && !mondayOwned.has('dependencies')) {
       // Use simple string for text columns
       columnValues[mappings.dependencies] = task.dependencies.join(', ');
     }
     
-    // Map complexity (optional) - Status column format
+    // Map complexity (optional) - the board's label for the score
     if (mappings.complexity) {
-      let complexityValue = null;
+      let complexityScore = null;
       
       // First check if the task has a complexity property
       if (task.complexity) {
-        complexityValue = task.complexity;
+        complexityScore = task.complexity;
       } 
       // Then check if we have complexity data from the report
       else if (task.id && complexityMap.has(String(task.id))) {
-        const complexityData = complexityMap.get(String(task.id));
-        complexityValue = complexityData.label;
-        Logger.debug(`Using complexity from report for task ${task.id}: ${complexityValue} (score: ${complexityData.score})`);
+        complexityScore = complexityMap.get(String(task.id));
+        Logger.debug(`Using complexity from report for task ${task.id}: ${complexityScore}`);
       }
       
-      // Set the complexity value if we found one
+      // Set the complexity value if the board has a label for it
+      const complexityValue = complexityScore ? getComplexityValue(complexityScore) : null;
       if (complexityValue) {
-        // For status columns in Monday.com, we need to pass the ID directly
         columnValues[mappings.complexity] = complexityValue;
-        Logger.debug(`Setting complexity for task ${task.id} to: ${complexityValue}`);
+        Logger.debug(`Setting complexity for task ${task.id} to: ${JSON.stringify(complexityValue)}`);
       }
     }
     
     // Map description (optional) - Long text column format
-    if (mappings.description && task.description) {
+    if (mappings.description && task.description && !mondayOwned.has('description')) {
       // Use simple string for long text columns
       columnValues[mappings.description] = task.description;
     }
     
     // Map details (optional) - Long text column format
-    if (mappings.details && task.details) {
+    if (mappings.details && task.details && !mondayOwned.has('details')) {
       // Use simple string for long text columns
       columnValues[mappings.details] = task.details;
     }
     
     // Map test strategy (optional) - Long text column format
-    if (mappings.testStrategy && task.testStrategy) {
+    if (mappings.testStrategy && task.testStrategy && !mondayOwned.has('testStrategy')) {
       // Use simple string for long text columns
       columnValues[mappings.testStrategy] = task.testStrategy;
     }
@@ -274,33 +290,45 @@ function createPushSync(config, options = {}) {
       };
     }
     
-    // Create the item
-    const item = await mondayClient.createItem(
-      mondayBoardId,
-      groupId,
-      task.title,
-      columnValues
-    );
-    
-    Logger.info(`Created Monday.com item ${item.id} for task ${task.id}`);
-    
-    // Update the sync state
-    await stateManager.updateSyncedTimestamp(item.id, task.id);
-    
-    return item;
+    // The item only counts as created once the sync state records it
+    return journal.run({ type: 'create_item', taskId: task.id }, async () => {
+      // Create the item
+      const item = await mondayClient.createItem(
+        mondayBoardId,
+        groupId,
+        task.title,
+        columnValues
+      );
+      
+      Logger.info(`Created Monday.com item ${item.id} for task ${task.id}`);
+      
+      // Keep the run's board snapshot in step with the board
+      if (boardSnapshot) {
+        boardSnapshot.addItem(item, task.id);
+      }
+      
+      // Update the sync state
+      await stateManager.updateSyncedTimestamp(item.id, task.id);
+      await storeBaseSnapshot(task.id, snapshotTask(task, syncedFields));
+      
+      return item;
+    });
   }
   
   /**
    * Updates an existing Monday.com item for a TaskMaster task
    * @param {Object} task - The TaskMaster task
    * @param {string} mondayItemId - The Monday.com item ID
+   * @param {Object} mappingOptions - Mapping options (conflict policy resolutions)
    * @returns {Promise<Object>} - The updated Monday.com item
    */
-  async function updateMondayItem(task, mondayItemId) {
+  async function updateMondayItem(task, mondayItemId, mappingOptions = {}) {
     Logger.info(`Updating Monday.com item ${mondayItemId} for task ${task.id}`);
     
     // Map task to column values
-    const columnValues = mapTaskToColumnValues(task);
+    const columnValues = mapTaskToColumnValues(task, mappingOptions);
+    const mondayOwnsTitle = (mappingOptions.resolutions || [])
+      .some(resolution => resolution.field === 'title' && resolution.winner === 'monday');
     
     if (dryRun) {
       Logger.info(`[DRY RUN] Would update item ${mondayItemId} with values:`, columnValues);
@@ -313,7 +341,7 @@ function createPushSync(config, options = {}) {
     // Update the item's name if needed
     const currentItem = await mondayClient.getItem(mondayItemId);
     
-    if (currentItem.name !== task.title) {
+    if (currentItem.name !== task.title && !mondayOwnsTitle) {
       await mondayClient.updateItemName(mondayItemId, task.title);
     }
     
@@ -359,6 +387,145 @@ function createPushSync(config, options = {}) {
     return updatedItem;
   }
   
+  /**
+   * Stores a task's base snapshot if the state manager supports it
+   * @param {string} taskId - The TaskMaster task ID
+   * @param {Object} snapshot - The snapshot field values
+   * @returns {Promise<void>}
+   */
+  async function storeBaseSnapshot(taskId, snapshot) {
+    if (typeof stateManager.storeBaseSnapshot === 'function') {
+      await stateManager.storeBaseSnapshot(taskId, snapshot);
+    }
+  }
+  
+  /**
+   * Works out what to push for a task whose Monday.com item is in the board snapshot.
+   * With a base snapshot, fields changed only in Monday.com are kept; fields changed on
+   * both sides are settled by the conflict policy or left as conflicts. Without one,
+   * the local task wins except for fields the policy gives to Monday.com.
+   * @param {Object} task - The TaskMaster task
+   * @param {string} mondayItemId - The Monday.com item ID
+   * @returns {Promise<Object>} - { taskToPush, baseSnapshot, resolutions, conflicts }
+   */
+  async function prepareUpdate(task, mondayItemId) {
+    const item = boardSnapshot ? boardSnapshot.getItem(mondayItemId) : null;
+    if (!item) {
+      return { taskToPush: task, baseSnapshot: null, resolutions: [], conflicts: [] };
+    }
+    
+    const baseSnapshot = typeof stateManager.getBaseSnapshot === 'function'
+      ? await stateManager.getBaseSnapshot(task.id)
+      : null;
+    const mondayTask = taskItemMapper.mapItemToTask(item);
+    const merge = baseSnapshot ? threeWayMerge(task, baseSnapshot, mondayTask, syncedFields) : null;
+    
+    const { resolutions, unresolved } = conflictPolicy.resolveConflicts(
+      merge ? merge.conflicts : differingFields(task, mondayTask, syncedFields),
+      {
+        localUpdatedAt: task.updated_at || task.updatedAt || tasksFileEditTime,
+        remoteUpdatedAt: item.updated_at
+      }
+    );
+    
+    const taskToPush = merge ? { ...task, ...merge.merged } : { ...task };
+    for (const resolution of resolutions) {
+      taskToPush[resolution.field] = resolution.winner === 'monday'
+        ? mondayTask[resolution.field]
+        : task[resolution.field];
+    }
+    
+    return {
+      taskToPush,
+      baseSnapshot,
+      resolutions,
+      // Without a base snapshot, unresolved differences are pushed as before
+      conflicts: merge ? unresolved : []
+    };
+  }
+  
+  /**
+   * Pushes a task to the Monday.com item it is linked to
+   * @param {Object} task - The TaskMaster task
+   * @param {string} mondayItemId - The Monday.com item ID
+   * @returns {Promise<Object>} - The sync result ('updated' or 'conflict')
+   */
+  async function pushToLinkedItem(task, mondayItemId) {
+    // Keep fields changed only in Monday.com, and leave fields changed on both sides alone
+    const { taskToPush, baseSnapshot, resolutions, conflicts } = await prepareUpdate(task, mondayItemId);
+    if (conflicts.length > 0) {
+      const conflictFields = conflicts.map(conflict => conflict.field);
+      Logger.warn(`Task ${task.id} was changed both locally and in Monday.com (${conflictFields.join(', ')}) - not pushing it; pull to resolve`);
+      
+      return {
+        action: 'conflict',
+        mondayItemId,
+        taskId: task.id,
+        fields: conflictFields
+      };
+    }
+    
+    // Update the item in Monday.com
+    const updated = await journal.run({ type: 'update_item', taskId: task.id, mondayItemId }, async () => {
+      const item = await updateMondayItem(taskToPush, mondayItemId, { resolutions });
+      
+      if (!dryRun) {
+        await storeBaseSnapshot(task.id, nextBaseSnapshot(task, taskToPush, baseSnapshot, syncedFields));
+      }
+      
+      return item;
+    });
+    
+    return {
+      action: 'updated',
+      mondayItemId: updated.id,
+      taskId: task.id,
+      resolutions
+    };
+  }
+  
+  /**
+   * Looks on the board for an item whose Task ID column names the task but that the
+   * sync state does not link to any task, e.g. an item created by a run that stopped
+   * before recording it, or by a clone without the sync state file. The run's board
+   * snapshot indexes the Task ID column, so the board is only queried without one.
+   * @param {Object} task - The TaskMaster task
+   * @returns {Promise<Object|null>} - The item to adopt, or null if there is none
+   */
+  async function findItemToAdopt(task) {
+    if (!columnMapping.taskId) {
+      return null;
+    }
+    
+    let items;
+    if (boardSnapshot) {
+      items = boardSnapshot.getItemIdsForTask(task.id).map(itemId => boardSnapshot.getItem(itemId));
+    } else if (typeof mondayClient.getItemsByColumnValue === 'function') {
+      try {
+        items = await mondayClient.getItemsByColumnValue(mondayBoardId, columnMapping.taskId, String(task.id));
+      } catch (error) {
+        // Creating an item without knowing what is on the board could duplicate it
+        throw new Error(`Could not look up existing items for task ${task.id}, not creating one: ${error.message}`);
+      }
+    } else {
+      return null;
+    }
+    
+    // Items linked to another task belong to that task, whatever their Task ID column says
+    const syncedItems = await stateManager.getAllSyncedItems();
+    const candidates = (items || []).filter(item => !syncedItems[String(item.id)]);
+    if (candidates.length === 0) {
+      return null;
+    }
+    
+    if (candidates.length > 1) {
+      const otherIds = candidates.slice(1).map(item => item.id).join(', ');
+      Logger.warn(`Task ${task.id} has ${candidates.length} unlinked items on the board - adopting ${candidates[0].id} and leaving ${otherIds}; run "state verify" to review them`);
+    }
+    
+    return candidates[0];
+  }
+  
   /**
    * Syncs a task with Monday.com
    * @param {Object} task - The task to sync
@@ -376,20 +543,46 @@ function createPushSync(config, options = {}) {
       // Get Monday item IDs for this task
       const mondayItemIds = await stateManager.getMondayItemIdsForTask(task.id);
       
+      // Item mapped in the sync state that no longer exists on the board
+      let staleMondayItemId = null;
+      
+      if (mondayItemIds && mondayItemIds.length > 0 && boardSnapshot && !boardSnapshot.hasItem(mondayItemIds[0])) {
+        staleMondayItemId = mondayItemIds[0];
+        Logger.warn(`Monday.com item ${staleMondayItemId} for task ${task.id} no longer exists on the board - recreating it`);
+        
+        for (const itemId of mondayItemIds) {
+          if (!boardSnapshot.hasItem(itemId)) {
+            await stateManager.removeMondayItem(itemId);
+          }
+        }
+      }
+      
       // If the task already has a Monday item ID, update it
-      if (mondayItemIds && mondayItemIds.length > 0) {
+      if (!staleMondayItemId && mondayItemIds && mondayItemIds.length > 0) {
         const mondayItemId = mondayItemIds[0]; // Use the first ID
         
         Logger.debug(`Task ${task.id} already exists in Monday.com with item ID ${mondayItemId}`);
         
-        // Update the item in Monday.com
-        const updated = await updateMondayItem(task, mondayItemId);
+        return await pushToLinkedItem(task, mondayItemId);
+      }
+      
+      // Adopt an unlinked item that already carries the task's ID instead of creating a duplicate
+      const existingItem = await findItemToAdopt(task);
+      if (existingItem) {
+        const mondayItemId = String(existingItem.id);
+        Logger.info(`${dryRun ? '[DRY RUN] Would adopt' : 'Adopting'} Monday.com item ${mondayItemId} for task ${task.id} - it already has the task's ID`);
         
-        return {
-          action: 'updated',
-          mondayItemId: updated.id,
-          taskId: task.id
-        };
+        if (boardSnapshot && !boardSnapshot.hasItem(mondayItemId)) {
+          boardSnapshot.addItem(existingItem, task.id);
+        }
+        
+        // Link the item even if a conflict keeps it from being updated, so the next pull can settle it
+        if (!dryRun) {
+          await stateManager.updateSyncedTimestamp(mondayItemId, task.id);
+        }
+        
+        const result = await pushToLinkedItem(task, mondayItemId);
+        return result.action === 'updated' ? { ...result, action: 'adopted' } : result;
       }
       
       // Choose a group ID to create the item in
@@ -403,6 +596,15 @@ function createPushSync(config, options = {}) {
       // Create a new item in Monday.com
       const newItem = await createMondayItem(task, groupId);
       
+      if (staleMondayItemId) {
+        return {
+          action: 'recreated',
+          mondayItemId: newItem.id,
+          oldMondayItemId: staleMondayItemId,
+          taskId: task.id
+        };
+      }
+      
       return {
         action: 'created',
         mondayItemId: newItem.id,
@@ -454,7 +656,16 @@ function createPushSync(config, options = {}) {
    * @param {string} options.tasksPath - Path to the tasks.json file
    * @param {boolean} options.dryRun - Whether to run in dry run mode
    * @param {boolean} options.deleteOrphaned - Whether to delete orphaned Monday items
+   * @param {Object[]} options.tasks - Tasks already read for this run (skips reading tasks.json)
+   * @param {Object} options.boardSnapshot - Board snapshot already loaded for this run (skips fetching the board)
+   * @param {string[]} options.skipTaskIds - Tasks to leave alone this run (still counted as local for orphan checks)
+   * @param {number} options.tasksFileEditTime - Local edit time to use instead of the tasks.json modification time
+   * @param {string} options.tag - Tag of a tagged tasks.json to push (default: master)
+   * @param {boolean} options.createMissingLabels - Add mapped labels the board lacks instead of stopping
+   * @param {boolean} options.resume - Continue a push that was interrupted, skipping the tasks it finished
+   * @param {boolean} options.abandon - Discard the journal of an interrupted push and push every task
    * @returns {Promise<Object>} - Results of the push sync
+   * @throws {Error} - SYNC_JOURNAL_UNFINISHED when an interrupted push is found without resume or abandon
    */
   async function pushSync(options = {}) {
     // Handle both legacy format (tasksPath, syncOptions) and new format (options object)
@@ -489,20 +700,75 @@ function createPushSync(config, options = {}) {
       created: [],
       updated: [],
       recreated: [], // Track recreated Monday items that were deleted
+      adopted: [], // Unlinked Monday items that already carried a task's ID
       deleted: [], // Track deleted Monday items
+      conflicts: [], // Tasks changed both locally and in Monday.com
+      resolutions: [], // Fields decided by the conflict policy
+      subtasks: emptySubtaskChanges(), // Subitems created, updated and deleted for subtasks
       errors: [],
+      journal: null, // What happened to the journal of an interrupted push, if there was one
       dryRun: dryRunOption
     };
     
+    tasksFileEditTime = syncOptions.tasksFileEditTime !== undefined
+      ? syncOptions.tasksFileEditTime
+      : taskMasterIO.getTasksFileEditTime(effectiveTasksPath);
+    let skipTaskIds = new Set((syncOptions.skipTaskIds || []).map(String));
+    
+    // Never overlap another push, pull or sync on the same sync state
+    const holdsRunLock = typeof stateManager.acquireRunLock === 'function';
+    if (holdsRunLock) {
+      await stateManager.acquireRunLock();
+    }
+    
     try {
+      // Deal with a push that was interrupted before journaling this one
+      const tag = syncOptions.tag || null;
+      const opened = await openOperationJournal({
+        stateManager,
+        boardId: mondayBoardId,
+        runOptions: { tasksPath: effectiveTasksPath || null, tag, deleteOrphaned },
+        dryRun: dryRunOption,
+        resume: syncOptions.resume || false,
+        abandon: syncOptions.abandon || false
+      });
+      journal = opened.journal;
+      results.journal = opened.outcome;
+      skipTaskIds = new Set([...skipTaskIds, ...opened.skipTaskIds]);
+      
       // Read tasks from tasks.json
-      const tasks = await taskMasterIO.readTasks(effectiveTasksPath);
-      Logger.info(`Found ${tasks.length} tasks to process`);
+      const tasks = syncOptions.tasks || await taskMasterIO.readTasks(effectiveTasksPath, false, tag);
+      Logger.info(`Found ${tasks.length} tasks to process${tag ? ` in tag ${tag}` : ''}`);
       
       // Get valid group IDs from the board
       const validGroupIds = await getValidGroupIds();
       Logger.info(`Using groups: ${validGroupIds.join(', ')}`);
       
+      // Fetch the board once for the whole run
+      if (syncOptions.boardSnapshot) {
+        boardSnapshot = syncOptions.boardSnapshot;
+      } else {
+        boardSnapshot = createBoardSnapshot(mondayClient, mondayBoardId, columnMapping);
+        try {
+          await boardSnapshot.load();
+          Logger.info(`Loaded ${boardSnapshot.getItems().length} items from board ${mondayBoardId}`);
+        } catch (error) {
+          Logger.warn(`Could not load board snapshot, skipping item existence checks: ${error.message}`);
+          boardSnapshot = null;
+        }
+      }
+      
+      // Check the mapped columns and labels before anything is written
+      await checkBoardSchema(mondayClient, mondayBoardId, schemaConfig, {
+        createMissingLabels: syncOptions.createMissingLabels || false,
+        dryRun: dryRunOption
+      });
+      
+      // Complexity scores are written as the board's own labels
+      if (columnMapping && columnMapping.complexity) {
+        labelResolver = await loadLabelResolver(mondayClient, mondayBoardId);
+      }
+      
       // Process each task
       for (const task of tasks) {
         try {
@@ -512,26 +778,27 @@ function createPushSync(config, options = {}) {
             continue;
           }
           
+          if (skipTaskIds.has(String(task.id))) {
+            Logger.debug(`Skipping task ${task.id} - left alone for this run`);
+            continue;
+          }
+          
           Logger.info(`Processing task ${task.id}: ${task.title || 'Unnamed task'}`);
           
-          // Force creation of new items for tasks with Monday item IDs by checking if they exist first
-          if (task.monday_item_id) {
+          // Force creation of new items for tasks whose Monday item is no longer on the board
+          let missingMondayItemId = null;
+          if (task.monday_item_id && boardSnapshot && !boardSnapshot.hasItem(task.monday_item_id)) {
+            missingMondayItemId = task.monday_item_id;
+            Logger.warn(`Monday.com item ${missingMondayItemId} for task ${task.id} doesn't exist in the board - forcing recreation`);
+            
+            // Remove the outdated Monday item ID to force creation of a new item
+            task.monday_item_id = null;
+            
+            // Also remove from sync state
             try {
-              // Try to get the board items to see if the item exists
-              const boardItems = await mondayClient.getItems(mondayBoardId);
-              const itemExists = boardItems.some(item => item.id === task.monday_item_id);
-              
-              if (!itemExists) {
-                Logger.warn(`Monday.com item ${task.monday_item_id} for task ${task.id} doesn't exist in the board - forcing recreation`);
-                // Remove the outdated Monday item ID to force creation of a new item
-                task.monday_item_id = null;
-                
-                // Also remove from sync state
-                await stateManager.removeMondayItem(task.monday_item_id);
-              }
+              await stateManager.removeMondayItem(missingMondayItemId);
             } catch (error) {
-              Logger.warn(`Error checking for item existence in board: ${error.message}`);
-              // Continue with normal sync process, which should handle errors
+              Logger.warn(`Error removing missing item ${missingMondayItemId} from sync state: ${error.message}`);
             }
           }
           
@@ -548,6 +815,15 @@ function createPushSync(config, options = {}) {
             };
           }
           
+          // A newly created item replacing a missing one counts as a recreation
+          if (missingMondayItemId && result.action === 'created') {
+            result = {
+              ...result,
+              action: 'recreated',
+              oldMondayItemId: missingMondayItemId
+            };
+          }
+          
           // Check the action returned from syncTask
           if (result.action === 'recreated') {
             Logger.info(`Recreated Monday.com item for task ${task.id} (old ID: ${result.oldMondayItemId}, new ID: ${result.mondayItemId})`);
@@ -562,12 +838,30 @@ function createPushSync(config, options = {}) {
               taskId: task.id,
               mondayItemId: result.mondayItemId
             });
+          } else if (result.action === 'adopted') {
+            Logger.info(`Adopted Monday.com item for task ${task.id}: ${result.mondayItemId}`);
+            results.adopted.push({
+              taskId: task.id,
+              mondayItemId: result.mondayItemId
+            });
+            for (const resolution of result.resolutions || []) {
+              results.resolutions.push({ taskId: task.id, ...resolution });
+            }
           } else if (result.action === 'updated') {
             Logger.info(`Updated Monday.com item for task ${task.id}: ${result.mondayItemId}`);
             results.updated.push({
               taskId: task.id,
               mondayItemId: result.mondayItemId
             });
+            for (const resolution of result.resolutions || []) {
+              results.resolutions.push({ taskId: task.id, ...resolution });
+            }
+          } else if (result.action === 'conflict') {
+            results.conflicts.push({
+              taskId: task.id,
+              mondayItemId: result.mondayItemId,
+              fields: result.fields
+            });
           } else if (result.action === 'error') {
             Logger.error(`Error processing task ${task.id}: ${result.error}`);
             results.errors.push({
@@ -576,20 +870,21 @@ function createPushSync(config, options = {}) {
             });
           }
           
-          // Verify the item was actually created/updated by checking the board again
-          if (!dryRunOption && (result.action === 'created' || result.action === 'recreated')) {
-            try {
-              const boardItems = await mondayClient.getItems(mondayBoardId);
-              const itemExists = boardItems.some(item => item.id === result.mondayItemId);
-              
-              if (!itemExists) {
-                Logger.warn(`Item was supposedly created with ID ${result.mondayItemId} but doesn't appear in the board. This could indicate an API permission issue.`);
-              } else {
-                Logger.info(`Verified item ${result.mondayItemId} exists in the board.`);
-              }
-            } catch (error) {
-              Logger.warn(`Error verifying item creation: ${error.message}`);
+          // Push the task's subtasks to the subitems of its item
+          if (subtaskSync && ['created', 'recreated', 'adopted', 'updated'].includes(result.action)) {
+            const subtaskResults = await journal.run(
+              { type: 'push_subtasks', taskId: task.id, mondayItemId: result.mondayItemId },
+              () => subtaskSync.pushSubtasks(
+                task,
+                result.mondayItemId,
+                boardSnapshot ? boardSnapshot.getItem(result.mondayItemId) : null,
+                { dryRun: dryRunOption }
+              )
+            );
+            for (const change of ['created', 'updated', 'deleted', 'conflicts']) {
+              results.subtasks[change].push(...subtaskResults[change]);
             }
+            results.errors.push(...subtaskResults.errors);
           }
         } catch (error) {
           Logger.error(`Error syncing task ${task.id}: ${error.message}`);
@@ -605,11 +900,22 @@ function createPushSync(config, options = {}) {
         await handleOrphanedItems(tasks, dryRunOption, results);
       }
       
-      Logger.info(`Push sync completed: ${results.created.length} created, ${results.updated.length} updated, ${results.recreated.length} recreated, ${results.deleted.length} deleted, ${results.errors.length} errors`);
+      Logger.info(`Push sync completed: ${results.created.length} created, ${results.updated.length} updated, ${results.recreated.length} recreated, ${results.adopted.length} adopted, ${results.deleted.length} deleted, ${results.conflicts.length} conflicts, ${results.errors.length} errors`);
+      
+      results.apiBudget = getClientBudget(mondayClient);
+      
+      // Every operation was made and recorded, so nothing is left to resume
+      await journal.finish();
+      
       return results;
     } catch (error) {
       Logger.error(`Push sync failed: ${error.message}`);
       throw error;
+    } finally {
+      journal = createOperationJournal({ enabled: false });
+      if (holdsRunLock) {
+        await stateManager.releaseRunLock();
+      }
     }
   }
   
@@ -622,10 +928,10 @@ function createPushSync(config, options = {}) {
    */
   async function handleOrphanedItems(localTasks, dryRun, results) {
     try {
-      // Get all sync state entries to find Monday items
-      const syncState = await stateManager.readSyncState();
+      // Get all synced Monday items and their tasks
+      const syncedItems = await stateManager.getAllSyncedItems();
       
-      if (!syncState || !syncState.items) {
+      if (!syncedItems) {
         Logger.info('No sync state found, skipping orphaned item cleanup');
         return;
       }
@@ -636,8 +942,8 @@ function createPushSync(config, options = {}) {
       // Find Monday items that don't have a corresponding local task
       const orphanedItems = [];
       
-      for (const mondayItemId in syncState.items) {
-        const taskId = syncState.items[mondayItemId].taskmasterTaskId;
+      for (const mondayItemId in syncedItems) {
+        const taskId = syncedItems[mondayItemId];
         
         // If this Monday item is mapped to a task ID that no longer exists locally
         if (taskId && !localTaskIds.has(String(taskId))) {
@@ -661,15 +967,28 @@ function createPushSync(config, options = {}) {
       // Delete orphaned items
       for (const item of orphanedItems) {
         try {
+          // Items already gone from the board only need their sync state cleaned up
+          if (boardSnapshot && !boardSnapshot.hasItem(item.mondayItemId)) {
+            Logger.info(`Orphaned Monday.com item ${item.mondayItemId} is no longer on the board - removing it from the sync state`);
+            await stateManager.removeMondayItem(item.mondayItemId);
+            continue;
+          }
+          
           Logger.info(`Deleting orphaned Monday.com item ${item.mondayItemId} (was mapped to task ${item.taskId})`);
           
-          // Delete the item in Monday.com
-          const deleted = await mondayClient.deleteItem(item.mondayItemId);
+          // Delete the item in Monday.com, then remove it from the sync state and the run's board snapshot
+          const deleted = await journal.run({ type: 'delete_item', taskId: item.taskId, mondayItemId: item.mondayItemId }, async () => {
+            const itemDeleted = await mondayClient.deleteItem(item.mondayItemId);
+            if (itemDeleted) {
+              await stateManager.removeMondayItem(item.mondayItemId);
+              if (boardSnapshot) {
+                boardSnapshot.removeItem(item.mondayItemId);
+              }
+            }
+            return itemDeleted;
+          });
           
           if (deleted) {
-            // Remove the item from the sync state
-            await stateManager.removeMondayItem(item.mondayItemId);
-            
             // Add to results
             results.deleted.push(item);
             Logger.info(`Successfully deleted orphaned Monday.com item ${item.mondayItemId}`);
@@ -0,0 +1,321 @@
+/**
+ * State Verifier Module
+ *
+ * Checks the sync state against the two places that also record which item a
+ * task is synced with: the monday_item_id of the task in tasks.json and the
+ * Task ID column of the item on the board (taskmaster-sync state verify).
+ * Every problem comes with the repairs that settle it; applying them changes
+ * only the sync state and tasks.json, never the board (state repair).
+ *
+ * Where the sources disagree the board wins: pull reads the task of an item
+ * from its Task ID column, so a mapping is relinked to the task the column
+ * names when that task exists. A lost state is rebuilt the same way, from the
+ * Task ID column of every item (state rebuild).
+ */
+
+const { resolveTaskIdFromMondayItem } = require('./taskIdResolver');
+
+/**
+ * Describes a repair for the dry-run preview
+ * @param {Object} repair - The repair
+ * @returns {string} - What the repair does
+ */
+function describeRepair(repair) {
+  switch (repair.type) {
+    case 'remove_item_mapping':
+      return `remove the mapping of item ${repair.mondayItemId}`;
+    case 'remove_task_mappings':
+      return `remove the mappings of task ${repair.taskId}`;
+    case 'link':
+      return `link item ${repair.mondayItemId} to task ${repair.taskId}`;
+    case 'set_task_item':
+      return repair.mondayItemId
+        ? `set monday_item_id of task ${repair.taskId} to ${repair.mondayItemId}`
+        : `clear monday_item_id of task ${repair.taskId}`;
+    default:
+      return repair.type;
+  }
+}
+
+/**
+ * Verifies a sync state against tasks.json and the board
+ * @param {Object} input - What to compare
+ * @param {Object} input.mappings - The sync state's mappings (item ID → { taskId, syncedAt })
+ * @param {Object[]} input.tasks - The local tasks synced with the board
+ * @param {Object[]} input.items - Every item on the board
+ * @param {Object} input.columnMapping - Column mapping configuration (for the Task ID column)
+ * @param {string} input.boardId - The board ID (for messages)
+ * @returns {Object} - { valid, problems, repairs }, where problems are
+ *   { type: dangling_mapping | duplicate_items | deleted_item | task_id_mismatch, taskId, mondayItemId, message, repairs }
+ *   and repairs lists every problem's repairs in the order to apply them
+ */
+function verifySyncState({ mappings = {}, tasks = [], items = [], columnMapping = {}, boardId = null }) {
+  const tasksById = new Map(tasks.filter(task => task && task.id !== undefined).map(task => [String(task.id), task]));
+  const itemsById = new Map(items.map(item => [String(item.id), item]));
+  const board = boardId ? `board ${boardId}` : 'the board';
+  const problems = [];
+
+  const addProblem = (problem, repairs) => {
+    problems.push({ ...problem, repairs });
+  };
+
+  // Item ID → task ID as the state will be once the repairs are applied
+  const links = new Map();
+
+  // Mappings to items or tasks that no longer exist, and mappings the Task ID column disagrees with
+  const removedTasks = new Set();
+  for (const [mondayItemId, entry] of Object.entries(mappings)) {
+    const taskId = String(entry.taskId);
+
+    if (!itemsById.has(mondayItemId)) {
+      addProblem({
+        type: 'dangling_mapping',
+        taskId,
+        mondayItemId,
+        message: `item ${mondayItemId} is mapped to task ${taskId}, but the item is no longer on ${board}`
+      }, [{ type: 'remove_item_mapping', mondayItemId }]);
+      continue;
+    }
+
+    if (!tasksById.has(taskId)) {
+      addProblem({
+        type: 'dangling_mapping',
+        taskId,
+        mondayItemId,
+        message: `item ${mondayItemId} is mapped to task ${taskId}, but the task is not in tasks.json`
+      }, removedTasks.has(taskId) ? [] : [{ type: 'remove_task_mappings', taskId }]);
+      removedTasks.add(taskId);
+      continue;
+    }
+
+    const columnTaskId = resolveTaskIdFromMondayItem(itemsById.get(mondayItemId), columnMapping);
+    if (columnTaskId && columnTaskId !== taskId) {
+      const relink = tasksById.has(columnTaskId);
+      addProblem({
+        type: 'task_id_mismatch',
+        taskId,
+        mondayItemId,
+        message: `item ${mondayItemId} is mapped to task ${taskId}, but its Task ID column says ${columnTaskId}` +
+          (relink ? '' : ` (task ${columnTaskId} is not in tasks.json; the next push rewrites the column)`)
+      }, relink ? [{ type: 'link', mondayItemId, taskId: columnTaskId }] : []);
+      links.set(mondayItemId, relink ? columnTaskId : taskId);
+      continue;
+    }
+
+    links.set(mondayItemId, taskId);
+  }
+
+  // Board items the Task ID column gives to a task, whether or not the state maps them
+  const candidatesByTaskId = new Map();
+  const addCandidate = (taskId, mondayItemId) => {
+    const candidates = candidatesByTaskId.get(taskId) || [];
+    if (!candidates.includes(mondayItemId)) {
+      candidates.push(mondayItemId);
+    }
+    candidatesByTaskId.set(taskId, candidates);
+  };
+  for (const [mondayItemId, taskId] of links) {
+    addCandidate(taskId, mondayItemId);
+  }
+  for (const item of items) {
+    const columnTaskId = resolveTaskIdFromMondayItem(item, columnMapping);
+    if (columnTaskId && tasksById.has(columnTaskId) && !links.has(String(item.id))) {
+      addCandidate(columnTaskId, String(item.id));
+    }
+  }
+
+  for (const [taskId, task] of tasksById) {
+    const candidates = candidatesByTaskId.get(taskId) || [];
+    const taskItemId = task.monday_item_id ? String(task.monday_item_id) : null;
+
+    // The item the task points at is kept, otherwise the most recently synced one
+    let keeper = taskItemId && candidates.includes(taskItemId) ? taskItemId : null;
+    if (!keeper && candidates.length > 0) {
+      const synced = candidates
+        .filter(mondayItemId => links.has(mondayItemId))
+        .sort((a, b) => ((mappings[b] && mappings[b].syncedAt) || 0) - ((mappings[a] && mappings[a].syncedAt) || 0));
+      keeper = synced[0] || candidates[0];
+    }
+
+    if (candidates.length > 1) {
+      const repairs = candidates
+        .filter(mondayItemId => mondayItemId !== keeper && links.has(mondayItemId))
+        .map(mondayItemId => ({ type: 'remove_item_mapping', mondayItemId }));
+      const unmapped = candidates.filter(mondayItemId => mondayItemId !== keeper && !links.has(mondayItemId));
+      addProblem({
+        type: 'duplicate_items',
+        taskId,
+        mondayItemId: keeper,
+        message: `task ${taskId} has ${candidates.length} items on ${board} (${candidates.join(', ')}), keeping ${keeper}` +
+          (unmapped.length > 0 ? `; ${unmapped.join(', ')} left on the board unlinked` : '')
+      }, repairs);
+    }
+
+    if (taskItemId && !itemsById.has(taskItemId)) {
+      addProblem({
+        type: 'deleted_item',
+        taskId,
+        mondayItemId: taskItemId,
+        message: `task ${taskId} points at item ${taskItemId}, which is no longer on ${board}` +
+          (keeper ? `; item ${keeper} is linked to it` : '')
+      }, [{ type: 'set_task_item', taskId, mondayItemId: keeper }]);
+    } else if (taskItemId !== keeper) {
+      // The task follows the item it is linked to: a duplicate's keeper, or the item a
+      // relinked mapping took from it or gave to it
+      const problem = problems.find(candidate => candidate.type === 'duplicate_items' && candidate.taskId === taskId) ||
+        problems.find(candidate => candidate.type === 'task_id_mismatch' &&
+          [taskItemId, keeper].includes(candidate.mondayItemId));
+      if (problem && (keeper || links.get(taskItemId) !== taskId)) {
+        problem.repairs.push({ type: 'set_task_item', taskId, mondayItemId: keeper });
+      }
+    }
+
+    // A kept item the state does not map yet is linked
+    if (keeper && !links.has(keeper)) {
+      const problem = problems.find(candidate => candidate.type === 'duplicate_items' && candidate.taskId === taskId);
+      if (problem) {
+        problem.repairs.push({ type: 'link', mondayItemId: keeper, taskId });
+      }
+    }
+  }
+
+  return {
+    valid: problems.length === 0,
+    problems,
+    repairs: problems.flatMap(problem => problem.repairs)
+  };
+}
+
+/**
+ * Applies the repairs of a verification
+ * @param {Object[]} repairs - The repairs (verifySyncState's repairs)
+ * @param {Object} context - What the repairs change
+ * @param {Object} context.stateManager - The sync state manager of the board
+ * @param {Object[]} context.tasks - The local tasks (changed in place)
+ * @param {Function} context.writeTasks - Writes the changed tasks back to tasks.json
+ * @returns {Promise<Object>} - { applied, tasksChanged }
+ */
+async function applyStateRepairs(repairs, { stateManager, tasks = [], writeTasks }) {
+  const tasksById = new Map(tasks.map(task => [String(task.id), task]));
+  let applied = 0;
+  let tasksChanged = 0;
+
+  for (const repair of repairs) {
+    switch (repair.type) {
+      case 'remove_item_mapping':
+        await stateManager.removeMondayItem(repair.mondayItemId);
+        break;
+      case 'remove_task_mappings':
+        await stateManager.removeLocalTask(repair.taskId);
+        break;
+      case 'link':
+        await stateManager.updateSyncedTimestamp(repair.mondayItemId, repair.taskId);
+        break;
+      case 'set_task_item': {
+        const task = tasksById.get(String(repair.taskId));
+        if (!task) {
+          continue;
+        }
+        task.monday_item_id = repair.mondayItemId || null;
+        tasksChanged++;
+        break;
+      }
+      default:
+        throw new Error(`Unknown repair: ${repair.type}`);
+    }
+    applied++;
+  }
+
+  if (tasksChanged > 0 && typeof writeTasks === 'function') {
+    await writeTasks(tasks);
+  }
+
+  return { applied, tasksChanged };
+}
+
+/**
+ * Rebuilds the mappings of a sync state from the board (taskmaster-sync state rebuild).
+ * An item belongs to the task its Task ID column names; a task no item names
+ * falls back to its monday_item_id. Subitems are matched to subtasks the same
+ * way, by the full subtask ID ("3.2") in their Task ID column.
+ * @param {Object} input - What to rebuild from
+ * @param {Object[]} input.tasks - The local tasks synced with the board
+ * @param {Object[]} input.items - Every item on the board (with their subitems)
+ * @param {Object} input.columnMapping - Column mapping configuration (for the Task ID column)
+ * @param {Object} input.subitemColumnMapping - Subitem column mapping (for the subitems' Task ID column)
+ * @param {Object} input.choices - Task ID → item ID, the items chosen for ambiguous tasks
+ * @returns {Object} - { mappings, subitems, linked, ambiguous, unmatchedTasks, unmatchedItems }, where
+ *   linked lists { taskId, mondayItemId, source: task_id_column | monday_item_id | choice },
+ *   ambiguous lists { taskId, mondayItemIds } for tasks more than one item names and no choice settles
+ */
+function rebuildSyncState({ tasks = [], items = [], columnMapping = {}, subitemColumnMapping = null, choices = {} }) {
+  const tasksById = new Map(tasks.filter(task => task && task.id !== undefined).map(task => [String(task.id), task]));
+  const itemsById = new Map(items.map(item => [String(item.id), item]));
+  const linked = [];
+  const ambiguous = [];
+  const unmatchedItems = [];
+
+  // Items by the task their Task ID column names
+  const itemIdsByTaskId = new Map();
+  for (const item of items) {
+    const columnTaskId = resolveTaskIdFromMondayItem(item, columnMapping);
+    if (!columnTaskId) {
+      continue;
+    }
+    if (!tasksById.has(columnTaskId)) {
+      // Mapping it would make the next push delete the item as an orphan
+      unmatchedItems.push({ mondayItemId: String(item.id), taskId: columnTaskId });
+      continue;
+    }
+    itemIdsByTaskId.set(columnTaskId, [...(itemIdsByTaskId.get(columnTaskId) || []), String(item.id)]);
+  }
+
+  const claimedItemIds = new Set([...itemIdsByTaskId.values()].flat());
+  for (const [taskId, task] of tasksById) {
+    const candidates = itemIdsByTaskId.get(taskId) || [];
+    const chosen = choices[taskId] !== undefined ? String(choices[taskId]) : null;
+    const taskItemId = task.monday_item_id ? String(task.monday_item_id) : null;
+
+    if (chosen && (candidates.includes(chosen) || (candidates.length === 0 && itemsById.has(chosen)))) {
+      linked.push({ taskId, mondayItemId: chosen, source: 'choice' });
+    } else if (candidates.length > 1) {
+      ambiguous.push({ taskId, mondayItemIds: candidates });
+    } else if (candidates.length === 1) {
+      linked.push({ taskId, mondayItemId: candidates[0], source: 'task_id_column' });
+    } else if (taskItemId && itemsById.has(taskItemId) && !claimedItemIds.has(taskItemId)) {
+      linked.push({ taskId, mondayItemId: taskItemId, source: 'monday_item_id' });
+    }
+  }
+
+  const mappings = {};
+  const subitems = {};
+  for (const { taskId, mondayItemId } of linked) {
+    mappings[mondayItemId] = { taskId, syncedAt: null };
+
+    const subtaskIds = new Set((tasksById.get(taskId).subtasks || []).map(subtask => `${taskId}.${subtask.id}`));
+    for (const subitem of (subitemColumnMapping && itemsById.get(mondayItemId).subitems) || []) {
+      const subtaskId = resolveTaskIdFromMondayItem(subitem, subitemColumnMapping);
+      if (subtaskId && subtaskIds.has(subtaskId)) {
+        subitems[String(subitem.id)] = { subtaskId, parentItemId: mondayItemId, fields: null, lastSyncedAt: null };
+      }
+    }
+  }
+
+  const linkedTaskIds = new Set(linked.map(link => link.taskId));
+  const ambiguousTaskIds = new Set(ambiguous.map(entry => entry.taskId));
+  return {
+    mappings,
+    subitems,
+    linked,
+    ambiguous,
+    unmatchedTasks: [...tasksById.keys()].filter(taskId => !linkedTaskIds.has(taskId) && !ambiguousTaskIds.has(taskId)),
+    unmatchedItems
+  };
+}
+
+module.exports = {
+  verifySyncState,
+  rebuildSyncState,
+  applyStateRepairs,
+  describeRepair
+};
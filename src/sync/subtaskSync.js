@@ -0,0 +1,473 @@
+/**
+ * Subtask Sync Module
+ *
+ * Syncs TaskMaster subtasks with the subitems of their task's Monday.com item.
+ * Each synced subitem is recorded in the sync state under its full subtask ID
+ * ("3.2") together with a base snapshot, so additions, edits and deletions can
+ * be traced to the side they were made on and carried over to the other one.
+ */
+
+const { snapshotTask, threeWayMerge, differingFields, nextBaseSnapshot } = require('./threeWayMerge');
+const { reverseMapping } = require('./taskItemMapper');
+const { Logger } = require('../utils/logger');
+
+// Subtask fields synced with subitems (names match the subitem column mapping keys)
+const SUBTASK_FIELDS = ['title', 'status', 'description', 'details'];
+
+/**
+ * Gets the full ID of a subtask, as tracked in the sync state
+ * @param {Object} task - The parent task
+ * @param {Object} subtask - The subtask
+ * @returns {string} - The full subtask ID (e.g. "3.2")
+ */
+function getFullSubtaskId(task, subtask) {
+  return `${task.id}.${subtask.id}`;
+}
+
+/**
+ * Creates an empty set of subtask changes
+ * @returns {Object} - { created, updated, deleted, conflicts }
+ */
+function emptySubtaskChanges() {
+  return {
+    created: [],
+    updated: [],
+    deleted: [],
+    conflicts: []
+  };
+}
+
+/**
+ * Creates a subtask sync instance
+ * @param {Object} options - Subtask sync options
+ * @param {Object} options.mondayClient - The Monday.com client
+ * @param {Object} options.stateManager - The sync state manager
+ * @param {Object} options.subitemColumnMapping - Subitem column mapping (taskId, status, description, details)
+ * @param {Object} options.statusMappings - TaskMaster status → Monday.com label
+ * @returns {Object} - Subtask sync instance
+ */
+function createSubtaskSync(options = {}) {
+  const mondayClient = options.mondayClient;
+  const stateManager = options.stateManager || {};
+  const columnMapping = options.subitemColumnMapping || {};
+  const statusMappings = options.statusMappings || {};
+  const statusMapping = reverseMapping(statusMappings);
+
+  // The title is always synced (it is the subitem name); other fields need a mapped column
+  const syncedFields = SUBTASK_FIELDS.filter(field => field === 'title' || Boolean(columnMapping[field]));
+
+  /**
+   * Maps a subtask to subitem column values
+   * @param {Object} subtask - The subtask
+   * @param {string} subtaskId - The full subtask ID
+   * @param {string[]} fields - The fields to include (all synced fields by default)
+   * @returns {Object} - Monday.com column values
+   */
+  function mapSubtaskToColumnValues(subtask, subtaskId, fields = syncedFields) {
+    const columnValues = {};
+
+    if (columnMapping.taskId) {
+      columnValues[columnMapping.taskId] = subtaskId;
+    }
+
+    if (fields.includes('status') && subtask.status) {
+      columnValues[columnMapping.status] = { label: statusMappings[subtask.status] || subtask.status };
+    }
+
+    if (fields.includes('description') && subtask.description) {
+      columnValues[columnMapping.description] = subtask.description;
+    }
+
+    if (fields.includes('details') && subtask.details) {
+      columnValues[columnMapping.details] = subtask.details;
+    }
+
+    return columnValues;
+  }
+
+  /**
+   * Maps a Monday.com subitem to subtask fields
+   * @param {Object} subitem - The subitem
+   * @returns {Object} - { title, status, description, details, taskId }
+   */
+  function mapSubitemToSubtask(subitem) {
+    const subtask = {
+      title: subitem.name
+    };
+
+    for (const column of subitem.column_values || []) {
+      if (!column.id || !column.text) {
+        continue;
+      }
+
+      if (column.id === columnMapping.taskId) {
+        subtask.taskId = column.text;
+      }
+
+      if (column.id === columnMapping.status) {
+        const mondayStatus = column.text.toLowerCase();
+        subtask.status = statusMapping[mondayStatus] || mondayStatus;
+      }
+
+      if (column.id === columnMapping.description) {
+        subtask.description = column.text;
+      }
+
+      if (column.id === columnMapping.details) {
+        subtask.details = column.text;
+      }
+    }
+
+    return subtask;
+  }
+
+  /**
+   * Gets the subitems synced under an item
+   * @param {string} parentItemId - The parent Monday.com item ID
+   * @returns {Promise<Object[]>} - The subitem mappings
+   */
+  async function getSubitemMappings(parentItemId) {
+    if (typeof stateManager.getSubitemMappings !== 'function') {
+      return [];
+    }
+
+    return stateManager.getSubitemMappings(parentItemId);
+  }
+
+  /**
+   * Records subitem mapping changes in the sync state
+   * @param {Object[]} storeMappings - Mappings to store
+   * @param {string[]} removeMappings - Subitem IDs to remove
+   * @returns {Promise<void>}
+   */
+  async function applyMappingChanges(storeMappings, removeMappings) {
+    if (removeMappings.length > 0 && typeof stateManager.removeSubitemMappings === 'function') {
+      await stateManager.removeSubitemMappings(removeMappings);
+    }
+
+    if (storeMappings.length > 0 && typeof stateManager.storeSubitemMappings === 'function') {
+      await stateManager.storeSubitemMappings(storeMappings);
+    }
+  }
+
+  /**
+   * Picks the next free subtask number for a task
+   * @param {Object[]} subtasks - The task's subtasks, including any removed this run
+   * @param {string} preferredId - A subtask ID read from the subitem, if any (e.g. "3.2")
+   * @param {Object} task - The parent task
+   * @returns {number} - The subtask number
+   */
+  function nextSubtaskNumber(subtasks, preferredId, task) {
+    const usedIds = new Set(subtasks.map(subtask => String(subtask.id)));
+    const prefix = `${task.id}.`;
+
+    if (preferredId && preferredId.startsWith(prefix)) {
+      const preferred = Number(preferredId.slice(prefix.length));
+      if (Number.isInteger(preferred) && preferred > 0 && !usedIds.has(String(preferred))) {
+        return preferred;
+      }
+    }
+
+    return subtasks.reduce((max, subtask) => Math.max(max, Number(subtask.id) || 0), 0) + 1;
+  }
+
+  /**
+   * Works out a task's subtasks after pulling its item's subitems.
+   * Subitems added in Monday.com become subtasks, subitem edits are merged
+   * against the stored base (local edits win over conflicting ones and are left
+   * for the push), and subtasks whose synced subitem was deleted are removed.
+   * Subitems whose subtask was deleted locally are left for the push to delete,
+   * unless the task itself is new locally.
+   * @param {Object} task - The task as planned by the pull
+   * @param {Object} item - The task's Monday.com item, with its subitems
+   * @param {Object[]} mappings - The subitem mappings for the item
+   * @param {Object} planOptions - Planning options
+   * @param {boolean} planOptions.isNewTask - Whether the task is new locally (pulled or recreated)
+   * @returns {Object} - { subtasks, changes, storeMappings, removeMappings }
+   */
+  function planPull(task, item, mappings = [], planOptions = {}) {
+    const changes = emptySubtaskChanges();
+    const storeMappings = [];
+    const removeMappings = [];
+
+    // Items fetched without their subitems tell us nothing about them
+    if (!item || !Array.isArray(item.subitems)) {
+      return { subtasks: task.subtasks || [], changes, storeMappings, removeMappings };
+    }
+
+    const subtasks = (task.subtasks || []).map(subtask => ({ ...subtask }));
+    const mappingsBySubitem = new Map(mappings.map(mapping => [String(mapping.subitemId), mapping]));
+    const subitemIds = new Set(item.subitems.map(subitem => String(subitem.id)));
+
+    // Subitems deleted in Monday.com take their subtasks with them
+    for (const mapping of mappings) {
+      if (subitemIds.has(String(mapping.subitemId))) {
+        continue;
+      }
+
+      const index = subtasks.findIndex(subtask => getFullSubtaskId(task, subtask) === mapping.subtaskId);
+      if (index !== -1) {
+        Logger.info(`Subitem ${mapping.subitemId} was deleted in Monday.com - removing subtask ${mapping.subtaskId}`);
+        changes.deleted.push({ subtaskId: mapping.subtaskId, subitemId: mapping.subitemId, title: subtasks[index].title });
+        subtasks.splice(index, 1);
+      }
+      removeMappings.push(mapping.subitemId);
+    }
+
+    for (const subitem of item.subitems) {
+      const remote = mapSubitemToSubtask(subitem);
+      const mapping = mappingsBySubitem.get(String(subitem.id));
+      const local = mapping
+        ? subtasks.find(subtask => getFullSubtaskId(task, subtask) === mapping.subtaskId)
+        : null;
+
+      if (mapping && local) {
+        const merge = threeWayMerge(local, mapping.fields, remote, syncedFields);
+        const conflictFields = merge.conflicts.map(conflict => conflict.field);
+        const pulledFields = merge.remoteChanges.filter(field => !merge.localChanges.includes(field));
+
+        for (const field of pulledFields) {
+          local[field] = remote[field];
+        }
+        if (pulledFields.length > 0) {
+          changes.updated.push({ subtaskId: mapping.subtaskId, subitemId: subitem.id, title: local.title, fields: pulledFields });
+        }
+        if (conflictFields.length > 0) {
+          Logger.warn(`Subtask ${mapping.subtaskId} was changed both locally and in Monday.com (${conflictFields.join(', ')}) - keeping the local values`);
+          changes.conflicts.push({ subtaskId: mapping.subtaskId, subitemId: subitem.id, fields: conflictFields });
+        }
+
+        storeMappings.push({
+          ...mapping,
+          fields: nextBaseSnapshot(local, remote, mapping.fields, syncedFields)
+        });
+        continue;
+      }
+
+      // Subtask deleted locally - the push deletes its subitem
+      if (mapping && !planOptions.isNewTask) {
+        continue;
+      }
+
+      // Subitem added in Monday.com (or belonging to a task recreated locally)
+      const preferredId = mapping ? mapping.subtaskId : remote.taskId;
+      const subtask = {
+        // IDs of subtasks removed this run are not reused
+        id: nextSubtaskNumber([...(task.subtasks || []), ...subtasks], preferredId, task),
+        title: remote.title,
+        description: remote.description || '',
+        details: remote.details || '',
+        status: remote.status || 'pending',
+        dependencies: []
+      };
+      const subtaskId = getFullSubtaskId(task, subtask);
+
+      Logger.info(`Adding subtask ${subtaskId} from Monday.com subitem ${subitem.id}: ${subtask.title}`);
+      subtasks.push(subtask);
+      changes.created.push({ subtaskId, subitemId: subitem.id, title: subtask.title });
+      storeMappings.push({
+        subitemId: subitem.id,
+        subtaskId,
+        parentItemId: item.id,
+        fields: snapshotTask(subtask, syncedFields)
+      });
+    }
+
+    return { subtasks, changes, storeMappings, removeMappings };
+  }
+
+  /**
+   * Records the pulled subitem mappings in the sync state
+   * @param {Object[]} plans - Results of planPull
+   * @returns {Promise<void>}
+   */
+  async function applyPullPlans(plans) {
+    await applyMappingChanges(
+      plans.flatMap(plan => plan.storeMappings),
+      plans.flatMap(plan => plan.removeMappings)
+    );
+  }
+
+  /**
+   * Pushes a task's subtasks to the subitems of its Monday.com item.
+   * New subtasks are created as subitems, subtasks edited locally are updated
+   * (fields changed only in Monday.com are left alone), and subitems whose
+   * subtask was deleted locally are deleted.
+   * @param {Object} task - The TaskMaster task
+   * @param {string} parentItemId - The task's Monday.com item ID
+   * @param {Object} item - The item from the board snapshot, with its subitems (null if unknown)
+   * @param {Object} pushOptions - Push options
+   * @param {boolean} pushOptions.dryRun - Whether to run in dry run mode
+   * @returns {Promise<Object>} - { created, updated, deleted, conflicts, errors }
+   */
+  async function pushSubtasks(task, parentItemId, item, pushOptions = {}) {
+    const dryRun = Boolean(pushOptions.dryRun);
+    const results = { ...emptySubtaskChanges(), errors: [] };
+    const storeMappings = [];
+    const removeMappings = [];
+
+    const mappings = await getSubitemMappings(parentItemId);
+    const subitems = item && Array.isArray(item.subitems)
+      ? new Map(item.subitems.map(subitem => [String(subitem.id), subitem]))
+      : null;
+    const localSubtaskIds = new Set();
+
+    for (const subtask of task.subtasks || []) {
+      const subtaskId = getFullSubtaskId(task, subtask);
+      localSubtaskIds.add(subtaskId);
+
+      try {
+        let mapping = mappings.find(entry => entry.subtaskId === subtaskId);
+
+        // An unlinked subitem that already carries the subtask ID (e.g. under an adopted item) is linked, not duplicated
+        if (!mapping && subitems && columnMapping.taskId) {
+          const linkedIds = new Set(mappings.map(entry => String(entry.subitemId)));
+          const existing = [...subitems.values()].find(candidate =>
+            !linkedIds.has(String(candidate.id)) && mapSubitemToSubtask(candidate).taskId === subtaskId);
+          if (existing) {
+            Logger.info(`Linking existing subitem ${existing.id} to subtask ${subtaskId}`);
+            mapping = { subitemId: existing.id, subtaskId, parentItemId, fields: null };
+            mappings.push(mapping);
+            storeMappings.push({ ...mapping, fields: snapshotTask(mapSubitemToSubtask(existing), syncedFields) });
+          }
+        }
+
+        const subitem = mapping && subitems ? subitems.get(String(mapping.subitemId)) : null;
+
+        if (mapping && (subitem || !subitems)) {
+          let fields = syncedFields;
+          let remote = null;
+
+          if (subitem) {
+            remote = mapSubitemToSubtask(subitem);
+            if (mapping.fields) {
+              const merge = threeWayMerge(subtask, mapping.fields, remote, syncedFields);
+              const conflictFields = merge.conflicts.map(conflict => conflict.field);
+              if (conflictFields.length > 0) {
+                Logger.warn(`Subtask ${subtaskId} was changed both locally and in Monday.com (${conflictFields.join(', ')}) - not pushing those fields; pull to resolve`);
+                results.conflicts.push({ subtaskId, subitemId: mapping.subitemId, fields: conflictFields });
+              }
+              fields = merge.localChanges.filter(field => !conflictFields.includes(field) && !merge.remoteChanges.includes(field));
+            } else {
+              fields = differingFields(subtask, remote, syncedFields).map(difference => difference.field);
+            }
+          }
+
+          if (fields.length === 0) {
+            continue;
+          }
+
+          const columnValues = mapSubtaskToColumnValues(subtask, subtaskId, fields);
+          if (fields.includes('title')) {
+            columnValues.name = subtask.title;
+          }
+
+          if (dryRun) {
+            Logger.info(`[DRY RUN] Would update subitem ${mapping.subitemId} for subtask ${subtaskId} with values:`, columnValues);
+            results.updated.push({ subtaskId, subitemId: mapping.subitemId, title: subtask.title, fields });
+            continue;
+          }
+
+          // Subitems live on their own board
+          const subitemBoardId = subitem && subitem.board
+            ? subitem.board.id
+            : (await mondayClient.getItem(mapping.subitemId)).board.id;
+          await mondayClient.updateItemColumnValues(mapping.subitemId, subitemBoardId, columnValues);
+
+          Logger.info(`Updated subitem ${mapping.subitemId} for subtask ${subtaskId}`);
+          results.updated.push({ subtaskId, subitemId: mapping.subitemId, title: subtask.title, fields });
+
+          const pushedRemote = remote ? { ...remote } : { ...subtask };
+          for (const field of fields) {
+            pushedRemote[field] = subtask[field];
+          }
+          storeMappings.push({
+            ...mapping,
+            fields: nextBaseSnapshot(subtask, pushedRemote, mapping.fields, syncedFields)
+          });
+          continue;
+        }
+
+        // A synced subitem that no longer exists is recreated, like task items
+        if (mapping) {
+          Logger.warn(`Subitem ${mapping.subitemId} for subtask ${subtaskId} no longer exists - recreating it`);
+          removeMappings.push(mapping.subitemId);
+        }
+
+        const columnValues = mapSubtaskToColumnValues(subtask, subtaskId);
+
+        if (dryRun) {
+          Logger.info(`[DRY RUN] Would create subitem "${subtask.title}" for subtask ${subtaskId} with values:`, columnValues);
+          results.created.push({ subtaskId, subitemId: null, title: subtask.title });
+          continue;
+        }
+
+        const created = await mondayClient.createSubitem(parentItemId, subtask.title, columnValues);
+
+        Logger.info(`Created subitem ${created.id} for subtask ${subtaskId}`);
+        results.created.push({ subtaskId, subitemId: created.id, title: subtask.title });
+        storeMappings.push({
+          subitemId: created.id,
+          subtaskId,
+          parentItemId,
+          fields: snapshotTask(subtask, syncedFields)
+        });
+      } catch (error) {
+        Logger.error(`Error syncing subtask ${subtaskId}: ${error.message}`);
+        results.errors.push({ taskId: subtaskId, error: error.message });
+      }
+    }
+
+    // Subitems of subtasks deleted locally
+    for (const mapping of mappings) {
+      if (localSubtaskIds.has(mapping.subtaskId)) {
+        continue;
+      }
+
+      // Deleted on both sides - only the sync state needs cleaning up
+      if (subitems && !subitems.has(String(mapping.subitemId))) {
+        removeMappings.push(mapping.subitemId);
+        continue;
+      }
+
+      if (dryRun) {
+        Logger.info(`[DRY RUN] Would delete subitem ${mapping.subitemId} (was mapped to subtask ${mapping.subtaskId})`);
+        results.deleted.push({ subtaskId: mapping.subtaskId, subitemId: mapping.subitemId });
+        continue;
+      }
+
+      const deleted = await mondayClient.deleteItem(mapping.subitemId);
+      if (deleted) {
+        Logger.info(`Deleted subitem ${mapping.subitemId} (was mapped to subtask ${mapping.subtaskId})`);
+        removeMappings.push(mapping.subitemId);
+        results.deleted.push({ subtaskId: mapping.subtaskId, subitemId: mapping.subitemId });
+      } else {
+        results.errors.push({ taskId: mapping.subtaskId, error: `Failed to delete subitem ${mapping.subitemId}` });
+      }
+    }
+
+    if (!dryRun) {
+      await applyMappingChanges(storeMappings, removeMappings);
+    }
+
+    return results;
+  }
+
+  // Return the public API
+  return {
+    syncedFields,
+    mapSubtaskToColumnValues,
+    mapSubitemToSubtask,
+    getSubitemMappings,
+    planPull,
+    applyPullPlans,
+    pushSubtasks
+  };
+}
+
+module.exports = {
+  createSubtaskSync,
+  emptySubtaskChanges,
+  getFullSubtaskId,
+  SUBTASK_FIELDS
+};
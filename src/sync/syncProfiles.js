@@ -0,0 +1,350 @@
+/**
+ * Sync Profiles Module
+ *
+ * Lets one configuration sync tasks with several Monday.com boards. Each entry
+ * of the profiles array has its own board, groups and mappings, and a select
+ * rule that picks its tasks; push and pull run once per profile with the tasks
+ * routed to it. Settings a profile leaves out come from the top level of the
+ * configuration.
+ *
+ *   "profiles": [
+ *     {
+ *       "name": "backend",
+ *       "monday_board_id": "1234567890",
+ *       "monday_group_ids": ["topics"],
+ *       "select": { "ids": ["1-20", 42], "match": { "title": "^API" } }
+ *     },
+ *     { "name": "frontend", "monday_board_id": "9876543210", "monday_group_ids": ["new_group"] }
+ *   ]
+ *
+ * A task goes to the first profile whose select rule it matches, or to the
+ * profile without a select rule. Once a task is synced with a board it stays
+ * with that board's profile, even if the rules change. Each board keeps its own
+ * section of the sync state (the top-level board keeps the top level).
+ */
+
+const { createSyncStateManager } = require('./syncStateManager');
+const { validateConflictPolicy } = require('./conflictPolicy');
+
+// Settings a profile can set for its board (the others come from the top level)
+const PROFILE_SETTINGS = [
+  'monday_board_id',
+  'monday_group_ids',
+  'column_mappings',
+  'status_mappings',
+  'priority_mappings',
+  'subitem_column_mappings',
+  'conflict_policy'
+];
+
+// Settings merged with the top-level values instead of replacing them
+const MERGED_SETTINGS = ['column_mappings', 'status_mappings', 'priority_mappings', 'subitem_column_mappings'];
+
+/**
+ * Parses an entry of select.ids: a task ID, or a range such as "3-7"
+ * @param {string|number} entry - The entry
+ * @returns {Function|null} - (taskId) => boolean, or null if the entry is invalid
+ */
+function parseIdRule(entry) {
+  if (typeof entry === 'number' && Number.isInteger(entry)) {
+    return taskId => String(taskId) === String(entry);
+  }
+  if (typeof entry !== 'string' || entry.trim() === '') {
+    return null;
+  }
+
+  const range = entry.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+  if (!range) {
+    return taskId => String(taskId) === entry.trim();
+  }
+
+  const from = Number(range[1]);
+  const to = Number(range[2]);
+  if (from > to) {
+    return null;
+  }
+  return taskId => /^\d+$/.test(String(taskId)) && Number(taskId) >= from && Number(taskId) <= to;
+}
+
+/**
+ * Validates the select rule of a profile
+ * @param {Object} select - The select rule ({ ids, match })
+ * @param {string} label - Where the rule is, for error messages
+ * @throws {Error} If the rule is invalid
+ */
+function validateSelect(select, label) {
+  if (!select || typeof select !== 'object' || Array.isArray(select)) {
+    throw new Error(`${label}.select must be an object with ids and/or match`);
+  }
+  if (select.ids === undefined && select.match === undefined) {
+    throw new Error(`${label}.select needs ids or match`);
+  }
+
+  if (select.ids !== undefined) {
+    if (!Array.isArray(select.ids) || select.ids.length === 0) {
+      throw new Error(`${label}.select.ids must be a non-empty array of task IDs or ranges such as "3-7"`);
+    }
+    for (const entry of select.ids) {
+      if (!parseIdRule(entry)) {
+        throw new Error(`${label}.select.ids has an invalid entry: ${JSON.stringify(entry)}`);
+      }
+    }
+  }
+
+  if (select.match !== undefined) {
+    if (!select.match || typeof select.match !== 'object' || Array.isArray(select.match) || Object.keys(select.match).length === 0) {
+      throw new Error(`${label}.select.match must be an object of task fields to regular expressions`);
+    }
+    for (const [field, pattern] of Object.entries(select.match)) {
+      if (typeof pattern !== 'string') {
+        throw new Error(`${label}.select.match.${field} must be a regular expression string`);
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`${label}.select.match.${field} is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Validates the profiles section of the configuration
+ * @param {Object[]} profiles - The profiles
+ * @param {Object} config - The configuration (for the top-level board)
+ * @throws {Error} If a profile is invalid
+ */
+function validateSyncProfiles(profiles, config = {}) {
+  if (profiles === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(profiles) || profiles.length === 0) {
+    throw new Error('profiles must be a non-empty array of sync profiles');
+  }
+
+  const names = new Set();
+  const boardIds = new Map();
+  let defaultProfile = null;
+
+  profiles.forEach((profile, index) => {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`profiles[${index}] must be an object`);
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+      throw new Error(`profiles[${index}].name must be a non-empty string`);
+    }
+
+    const label = `profiles.${profile.name}`;
+    if (names.has(profile.name)) {
+      throw new Error(`${label} is defined more than once`);
+    }
+    names.add(profile.name);
+
+    if (profile.monday_group_ids !== undefined &&
+      (!Array.isArray(profile.monday_group_ids) || profile.monday_group_ids.length === 0)) {
+      throw new Error(`${label}.monday_group_ids must be a non-empty array`);
+    }
+
+    // A profile that leaves out its board or groups uses the top-level ones
+    if (!profile.monday_board_id && !config.monday_board_id) {
+      throw new Error(`${label}.monday_board_id is required when the configuration has no top-level monday_board_id`);
+    }
+    if (profile.monday_group_ids === undefined &&
+      (!Array.isArray(config.monday_group_ids) || config.monday_group_ids.length === 0)) {
+      throw new Error(`${label}.monday_group_ids is required when the configuration has no top-level monday_group_ids`);
+    }
+
+    // Profiles on the same board would share its sync state
+    const boardId = String(profile.monday_board_id || config.monday_board_id);
+    if (boardIds.has(boardId)) {
+      throw new Error(`${label} uses board ${boardId}, which profile ${boardIds.get(boardId)} already uses`);
+    }
+    boardIds.set(boardId, profile.name);
+
+    for (const setting of MERGED_SETTINGS) {
+      const value = profile[setting];
+      if (value !== undefined && (!value || typeof value !== 'object' || Array.isArray(value))) {
+        throw new Error(`${label}.${setting} must be an object`);
+      }
+    }
+    validateConflictPolicy(profile.conflict_policy);
+
+    if (profile.select === undefined) {
+      if (defaultProfile) {
+        throw new Error(`${label} has no select rule, but profile ${defaultProfile} already takes the remaining tasks`);
+      }
+      defaultProfile = profile.name;
+    } else {
+      validateSelect(profile.select, label);
+    }
+  });
+}
+
+/**
+ * Gets the configuration for syncing one profile: the top-level configuration
+ * with the profile's board, groups and mappings
+ * @param {Object} config - The configuration
+ * @param {Object} profile - The profile
+ * @returns {Object} - The configuration for the profile
+ */
+function resolveProfileConfig(config, profile) {
+  const profileConfig = { ...config };
+
+  for (const setting of PROFILE_SETTINGS) {
+    if (profile[setting] === undefined) {
+      continue;
+    }
+    profileConfig[setting] = MERGED_SETTINGS.includes(setting)
+      ? { ...(config[setting] || {}), ...profile[setting] }
+      : profile[setting];
+  }
+
+  delete profileConfig.profiles;
+  return profileConfig;
+}
+
+/**
+ * Checks whether a task matches a profile's select rule
+ * (every condition given must hold; a profile without a rule matches every task)
+ * @param {Object} task - The task
+ * @param {Object} profile - The profile
+ * @returns {boolean} - True if the task matches
+ */
+function taskMatchesProfile(task, profile) {
+  const select = profile.select;
+  if (!select) {
+    return true;
+  }
+
+  if (select.ids && !select.ids.some(entry => parseIdRule(entry)(task.id))) {
+    return false;
+  }
+
+  if (select.match) {
+    for (const [field, pattern] of Object.entries(select.match)) {
+      const value = task[field] === undefined || task[field] === null ? '' : String(task[field]);
+      if (!new RegExp(pattern).test(value)) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Creates a Sync Profiles instance
+ * @param {Object} config - The configuration, with a profiles section
+ * @param {Object} options - Additional options
+ * @param {string} options.syncFilePath - Path to the sync state file the profiles share
+ * @returns {Object} - Sync Profiles instance
+ */
+function createSyncProfiles(config, options = {}) {
+  validateSyncProfiles(config.profiles, config);
+
+  const topLevelBoardId = config.monday_board_id ? String(config.monday_board_id) : null;
+
+  // Profiles with their configuration and sync state, in configuration order
+  const profiles = (config.profiles || []).map(profile => {
+    const profileConfig = resolveProfileConfig(config, profile);
+    const boardId = String(profileConfig.monday_board_id);
+    return {
+      name: profile.name,
+      profile,
+      config: profileConfig,
+      boardId,
+      // The top-level board keeps the top level of the state file
+      stateManager: createSyncStateManager({
+        syncFilePath: options.syncFilePath,
+        boardId: boardId === topLevelBoardId ? null : boardId
+      })
+    };
+  });
+
+  /**
+   * Gets the profiles to run
+   * @param {string|null} name - Name of a single profile to run (all profiles when not given)
+   * @returns {Object[]} - The profiles ({ name, config, boardId, stateManager })
+   * @throws {Error} If no profile has the name
+   */
+  function getProfiles(name = null) {
+    if (!name) {
+      return profiles;
+    }
+
+    const profile = profiles.find(candidate => candidate.name === name);
+    if (!profile) {
+      throw new Error(`Profile "${name}" not found in the configuration (profiles: ${profiles.map(candidate => candidate.name).join(', ')})`);
+    }
+    return [profile];
+  }
+
+  /**
+   * Gets the task IDs each profile's board already syncs
+   * @returns {Promise<Map<string, Set<string>>>} - Profile name → task IDs
+   */
+  async function getSyncedTaskIds() {
+    const syncedTaskIds = new Map();
+
+    for (const profile of profiles) {
+      const syncedItems = await profile.stateManager.getAllSyncedItems();
+      const taskIds = new Set(Object.values(syncedItems || {}).map(String));
+      syncedTaskIds.set(profile.name, taskIds);
+    }
+
+    return syncedTaskIds;
+  }
+
+  /**
+   * Routes tasks to profiles: a task already synced with a profile's board stays
+   * there, otherwise it goes to the first profile whose select rule it matches
+   * and finally to the profile without a select rule
+   * @param {Object[]} tasks - The local tasks
+   * @returns {Promise<Object>} - { routes: Map<profile name, tasks>, boardIds: task ID → board ID, unrouted: tasks }
+   */
+  async function routeTasks(tasks) {
+    const syncedTaskIds = await getSyncedTaskIds();
+    const routes = new Map(profiles.map(profile => [profile.name, []]));
+    const boardIds = {};
+    const unrouted = [];
+
+    const selectProfiles = profiles.filter(profile => profile.profile.select);
+    const defaultProfile = profiles.find(profile => !profile.profile.select) || null;
+
+    for (const task of tasks) {
+      if (!task || task.id === undefined) {
+        continue;
+      }
+
+      const taskId = String(task.id);
+      const profile = profiles.find(candidate => syncedTaskIds.get(candidate.name).has(taskId)) ||
+        selectProfiles.find(candidate => taskMatchesProfile(task, candidate.profile)) ||
+        defaultProfile;
+
+      if (!profile) {
+        unrouted.push(task);
+        continue;
+      }
+
+      routes.get(profile.name).push(task);
+      boardIds[taskId] = profile.boardId;
+    }
+
+    return { routes, boardIds, unrouted };
+  }
+
+  // Return the public API
+  return {
+    getProfiles,
+    routeTasks
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createSyncProfiles,
+  validateSyncProfiles,
+  resolveProfileConfig,
+  taskMatchesProfile
+};
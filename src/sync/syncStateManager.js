@@ -10,28 +10,55 @@ const path = require('path');
 const os = require('os');
 const { v4: uuidv4 } = require('uuid');
 const { Logger } = require('../utils/logger');
+const {
+  migrateState,
+  migrateSection,
+  needsMigration,
+  getStateVersion,
+  CURRENT_STATE_VERSION,
+  STATE_VERSION_ERROR_CODE
+} = require('./syncStateMigrations');
 
 // Constants
 const DEFAULT_SYNC_FILE = '.taskmaster_sync_state.json';
 const DEFAULT_LOCK_TIMEOUT_MS = 5000; // 5 seconds
+const DEFAULT_RUN_LOCK_TIMEOUT_MS = 30 * 1000; // 30 seconds
+const DEFAULT_RUN_LOCK_STALE_MS = 30 * 60 * 1000; // 30 minutes
+
+// Error code of the error thrown when another run holds the run lock
+const RUN_LOCKED_ERROR_CODE = 'SYNC_RUN_LOCKED';
 
 // Track locks with a memory map
 const activeLocks = new Map();
 
+// Run locks held by this process, keyed by sync state file (re-entrant)
+const heldRunLocks = new Map();
+
 /**
  * Creates a sync state manager instance
+ *
+ * The top level of the file holds the state of the configured board. The state
+ * of other boards (sync profiles) is kept in the same file under boards[boardId];
+ * a manager created with a boardId reads and writes only that section.
  * @param {Object} options - Configuration options
+ * @param {string} options.syncFilePath - Path to the sync state file
+ * @param {string} options.boardId - Board whose section of the file to use (none for the top level)
  * @returns {Object} - Sync state manager instance
  */
 function createSyncStateManager(options = {}) {
   // Configure paths
   const syncFilePath = options.syncFilePath || DEFAULT_SYNC_FILE;
   const lockTimeoutMs = options.lockTimeoutMs || DEFAULT_LOCK_TIMEOUT_MS;
+  const boardId = options.boardId ? String(options.boardId) : null;
   
   // In-memory cache of the sync state
   let syncStateCache = null;
   let cacheTimestamp = null;
   
+  // Indexes derived from the mappings of the last state they were built for
+  let indexedState = null;
+  let indexes = null;
+  
   /**
    * Generate a lock file path for a given file
    * @param {string} filePath - Path to the original file
@@ -45,9 +72,10 @@ function createSyncStateManager(options = {}) {
    * Acquires a file lock with timeout
    * @param {string} filePath - Path to the file to lock
    * @param {number} timeoutMs - Timeout in milliseconds
+   * @param {number} staleAfterMs - Age after which another holder's lock is considered stale
    * @returns {Promise<string>} - Lock ID if successful
    */
-  async function acquireLock(filePath, timeoutMs = lockTimeoutMs) {
+  async function acquireLock(filePath, timeoutMs = lockTimeoutMs, staleAfterMs = timeoutMs) {
     const lockFilePath = getLockFilePath(filePath);
     const lockId = uuidv4();
     const startTime = Date.now();
@@ -97,7 +125,7 @@ function createSyncStateManager(options = {}) {
           const stats = await fs.stat(lockFilePath);
           const lockAge = Date.now() - stats.mtimeMs;
           
-          if (lockAge > timeoutMs) {
+          if (lockAge > staleAfterMs) {
             // Stale lock, remove it
             Logger.warn(`Removing stale lock for ${filePath} (age: ${lockAge}ms)`);
             await fs.unlink(lockFilePath);
@@ -169,10 +197,93 @@ function createSyncStateManager(options = {}) {
     }
   }
   
+  /**
+   * Writes a JSON file atomically, so a reader never sees it half written
+   * @param {string} filePath - Path of the file
+   * @param {Object} data - The file content
+   * @returns {Promise<void>}
+   */
+  async function writeJsonFile(filePath, data) {
+    // Create a temporary file to write to (for atomic writes)
+    const tempFilePath = path.join(os.tmpdir(), `taskmaster-sync-${uuidv4()}.json`);
+    
+    try {
+      await fs.writeFile(tempFilePath, JSON.stringify(data, null, 2), 'utf8');
+      
+      // Move the temporary file to the actual file (atomic operation)
+      await fs.move(tempFilePath, filePath, { overwrite: true });
+    } catch (error) {
+      // Clean up temporary file if it exists
+      try {
+        await fs.unlink(tempFilePath);
+        // eslint-disable-next-line no-unused-vars
+      } catch (unlinkError) {
+        // Ignore errors from unlink
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Writes the whole sync state file atomically (called while holding the file lock)
+   * @param {Object} fileState - The file content
+   * @returns {Promise<void>}
+   */
+  async function writeFileState(fileState) {
+    await writeJsonFile(syncFilePath, fileState);
+  }
+  
+  /**
+   * Keeps a copy of the sync state file as it was before a migration
+   * @param {string} data - The file content
+   * @param {string} version - The schema version of the content
+   * @returns {Promise<string>} - Path of the backup
+   */
+  async function backupFileState(data, version) {
+    let backupPath = `${syncFilePath}.v${version}.bak`;
+    if (fs.existsSync(backupPath)) {
+      backupPath = `${syncFilePath}.v${version}.${Date.now()}.bak`;
+    }
+    
+    await fs.writeFile(backupPath, data, 'utf8');
+    return backupPath;
+  }
+  
+  /**
+   * Reads the sync state file, upgrading a file written with an older schema
+   * (called while holding the file lock). The upgraded file is written back
+   * after a backup of the original is kept next to it.
+   * @returns {Promise<Object|null>} - The file content, or null if there is no file
+   * @throws {Error} - SYNC_STATE_VERSION_UNSUPPORTED for a schema no migration can read
+   */
+  async function loadFileState() {
+    if (!fs.existsSync(syncFilePath)) {
+      return null;
+    }
+    
+    const data = fs.readFileSync(syncFilePath, 'utf8');
+    const fileState = JSON.parse(data);
+    if (!needsMigration(fileState)) {
+      return fileState;
+    }
+    
+    const migration = migrateState(fileState);
+    const backupPath = await backupFileState(data, migration.fromVersion);
+    await writeFileState(migration.state);
+    
+    Logger.info(`Upgraded sync state ${syncFilePath} from version ${migration.fromVersion} to ${migration.toVersion} (backup: ${backupPath})`);
+    for (const note of migration.notes) {
+      Logger.warn(`Sync state migration: ${note}`);
+    }
+    return migration.state;
+  }
+  
   /**
    * Reads the sync state from file
    * @param {boolean} bypassCache - Whether to bypass the cache
-   * @returns {Promise<Object>} - The sync state
+   * @returns {Promise<Object>} - The sync state ({ version, lastSync, mappings, baseSnapshots, subitems })
+   * @throws {Error} - SYNC_STATE_VERSION_UNSUPPORTED for a file written by a newer version
    */
   async function readSyncState(bypassCache = false) {
     // Check cache first if not bypassing
@@ -188,33 +299,32 @@ function createSyncStateManager(options = {}) {
     const lockId = await acquireLock(syncFilePath);
     
     try {
-      // Check if the file exists
-      if (!fs.existsSync(syncFilePath)) {
+      // Read the file, upgrading an older schema
+      const fileState = await loadFileState();
+      
+      if (!fileState) {
         // Create a new sync state
         const newSyncState = getEmptySyncState();
         
-        // Write it to disk
-        await writeSyncState(newSyncState);
-        
-        // Release the lock
+        // Release the lock first - writeSyncState takes its own
         await releaseLock(syncFilePath, lockId);
         
+        // Write a copy to disk (writeSyncState stamps lastSync on what it writes)
+        await writeSyncState(getEmptySyncState());
+        
         return newSyncState;
       }
       
-      // Read the file
-      const data = fs.readFileSync(syncFilePath, 'utf8');
-      
-      // Parse the JSON
-      const syncState = JSON.parse(data);
+      // Take this board's section when scoped to a board
+      const syncState = boardId ? getBoardState(fileState) : fileState;
       
       // Release the lock
       await releaseLock(syncFilePath, lockId);
       
       // Ensure the sync state has the expected structure
-      if (!syncState.taskMasterToMonday) syncState.taskMasterToMonday = {};
-      if (!syncState.mondayToTaskMaster) syncState.mondayToTaskMaster = {};
-      if (!syncState.taskMappings) syncState.taskMappings = [];
+      if (!syncState.mappings || typeof syncState.mappings !== 'object') {
+        syncState.mappings = {};
+      }
       
       // Update cache
       syncStateCache = syncState;
@@ -230,6 +340,11 @@ function createSyncStateManager(options = {}) {
         // Ignore unlock errors
       }
       
+      // A file from a newer version must not be replaced by an empty state
+      if (error.code === STATE_VERSION_ERROR_CODE) {
+        throw error;
+      }
+      
       Logger.error(`Error reading sync state: ${error.message}`);
       
       // Return an empty sync state
@@ -239,7 +354,7 @@ function createSyncStateManager(options = {}) {
   
   /**
    * Writes the sync state to file
-   * @param {Object} syncState - The sync state to write
+   * @param {Object} syncState - The sync state to write (an older schema is upgraded first)
    * @returns {Promise<void>}
    */
   async function writeSyncState(syncState) {
@@ -247,9 +362,14 @@ function createSyncStateManager(options = {}) {
       throw new Error('Invalid sync state');
     }
     
-    // Ensure the structure is valid
-    if (!syncState.items || typeof syncState.items !== 'object') {
-      syncState.items = {};
+    // Upgrade a state built in an older schema, then ensure the structure is valid
+    if (getStateVersion(syncState) !== CURRENT_STATE_VERSION) {
+      const upgraded = migrateSection(syncState, []);
+      Object.keys(syncState).forEach(key => delete syncState[key]);
+      Object.assign(syncState, upgraded);
+    }
+    if (!syncState.mappings || typeof syncState.mappings !== 'object') {
+      syncState.mappings = {};
     }
     
     // Always update the lastSync timestamp
@@ -259,53 +379,140 @@ function createSyncStateManager(options = {}) {
     const lockId = await acquireLock(syncFilePath);
     
     try {
-      // Create a temporary file to write to (for atomic writes)
-      const tempFilePath = path.join(os.tmpdir(), `taskmaster-sync-${uuidv4()}.json`);
+      // Keep the sections of the other boards
+      const fileState = await mergeBoardStates(syncState);
       
-      try {
-        // Write to the temporary file
-        await fs.writeFile(tempFilePath, JSON.stringify(syncState, null, 2), 'utf8');
-        
-        // Move the temporary file to the actual file (atomic operation)
-        await fs.move(tempFilePath, syncFilePath, { overwrite: true });
-        
-        // Update cache
-        syncStateCache = syncState;
-        cacheTimestamp = Date.now();
-        
-        Logger.debug('Sync state written successfully');
-      } catch (error) {
-        // Clean up temporary file if it exists
-        try {
-          await fs.unlink(tempFilePath);
-          // eslint-disable-next-line no-unused-vars
-        } catch (unlinkError) {
-          // Ignore errors from unlink
-        }
-        
-        throw error;
-      }
+      await writeFileState(fileState);
+      
+      // Update cache (the indexes are rebuilt from the written mappings)
+      syncStateCache = syncState;
+      cacheTimestamp = Date.now();
+      indexedState = null;
+      
+      Logger.debug('Sync state written successfully');
     } finally {
       // Release the lock
       await releaseLock(syncFilePath, lockId);
     }
   }
   
+  /**
+   * Gets this board's section of a sync state file
+   * @param {Object} fileState - The parsed sync state file
+   * @returns {Object} - The board's sync state
+   */
+  function getBoardState(fileState) {
+    const boards = fileState.boards || {};
+    return boards[boardId] || getEmptySyncState();
+  }
+  
+  /**
+   * Works out the file content for writing a sync state, keeping the state
+   * other managers wrote for other boards (called while holding the file lock)
+   * @param {Object} syncState - The sync state to write
+   * @returns {Promise<Object>} - The content to write to the file
+   */
+  async function mergeBoardStates(syncState) {
+    let fileState = null;
+    try {
+      fileState = await loadFileState();
+    } catch (error) {
+      if (error.code === STATE_VERSION_ERROR_CODE) {
+        throw error;
+      }
+      Logger.warn(`Replacing unreadable sync state file ${syncFilePath}: ${error.message}`);
+    }
+    
+    if (!boardId) {
+      return fileState && fileState.boards
+        ? { ...syncState, boards: fileState.boards }
+        : syncState;
+    }
+    
+    const topLevelState = fileState || getEmptySyncState();
+    return {
+      ...topLevelState,
+      boards: { ...(topLevelState.boards || {}), [boardId]: syncState }
+    };
+  }
+  
   /**
    * Creates an empty sync state
    * @returns {Object} - An empty sync state
    */
   function getEmptySyncState() {
     return {
-      version: '1.0',
+      version: CURRENT_STATE_VERSION,
       lastSync: null,
-      taskMappings: [],
-      mondayToTaskMaster: {},
-      taskMasterToMonday: {},
-      items: {} // For backward compatibility
+      mappings: {}
     };
   }
   
+  /**
+   * Gets the indexes derived from a sync state's mappings, building them when
+   * the state was read or written since they were last built
+   * @param {Object} syncState - The sync state
+   * @returns {Object} - { itemIdsByTaskId: Map<task ID, Monday.com item IDs> }
+   */
+  function getIndexes(syncState) {
+    if (indexedState !== syncState) {
+      const itemIdsByTaskId = new Map();
+      for (const [mondayItemId, entry] of Object.entries(syncState.mappings || {})) {
+        const itemIds = itemIdsByTaskId.get(entry.taskId) || [];
+        itemIds.push(mondayItemId);
+        itemIdsByTaskId.set(entry.taskId, itemIds);
+      }
+      
+      indexes = { itemIdsByTaskId };
+      indexedState = syncState;
+    }
+    return indexes;
+  }
+  
+  /**
+   * Upgrades the sync state file to the current schema, keeping a backup of the original
+   * @param {Object} migrateOptions - Migration options
+   * @param {boolean} migrateOptions.check - Only report whether the file needs upgrading
+   * @returns {Promise<Object>} - { exists, fromVersion, toVersion, needed, migrated, backupPath, notes }
+   */
+  async function migrate(migrateOptions = {}) {
+    const lockId = await acquireLock(syncFilePath);
+    
+    try {
+      if (!fs.existsSync(syncFilePath)) {
+        return { exists: false, fromVersion: null, toVersion: CURRENT_STATE_VERSION, needed: false, migrated: false, backupPath: null, notes: [] };
+      }
+      
+      const data = fs.readFileSync(syncFilePath, 'utf8');
+      const fileState = JSON.parse(data);
+      const needed = needsMigration(fileState);
+      const migration = migrateState(fileState);
+      const report = {
+        exists: true,
+        fromVersion: migration.fromVersion,
+        toVersion: migration.toVersion,
+        needed,
+        migrated: false,
+        backupPath: null,
+        notes: migration.notes
+      };
+      
+      if (!needed || migrateOptions.check) {
+        return report;
+      }
+      
+      report.backupPath = await backupFileState(data, migration.fromVersion);
+      await writeFileState(migration.state);
+      report.migrated = true;
+      clearCache();
+      
+      Logger.info(`Upgraded sync state ${syncFilePath} from version ${migration.fromVersion} to ${migration.toVersion} (backup: ${report.backupPath})`);
+      return report;
+    } finally {
+      await releaseLock(syncFilePath, lockId);
+    }
+  }
+  
   /**
    * Gets the last synced timestamp for a Monday.com item
    * @param {string} mondayItemId - The Monday.com item ID
@@ -314,25 +521,12 @@ function createSyncStateManager(options = {}) {
   async function getLastSyncedTimestamp(mondayItemId) {
     const syncState = await readSyncState();
     
-    // For backward compatibility with old tests
-    if (syncState.items && syncState.items[mondayItemId]) {
-      return syncState.items[mondayItemId].timestamp;
-    }
-    
-    // New implementation with taskMappings
-    const taskMapping = syncState.taskMappings.find(
-      mapping => mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (taskMapping && taskMapping.timestamp) {
-      return taskMapping.timestamp;
-    }
-    
-    return null;
+    const entry = syncState.mappings[String(mondayItemId)];
+    return entry && entry.syncedAt ? entry.syncedAt : null;
   }
   
   /**
-   * Updates the synced timestamp for a Monday.com item
+   * Records that a Monday.com item was synced with a TaskMaster task
    * @param {string} mondayItemId - The Monday.com item ID
    * @param {string} taskmasterTaskId - The TaskMaster task ID
    * @param {number} timestamp - The sync timestamp
@@ -341,42 +535,13 @@ function createSyncStateManager(options = {}) {
   async function updateSyncedTimestamp(mondayItemId, taskmasterTaskId, timestamp = Date.now()) {
     const syncState = await readSyncState();
     
-    // For backward compatibility with old tests
-    if (!syncState.items) {
-      syncState.items = {};
-    }
-    
-    syncState.items[mondayItemId] = {
-      taskmasterTaskId,
-      timestamp
-    };
-    
-    // New implementation with taskMappings
-    const existingMapping = syncState.taskMappings.find(
-      mapping => mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (existingMapping) {
-      existingMapping.taskmasterTaskId = String(taskmasterTaskId);
-      existingMapping.timestamp = timestamp;
-    } else {
-      syncState.taskMappings.push({
-        mondayItemId: String(mondayItemId),
-        taskmasterTaskId: String(taskmasterTaskId),
-        timestamp
-      });
-    }
-    
-    // Update bidirectional mappings
-    syncState.mondayToTaskMaster[mondayItemId] = taskmasterTaskId;
-    
-    if (!syncState.taskMasterToMonday[taskmasterTaskId]) {
-      syncState.taskMasterToMonday[taskmasterTaskId] = [];
-    }
-    
-    if (!syncState.taskMasterToMonday[taskmasterTaskId].includes(mondayItemId)) {
-      syncState.taskMasterToMonday[taskmasterTaskId].push(mondayItemId);
+    // An item keeps its update ID while it stays linked to the same task
+    const existing = syncState.mappings[String(mondayItemId)];
+    const entry = { taskId: String(taskmasterTaskId), syncedAt: timestamp };
+    if (existing && existing.updateId && existing.taskId === entry.taskId) {
+      entry.updateId = existing.updateId;
     }
+    syncState.mappings[String(mondayItemId)] = entry;
     
     await writeSyncState(syncState);
   }
@@ -389,49 +554,13 @@ function createSyncStateManager(options = {}) {
   async function removeSyncedItem(mondayItemId) {
     const syncState = await readSyncState();
     
-    // For backward compatibility with old tests
-    let itemExisted = false;
-    if (syncState.items && syncState.items[mondayItemId]) {
-      const taskmasterTaskId = syncState.items[mondayItemId].taskmasterTaskId;
-      delete syncState.items[mondayItemId];
-      itemExisted = true;
-      
-      // Also clean up the bidirectional mappings
-      if (syncState.mondayToTaskMaster && syncState.mondayToTaskMaster[mondayItemId]) {
-        delete syncState.mondayToTaskMaster[mondayItemId];
-      }
-      
-      if (taskmasterTaskId && 
-          syncState.taskMasterToMonday && 
-          syncState.taskMasterToMonday[taskmasterTaskId]) {
-        const index = syncState.taskMasterToMonday[taskmasterTaskId].indexOf(mondayItemId);
-        if (index !== -1) {
-          syncState.taskMasterToMonday[taskmasterTaskId].splice(index, 1);
-          
-          // Clean up empty arrays
-          if (syncState.taskMasterToMonday[taskmasterTaskId].length === 0) {
-            delete syncState.taskMasterToMonday[taskmasterTaskId];
-          }
-        }
-      }
-    }
-    
-    // New implementation with taskMappings
-    const mappingIndex = syncState.taskMappings.findIndex(
-      mapping => mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (mappingIndex !== -1) {
-      syncState.taskMappings.splice(mappingIndex, 1);
-      itemExisted = true;
-    }
-    
-    if (itemExisted) {
-      await writeSyncState(syncState);
-      return true;
+    if (!syncState.mappings[String(mondayItemId)]) {
+      return false;
     }
     
-    return false;
+    delete syncState.mappings[String(mondayItemId)];
+    await writeSyncState(syncState);
+    return true;
   }
   
   /**
@@ -440,17 +569,7 @@ function createSyncStateManager(options = {}) {
    */
   async function getAllSyncedItemIds() {
     const syncState = await readSyncState();
-    
-    // For backward compatibility with old tests
-    if (syncState.items) {
-      const oldIds = Object.keys(syncState.items);
-      if (oldIds.length > 0) {
-        return oldIds;
-      }
-    }
-    
-    // New implementation with taskMappings
-    return syncState.taskMappings.map(mapping => mapping.mondayItemId);
+    return Object.keys(syncState.mappings);
   }
   
   /**
@@ -460,24 +579,10 @@ function createSyncStateManager(options = {}) {
   async function getAllSyncedItems() {
     const syncState = await readSyncState();
     
-    // For backward compatibility with old tests
-    if (syncState.items) {
-      const oldItems = {};
-      Object.entries(syncState.items).forEach(([mondayItemId, data]) => {
-        oldItems[mondayItemId] = data.taskmasterTaskId;
-      });
-      
-      if (Object.keys(oldItems).length > 0) {
-        return oldItems;
-      }
-    }
-    
-    // New implementation with taskMappings
     const items = {};
-    syncState.taskMappings.forEach(mapping => {
-      items[mapping.mondayItemId] = mapping.taskmasterTaskId;
-    });
-    
+    for (const [mondayItemId, entry] of Object.entries(syncState.mappings)) {
+      items[mondayItemId] = entry.taskId;
+    }
     return items;
   }
   
@@ -489,17 +594,8 @@ function createSyncStateManager(options = {}) {
   async function getTaskmasterTaskId(mondayItemId) {
     const syncState = await readSyncState();
     
-    // For backward compatibility with old tests
-    if (syncState.items && syncState.items[mondayItemId]) {
-      return syncState.items[mondayItemId].taskmasterTaskId;
-    }
-    
-    // New implementation with mondayToTaskMaster
-    if (syncState.mondayToTaskMaster && syncState.mondayToTaskMaster[mondayItemId]) {
-      return syncState.mondayToTaskMaster[mondayItemId];
-    }
-    
-    return null;
+    const entry = syncState.mappings[String(mondayItemId)];
+    return entry ? entry.taskId : null;
   }
   
   /**
@@ -509,27 +605,7 @@ function createSyncStateManager(options = {}) {
    */
   async function getMondayItemIdsForTask(taskmasterTaskId) {
     const syncState = await readSyncState();
-    
-    // For backward compatibility with old tests
-    if (syncState.items) {
-      const oldItems = [];
-      Object.entries(syncState.items).forEach(([mondayItemId, data]) => {
-        if (data.taskmasterTaskId === taskmasterTaskId) {
-          oldItems.push(mondayItemId);
-        }
-      });
-      
-      if (oldItems.length > 0) {
-        return oldItems;
-      }
-    }
-    
-    // New implementation with taskMasterToMonday
-    if (syncState.taskMasterToMonday && syncState.taskMasterToMonday[taskmasterTaskId]) {
-      return syncState.taskMasterToMonday[taskmasterTaskId];
-    }
-    
-    return [];
+    return [...(getIndexes(syncState).itemIdsByTaskId.get(String(taskmasterTaskId)) || [])];
   }
   
   /**
@@ -542,60 +618,12 @@ function createSyncStateManager(options = {}) {
     const now = Date.now();
     let count = 0;
     
-    // For backward compatibility with old tests - clean up items
-    if (syncState.items) {
-      const itemsToRemove = [];
-      
-      // Find old items
-      Object.entries(syncState.items).forEach(([mondayItemId, data]) => {
-        if (now - data.timestamp > maxAgeMs) {
-          itemsToRemove.push(mondayItemId);
-        }
-      });
-      
-      // Remove old items
-      itemsToRemove.forEach(mondayItemId => {
-        delete syncState.items[mondayItemId];
+    for (const [mondayItemId, entry] of Object.entries(syncState.mappings)) {
+      if (entry.syncedAt && now - entry.syncedAt > maxAgeMs) {
+        delete syncState.mappings[mondayItemId];
         count++;
-      });
-    }
-    
-    // Clean up taskMappings
-    const mappingsToRemove = [];
-    
-    syncState.taskMappings.forEach((mapping, index) => {
-      if (mapping.timestamp && now - mapping.timestamp > maxAgeMs) {
-        mappingsToRemove.push(index);
-      }
-    });
-    
-    // Remove in reverse order to avoid index shifting
-    mappingsToRemove.reverse().forEach(index => {
-      const mapping = syncState.taskMappings[index];
-      
-      // Also clean up bidirectional mappings
-      if (mapping.mondayItemId && syncState.mondayToTaskMaster[mapping.mondayItemId]) {
-        delete syncState.mondayToTaskMaster[mapping.mondayItemId];
-      }
-      
-      if (mapping.taskmasterTaskId && 
-          syncState.taskMasterToMonday[mapping.taskmasterTaskId]) {
-        const mondayIds = syncState.taskMasterToMonday[mapping.taskmasterTaskId];
-        const mondayIndex = mondayIds.indexOf(mapping.mondayItemId);
-        
-        if (mondayIndex !== -1) {
-          mondayIds.splice(mondayIndex, 1);
-          
-          // Clean up empty arrays
-          if (mondayIds.length === 0) {
-            delete syncState.taskMasterToMonday[mapping.taskmasterTaskId];
-          }
-        }
       }
-      
-      syncState.taskMappings.splice(index, 1);
-      count++;
-    });
+    }
     
     if (count > 0) {
       await writeSyncState(syncState);
@@ -630,21 +658,8 @@ function createSyncStateManager(options = {}) {
   async function getUpdateIdForTask(taskId, mondayItemId) {
     const syncState = await readSyncState();
     
-    // If no task mappings exist, return null
-    if (!syncState.taskMappings || !Array.isArray(syncState.taskMappings)) {
-      return null;
-    }
-    
-    // Find the task mapping
-    const taskMapping = syncState.taskMappings.find(
-      mapping => mapping.taskId === String(taskId) && mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (taskMapping && taskMapping.mondayUpdateId) {
-      return taskMapping.mondayUpdateId;
-    }
-    
-    return null;
+    const entry = syncState.mappings[String(mondayItemId)];
+    return entry && entry.taskId === String(taskId) && entry.updateId ? entry.updateId : null;
   }
   
   /**
@@ -657,29 +672,13 @@ function createSyncStateManager(options = {}) {
   async function storeUpdateIdForTask(taskId, mondayItemId, updateId) {
     const syncState = await readSyncState();
     
-    // Ensure taskMappings exists
-    if (!syncState.taskMappings) {
-      syncState.taskMappings = [];
-    }
-    
-    // Find the task mapping
-    const taskMapping = syncState.taskMappings.find(
-      mapping => mapping.taskId === String(taskId) && mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (taskMapping) {
-      // Update existing mapping
-      taskMapping.mondayUpdateId = String(updateId);
-      taskMapping.lastSynced = new Date().toISOString();
-    } else {
-      // Create new mapping
-      syncState.taskMappings.push({
-        taskId: String(taskId),
-        mondayItemId: String(mondayItemId),
-        mondayUpdateId: String(updateId),
-        lastSynced: new Date().toISOString()
-      });
-    }
+    const existing = syncState.mappings[String(mondayItemId)];
+    syncState.mappings[String(mondayItemId)] = {
+      syncedAt: null,
+      ...existing,
+      taskId: String(taskId),
+      updateId: String(updateId)
+    };
     
     await writeSyncState(syncState);
   }
@@ -693,27 +692,14 @@ function createSyncStateManager(options = {}) {
   async function removeUpdateIdForTask(taskId, mondayItemId) {
     const syncState = await readSyncState();
     
-    // If no task mappings exist, return false
-    if (!syncState.taskMappings || !Array.isArray(syncState.taskMappings)) {
+    const entry = syncState.mappings[String(mondayItemId)];
+    if (!entry || entry.taskId !== String(taskId) || !entry.updateId) {
       return false;
     }
     
-    // Find the task mapping
-    const taskMappingIndex = syncState.taskMappings.findIndex(
-      mapping => mapping.taskId === String(taskId) && mapping.mondayItemId === String(mondayItemId)
-    );
-    
-    if (taskMappingIndex !== -1) {
-      // Update existing mapping
-      if (syncState.taskMappings[taskMappingIndex].mondayUpdateId) {
-        delete syncState.taskMappings[taskMappingIndex].mondayUpdateId;
-        syncState.taskMappings[taskMappingIndex].lastSynced = new Date().toISOString();
-        await writeSyncState(syncState);
-        return true;
-      }
-    }
-    
-    return false;
+    delete entry.updateId;
+    await writeSyncState(syncState);
+    return true;
   }
   
   /**
@@ -731,48 +717,27 @@ function createSyncStateManager(options = {}) {
     // Get the current sync state
     const syncState = await readSyncState();
     
-    // Check if the item exists in the sync state
-    if (!syncState.items || !syncState.items[mondayItemId]) {
+    const entry = syncState.mappings[String(mondayItemId)];
+    if (!entry) {
       Logger.warn(`Monday.com item ${mondayItemId} not found in sync state`);
       return false;
     }
     
-    // Store the task ID before removing the item
-    const taskId = syncState.items[mondayItemId].taskmasterTaskId;
-    
-    // Remove from items section
-    delete syncState.items[mondayItemId];
+    delete syncState.mappings[String(mondayItemId)];
     
-    // Remove from mondayToTaskMaster section
-    if (syncState.mondayToTaskMaster && syncState.mondayToTaskMaster[mondayItemId]) {
-      delete syncState.mondayToTaskMaster[mondayItemId];
-    }
-    
-    // Remove from taskMasterToMonday section
-    if (syncState.taskMasterToMonday && taskId && syncState.taskMasterToMonday[taskId]) {
-      const index = syncState.taskMasterToMonday[taskId].indexOf(mondayItemId);
-      if (index !== -1) {
-        syncState.taskMasterToMonday[taskId].splice(index, 1);
-        
-        // If there are no more Monday items for this task, remove the entry
-        if (syncState.taskMasterToMonday[taskId].length === 0) {
-          delete syncState.taskMasterToMonday[taskId];
+    // Subitems are deleted along with their parent item
+    if (syncState.subitems) {
+      for (const [subitemId, subitem] of Object.entries(syncState.subitems)) {
+        if (String(subitem.parentItemId) === String(mondayItemId)) {
+          delete syncState.subitems[subitemId];
         }
       }
     }
     
-    // Remove from taskMappings section
-    if (syncState.taskMappings) {
-      const index = syncState.taskMappings.findIndex(mapping => mapping.mondayItemId === mondayItemId);
-      if (index !== -1) {
-        syncState.taskMappings.splice(index, 1);
-      }
-    }
-    
     // Write updated sync state
     await writeSyncState(syncState);
     
-    Logger.info(`Removed Monday.com item ${mondayItemId} (linked to task ${taskId}) from sync state`);
+    Logger.info(`Removed Monday.com item ${mondayItemId} (linked to task ${entry.taskId}) from sync state`);
     return true;
   }
   
@@ -791,36 +756,294 @@ function createSyncStateManager(options = {}) {
     // Get the current sync state
     const syncState = await readSyncState();
     
-    if (!syncState.items) {
-      Logger.warn(`No items found in sync state`);
+    const mondayItemIds = getIndexes(syncState).itemIdsByTaskId.get(String(taskId)) || [];
+    if (mondayItemIds.length === 0) {
+      Logger.warn(`No Monday.com item found for task ${taskId}`);
       return null;
     }
     
-    // Find the Monday item ID for this task
-    let mondayItemId = null;
+    for (const mondayItemId of mondayItemIds) {
+      delete syncState.mappings[mondayItemId];
+    }
+    
+    // The task's base snapshot is no longer needed
+    if (syncState.baseSnapshots) {
+      delete syncState.baseSnapshots[String(taskId)];
+    }
+    
+    // Save the updated sync state
+    await writeSyncState(syncState);
     
-    // Loop through all items to find the one matching the task ID
-    for (const [itemId, item] of Object.entries(syncState.items)) {
-      if (item.taskId === taskId) {
-        mondayItemId = itemId;
-        break;
+    Logger.info(`Removed task ${taskId} (linked to Monday.com item ${mondayItemIds.join(', ')}) from sync state`);
+    return mondayItemIds[0];
+  }
+
+  /**
+   * Gets the base snapshot of a task stored at its last successful sync
+   * @param {string} taskId - The TaskMaster task ID
+   * @returns {Promise<Object|null>} - The snapshot's field values or null if not found
+   */
+  async function getBaseSnapshot(taskId) {
+    const syncState = await readSyncState();
+    
+    const entry = syncState.baseSnapshots && syncState.baseSnapshots[String(taskId)];
+    return entry ? entry.fields : null;
+  }
+  
+  /**
+   * Stores base snapshots for several tasks in a single write
+   * @param {Object} snapshots - Map of TaskMaster task IDs to snapshot field values
+   * @param {number} timestamp - The sync timestamp
+   * @returns {Promise<void>}
+   */
+  async function storeBaseSnapshots(snapshots, timestamp = Date.now()) {
+    const taskIds = Object.keys(snapshots || {});
+    if (taskIds.length === 0) {
+      return;
+    }
+    
+    const syncState = await readSyncState();
+    
+    if (!syncState.baseSnapshots) {
+      syncState.baseSnapshots = {};
+    }
+    
+    for (const taskId of taskIds) {
+      syncState.baseSnapshots[String(taskId)] = {
+        fields: snapshots[taskId],
+        timestamp
+      };
+    }
+    
+    await writeSyncState(syncState);
+  }
+  
+  /**
+   * Stores the base snapshot of a task after a successful sync
+   * @param {string} taskId - The TaskMaster task ID
+   * @param {Object} snapshot - The snapshot field values
+   * @param {number} timestamp - The sync timestamp
+   * @returns {Promise<void>}
+   */
+  async function storeBaseSnapshot(taskId, snapshot, timestamp = Date.now()) {
+    await storeBaseSnapshots({ [String(taskId)]: snapshot }, timestamp);
+  }
+  
+  /**
+   * Removes the base snapshot of a task
+   * @param {string} taskId - The TaskMaster task ID
+   * @returns {Promise<boolean>} - Whether a snapshot was removed
+   */
+  async function removeBaseSnapshot(taskId) {
+    const syncState = await readSyncState();
+    
+    if (!syncState.baseSnapshots || !syncState.baseSnapshots[String(taskId)]) {
+      return false;
+    }
+    
+    delete syncState.baseSnapshots[String(taskId)];
+    await writeSyncState(syncState);
+    return true;
+  }
+
+  /**
+   * Gets the subitems synced with subtasks, optionally only those under one item
+   * @param {string} parentItemId - The parent Monday.com item ID (all subitems if omitted)
+   * @returns {Promise<Object[]>} - { subitemId, subtaskId, parentItemId, fields, lastSyncedAt } entries
+   */
+  async function getSubitemMappings(parentItemId = null) {
+    const syncState = await readSyncState();
+    
+    return Object.entries(syncState.subitems || {})
+      .filter(([, entry]) => parentItemId === null || String(entry.parentItemId) === String(parentItemId))
+      .map(([subitemId, entry]) => ({ subitemId, ...entry }));
+  }
+  
+  /**
+   * Records subitems synced with subtasks in a single write
+   * @param {Object[]} mappings - { subitemId, subtaskId, parentItemId, fields } entries;
+   *   subtaskId is the full subtask ID (e.g. "3.2") and fields its base snapshot
+   * @param {number} timestamp - The sync timestamp
+   * @returns {Promise<void>}
+   */
+  async function storeSubitemMappings(mappings, timestamp = Date.now()) {
+    if (!mappings || mappings.length === 0) {
+      return;
+    }
+    
+    const syncState = await readSyncState();
+    
+    if (!syncState.subitems) {
+      syncState.subitems = {};
+    }
+    
+    for (const mapping of mappings) {
+      syncState.subitems[String(mapping.subitemId)] = {
+        subtaskId: String(mapping.subtaskId),
+        parentItemId: String(mapping.parentItemId),
+        fields: mapping.fields || null,
+        lastSyncedAt: timestamp
+      };
+    }
+    
+    await writeSyncState(syncState);
+  }
+  
+  /**
+   * Removes subitems from the sync state in a single write
+   * @param {string[]} subitemIds - The Monday.com subitem IDs
+   * @returns {Promise<number>} - The number of subitems removed
+   */
+  async function removeSubitemMappings(subitemIds) {
+    const syncState = await readSyncState();
+    
+    if (!syncState.subitems || !subitemIds || subitemIds.length === 0) {
+      return 0;
+    }
+    
+    let removed = 0;
+    for (const subitemId of subitemIds) {
+      if (syncState.subitems[String(subitemId)]) {
+        delete syncState.subitems[String(subitemId)];
+        removed++;
       }
     }
     
-    // If no Monday item was found, return null
-    if (!mondayItemId) {
-      Logger.warn(`No Monday.com item found for task ${taskId}`);
+    if (removed > 0) {
+      await writeSyncState(syncState);
+    }
+    return removed;
+  }
+
+  /**
+   * Gets the path locked for a whole sync run
+   * @returns {string} - The run lock path (the lock file is this path plus ".lock")
+   */
+  function getRunLockPath() {
+    return `${path.resolve(syncFilePath)}.run`;
+  }
+  
+  /**
+   * Acquires the sync run lock, so only one push, pull or sync uses the sync state at a time.
+   * The lock is re-entrant within a process: nested runs (e.g. the push inside a sync) share it.
+   * @param {Object} lockOptions - Lock options
+   * @param {number} lockOptions.timeoutMs - How long to wait for another run to finish
+   * @param {number} lockOptions.staleAfterMs - Age after which a lock left by a crashed run is removed
+   * @returns {Promise<string>} - The lock ID
+   */
+  async function acquireRunLock(lockOptions = {}) {
+    const runLockPath = getRunLockPath();
+    const held = heldRunLocks.get(runLockPath);
+    if (held) {
+      held.depth++;
+      return held.id;
+    }
+    
+    const timeoutMs = lockOptions.timeoutMs !== undefined ? lockOptions.timeoutMs : DEFAULT_RUN_LOCK_TIMEOUT_MS;
+    const staleAfterMs = lockOptions.staleAfterMs || DEFAULT_RUN_LOCK_STALE_MS;
+    
+    let lockId;
+    try {
+      lockId = await acquireLock(runLockPath, timeoutMs, staleAfterMs);
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      const lockedError = new Error(`Another sync is already running for ${syncFilePath} (waited ${timeoutMs}ms for ${getLockFilePath(runLockPath)})`);
+      lockedError.code = RUN_LOCKED_ERROR_CODE;
+      throw lockedError;
+    }
+    
+    heldRunLocks.set(runLockPath, { id: lockId, depth: 1 });
+    return lockId;
+  }
+  
+  /**
+   * Releases the sync run lock once the outermost run holding it is done
+   * @returns {Promise<boolean>} - Whether the lock file was removed
+   */
+  async function releaseRunLock() {
+    const runLockPath = getRunLockPath();
+    const held = heldRunLocks.get(runLockPath);
+    if (!held) {
+      return false;
+    }
+    
+    held.depth--;
+    if (held.depth > 0) {
+      return false;
+    }
+    
+    heldRunLocks.delete(runLockPath);
+    return releaseLock(runLockPath, held.id);
+  }
+  
+  /**
+   * Runs a function while holding the sync run lock
+   * @param {Function} fn - The function to run
+   * @param {Object} lockOptions - Lock options (see acquireRunLock)
+   * @returns {Promise<*>} - The function's result
+   */
+  async function withRunLock(fn, lockOptions = {}) {
+    await acquireRunLock(lockOptions);
+    try {
+      return await fn();
+    } finally {
+      await releaseRunLock();
+    }
+  }
+
+  /**
+   * Gets the path of the operation journal of this board's push runs
+   * @returns {string} - The journal path, next to the sync state file
+   */
+  function getJournalPath() {
+    return boardId ? `${syncFilePath}.${boardId}.journal` : `${syncFilePath}.journal`;
+  }
+  
+  /**
+   * Reads the operation journal left by a push run
+   * @returns {Promise<Object|null>} - The journal, or null if there is none
+   */
+  async function readJournal() {
+    const journalPath = getJournalPath();
+    if (!fs.existsSync(journalPath)) {
       return null;
     }
     
-    // Remove the item from the sync state
-    delete syncState.items[mondayItemId];
+    try {
+      return JSON.parse(await fs.readFile(journalPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read the operation journal ${journalPath}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Writes the operation journal atomically under its file lock
+   * @param {Object} journal - The journal
+   * @returns {Promise<void>}
+   */
+  async function writeJournal(journal) {
+    const journalPath = getJournalPath();
+    const lockId = await acquireLock(journalPath);
     
-    // Save the updated sync state
-    await writeSyncState(syncState);
+    try {
+      await writeJsonFile(journalPath, journal);
+    } finally {
+      await releaseLock(journalPath, lockId);
+    }
+  }
+  
+  /**
+   * Removes the operation journal once its run has finished or been abandoned
+   * @returns {Promise<boolean>} - Whether there was a journal to remove
+   */
+  async function removeJournal() {
+    const journalPath = getJournalPath();
+    if (!fs.existsSync(journalPath)) {
+      return false;
+    }
     
-    Logger.info(`Removed task ${taskId} (linked to Monday.com item ${mondayItemId}) from sync state`);
-    return mondayItemId;
+    await fs.remove(journalPath);
+    return true;
   }
 
   // Return the public API
@@ -842,7 +1065,22 @@ function createSyncStateManager(options = {}) {
     removeUpdateIdForTask,
     removeMondayItem,
     getEmptySyncState,
-    removeLocalTask
+    migrate,
+    removeLocalTask,
+    getBaseSnapshot,
+    storeBaseSnapshot,
+    storeBaseSnapshots,
+    removeBaseSnapshot,
+    getSubitemMappings,
+    storeSubitemMappings,
+    removeSubitemMappings,
+    acquireRunLock,
+    releaseRunLock,
+    withRunLock,
+    getJournalPath,
+    readJournal,
+    writeJournal,
+    removeJournal
   };
 }
 
@@ -852,5 +1090,8 @@ const defaultInstance = createSyncStateManager();
 // Export the default instance and the factory function
 module.exports = {
   ...defaultInstance,
-  createSyncStateManager
+  createSyncStateManager,
+  RUN_LOCKED_ERROR_CODE,
+  CURRENT_STATE_VERSION,
+  STATE_VERSION_ERROR_CODE
 }; 
\ No newline at end of file
@@ -0,0 +1,186 @@
+/**
+ * Sync State Migrations Module
+ *
+ * Upgrades sync state files written by older versions to the current schema.
+ * Each migration takes one board's section of the file (the top level or an
+ * entry of boards) from one version to the next; migrateState runs them in
+ * order on every section.
+ *
+ * Version 2.0 keeps each synced item once, in the mappings table:
+ *   mappings[mondayItemId] = { taskId, syncedAt, updateId }
+ * Version 1.0 kept the same link in items, taskMappings, mondayToTaskMaster
+ * and taskMasterToMonday, which could disagree.
+ */
+
+// Schema version written by this version of the sync
+const CURRENT_STATE_VERSION = '2.0';
+
+// Error code of the error thrown for a file no migration can read
+const STATE_VERSION_ERROR_CODE = 'SYNC_STATE_VERSION_UNSUPPORTED';
+
+/**
+ * Parses an ISO date or a timestamp into milliseconds
+ * @param {string|number} value - The date or timestamp
+ * @returns {number|null} - Milliseconds, or null if the value is not a time
+ */
+function toTimestamp(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const parsed = value ? Date.parse(value) : NaN;
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Migrates a 1.0 section: the four copies of the item links become one mappings table.
+ * Where they disagree, the first of items, taskMappings, mondayToTaskMaster and
+ * taskMasterToMonday wins, the order the 1.0 lookups read them in.
+ * @param {Object} section - The 1.0 section
+ * @param {string[]} notes - Collects the disagreements that were settled
+ * @returns {Object} - The 2.0 section
+ */
+function migrateV1ToV2(section, notes) {
+  const mappings = {};
+
+  const link = (mondayItemId, taskId, syncedAt, source) => {
+    if (!mondayItemId || taskId === undefined || taskId === null || taskId === '') {
+      return;
+    }
+
+    const itemId = String(mondayItemId);
+    const entry = mappings[itemId];
+    if (!entry) {
+      mappings[itemId] = { taskId: String(taskId), syncedAt: toTimestamp(syncedAt) };
+      return;
+    }
+
+    if (entry.taskId !== String(taskId)) {
+      notes.push(`item ${itemId} is linked to task ${taskId} in ${source}, kept task ${entry.taskId}`);
+    } else if (toTimestamp(syncedAt) > (entry.syncedAt || 0)) {
+      entry.syncedAt = toTimestamp(syncedAt);
+    }
+  };
+
+  for (const [mondayItemId, data] of Object.entries(section.items || {})) {
+    link(mondayItemId, data && data.taskmasterTaskId, data && data.timestamp, 'items');
+  }
+  for (const mapping of section.taskMappings || []) {
+    if (!mapping) {
+      continue;
+    }
+    const taskId = mapping.taskmasterTaskId !== undefined ? mapping.taskmasterTaskId : mapping.taskId;
+    link(mapping.mondayItemId, taskId, mapping.timestamp || mapping.lastSynced, 'taskMappings');
+
+    // Update IDs were kept in their own taskMappings entries
+    const entry = mappings[String(mapping.mondayItemId)];
+    if (mapping.mondayUpdateId && entry && entry.taskId === String(taskId)) {
+      entry.updateId = String(mapping.mondayUpdateId);
+    }
+  }
+  for (const [mondayItemId, taskId] of Object.entries(section.mondayToTaskMaster || {})) {
+    link(mondayItemId, taskId, null, 'mondayToTaskMaster');
+  }
+  for (const [taskId, mondayItemIds] of Object.entries(section.taskMasterToMonday || {})) {
+    for (const mondayItemId of mondayItemIds || []) {
+      link(mondayItemId, taskId, null, 'taskMasterToMonday');
+    }
+  }
+
+  // eslint-disable-next-line no-unused-vars
+  const { version, lastSync, items, taskMappings, mondayToTaskMaster, taskMasterToMonday, ...rest } = section;
+  return {
+    version: '2.0',
+    lastSync: lastSync !== undefined ? lastSync : null,
+    mappings,
+    ...rest
+  };
+}
+
+// Migrations in order, each from one version to the next
+const MIGRATIONS = [
+  { from: '1.0', to: '2.0', migrate: migrateV1ToV2 }
+];
+
+/**
+ * Gets the schema version of a sync state section (files without one are 1.0)
+ * @param {Object} section - The sync state, or one board's section of it
+ * @returns {string} - The version
+ */
+function getStateVersion(section) {
+  return section && section.version !== undefined && section.version !== null
+    ? String(section.version)
+    : '1.0';
+}
+
+/**
+ * Checks whether a sync state file, or any of its board sections, is older than the current schema
+ * @param {Object} fileState - The parsed sync state file
+ * @returns {boolean} - True if migrateState would change it
+ */
+function needsMigration(fileState) {
+  const sections = [fileState, ...Object.values((fileState && fileState.boards) || {})];
+  return sections.some(section => getStateVersion(section) !== CURRENT_STATE_VERSION);
+}
+
+/**
+ * Migrates one section of a sync state file to the current schema
+ * @param {Object} section - The sync state section
+ * @param {string[]} notes - Collects what the migrations had to settle
+ * @returns {Object} - The migrated section
+ * @throws {Error} - SYNC_STATE_VERSION_UNSUPPORTED for a version no migration starts from
+ */
+function migrateSection(section, notes) {
+  let migrated = section;
+  let version = getStateVersion(migrated);
+
+  while (version !== CURRENT_STATE_VERSION) {
+    const migration = MIGRATIONS.find(candidate => candidate.from === version);
+    if (!migration) {
+      const error = new Error(
+        `Sync state version ${version} is not supported (this version of the sync reads up to ${CURRENT_STATE_VERSION})`
+      );
+      error.code = STATE_VERSION_ERROR_CODE;
+      throw error;
+    }
+    migrated = migration.migrate(migrated, notes);
+    version = migration.to;
+  }
+
+  return migrated;
+}
+
+/**
+ * Migrates a sync state file (the top level and every board section) to the current schema
+ * @param {Object} fileState - The parsed sync state file
+ * @returns {Object} - { state, fromVersion, toVersion, notes }, where fromVersion is the top level's version
+ * @throws {Error} - SYNC_STATE_VERSION_UNSUPPORTED for a version no migration starts from
+ */
+function migrateState(fileState) {
+  const notes = [];
+  const state = { ...migrateSection(fileState || {}, notes) };
+
+  if (fileState && fileState.boards) {
+    state.boards = {};
+    for (const [boardId, section] of Object.entries(fileState.boards)) {
+      const boardNotes = [];
+      state.boards[boardId] = migrateSection(section, boardNotes);
+      notes.push(...boardNotes.map(note => `board ${boardId}: ${note}`));
+    }
+  }
+
+  return {
+    state,
+    fromVersion: getStateVersion(fileState),
+    toVersion: CURRENT_STATE_VERSION,
+    notes
+  };
+}
+
+module.exports = {
+  migrateState,
+  migrateSection,
+  needsMigration,
+  getStateVersion,
+  CURRENT_STATE_VERSION,
+  STATE_VERSION_ERROR_CODE
+};
@@ -0,0 +1,315 @@
+/**
+ * Task File Generator Module
+ *
+ * Writes the task_NNN.txt files TaskMaster keeps next to tasks.json, in the
+ * same format as `task-master generate`, without shelling out to it. Only
+ * files whose content changed are rewritten, and files of tasks that no
+ * longer exist are removed. Running `npx task-master generate` instead is
+ * available as a fallback (task_file_generator: "task-master").
+ *
+ * File format:
+ *
+ *   # Task ID: 3
+ *   # Title: Add the sync command
+ *   # Status: in-progress
+ *   # Dependencies: ✅ 1 (done), ⏱️ 2 (pending)
+ *   # Priority: high
+ *   # Monday Item: https://monday.com/boards/1234567890/pulses/1111111111
+ *   # Description: ...
+ *   # Details:
+ *   ...
+ *
+ *   # Test Strategy:
+ *   ...
+ *
+ *   # Subtasks:
+ *   ## 1. Parse options [done]
+ *   ### Dependencies: None
+ *   ### Description: ...
+ *   ### Details:
+ *   ...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const taskMasterIO = require('./taskMasterIO');
+const { Logger } = require('../utils/logger');
+
+// Names of generated task files (task_001.txt, task_012.txt, ...)
+const TASK_FILE_PATTERN = /^task_(\d+)\.txt$/;
+
+// Tag whose task files have no tag suffix
+const DEFAULT_TAG = 'master';
+
+// Values of the task_file_generator config key
+const BUILTIN_GENERATOR = 'builtin';
+const TASK_MASTER_GENERATOR = 'task-master';
+
+/**
+ * Gets the file name of a task's generated file
+ * @param {string|number} taskId - The TaskMaster task ID
+ * @param {string|null} tag - The task's tag; tags other than master get a suffix, as in TaskMaster
+ * @returns {string} - The file name (e.g. task_007.txt, task_007_feature-x.txt)
+ */
+function getTaskFileName(taskId, tag = null) {
+  const suffix = tag && tag !== DEFAULT_TAG ? `_${tag}` : '';
+  return `task_${String(taskId).padStart(3, '0')}${suffix}.txt`;
+}
+
+/**
+ * Gets the pattern matching the generated files of a tag
+ * @param {string|null} tag - The tag
+ * @returns {RegExp} - The file name pattern
+ */
+function getTaskFilePattern(tag) {
+  if (!tag || tag === DEFAULT_TAG) {
+    return TASK_FILE_PATTERN;
+  }
+  const escapedTag = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^task_(\\d+)_${escapedTag}\\.txt$`);
+}
+
+/**
+ * Gets the link to a Monday.com item
+ * @param {string} boardId - The Monday.com board ID
+ * @param {string} itemId - The Monday.com item ID
+ * @returns {string} - The item URL
+ */
+function getMondayItemUrl(boardId, itemId) {
+  return `https://monday.com/boards/${boardId}/pulses/${itemId}`;
+}
+
+/**
+ * Finds the status of a dependency (a task ID, or a subtask ID such as "3.2")
+ * @param {string|number} dependencyId - The dependency ID
+ * @param {Object[]} tasks - All tasks
+ * @returns {string|null} - The status, or null if the dependency does not exist
+ */
+function findDependencyStatus(dependencyId, tasks) {
+  const [taskId, subtaskId] = String(dependencyId).split('.');
+  const task = tasks.find(candidate => String(candidate.id) === taskId);
+  if (!task) {
+    return null;
+  }
+  if (subtaskId === undefined) {
+    return task.status || 'pending';
+  }
+
+  const subtask = (task.subtasks || []).find(candidate => String(candidate.id) === subtaskId);
+  return subtask ? subtask.status || 'pending' : null;
+}
+
+/**
+ * Formats task dependencies with their status (✅ for done, ⏱️ otherwise)
+ * @param {Array} dependencies - The dependency IDs
+ * @param {Object[]} tasks - All tasks
+ * @returns {string} - The formatted dependencies, or "None"
+ */
+function formatDependencies(dependencies, tasks) {
+  if (!Array.isArray(dependencies) || dependencies.length === 0) {
+    return 'None';
+  }
+
+  return dependencies.map(dependencyId => {
+    const status = findDependencyStatus(dependencyId, tasks);
+    if (status === null) {
+      return `${dependencyId} (Not found)`;
+    }
+    return status === 'done' || status === 'completed'
+      ? `✅ ${dependencyId} (${status})`
+      : `⏱️ ${dependencyId} (${status})`;
+  }).join(', ');
+}
+
+/**
+ * Formats subtask dependencies; numeric IDs refer to subtasks of the same task
+ * @param {Object} subtask - The subtask
+ * @param {Object} task - The parent task
+ * @returns {string} - The formatted dependencies, or "None"
+ */
+function formatSubtaskDependencies(subtask, task) {
+  if (!Array.isArray(subtask.dependencies) || subtask.dependencies.length === 0) {
+    return 'None';
+  }
+
+  return subtask.dependencies.map(dependencyId => {
+    const sibling = typeof dependencyId === 'number' &&
+      (task.subtasks || []).some(candidate => candidate.id === dependencyId);
+    return sibling ? `${task.id}.${dependencyId}` : String(dependencyId);
+  }).join(', ');
+}
+
+/**
+ * Formats a task as a TaskMaster task file
+ * @param {Object} task - The task
+ * @param {Object[]} tasks - All tasks, to look up dependency statuses
+ * @param {Object} options - Format options
+ * @param {string} options.mondayBoardId - Board of the task's Monday.com item, for the item link
+ * @returns {string} - The file content
+ */
+function formatTaskFile(task, tasks = [], options = {}) {
+  const lines = [
+    `# Task ID: ${task.id}`,
+    `# Title: ${task.title || ''}`,
+    `# Status: ${task.status || 'pending'}`,
+    `# Dependencies: ${formatDependencies(task.dependencies, tasks)}`,
+    `# Priority: ${task.priority || 'medium'}`
+  ];
+  if (task.monday_item_id && options.mondayBoardId) {
+    lines.push(`# Monday Item: ${getMondayItemUrl(options.mondayBoardId, task.monday_item_id)}`);
+  }
+  lines.push(
+    `# Description: ${task.description || ''}`,
+    '# Details:',
+    task.details || '',
+    '',
+    '# Test Strategy:',
+    task.testStrategy || ''
+  );
+
+  if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+    lines.push('', '# Subtasks:');
+    for (const subtask of task.subtasks) {
+      lines.push(
+        `## ${subtask.id}. ${subtask.title || ''} [${subtask.status || 'pending'}]`,
+        `### Dependencies: ${formatSubtaskDependencies(subtask, task)}`,
+        `### Description: ${subtask.description || ''}`,
+        '### Details:',
+        subtask.details || '',
+        ''
+      );
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates a Task File Generator instance
+ * @param {Object} options - Generator options
+ * @param {string} options.mondayBoardId - Monday.com board ID, for item links
+ * @param {Object} options.taskBoardIds - Task ID → board ID of tasks synced with other boards (sync profiles)
+ * @param {boolean} options.useTaskMaster - Run `npx task-master generate` instead of the built-in generator
+ * @param {Function} options.execFile - child_process.execFile replacement, mainly for tests
+ * @returns {Object} - Task File Generator instance
+ */
+function createTaskFileGenerator(options = {}) {
+  const runFile = options.execFile || execFile;
+
+  /**
+   * Runs `npx task-master generate` for a tasks.json file
+   * @param {string} tasksFilePath - Path to tasks.json
+   * @param {string} outputDir - Directory to write task files to
+   * @param {string|null} tag - Tag to generate the files of
+   * @returns {Promise<void>}
+   */
+  function runTaskMasterGenerate(tasksFilePath, outputDir, tag) {
+    const args = ['task-master', 'generate', '--file', tasksFilePath, '--output', outputDir];
+    if (tag) {
+      args.push('--tag', tag);
+    }
+
+    return new Promise((resolve, reject) => {
+      runFile('npx', args, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`task-master generate failed: ${error.message}`));
+          return;
+        }
+        if (stderr) {
+          Logger.warn(`Warnings during task file generation: ${stderr}`);
+        }
+        Logger.debug(`Task file generation output: ${stdout}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Writes the task files of a tasks.json file, leaving unchanged files alone
+   * @param {string} tasksFilePath - Path to tasks.json (task files are written next to it)
+   * @param {Object[]} tasks - The tasks (read from tasksFilePath when not given)
+   * @param {string|null} tag - Tag of the tasks in a tagged tasks.json (default: master)
+   * @returns {Promise<Object>} - { generator, written, unchanged, removed } (file names)
+   */
+  async function generate(tasksFilePath, tasks = null, tag = null) {
+    const resolvedPath = path.resolve(process.cwd(), tasksFilePath || taskMasterIO.DEFAULT_TASKS_PATH);
+    const outputDir = path.dirname(resolvedPath);
+    const result = { written: [], unchanged: [], removed: [] };
+
+    if (options.useTaskMaster) {
+      await runTaskMasterGenerate(resolvedPath, outputDir, tag);
+      Logger.info('Regenerated task files with task-master generate');
+      return { generator: TASK_MASTER_GENERATOR, ...result };
+    }
+
+    const allTasks = (tasks || await taskMasterIO.readTasks(resolvedPath, true, tag)).filter(task => task && task.id !== undefined);
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    const fileNames = new Set();
+    for (const task of allTasks) {
+      const fileName = getTaskFileName(task.id, tag);
+      const filePath = path.join(outputDir, fileName);
+      const mondayBoardId = (options.taskBoardIds && options.taskBoardIds[String(task.id)]) || options.mondayBoardId;
+      const content = formatTaskFile(task, allTasks, { mondayBoardId });
+      fileNames.add(fileName);
+
+      const existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+      if (existing === content) {
+        result.unchanged.push(fileName);
+        continue;
+      }
+
+      fs.writeFileSync(filePath, content, 'utf8');
+      result.written.push(fileName);
+    }
+
+    // Remove the files of tasks that are gone (only this tag's files)
+    const taskFilePattern = getTaskFilePattern(tag);
+    for (const fileName of fs.readdirSync(outputDir)) {
+      if (taskFilePattern.test(fileName) && !fileNames.has(fileName)) {
+        fs.unlinkSync(path.join(outputDir, fileName));
+        result.removed.push(fileName);
+      }
+    }
+
+    Logger.info(`Task files: ${result.written.length} written, ${result.unchanged.length} unchanged, ${result.removed.length} removed`);
+    return { generator: BUILTIN_GENERATOR, ...result };
+  }
+
+  /**
+   * Removes the generated file of a task, if it exists
+   * @param {string|number} taskId - The TaskMaster task ID
+   * @param {string} tasksFilePath - Path to tasks.json (task files are next to it)
+   * @param {string|null} tag - The task's tag
+   * @returns {boolean} - Whether a file was removed
+   */
+  function removeTaskFile(taskId, tasksFilePath, tag = null) {
+    const outputDir = path.dirname(path.resolve(process.cwd(), tasksFilePath || taskMasterIO.DEFAULT_TASKS_PATH));
+    const filePath = path.join(outputDir, getTaskFileName(taskId, tag));
+
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+
+    fs.unlinkSync(filePath);
+    Logger.info(`Removed task file: ${filePath}`);
+    return true;
+  }
+
+  // Return the public API
+  return {
+    generate,
+    removeTaskFile
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createTaskFileGenerator,
+  formatTaskFile,
+  getTaskFileName,
+  getMondayItemUrl,
+  BUILTIN_GENERATOR,
+  TASK_MASTER_GENERATOR
+};
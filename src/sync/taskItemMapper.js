@@ -0,0 +1,143 @@
+/**
+ * Task Item Mapper Module
+ *
+ * Maps Monday.com items to TaskMaster tasks using the configured column,
+ * status and priority mappings. Shared by the pull and push sync so both read
+ * Monday.com items the same way.
+ */
+
+/**
+ * Reverses a TaskMaster → Monday.com value mapping
+ * @param {Object} mapping - The mapping (TaskMaster value → Monday.com label)
+ * @returns {Object} - Lowercased Monday.com label → TaskMaster value
+ */
+function reverseMapping(mapping) {
+  const reversed = {};
+
+  // Handle null or undefined mapping
+  if (!mapping) {
+    return reversed;
+  }
+
+  for (const [key, value] of Object.entries(mapping)) {
+    if (value) {
+      reversed[value.toLowerCase()] = key;
+    }
+  }
+  return reversed;
+}
+
+/**
+ * Creates a task item mapper
+ * @param {Object} options - Mapping configuration
+ * @param {Object} options.columnMapping - Column mapping configuration
+ * @param {Object} options.statusMappings - TaskMaster status → Monday.com label
+ * @param {Object} options.priorityMappings - TaskMaster priority → Monday.com label
+ * @returns {Object} - Task item mapper instance
+ */
+function createTaskItemMapper(options = {}) {
+  const columnMapping = options.columnMapping || {};
+
+  // Create reverse mappings
+  const statusMapping = reverseMapping(options.statusMappings);
+  const priorityMapping = reverseMapping(options.priorityMappings);
+
+  /**
+   * Maps a Monday.com item to a TaskMaster task
+   * @param {Object} item - The Monday.com item
+   * @param {Object} mappingOptions - Mapping options
+   * @param {Object} mappingOptions.localTask - The local task, used for fields resolved in its favour
+   * @param {Object[]} mappingOptions.resolutions - Conflict policy decisions ({ field, winner })
+   * @param {Object} mappingOptions.labelResolver - Board label resolver; complexity is only read with one
+   * @returns {Object} - TaskMaster task
+   */
+  function mapItemToTask(item, mappingOptions = {}) {
+    // Create a new task object with only required fields
+    const task = {
+      title: item.name,
+      monday_item_id: item.id
+    };
+
+    // Process all column values from Monday.com
+    for (const column of item.column_values || []) {
+      if (!column.id || !column.text) {
+        continue;
+      }
+
+      // Task ID
+      if (column.id === columnMapping.taskId) {
+        task.id = column.text;
+      }
+
+      // Status
+      if (column.id === columnMapping.status) {
+        const mondayStatus = column.text.toLowerCase();
+        task.status = statusMapping[mondayStatus] || mondayStatus;
+      }
+
+      // Priority
+      if (column.id === columnMapping.priority) {
+        const mondayPriority = column.text.toLowerCase();
+        task.priority = priorityMapping[mondayPriority] || mondayPriority;
+      }
+
+      // Dependencies
+      if (column.id === columnMapping.dependencies && column.text) {
+        task.dependencies = column.text.split(',').map(d => d.trim()).filter(Boolean);
+      }
+
+      // Complexity (the score its label stands for)
+      if (column.id === columnMapping.complexity && mappingOptions.labelResolver) {
+        const complexity = mappingOptions.labelResolver.toNumber(column.id, column);
+        if (complexity !== null) {
+          task.complexity = complexity;
+        }
+      }
+
+      // Description
+      if (column.id === columnMapping.description) {
+        task.description = column.text;
+      }
+
+      // Details
+      if (column.id === columnMapping.details) {
+        task.details = column.text;
+      }
+
+      // Test Strategy
+      if (column.id === columnMapping.testStrategy) {
+        task.testStrategy = column.text;
+      }
+    }
+
+    // Initialize empty arrays if not set
+    if (!task.dependencies) {
+      task.dependencies = [];
+    }
+
+    if (!task.subtasks) {
+      task.subtasks = [];
+    }
+
+    // Fields the conflict policy gave to the local side keep their local values
+    if (mappingOptions.localTask) {
+      for (const resolution of mappingOptions.resolutions || []) {
+        if (resolution.winner === 'local') {
+          task[resolution.field] = mappingOptions.localTask[resolution.field];
+        }
+      }
+    }
+
+    return task;
+  }
+
+  // Return the public API
+  return {
+    mapItemToTask
+  };
+}
+
+module.exports = {
+  createTaskItemMapper,
+  reverseMapping
+};
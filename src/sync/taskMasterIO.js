@@ -17,6 +17,9 @@ function createTaskMasterIO(options = {}) {
   // Default path to tasks.json file
   const DEFAULT_TASKS_PATH = 'tasks/tasks.json';
 
+  // Tag read and written when none is given (TaskMaster's default context)
+  const DEFAULT_TAG = 'master';
+
   // Cache for tasks data to avoid frequent disk reads
   let tasksCache = new Map();
   const CACHE_TTL = options.cacheTTL || 5000; // 5 seconds TTL for cache
@@ -33,13 +36,53 @@ function createTaskMasterIO(options = {}) {
       : path.join(process.cwd(), tasksPath);
   }
 
+  /**
+   * Gets the time tasks.json was last modified, used as the local edit time
+   * for tasks that do not record their own
+   * @param {string} tasksPath - Optional custom path to tasks.json file
+   * @returns {number|null} - Modification time in milliseconds, or null if unavailable
+   */
+  function getTasksFileEditTime(tasksPath) {
+    try {
+      return fs.statSync(getTasksFilePath(tasksPath || undefined)).mtimeMs;
+      // eslint-disable-next-line no-unused-vars
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Checks whether parsed tasks.json data uses TaskMaster's tagged format,
+   * where each tag holds its own tasks: { "master": { "tasks": [...] }, "feature-x": { "tasks": [...] } }
+   * @param {*} data - The parsed tasks.json data
+   * @returns {boolean} - Whether the data is tagged
+   */
+  function isTaggedFormat(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data) || 'tasks' in data) {
+      return false;
+    }
+    
+    return Object.values(data).some(context => context && typeof context === 'object' && Array.isArray(context.tasks));
+  }
+
+  /**
+   * Gets the cache key of a file and tag
+   * @param {string} filePath - Path to the tasks.json file
+   * @param {string|null} tag - The tag
+   * @returns {string} - The cache key
+   */
+  function getCacheKey(filePath, tag) {
+    return `${filePath}#${tag || DEFAULT_TAG}`;
+  }
+
   /**
    * Reads tasks from the tasks.json file
    * @param {string|Object} filePathOrTasks - Path to the tasks.json file or object containing tasks
    * @param {boolean} bypassCache - Whether to bypass the cache
+   * @param {string|null} tag - Tag to read from a tagged tasks.json (default: master); a missing tag has no tasks
    * @returns {Promise<Array|Object>} - Array of tasks or object with tasks property
    */
-  async function readTasks(filePathOrTasks, bypassCache = false) {
+  async function readTasks(filePathOrTasks, bypassCache = false, tag = null) {
     // If filePathOrTasks is an object with a tasks property, return it directly
     if (filePathOrTasks && typeof filePathOrTasks === 'object' && 'tasks' in filePathOrTasks) {
       return filePathOrTasks.tasks;
@@ -47,10 +90,11 @@ function createTaskMasterIO(options = {}) {
     
     // If no path provided, use default
     const filePath = filePathOrTasks || getTasksFilePath();
+    const cacheKey = getCacheKey(filePath, tag);
     
     // Check cache first if not bypassing
-    if (!bypassCache && tasksCache.has(filePath)) {
-      const cachedData = tasksCache.get(filePath);
+    if (!bypassCache && tasksCache.has(cacheKey)) {
+      const cachedData = tasksCache.get(cacheKey);
       
       // Check if cache is still valid
       if (Date.now() - cachedData.timestamp < CACHE_TTL_MS) {
@@ -58,7 +102,7 @@ function createTaskMasterIO(options = {}) {
       }
       
       // Cache expired, remove it
-      tasksCache.delete(filePath);
+      tasksCache.delete(cacheKey);
     }
     
     try {
@@ -73,12 +117,27 @@ function createTaskMasterIO(options = {}) {
       }
       
       // Check if the data has a tasks array property
-      if (parsedData && typeof parsedData === 'object' && Array.isArray(parsedData.tasks)) {
+      if (isTaggedFormat(parsedData)) {
+        // Use the tasks of the requested tag
+        const context = parsedData[tag || DEFAULT_TAG];
+        const tasks = context && Array.isArray(context.tasks) ? context.tasks : [];
+        
+        // Cache the tasks
+        tasksCache.set(cacheKey, {
+          tasks,
+          timestamp: Date.now()
+        });
+        
+        return tasks;
+      } else if (tag && tag !== DEFAULT_TAG && parsedData && typeof parsedData === 'object') {
+        // An untagged file only holds the master tag
+        return [];
+      } else if (parsedData && typeof parsedData === 'object' && Array.isArray(parsedData.tasks)) {
         // Use the tasks array
         const tasks = parsedData.tasks;
         
         // Cache the tasks
-        tasksCache.set(filePath, {
+        tasksCache.set(cacheKey, {
           tasks,
           timestamp: Date.now()
         });
@@ -89,7 +148,7 @@ function createTaskMasterIO(options = {}) {
         const tasks = parsedData;
         
         // Cache the tasks
-        tasksCache.set(filePath, {
+        tasksCache.set(cacheKey, {
           tasks,
           timestamp: Date.now()
         });
@@ -109,13 +168,37 @@ function createTaskMasterIO(options = {}) {
     }
   }
 
+  /**
+   * Builds the file content after replacing one tag's tasks, keeping every other tag
+   * @param {*} existingData - The parsed tasks.json data, or undefined if there is no file
+   * @param {Array} tasks - The tasks of the tag
+   * @param {string} tag - The tag
+   * @returns {Object} - The data to write, in the tagged format
+   */
+  function replaceTaggedTasks(existingData, tasks, tag) {
+    if (isTaggedFormat(existingData)) {
+      return { ...existingData, [tag]: { ...existingData[tag], tasks } };
+    }
+    
+    // Move an untagged file's tasks into the master tag, as TaskMaster does
+    const tagged = {};
+    if (existingData && typeof existingData === 'object' && Array.isArray(existingData.tasks)) {
+      tagged[DEFAULT_TAG] = existingData;
+    } else if (Array.isArray(existingData)) {
+      tagged[DEFAULT_TAG] = { tasks: existingData };
+    }
+    tagged[tag] = { tasks };
+    return tagged;
+  }
+
   /**
    * Writes tasks to the tasks.json file
    * @param {string|Object} filePathOrTasks - Path to the tasks.json file or object with tasks property
    * @param {Array|undefined} tasksArray - Array of tasks to write (not needed if filePathOrTasks is an object with tasks)
+   * @param {string|null} tag - Tag to write the tasks to (default: master); other tags are left as they are
    * @returns {Promise<void>}
    */
-  async function writeTasks(filePathOrTasks, tasksArray) {
+  async function writeTasks(filePathOrTasks, tasksArray, tag = null) {
     let filePath;
     let tasks;
     
@@ -155,8 +238,11 @@ function createTaskMasterIO(options = {}) {
         const existingData = await fs.readFile(filePath, 'utf8');
         const parsedData = JSON.parse(existingData);
         
-        // If the original file has a tasks property, keep the same format
-        if (parsedData && typeof parsedData === 'object' && 'tasks' in parsedData) {
+        // Replace only this tag's tasks in a tagged file (or when writing a tag other than master)
+        if (isTaggedFormat(parsedData) || (tag && tag !== DEFAULT_TAG)) {
+          fileContent = JSON.stringify(replaceTaggedTasks(parsedData, tasks, tag || DEFAULT_TAG), null, 2);
+        } else if (parsedData && typeof parsedData === 'object' && 'tasks' in parsedData) {
+          // If the original file has a tasks property, keep the same format
           // Preserve the structure but update the tasks array
           fileContent = JSON.stringify({ ...parsedData, tasks }, null, 2);
         } else {
@@ -166,7 +252,9 @@ function createTaskMasterIO(options = {}) {
         // eslint-disable-next-line no-unused-vars
       } catch (error) {
         // If the file doesn't exist or has invalid JSON, default to array format
-        fileContent = JSON.stringify(tasks, null, 2);
+        fileContent = tag && tag !== DEFAULT_TAG
+          ? JSON.stringify(replaceTaggedTasks(undefined, tasks, tag), null, 2)
+          : JSON.stringify(tasks, null, 2);
       }
       
       // Write to the temporary file
@@ -179,8 +267,13 @@ function createTaskMasterIO(options = {}) {
       // Move the temporary file to the actual file (atomic operation)
       await fs.move(tempFilePath, filePath, { overwrite: true });
       
-      // Update cache
-      tasksCache.set(filePath, {
+      // Update cache (other tags of the file may have moved, so drop them)
+      for (const key of tasksCache.keys()) {
+        if (key.startsWith(`${filePath}#`)) {
+          tasksCache.delete(key);
+        }
+      }
+      tasksCache.set(getCacheKey(filePath, tag), {
         tasks,
         timestamp: Date.now()
       });
@@ -273,6 +366,28 @@ function createTaskMasterIO(options = {}) {
     return tasks.filter(task => !task.monday_item_id);
   }
 
+  /**
+   * Lists the tags of a tasks.json file (an untagged file only has master)
+   * @param {string} tasksPath - Optional custom path to tasks.json file
+   * @returns {Promise<string[]>} - The tag names, empty if the file does not exist
+   */
+  async function listTags(tasksPath = DEFAULT_TASKS_PATH) {
+    let parsedData;
+    try {
+      parsedData = JSON.parse(await fs.readFile(getTasksFilePath(tasksPath), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw new Error(`Error reading tasks file: ${error.message}`);
+    }
+    
+    if (isTaggedFormat(parsedData)) {
+      return Object.keys(parsedData).filter(tag => parsedData[tag] && Array.isArray(parsedData[tag].tasks));
+    }
+    return [DEFAULT_TAG];
+  }
+
   /**
    * Clears the cache, forcing next read to pull from disk
    */
@@ -290,7 +405,12 @@ function createTaskMasterIO(options = {}) {
     getTasksWithMondayItemId,
     getTasksWithoutMondayItemId,
     clearCache,
-    DEFAULT_TASKS_PATH
+    getTasksFilePath,
+    getTasksFileEditTime,
+    listTags,
+    isTaggedFormat,
+    DEFAULT_TASKS_PATH,
+    DEFAULT_TAG
   };
 }
 
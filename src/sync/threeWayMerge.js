@@ -0,0 +1,184 @@
+/**
+ * Three-Way Merge Module
+ *
+ * Compares a local task and its Monday.com counterpart against the base snapshot
+ * stored at the last successful sync. Fields changed on one side only merge
+ * automatically; fields changed on both sides (to different values) are conflicts.
+ */
+
+// Task fields synced with Monday.com (names match the column mapping keys)
+const SYNC_FIELDS = ['title', 'status', 'priority', 'dependencies', 'description', 'details', 'testStrategy'];
+
+/**
+ * Gets the task fields synced for a column mapping
+ * The title is always synced (it is the item name); other fields need a mapped column.
+ * @param {Object} columnMapping - Column mapping configuration
+ * @returns {string[]} - The synced field names
+ */
+function getSyncedFields(columnMapping = {}) {
+  return SYNC_FIELDS.filter(field => field === 'title' || Boolean(columnMapping && columnMapping[field]));
+}
+
+/**
+ * Normalizes a field value for comparison and storage
+ * Empty values compare equal, and dependencies compare as sorted sets.
+ * @param {string} field - The field name
+ * @param {*} value - The field value
+ * @returns {*} - The normalized value
+ */
+function normalizeField(field, value) {
+  if (field === 'dependencies') {
+    const dependencies = Array.isArray(value) ? value : [];
+    return dependencies.map(dep => String(dep).trim()).filter(Boolean).sort();
+  }
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return String(value);
+}
+
+/**
+ * Checks whether two normalized field values are equal
+ * @param {*} a - The first value
+ * @param {*} b - The second value
+ * @returns {boolean} - Whether the values are equal
+ */
+function valuesEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+
+  return a === b;
+}
+
+/**
+ * Creates a base snapshot of a task's synced fields
+ * @param {Object} task - The task
+ * @param {string[]} fields - The fields to snapshot
+ * @returns {Object} - Normalized field values
+ */
+function snapshotTask(task, fields = SYNC_FIELDS) {
+  const snapshot = {};
+
+  for (const field of fields) {
+    snapshot[field] = normalizeField(field, task ? task[field] : undefined);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Performs a three-way comparison of a task
+ * @param {Object} localTask - The local TaskMaster task
+ * @param {Object} base - The base snapshot from the last successful sync
+ * @param {Object} remoteTask - The task mapped from the Monday.com item
+ * @param {string[]} fields - The fields to compare
+ * @returns {Object} - { merged, localChanges, remoteChanges, conflicts }
+ *   merged holds the merged raw field values (local values for conflicting fields),
+ *   conflicts holds { field, local, base, remote } for each field changed on both sides
+ */
+function threeWayMerge(localTask, base, remoteTask, fields = SYNC_FIELDS) {
+  const merged = {};
+  const localChanges = [];
+  const remoteChanges = [];
+  const conflicts = [];
+
+  for (const field of fields) {
+    const localValue = normalizeField(field, localTask[field]);
+    const remoteValue = normalizeField(field, remoteTask[field]);
+    const baseValue = base && Object.prototype.hasOwnProperty.call(base, field)
+      ? base[field]
+      : localValue;
+
+    const localChanged = !valuesEqual(localValue, baseValue);
+    const remoteChanged = !valuesEqual(remoteValue, baseValue);
+
+    if (localChanged) {
+      localChanges.push(field);
+    }
+    if (remoteChanged) {
+      remoteChanges.push(field);
+    }
+
+    if (remoteChanged && !localChanged) {
+      merged[field] = remoteTask[field];
+    } else {
+      merged[field] = localTask[field];
+    }
+
+    // Both sides changed the field, and not to the same value
+    if (localChanged && remoteChanged && !valuesEqual(localValue, remoteValue)) {
+      conflicts.push({
+        field,
+        local: localTask[field],
+        base: baseValue,
+        remote: remoteTask[field]
+      });
+    }
+  }
+
+  return {
+    merged,
+    localChanges,
+    remoteChanges,
+    conflicts
+  };
+}
+
+/**
+ * Lists the fields that differ between a local task and its Monday.com counterpart
+ * Used when there is no base snapshot, so every difference is a potential conflict.
+ * @param {Object} localTask - The local TaskMaster task
+ * @param {Object} remoteTask - The task mapped from the Monday.com item
+ * @param {string[]} fields - The fields to compare
+ * @returns {Object[]} - { field, local, base, remote } for each differing field (base is null)
+ */
+function differingFields(localTask, remoteTask, fields = SYNC_FIELDS) {
+  return fields
+    .filter(field => !valuesEqual(normalizeField(field, localTask[field]), normalizeField(field, remoteTask[field])))
+    .map(field => ({
+      field,
+      local: localTask[field],
+      base: null,
+      remote: remoteTask[field]
+    }));
+}
+
+/**
+ * Computes the base snapshot to store after a sync
+ * Fields both sides agree on take the agreed value; fields that still differ keep
+ * the previous base so the pending change is detected on the next run.
+ * @param {Object} localTask - The local task after the sync
+ * @param {Object} remoteTask - The Monday.com task after the sync
+ * @param {Object} previousBase - The previous base snapshot, if any
+ * @param {string[]} fields - The fields to snapshot
+ * @returns {Object} - The new base snapshot
+ */
+function nextBaseSnapshot(localTask, remoteTask, previousBase, fields = SYNC_FIELDS) {
+  const local = snapshotTask(localTask, fields);
+  const remote = snapshotTask(remoteTask, fields);
+  const snapshot = {};
+
+  for (const field of fields) {
+    if (valuesEqual(local[field], remote[field])) {
+      snapshot[field] = local[field];
+    } else if (previousBase && Object.prototype.hasOwnProperty.call(previousBase, field)) {
+      snapshot[field] = previousBase[field];
+    } else {
+      snapshot[field] = remote[field];
+    }
+  }
+
+  return snapshot;
+}
+
+module.exports = {
+  SYNC_FIELDS,
+  getSyncedFields,
+  snapshotTask,
+  threeWayMerge,
+  differingFields,
+  nextBaseSnapshot
+};
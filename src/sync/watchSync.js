@@ -0,0 +1,369 @@
+/**
+ * Watch Sync Module
+ *
+ * Keeps Monday.com in step with tasks.json while it runs. Changes to the tasks
+ * file are debounced and pushed incrementally - only tasks that changed since
+ * they were last pushed, plus deletions - and Monday.com is polled at an
+ * interval for pull-side changes. Every run holds the sync state's run lock,
+ * so watch never overlaps a manual push, pull or sync.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const taskMasterIO = require('./taskMasterIO');
+const { createSyncStateManager, RUN_LOCKED_ERROR_CODE } = require('./syncStateManager');
+const { createPullSync } = require('./pullSyncLogic');
+const { createPushSync } = require('./pushSyncLogic');
+const { assertNoUnfinishedJournal, JOURNAL_UNFINISHED_ERROR_CODE } = require('./operationJournal');
+const { createMondayClient } = require('../api/mondayClient');
+const { getClientBudget } = require('../api/complexityBudget');
+const { Logger } = require('../utils/logger');
+
+// Default timings
+const DEFAULT_DEBOUNCE_MS = 1000;
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+
+// How long a watch run waits for a manual run to finish before trying again later
+const DEFAULT_LOCK_WAIT_MS = 5000;
+
+/**
+ * Creates a Watch Sync instance
+ * @param {Object} config - The loaded configuration
+ * @param {Object} options - Additional options
+ * @param {string} options.tasksFilePath - Path to the tasks.json file
+ * @param {string} options.syncFilePath - Path to the sync state file
+ * @param {string} options.mondayApiKey - Monday.com API key
+ * @param {string} options.mondayBoardId - Monday.com board ID
+ * @param {string[]} options.mondayGroupIds - Monday.com group IDs
+ * @param {Object} options.columnMappings - Column mapping configuration
+ * @param {number} options.debounceMs - Quiet time after a tasks.json change before pushing
+ * @param {number} options.pollIntervalMs - Interval between pulls (0 disables polling)
+ * @param {number} options.lockWaitMs - How long a run waits for another run to finish
+ * @param {boolean} options.deleteOrphaned - Whether pushes delete items of deleted tasks
+ * @param {boolean} options.regenerateTaskFiles - Whether pulls regenerate task files
+ * @param {Function} options.onResult - ({ type, results }) => void, called after each push or pull
+ * @param {Function} options.watch - Replacement for fs.watch (used in tests)
+ * @returns {Object} - Watch Sync instance
+ */
+function createWatchSync(config, options = {}) {
+  const mondayApiKey = options.mondayApiKey || config.monday_api_key;
+  const mondayBoardId = options.mondayBoardId || config.monday_board_id;
+  const mondayGroupIds = options.mondayGroupIds || config.monday_group_ids;
+  const columnMapping = options.columnMappings || config.column_mappings;
+
+  if (!mondayApiKey) {
+    throw new Error('Monday.com API key is required');
+  }
+  if (!mondayBoardId) {
+    throw new Error('Monday.com board ID is required');
+  }
+  if (!mondayGroupIds || !Array.isArray(mondayGroupIds) || mondayGroupIds.length === 0) {
+    throw new Error('Monday.com group IDs array is required');
+  }
+
+  // The file TaskMaster reads, resolved the same way as taskMasterIO does
+  const tasksFilePath = taskMasterIO.getTasksFilePath(options.tasksFilePath || undefined);
+  const debounceMs = options.debounceMs !== undefined ? options.debounceMs : DEFAULT_DEBOUNCE_MS;
+  const pollIntervalMs = options.pollIntervalMs !== undefined ? options.pollIntervalMs : DEFAULT_POLL_INTERVAL_MS;
+  const lockWaitMs = options.lockWaitMs !== undefined ? options.lockWaitMs : DEFAULT_LOCK_WAIT_MS;
+  const deleteOrphaned = options.deleteOrphaned !== undefined ? options.deleteOrphaned : true;
+  const regenerateTaskFiles = options.regenerateTaskFiles !== undefined ? options.regenerateTaskFiles : true;
+  const onResult = typeof options.onResult === 'function' ? options.onResult : () => {};
+  const watch = options.watch || fs.watch;
+
+  // One client for the whole session, so the complexity budget covers every run
+  const mondayClient = options.mondayClient || createMondayClient({
+    ...config,
+    monday_api_key: mondayApiKey,
+    apiToken: mondayApiKey
+  });
+  const stateManager = createSyncStateManager({ syncFilePath: options.syncFilePath });
+
+  const pull = createPullSync(config, {
+    tasksFilePath,
+    syncFilePath: options.syncFilePath,
+    mondayApiKey,
+    mondayBoardId,
+    mondayGroupIds,
+    columnMappings: columnMapping,
+    mondayClient
+  });
+
+  const push = createPushSync(config, {
+    tasksPath: tasksFilePath,
+    statePath: options.syncFilePath,
+    mondayApiKey,
+    mondayBoardId,
+    mondayGroupIds,
+    columnMappings: columnMapping,
+    mondayClient
+  });
+
+  // Tasks as last pushed (task ID → serialized task)
+  let pushedTasks = new Map();
+
+  let watcher = null;
+  let debounceTimer = null;
+  let pollTimer = null;
+  let running = false;
+
+  // Runs are queued so a push and a pull never run side by side
+  let queue = Promise.resolve();
+
+  // Resolved when the watch stops, whether by stop() or because a push found an interrupted push's journal
+  let resolveStopped = () => {};
+  let stopped = Promise.resolve();
+
+  /**
+   * Reads tasks.json, bypassing taskMasterIO's cache
+   * @returns {Promise<Object[]>} - The local tasks
+   */
+  async function readTasks() {
+    const localTasks = await taskMasterIO.readTasks(tasksFilePath, true);
+    return Array.isArray(localTasks) ? localTasks : (localTasks?.tasks || []);
+  }
+
+  /**
+   * Records tasks as pushed
+   * @param {Object[]} tasks - The tasks
+   */
+  function rememberTasks(tasks) {
+    for (const task of tasks) {
+      if (task && task.id !== undefined) {
+        pushedTasks.set(String(task.id), JSON.stringify(task));
+      }
+    }
+  }
+
+  /**
+   * Finds the tasks changed or deleted since they were last pushed
+   * @param {Object[]} tasks - The local tasks
+   * @returns {Object} - { changedTaskIds, deletedTaskIds }
+   */
+  function diffTasks(tasks) {
+    const localTaskIds = new Set();
+    const changedTaskIds = [];
+
+    for (const task of tasks) {
+      if (!task || task.id === undefined) {
+        continue;
+      }
+      const taskId = String(task.id);
+      localTaskIds.add(taskId);
+      if (pushedTasks.get(taskId) !== JSON.stringify(task)) {
+        changedTaskIds.push(taskId);
+      }
+    }
+
+    const deletedTaskIds = [...pushedTasks.keys()].filter(taskId => !localTaskIds.has(taskId));
+
+    return { changedTaskIds, deletedTaskIds };
+  }
+
+  /**
+   * Queues a run, holding the run lock while it runs.
+   * When a manual run holds the lock, the run is skipped and retry() is called.
+   * @param {string} type - 'push' or 'pull'
+   * @param {Function} fn - The run
+   * @param {Function} retry - Called when the lock could not be taken
+   * @returns {Promise<void>}
+   */
+  function enqueue(type, fn, retry) {
+    queue = queue.then(async () => {
+      if (!running) {
+        return;
+      }
+
+      try {
+        await stateManager.withRunLock(fn, { timeoutMs: lockWaitMs });
+      } catch (error) {
+        if (error.code === RUN_LOCKED_ERROR_CODE) {
+          Logger.warn(`Skipping watch ${type}: another sync is running - trying again later`);
+          retry();
+          return;
+        }
+        if (error.code === JOURNAL_UNFINISHED_ERROR_CODE) {
+          // Every later push would fail the same way until the push command resumes or abandons it
+          Logger.error(`Stopping the watch: ${error.message}`);
+          stop();
+          return;
+        }
+        Logger.error(`Watch ${type} failed: ${error.message}`);
+      }
+    });
+
+    return queue;
+  }
+
+  /**
+   * Pushes the tasks changed or deleted since the last push
+   * @returns {Promise<void>}
+   */
+  function pushChanges() {
+    return enqueue('push', async () => {
+      let tasks;
+      try {
+        tasks = await readTasks();
+      } catch (error) {
+        // Usually a save in progress - the next change event retries
+        Logger.warn(`Could not read ${tasksFilePath}: ${error.message}`);
+        return;
+      }
+
+      const { changedTaskIds, deletedTaskIds } = diffTasks(tasks);
+      if (changedTaskIds.length === 0 && deletedTaskIds.length === 0) {
+        Logger.debug('tasks.json changed but no task did - nothing to push');
+        return;
+      }
+
+      Logger.info(`Pushing ${changedTaskIds.length} changed and ${deletedTaskIds.length} deleted tasks`);
+      const changed = new Set(changedTaskIds);
+      const results = await push.pushSync({
+        tasks,
+        deleteOrphaned,
+        skipTaskIds: tasks.filter(task => task && !changed.has(String(task.id))).map(task => String(task.id))
+      });
+
+      // Tasks that failed or conflicted stay changed, so the next push retries them
+      const notPushed = new Set([
+        ...(results.errors || []).map(error => String(error.taskId)),
+        ...(results.conflicts || []).map(conflict => String(conflict.taskId))
+      ]);
+      rememberTasks(tasks.filter(task => task && changed.has(String(task.id)) && !notPushed.has(String(task.id))));
+      if (deleteOrphaned) {
+        for (const taskId of deletedTaskIds) {
+          pushedTasks.delete(taskId);
+        }
+      }
+
+      onResult({ type: 'push', results });
+    }, schedulePush);
+  }
+
+  /**
+   * Pulls Monday.com changes into tasks.json
+   * Tasks the pull changes are pushed by the next push (a no-op for Monday.com
+   * values), so local edits merged into them are not lost.
+   * @returns {Promise<void>}
+   */
+  function pullChanges() {
+    return enqueue('pull', async () => {
+      const results = await pull.pullSync({ regenerateTaskFiles });
+
+      // Tasks removed by the pull are gone from Monday.com already
+      for (const taskId of results.orphanedTaskIds || []) {
+        pushedTasks.delete(String(taskId));
+      }
+
+      onResult({ type: 'pull', results });
+    }, () => {});
+  }
+
+  /**
+   * Schedules a push once tasks.json has been quiet for the debounce time
+   */
+  function schedulePush() {
+    if (!running) {
+      return;
+    }
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => {
+      debounceTimer = null;
+      pushChanges();
+    }, debounceMs);
+  }
+
+  /**
+   * Starts watching tasks.json and polling Monday.com
+   * Changes made to tasks.json before the watch started are not pushed; run a
+   * sync first to bring both sides in step.
+   * @returns {Promise<void>}
+   * @throws {Error} - SYNC_JOURNAL_UNFINISHED when an interrupted push has not been resumed or abandoned
+   */
+  async function start() {
+    if (running) {
+      return;
+    }
+
+    await assertNoUnfinishedJournal(stateManager);
+
+    pushedTasks = new Map();
+    rememberTasks(await readTasks());
+    running = true;
+    stopped = new Promise(resolve => {
+      resolveStopped = resolve;
+    });
+
+    // Watch the directory: editors often save by replacing the file
+    const tasksFileName = path.basename(tasksFilePath);
+    watcher = watch(path.dirname(tasksFilePath), (eventType, fileName) => {
+      if (!fileName || fileName.toString() === tasksFileName) {
+        schedulePush();
+      }
+    });
+
+    if (pollIntervalMs > 0) {
+      pollTimer = setInterval(pullChanges, pollIntervalMs);
+    }
+
+    Logger.info(`Watching ${tasksFilePath}${pollIntervalMs > 0 ? `, polling Monday.com every ${Math.round(pollIntervalMs / 1000)}s` : ''}`);
+  }
+
+  /**
+   * Stops watching and waits for the current run to finish
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!running) {
+      return;
+    }
+
+    running = false;
+    clearTimeout(debounceTimer);
+    clearInterval(pollTimer);
+    debounceTimer = null;
+    pollTimer = null;
+
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+
+    await queue;
+    Logger.info('Stopped watching');
+    resolveStopped();
+  }
+
+  /**
+   * Waits until the watch stops
+   * @returns {Promise<void>}
+   */
+  function waitUntilStopped() {
+    return stopped;
+  }
+
+  /**
+   * Gets the Monday.com complexity budget used during the session
+   * @returns {Object|null} - The budget state, or null if the client does not track it
+   */
+  function getApiBudget() {
+    return getClientBudget(mondayClient);
+  }
+
+  // Return the public API
+  return {
+    start,
+    stop,
+    pushChanges,
+    pullChanges,
+    getApiBudget,
+    waitUntilStopped,
+    isRunning: () => running
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createWatchSync
+};
@@ -0,0 +1,277 @@
+/**
+ * Webhook Processor Module
+ *
+ * Turns Monday.com webhook events into pulls of the items they touch. Events are
+ * deduplicated by their trigger UUID, ordered by trigger time, and batched for a
+ * short delay; each batch runs a pull limited to its items, so every change goes
+ * through the same mapping and merge rules as a manual pull.
+ */
+
+const { RUN_LOCKED_ERROR_CODE } = require('./syncStateManager');
+const { createPullSync } = require('./pullSyncLogic');
+const { createMondayClient } = require('../api/mondayClient');
+const { getClientBudget } = require('../api/complexityBudget');
+const { Logger } = require('../utils/logger');
+
+// Quiet time after the first event of a batch before the batch is pulled
+const DEFAULT_BATCH_DELAY_MS = 500;
+
+// How many event IDs are remembered for deduplication
+const MAX_REMEMBERED_EVENTS = 1000;
+
+// Webhook payload event types (and the subscription event names) mapped to the events handled
+const EVENT_TYPES = {
+  update_column_value: 'change_column_value',
+  change_column_value: 'change_column_value',
+  update_name: 'change_name',
+  change_name: 'change_name',
+  create_pulse: 'create_item',
+  create_item: 'create_item',
+  delete_pulse: 'item_deleted',
+  item_deleted: 'item_deleted'
+};
+
+/**
+ * Normalizes a webhook payload into the event fields the processor uses.
+ * Subitem events are turned into a change of their parent item.
+ * @param {Object} payload - The webhook request body ({ event })
+ * @param {number} receivedAt - When the payload was received, used when it has no trigger time
+ * @returns {Object|null} - { eventId, type, itemId, boardId, triggerTime }, or null if unsupported
+ */
+function normalizeEvent(payload, receivedAt = Date.now()) {
+  const event = payload && payload.event;
+  const eventType = event && EVENT_TYPES[event.type];
+  if (!eventType) {
+    return null;
+  }
+
+  const isSubitemEvent = Boolean(event.parentItemId);
+  const itemId = isSubitemEvent ? event.parentItemId : (event.pulseId || event.itemId);
+  if (!itemId) {
+    return null;
+  }
+
+  const parsedTriggerTime = Date.parse(event.triggerTime);
+  const triggerTime = Number.isNaN(parsedTriggerTime) ? receivedAt : parsedTriggerTime;
+  const type = isSubitemEvent ? 'change_column_value' : eventType;
+
+  return {
+    eventId: event.triggerUuid || `${event.type}:${itemId}:${event.triggerTime}:${JSON.stringify(event.value || null)}`,
+    type,
+    itemId: String(itemId),
+    boardId: String(isSubitemEvent ? event.parentItemBoardId : event.boardId),
+    triggerTime
+  };
+}
+
+/**
+ * Creates a Webhook Processor instance
+ * @param {Object} config - The loaded configuration
+ * @param {Object} options - Additional options
+ * @param {string} options.tasksFilePath - Path to the tasks.json file
+ * @param {string} options.syncFilePath - Path to the sync state file
+ * @param {string} options.mondayApiKey - Monday.com API key
+ * @param {string} options.mondayBoardId - Monday.com board ID
+ * @param {string[]} options.mondayGroupIds - Monday.com group IDs
+ * @param {Object} options.columnMappings - Column mapping configuration
+ * @param {number} options.batchDelayMs - Delay between the first event of a batch and its pull
+ * @param {boolean} options.regenerateTaskFiles - Whether pulls regenerate task files
+ * @param {Function} options.onResult - ({ events, results }) => void, called after each batch is pulled
+ * @returns {Object} - Webhook Processor instance
+ */
+function createWebhookProcessor(config, options = {}) {
+  const mondayApiKey = options.mondayApiKey || config.monday_api_key;
+  const mondayBoardId = options.mondayBoardId || config.monday_board_id;
+  const mondayGroupIds = options.mondayGroupIds || config.monday_group_ids;
+
+  if (!mondayApiKey) {
+    throw new Error('Monday.com API key is required');
+  }
+  if (!mondayBoardId) {
+    throw new Error('Monday.com board ID is required');
+  }
+  if (!mondayGroupIds || !Array.isArray(mondayGroupIds) || mondayGroupIds.length === 0) {
+    throw new Error('Monday.com group IDs array is required');
+  }
+
+  const batchDelayMs = options.batchDelayMs !== undefined ? options.batchDelayMs : DEFAULT_BATCH_DELAY_MS;
+  const regenerateTaskFiles = options.regenerateTaskFiles !== undefined ? options.regenerateTaskFiles : true;
+  const onResult = typeof options.onResult === 'function' ? options.onResult : () => {};
+
+  // One client for the whole session, so the complexity budget covers every batch
+  const mondayClient = options.mondayClient || createMondayClient({
+    ...config,
+    monday_api_key: mondayApiKey,
+    apiToken: mondayApiKey
+  });
+
+  const pull = createPullSync(config, {
+    tasksFilePath: options.tasksFilePath,
+    syncFilePath: options.syncFilePath,
+    mondayApiKey,
+    mondayBoardId,
+    mondayGroupIds,
+    columnMappings: options.columnMappings || config.column_mappings,
+    mondayClient
+  });
+
+  // Event IDs already accepted, oldest first
+  const seenEventIds = new Set();
+
+  // Trigger time of the latest accepted event per item
+  const latestTriggerTimes = new Map();
+
+  // Latest pending event per item, waiting for the next batch
+  const pending = new Map();
+
+  let batchTimer = null;
+  let stopped = false;
+
+  // Batches are queued so they are pulled one at a time, in order
+  let queue = Promise.resolve();
+
+  /**
+   * Remembers an accepted event ID, forgetting the oldest beyond the limit
+   * @param {string} eventId - The event ID
+   */
+  function rememberEventId(eventId) {
+    seenEventIds.add(eventId);
+    if (seenEventIds.size > MAX_REMEMBERED_EVENTS) {
+      seenEventIds.delete(seenEventIds.values().next().value);
+    }
+  }
+
+  /**
+   * Adds an event to the pending batch, keeping the latest event per item
+   * @param {Object} event - The normalized event
+   */
+  function addPending(event) {
+    const current = pending.get(event.itemId);
+    if (!current || current.triggerTime <= event.triggerTime) {
+      pending.set(event.itemId, event);
+    }
+  }
+
+  /**
+   * Schedules the pending batch to be pulled after the batch delay
+   */
+  function scheduleBatch() {
+    if (batchTimer || stopped) {
+      return;
+    }
+
+    batchTimer = setTimeout(() => {
+      batchTimer = null;
+      flush();
+    }, batchDelayMs);
+  }
+
+  /**
+   * Accepts a webhook payload
+   * @param {Object} payload - The webhook request body
+   * @returns {Object} - { accepted, reason }
+   */
+  function handleEvent(payload) {
+    const event = normalizeEvent(payload);
+    if (!event) {
+      Logger.debug(`Ignoring unsupported webhook event: ${payload?.event?.type || 'unknown'}`);
+      return { accepted: false, reason: 'unsupported' };
+    }
+
+    if (event.boardId !== String(mondayBoardId)) {
+      Logger.debug(`Ignoring webhook event for board ${event.boardId}`);
+      return { accepted: false, reason: 'other_board' };
+    }
+
+    if (seenEventIds.has(event.eventId)) {
+      Logger.debug(`Ignoring duplicate webhook event ${event.eventId}`);
+      return { accepted: false, reason: 'duplicate' };
+    }
+
+    // Monday.com may deliver events late; one older than what was already seen is out of date
+    if (event.triggerTime < (latestTriggerTimes.get(event.itemId) || 0)) {
+      Logger.debug(`Ignoring out-of-order ${event.type} event for item ${event.itemId}`);
+      rememberEventId(event.eventId);
+      return { accepted: false, reason: 'out_of_order' };
+    }
+
+    rememberEventId(event.eventId);
+    latestTriggerTimes.set(event.itemId, event.triggerTime);
+    addPending(event);
+    Logger.debug(`Accepted ${event.type} event for item ${event.itemId}`);
+
+    scheduleBatch();
+    return { accepted: true, reason: null };
+  }
+
+  /**
+   * Pulls the pending batch of events
+   * Items that no longer exist in the synced groups are removed locally by the pull.
+   * @returns {Promise<void>}
+   */
+  function flush() {
+    clearTimeout(batchTimer);
+    batchTimer = null;
+
+    const events = [...pending.values()].sort((a, b) => a.triggerTime - b.triggerTime);
+    pending.clear();
+    if (events.length === 0) {
+      return queue;
+    }
+
+    queue = queue.then(async () => {
+      const itemIds = events.map(event => event.itemId);
+      Logger.info(`Pulling ${itemIds.length} Monday.com items changed by webhook events`);
+
+      try {
+        const results = await pull.pullSync({
+          scopeItemIds: itemIds,
+          regenerateTaskFiles
+        });
+        onResult({ events, results });
+      } catch (error) {
+        if (error.code === RUN_LOCKED_ERROR_CODE && !stopped) {
+          Logger.warn('Another sync is running - pulling the webhook events again later');
+          events.forEach(addPending);
+          scheduleBatch();
+          return;
+        }
+        Logger.error(`Failed to pull webhook events: ${error.message}`);
+      }
+    });
+
+    return queue;
+  }
+
+  /**
+   * Stops scheduling batches, pulls what is pending and waits for it to finish
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    stopped = true;
+    await flush();
+  }
+
+  /**
+   * Gets the Monday.com complexity budget used during the session
+   * @returns {Object|null} - The budget state, or null if the client does not track it
+   */
+  function getApiBudget() {
+    return getClientBudget(mondayClient);
+  }
+
+  // Return the public API
+  return {
+    handleEvent,
+    flush,
+    stop,
+    getApiBudget,
+    getPendingCount: () => pending.size
+  };
+}
+
+// Export the factory function
+module.exports = {
+  createWebhookProcessor,
+  normalizeEvent
+};
@@ -0,0 +1,122 @@
+/**
+ * Tests for the Cassette Recorder and Player
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createCassetteRecorder,
+  createCassettePlayer,
+  redact,
+  CASSETTE_INVALID_ERROR_CODE,
+  CASSETTE_MISMATCH_ERROR_CODE
+} = require('../../src/api/cassette');
+const { createFakeMondayServer } = require('../../src/api/fakeMondayServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Cassette', () => {
+  const apiKey = 'secret-api-key';
+  const boardId = '1234567890';
+  const fixturePath = path.join(__dirname, '../fixtures/mondayBoard.json');
+
+  let tmpDir;
+  let cassettePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-sync-cassette-'));
+    cassettePath = path.join(tmpDir, 'cassettes', 'capture.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('redacts API keys by value and by key name', () => {
+    expect(redact({
+      query: `mutation { create_update(body: "key ${apiKey}") { id } }`,
+      variables: { apiToken: 'other-token', ids: [1, 2] }
+    }, [apiKey])).toEqual({
+      query: 'mutation { create_update(body: "key [REDACTED]") { id } }',
+      variables: { apiToken: '[REDACTED]', ids: [1, 2] }
+    });
+  });
+
+  test('records a client session and replays it without the network', async () => {
+    const server = createFakeMondayServer({ fixturePath });
+    const recordingClient = createMondayClient({ apiToken: apiKey, transport: server, recordTo: cassettePath });
+
+    const recordedItems = await recordingClient.getAllItems(boardId);
+    const created = await recordingClient.createItem(boardId, 'topics', `Rotate ${apiKey}`, { text_mkraj7jy: '3' });
+
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    expect(cassette).toMatchObject({ version: 1, recordedAt: expect.any(String) });
+    expect(cassette.interactions).toHaveLength(2);
+    expect(JSON.stringify(cassette)).not.toContain(apiKey);
+    expect(cassette.interactions[1].variables.itemName).toBe('Rotate [REDACTED]');
+
+    const replayClient = createMondayClient({ apiToken: apiKey, replayFrom: cassettePath });
+
+    expect(await replayClient.getAllItems(boardId)).toEqual(recordedItems);
+    expect(await replayClient.createItem(boardId, 'topics', `Rotate ${apiKey}`, { text_mkraj7jy: '3' }))
+      .toEqual({ ...created, name: 'Rotate [REDACTED]' });
+  });
+
+  test('records and replays transport failures', async () => {
+    const failure = new Error('socket hang up');
+    failure.code = 'ECONNRESET';
+    const recorder = createCassetteRecorder({
+      path: cassettePath,
+      transport: { api: jest.fn().mockRejectedValue(failure) }
+    });
+
+    await expect(recorder.api('query GetGroups { boards { id } }')).rejects.toThrow('socket hang up');
+
+    const player = createCassettePlayer({ path: cassettePath });
+    await expect(player.api('query GetGroups { boards { id } }')).rejects.toMatchObject({
+      message: 'socket hang up',
+      code: 'ECONNRESET'
+    });
+  });
+
+  test('fails requests that were not recorded', async () => {
+    const recorder = createCassetteRecorder({
+      path: cassettePath,
+      transport: { api: jest.fn().mockResolvedValue({ data: { boards: [] } }) }
+    });
+    await recorder.api('query GetGroups($boardId: ID!) { boards(ids: [$boardId]) { id } }', { variables: { boardId: '1' } });
+
+    const player = createCassettePlayer({ path: cassettePath });
+
+    await expect(player.api('query GetGroups($boardId: ID!) { boards(ids: [$boardId]) { id } }', { variables: { boardId: '2' } }))
+      .rejects.toMatchObject({ code: CASSETTE_MISMATCH_ERROR_CODE, message: expect.stringContaining('No recorded response for GetGroups') });
+
+    // Whitespace in the query does not matter, but each recording is used once
+    await expect(player.api('query GetGroups($boardId: ID!) {\n  boards(ids: [$boardId]) { id }\n}', { variables: { boardId: '1' } }))
+      .resolves.toEqual({ data: { boards: [] } });
+    expect(player.getRemainingCount()).toBe(0);
+    await expect(player.api('query GetGroups($boardId: ID!) { boards(ids: [$boardId]) { id } }', { variables: { boardId: '1' } }))
+      .rejects.toMatchObject({ code: CASSETTE_MISMATCH_ERROR_CODE });
+  });
+
+  test('rejects missing or invalid cassettes', () => {
+    expect(() => createCassettePlayer({ path: cassettePath })).toThrow(expect.objectContaining({ code: CASSETTE_INVALID_ERROR_CODE }));
+
+    fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+    fs.writeFileSync(cassettePath, JSON.stringify({ interactions: [] }));
+    expect(() => createCassettePlayer({ path: cassettePath })).toThrow('is not a version 1 cassette');
+
+    expect(() => createMondayClient({ recordTo: cassettePath, replayFrom: cassettePath }))
+      .toThrow('Cannot record to and replay from a cassette at the same time');
+  });
+});
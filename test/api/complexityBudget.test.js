@@ -0,0 +1,107 @@
+/**
+ * Tests for the Monday.com complexity budget tracker
+ */
+
+const {
+  createComplexityBudget,
+  withComplexityField,
+  getRetryAfterSeconds,
+  isRateLimitError,
+  getClientBudget
+} = require('../../src/api/complexityBudget');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Complexity Budget', () => {
+  describe('withComplexityField', () => {
+    test('adds the complexity selection to a query', () => {
+      const query = withComplexityField('query GetBoard($id: ID!) { boards(ids: [$id]) { id } }');
+
+      expect(query).toMatch(/^query GetBoard\(\$id: ID!\) \{\s*complexity \{ query before after reset_in_x_seconds \}/);
+      expect(query).toContain('boards(ids: [$id]) { id }');
+    });
+
+    test('leaves queries that already select complexity untouched', () => {
+      const query = 'query { complexity { after } boards { id } }';
+
+      expect(withComplexityField(query)).toBe(query);
+    });
+  });
+
+  describe('getRetryAfterSeconds', () => {
+    test('reads the retry hint from extensions, headers and messages', () => {
+      expect(getRetryAfterSeconds({ extensions: { retry_in_seconds: 7 } })).toBe(7);
+      expect(getRetryAfterSeconds({ headers: { 'retry-after': '3' } })).toBe(3);
+      expect(getRetryAfterSeconds({ message: 'Complexity budget exhausted, budget will reset in 21 seconds' })).toBe(21);
+      expect(getRetryAfterSeconds({ message: 'Something else' })).toBeNull();
+    });
+  });
+
+  describe('isRateLimitError', () => {
+    test('detects 429 and complexity errors', () => {
+      expect(isRateLimitError({ status: 429 })).toBe(true);
+      expect(isRateLimitError({ code: 'ComplexityException' })).toBe(true);
+      expect(isRateLimitError({ extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED' } })).toBe(true);
+      expect(isRateLimitError({ status: 500, message: 'Internal error' })).toBe(false);
+    });
+  });
+
+  describe('createComplexityBudget', () => {
+    test('records usage from complexity responses', () => {
+      const budget = createComplexityBudget();
+
+      budget.record({ query: 200, before: 5000000, after: 4999800, reset_in_x_seconds: 50 });
+      budget.record({ before: 4999800, after: 4999500, reset_in_x_seconds: 49 });
+
+      expect(budget.getState()).toMatchObject({
+        remaining: 4999500,
+        used: 500,
+        queries: 2,
+        largestQueryCost: 300
+      });
+    });
+
+    test('does not wait while the budget is above the reserve', async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const budget = createComplexityBudget({ complexityReserve: 100, sleep });
+
+      budget.record({ query: 50, before: 1050, after: 1000, reset_in_x_seconds: 30 });
+
+      expect(await budget.waitForBudget()).toBe(0);
+      expect(sleep).not.toHaveBeenCalled();
+    });
+
+    test('waits for the reset once the budget is exhausted', async () => {
+      const sleep = jest.fn().mockResolvedValue();
+      const budget = createComplexityBudget({ complexityReserve: 100, sleep });
+
+      budget.markExhausted(10);
+      await budget.waitForBudget();
+
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep.mock.calls[0][0]).toBeGreaterThan(9000);
+      expect(budget.getState().remaining).toBeNull();
+
+      // The next call does not wait again until a new response is recorded
+      await budget.waitForBudget();
+      expect(sleep).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getClientBudget', () => {
+    test('reads the budget of clients that track it', () => {
+      const budget = { used: 10, queries: 1 };
+
+      expect(getClientBudget({ getComplexityBudget: () => budget })).toBe(budget);
+      expect(getClientBudget({})).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Tests for the Fake Monday.com Server
+ */
+
+const http = require('http');
+const path = require('path');
+const { createFakeMondayServer } = require('../../src/api/fakeMondayServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Fake Monday.com Server', () => {
+  const boardId = '1234567890';
+  const fixturePath = path.join(__dirname, '../fixtures/mondayBoard.json');
+
+  let server;
+  let client;
+
+  beforeEach(() => {
+    server = createFakeMondayServer({ fixturePath });
+    client = createMondayClient({ transport: server, maxRetries: 1, retryDelayMs: 1 });
+  });
+
+  test('serves the seeded board to the client', async () => {
+    const board = await client.getBoard(boardId);
+    const groups = await client.getBoardGroups(boardId);
+    const items = await client.getAllItems(boardId);
+
+    expect(board.name).toBe('Task Master');
+    expect(JSON.parse(board.columns.find(column => column.id === 'color_mkrat92y').settings_str).labels)
+      .toEqual({ 0: 'in-progress', 1: 'done', 2: 'blocked', 5: 'pending' });
+    expect(groups.map(group => group.id)).toEqual(['topics', 'backlog']);
+    expect(items.map(item => item.id)).toEqual(['1111111111', '2222222222']);
+    expect(items[0].column_values.find(column => column.id === 'color_mkrat92y'))
+      .toMatchObject({ text: 'done', type: 'status', value: expect.stringContaining('"index":1') });
+    expect(items[0].subitems).toEqual([
+      expect.objectContaining({ id: '1111111112', name: 'Add a linter', board: { id: expect.any(String) } })
+    ]);
+
+    const item = await client.getItem('1111111111');
+    expect(item.updates.map(update => update.body)).toEqual(['Synced from Task Master']);
+  });
+
+  test('creates, changes and deletes items, subitems and updates', async () => {
+    const item = await client.createItem(boardId, 'backlog', 'Write docs', {
+      text_mkraj7jy: '3',
+      color_mkrat92y: { label: 'Pending' },
+      long_text_mkrby17a: 'User guide'
+    });
+    await client.updateItemName(item.id, 'Write the docs');
+    await client.updateItemColumnValues(item.id, boardId, { color_mkrat92y: { index: 0 }, text_mkra1chv: '' });
+    const subitem = await client.createSubitem(item.id, 'Outline', { text_subtask_id: '3.1', status: 'done' });
+    const { data } = await client.executeQuery(
+      'mutation ($itemId: ID!) { create_update(item_id: $itemId, body: "Started") { id } }',
+      { itemId: item.id }
+    );
+
+    expect(server.getItem(item.id)).toMatchObject({
+      name: 'Write the docs',
+      groupId: 'backlog',
+      columnValues: { text_mkraj7jy: '3', color_mkrat92y: 'in-progress', long_text_mkrby17a: 'User guide', text_mkra1chv: '' },
+      subitems: [expect.objectContaining({ id: subitem.id, columnValues: { text_subtask_id: '3.1', status: 'done' } })],
+      updates: ['Started']
+    });
+
+    await client.executeQuery('mutation ($id: ID!) { delete_update(id: $id) { id } }', { id: data.create_update.id });
+    await client.deleteItem(item.id);
+
+    expect(server.getItem(item.id)).toBeNull();
+    expect(server.getItem(subitem.id)).toBeNull();
+  });
+
+  test('rejects unknown status labels unless asked to create them', async () => {
+    const mutation = `
+      mutation ($itemId: ID!, $boardId: ID!, $values: JSON!, $create: Boolean) {
+        change_multiple_column_values(item_id: $itemId, board_id: $boardId, column_values: $values, create_labels_if_missing: $create) { id }
+      }
+    `;
+    const variables = { itemId: '2222222222', boardId, values: JSON.stringify({ color_mkrat92y: 'Review' }) };
+
+    const rejected = server.execute(mutation, variables);
+    expect(rejected.data).toBeUndefined();
+    expect(rejected.errors[0]).toMatchObject({
+      message: expect.stringContaining("This status label doesn't exist"),
+      extensions: { code: 'ColumnValueException' }
+    });
+    expect(server.getItem('2222222222').columnValues.color_mkrat92y).toBe('pending');
+
+    expect(server.execute(mutation, { ...variables, create: true }).errors).toBeUndefined();
+    expect(server.getItem('2222222222').columnValues.color_mkrat92y).toBe('Review');
+    expect(server.getLabels(boardId, 'color_mkrat92y')).toMatchObject({ 6: 'Review' });
+
+    expect(server.execute(mutation, { ...variables, values: { missing_column: 'x' } }).errors[0].extensions.code)
+      .toBe('InvalidColumnIdException');
+  });
+
+  test('creates columns and changes their title and labels', async () => {
+    const column = await client.createColumn(boardId, 'Sprint', 'status', { defaults: { labels: { 0: 'Now', 1: 'Next' } } });
+
+    expect(column).toMatchObject({ id: expect.stringMatching(/^status_/), title: 'Sprint', type: 'status' });
+    expect(server.getLabels(boardId, column.id)).toEqual({ 0: 'Now', 1: 'Next' });
+
+    await client.changeColumnMetadata(boardId, column.id, 'title', 'Sprint Slot');
+    await client.changeColumnMetadata(boardId, column.id, 'labels', { 0: 'Now', 1: 'Next', 2: 'Later' });
+
+    const board = await client.getBoard(boardId);
+    expect(board.columns.find(candidate => candidate.id === column.id).title).toBe('Sprint Slot');
+    expect(server.getLabels(boardId, column.id)).toEqual({ 0: 'Now', 1: 'Next', 2: 'Later' });
+
+    await expect(client.changeColumnMetadata(boardId, 'text_mkraj7jy', 'labels', { 0: 'x' }))
+      .rejects.toThrow('Cannot change labels of text column text_mkraj7jy');
+  });
+
+  test('pages through items with cursors', async () => {
+    for (let index = 0; index < 30; index++) {
+      server.execute(
+        'mutation ($name: String!) { create_item(board_id: 1234567890, group_id: "topics", item_name: $name) { id } }',
+        { name: `Item ${index}` }
+      );
+    }
+
+    const first = server.execute('{ boards(ids: [1234567890]) { items_page(limit: 25) { cursor items { id } } } }');
+    const page = first.data.boards[0].items_page;
+    const second = server.execute(
+      'query ($cursor: String!) { next_items_page(cursor: $cursor, limit: 25) { cursor items { id } } }',
+      { cursor: page.cursor }
+    );
+
+    expect(page.items).toHaveLength(25);
+    expect(second.data.next_items_page.items).toHaveLength(7);
+    expect(second.data.next_items_page.cursor).toBeNull();
+    expect((await client.getAllItems(boardId))).toHaveLength(32);
+  });
+
+  test('looks items up by column value', async () => {
+    await client.createItem(boardId, 'backlog', 'Write docs', { text_mkraj7jy: '3' });
+    await client.createItem(boardId, 'topics', 'Write more docs', { text_mkraj7jy: '3' });
+
+    const items = await client.getItemsByColumnValue(boardId, 'text_mkraj7jy', '3', { limit: 1 });
+
+    expect(items.map(item => item.name)).toEqual(['Write docs', 'Write more docs']);
+    expect(await client.getItemsByColumnValue(boardId, 'text_mkraj7jy', '99')).toEqual([]);
+    await expect(client.getItemsByColumnValue(boardId, 'no_such_column', '3')).rejects.toThrow('Column no_such_column not found');
+  });
+
+  test('reports invalid queries as GraphQL errors', () => {
+    expect(server.execute('{ boards { nope } }').errors[0]).toMatchObject({
+      message: "Field 'nope' doesn't exist on type 'Board'",
+      extensions: { code: 'undefinedField' }
+    });
+    expect(server.execute('query ($id: ID!) { items(ids: [$id]) { id } }', {}).errors[0].extensions.code)
+      .toBe('GRAPHQL_VALIDATION_FAILED');
+    expect(server.execute('{ boards { id }').errors[0].extensions.code).toBe('GRAPHQL_PARSE_FAILED');
+    expect(server.execute('{ boards { ...BoardFields } }').errors[0].message).toContain('fragments and directives are not supported');
+    expect(server.execute('query A { me { id } } query B { me { id } }').errors[0].message)
+      .toBe('Must provide operation name if query contains multiple operations');
+  });
+
+  test('reports the complexity budget', async () => {
+    server = createFakeMondayServer({ fixturePath, complexityBudget: 5000, queryCost: 2000 });
+    client = createMondayClient({ transport: server });
+
+    await client.getBoardGroups(boardId);
+
+    expect(client.getComplexityBudget()).toMatchObject({ remaining: 3000, queries: 1 });
+  });
+
+  test('serves the API over HTTP', async () => {
+    server = createFakeMondayServer({ fixturePath, apiToken: 'secret' });
+    const url = new URL(await server.listen({ port: 0 }));
+
+    function post(body, token) {
+      return new Promise((resolve, reject) => {
+        const req = http.request({
+          hostname: url.hostname,
+          port: url.port,
+          path: url.pathname,
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: token } : {}) }
+        }, res => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+      });
+    }
+
+    try {
+      const query = { query: 'query ($id: ID!) { items(ids: [$id]) { name } }', variables: { id: '1111111111' } };
+
+      expect((await post(query)).statusCode).toBe(401);
+      expect(await post(query, 'secret')).toEqual({
+        statusCode: 200,
+        body: { data: { items: [{ name: 'Set up the project' }] }, account_id: 1 }
+      });
+    } finally {
+      await server.close();
+    }
+  });
+});
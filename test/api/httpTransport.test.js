@@ -0,0 +1,124 @@
+/**
+ * Tests for the HTTP Transport
+ */
+
+const http = require('http');
+const {
+  createHttpTransport,
+  TIMEOUT_ERROR_CODE,
+  ABORTED_ERROR_CODE
+} = require('../../src/api/httpTransport');
+
+describe('HTTP Transport', () => {
+  let server;
+  let url;
+  let requests;
+  let respond;
+
+  beforeEach(async () => {
+    requests = [];
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ data: { me: { id: '1' } }, account_id: 1 }));
+    };
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')
+        });
+        respond(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/v2`;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('posts queries to the configured endpoint with the token and API version', async () => {
+    const transport = createHttpTransport({ apiToken: 'secret', apiUrl: url, apiVersion: '2025-04' });
+
+    const body = await transport.api('query ($id: ID!) { items(ids: [$id]) { id } }', { variables: { id: '42' } });
+
+    expect(body).toEqual({ data: { me: { id: '1' } }, account_id: 1 });
+    expect(transport.getApiUrl()).toBe(url);
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({
+      method: 'POST',
+      url: '/v2',
+      headers: { authorization: 'secret', 'api-version': '2025-04', 'content-type': 'application/json' },
+      body: { query: 'query ($id: ID!) { items(ids: [$id]) { id } }', variables: { id: '42' } }
+    });
+  });
+
+  test('keeps the status, error code and retry hints of failed responses', async () => {
+    respond = (req, res) => {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+      res.end(JSON.stringify({
+        errors: [{ message: 'Rate limit exceeded', extensions: { code: 'RATE_LIMIT_EXCEEDED', retry_in_seconds: 7 } }]
+      }));
+    };
+    const transport = createHttpTransport({ apiUrl: url });
+
+    await expect(transport.api('{ me { id } }')).rejects.toMatchObject({
+      message: 'Monday.com API request failed with status 429: Rate limit exceeded',
+      status: 429,
+      code: 'RATE_LIMIT_EXCEEDED',
+      extensions: { retry_in_seconds: 7 },
+      headers: expect.objectContaining({ 'retry-after': '7' })
+    });
+  });
+
+  test('times out slow requests', async () => {
+    respond = () => {};
+    const transport = createHttpTransport({ apiUrl: url, timeoutMs: 5000 });
+
+    await expect(transport.api('{ me { id } }', { timeoutMs: 50 })).rejects.toMatchObject({
+      message: 'Monday.com API request timed out after 50ms',
+      code: TIMEOUT_ERROR_CODE
+    });
+  });
+
+  test('cancels requests when the signal aborts', async () => {
+    respond = () => {};
+    const controller = new AbortController();
+    const transport = createHttpTransport({ apiUrl: url });
+
+    const pending = transport.api('{ me { id } }', { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toMatchObject({ code: ABORTED_ERROR_CODE });
+  });
+
+  test('sends requests through the proxy from the environment', async () => {
+    const originalEnv = { ...process.env };
+    process.env.HTTP_PROXY = `http://127.0.0.1:${server.address().port}`;
+    delete process.env.http_proxy;
+    delete process.env.NO_PROXY;
+    delete process.env.no_proxy;
+
+    try {
+      const transport = createHttpTransport({ apiUrl: 'http://monday.invalid/v2' });
+
+      await transport.api('{ me { id } }');
+
+      // A proxied request carries the absolute target URL
+      expect(requests[0].url).toBe('http://monday.invalid/v2');
+      expect(requests[0].headers.host).toBe('monday.invalid');
+    } finally {
+      process.env = originalEnv;
+    }
+  });
+
+  test('rejects invalid timeouts', () => {
+    expect(() => createHttpTransport({ timeoutMs: 'soon' })).toThrow('Invalid request timeout: soon');
+  });
+});
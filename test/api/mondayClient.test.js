@@ -3,15 +3,15 @@
  */
 
 const { createMondayClient } = require('../../src/api/mondayClient');
-const mondaySdk = require('monday-sdk-js');
+const { createHttpTransport, ABORTED_ERROR_CODE } = require('../../src/api/httpTransport');
 
-// Mock the Monday SDK
-jest.mock('monday-sdk-js', () => {
-  return jest.fn().mockImplementation(() => ({
-    setToken: jest.fn(),
+// Mock the HTTP transport
+jest.mock('../../src/api/httpTransport', () => ({
+  createHttpTransport: jest.fn().mockImplementation(() => ({
     api: jest.fn()
-  }));
-});
+  })),
+  ABORTED_ERROR_CODE: 'ABORTED'
+}));
 
 // Mock the logger
 jest.mock('../../src/utils/logger', () => ({
@@ -40,7 +40,7 @@ describe('Monday.com API Client', () => {
     });
     
     // Get the mocked instance
-    mockMondayInstance = mondaySdk.mock.results[0].value;
+    mockMondayInstance = createHttpTransport.mock.results[0].value;
   });
   
   // ===== Board and Group Operations =====
@@ -204,7 +204,35 @@ describe('Monday.com API Client', () => {
       // Assert correct data was returned
       expect(result).toEqual(mockCreateItemResponse.data.create_item);
     });
-    
+
+    test('createSubitem creates a subitem under its parent item', async () => {
+      const mockCreateSubitemResponse = {
+        data: {
+          create_subitem: {
+            id: 'sub123',
+            name: 'Test Subitem',
+            board: { id: 'subitems-board' }
+          }
+        }
+      };
+
+      mockMondayInstance.api.mockResolvedValue(mockCreateSubitemResponse);
+
+      const result = await client.createSubitem('item123', 'Test Subitem', { status: { label: 'Done' } });
+
+      expect(mockMondayInstance.api).toHaveBeenCalledWith(
+        expect.stringContaining('create_subitem'),
+        expect.objectContaining({
+          variables: {
+            parentItemId: 'item123',
+            itemName: 'Test Subitem',
+            columnValues: JSON.stringify({ status: { label: 'Done' } })
+          }
+        })
+      );
+      expect(result).toEqual(mockCreateSubitemResponse.data.create_subitem);
+    });
+
     test('updateItemName updates an item name', async () => {
       // Mock API response
       const mockUpdateResponse = {
@@ -326,6 +354,86 @@ describe('Monday.com API Client', () => {
       expect(result).toEqual(mockItemsResponse.data.boards[0].items_page.items);
     });
     
+    test('getAllItems follows the items_page cursor until the last page', async () => {
+      mockMondayInstance.api
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              items_page: {
+                cursor: 'cursor-1',
+                items: [{ id: 'item1' }, { id: 'item2' }]
+              }
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            next_items_page: {
+              cursor: 'cursor-2',
+              items: [{ id: 'item3' }]
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            next_items_page: {
+              cursor: null,
+              items: [{ id: 'item4' }]
+            }
+          }
+        });
+      
+      const result = await client.getAllItems('board123', { limit: 2 });
+      
+      expect(result.map(item => item.id)).toEqual(['item1', 'item2', 'item3', 'item4']);
+      expect(mockMondayInstance.api).toHaveBeenCalledTimes(3);
+      expect(mockMondayInstance.api).toHaveBeenNthCalledWith(
+        2,
+        expect.stringContaining('next_items_page'),
+        expect.objectContaining({
+          variables: { cursor: 'cursor-1', limit: 2 }
+        })
+      );
+    });
+    
+    test('iterateItems paginates items of a single group', async () => {
+      mockMondayInstance.api
+        .mockResolvedValueOnce({
+          data: {
+            boards: [{
+              groups: [{
+                items_page: {
+                  cursor: 'cursor-1',
+                  items: [{ id: 'item1' }]
+                }
+              }]
+            }]
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            next_items_page: {
+              cursor: null,
+              items: [{ id: 'item2' }]
+            }
+          }
+        });
+      
+      const ids = [];
+      for await (const item of client.iterateItems('board123', { groupId: 'group1' })) {
+        ids.push(item.id);
+      }
+      
+      expect(ids).toEqual(['item1', 'item2']);
+      expect(mockMondayInstance.api).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('groups(ids: [$groupId])'),
+        expect.objectContaining({
+          variables: { boardId: 'board123', limit: 100, groupId: 'group1' }
+        })
+      );
+    });
+    
     test('getItem fetches a specific item', async () => {
       // Mock API response
       const mockItemResponse = {
@@ -359,6 +467,67 @@ describe('Monday.com API Client', () => {
       // Assert correct data was returned
       expect(result).toEqual(mockItemResponse.data.items[0]);
     });
+
+    test('getItemsByColumnValue looks items up by a column value and follows the cursor', async () => {
+      mockMondayInstance.api
+        .mockResolvedValueOnce({
+          data: {
+            items_page_by_column_values: {
+              cursor: 'cursor-1',
+              items: [{ id: 'item1' }]
+            }
+          }
+        })
+        .mockResolvedValueOnce({
+          data: {
+            next_items_page: {
+              cursor: null,
+              items: [{ id: 'item2' }]
+            }
+          }
+        });
+      
+      const result = await client.getItemsByColumnValue('board123', 'text_task', 7, { limit: 1 });
+      
+      expect(result.map(item => item.id)).toEqual(['item1', 'item2']);
+      expect(mockMondayInstance.api).toHaveBeenNthCalledWith(
+        1,
+        expect.stringContaining('items_page_by_column_values'),
+        expect.objectContaining({
+          variables: {
+            boardId: 'board123',
+            limit: 1,
+            columns: [{ column_id: 'text_task', column_values: ['7'] }]
+          }
+        })
+      );
+    });
+    
+    test('getItemsByIds fetches several items with their subitems', async () => {
+      const mockItemsResponse = {
+        data: {
+          items: [
+            { id: 'item1', name: 'First', board: { id: 'board123' }, column_values: [], subitems: [] }
+          ]
+        }
+      };
+      
+      mockMondayInstance.api.mockResolvedValue(mockItemsResponse);
+      
+      const result = await client.getItemsByIds(['item1', 2]);
+      
+      expect(mockMondayInstance.api).toHaveBeenCalledWith(
+        expect.stringMatching(/query GetItemsByIds[\s\S]*subitems/),
+        expect.objectContaining({
+          variables: { itemIds: ['item1', '2'], limit: 2 }
+        })
+      );
+      expect(result).toEqual(mockItemsResponse.data.items);
+      
+      // No IDs, no request
+      expect(await client.getItemsByIds([])).toEqual([]);
+      expect(mockMondayInstance.api).toHaveBeenCalledTimes(1);
+    });
   });
   
   // ===== Update Operations =====
@@ -683,6 +852,150 @@ describe('Monday.com API Client', () => {
     });
   });
   
+  // ===== Complexity Budget =====
+  
+  describe('Complexity Budget', () => {
+    let sleep;
+    
+    beforeEach(() => {
+      sleep = jest.fn().mockResolvedValue();
+      client = createMondayClient({
+        apiToken: 'mock-api-token',
+        maxRetries: 3,
+        retryDelayMs: 10,
+        complexityReserve: 1000,
+        sleep
+      });
+      mockMondayInstance = createHttpTransport.mock.results[createHttpTransport.mock.results.length - 1].value;
+    });
+    
+    test('executeQuery requests the complexity field and tracks the budget', async () => {
+      mockMondayInstance.api.mockResolvedValueOnce({
+        data: {
+          complexity: { query: 300, before: 10000, after: 9700, reset_in_x_seconds: 40 },
+          boards: []
+        }
+      });
+      
+      await client.executeQuery('query Test { boards { id } }');
+      
+      expect(mockMondayInstance.api.mock.calls[0][0]).toContain('complexity { query before after reset_in_x_seconds }');
+      expect(client.getComplexityBudget()).toMatchObject({
+        remaining: 9700,
+        used: 300,
+        queries: 1
+      });
+    });
+    
+    test('executeQuery waits for the reset before the budget runs out', async () => {
+      mockMondayInstance.api
+        .mockResolvedValueOnce({
+          data: { complexity: { query: 500, before: 1200, after: 700, reset_in_x_seconds: 30 } }
+        })
+        .mockResolvedValueOnce({
+          data: { complexity: { query: 500, before: 1000000, after: 999500, reset_in_x_seconds: 60 } }
+        });
+      
+      await client.executeQuery('query Test { boards { id } }');
+      expect(sleep).not.toHaveBeenCalled();
+      
+      await client.executeQuery('query Test { boards { id } }');
+      
+      expect(sleep).toHaveBeenCalledTimes(1);
+      expect(sleep.mock.calls[0][0]).toBeGreaterThan(25000);
+      expect(sleep.mock.calls[0][0]).toBeLessThanOrEqual(30000);
+      expect(client.getComplexityBudget().throttledMs).toBeGreaterThan(0);
+    });
+    
+    test('executeQuery honors the reset time of a complexity error', async () => {
+      mockMondayInstance.api
+        .mockResolvedValueOnce({
+          errors: [{
+            message: 'Complexity budget exhausted',
+            extensions: { code: 'COMPLEXITY_BUDGET_EXHAUSTED', retry_in_seconds: 12 }
+          }]
+        })
+        .mockResolvedValueOnce({ data: { success: true } });
+      
+      const result = await client.executeQuery('query Test { boards { id } }');
+      
+      expect(result).toEqual({ data: { success: true } });
+      expect(sleep).toHaveBeenCalledWith(12000);
+    });
+    
+    test('executeQuery honors the retry-after header of a 429 response', async () => {
+      mockMondayInstance.api
+        .mockRejectedValueOnce({ message: 'Too many requests', status: 429, headers: { 'retry-after': '5' } })
+        .mockResolvedValueOnce({ data: { success: true } });
+      
+      await client.executeQuery('query Test { boards { id } }');
+      
+      expect(sleep).toHaveBeenCalledWith(5000);
+    });
+    
+    test('executeQuery falls back to exponential backoff without a retry hint', async () => {
+      mockMondayInstance.api
+        .mockRejectedValueOnce({ message: 'API Error', status: 500 })
+        .mockRejectedValueOnce({ message: 'API Error', status: 500 })
+        .mockResolvedValueOnce({ data: { success: true } });
+      
+      await client.executeQuery('query Test { boards { id } }');
+      
+      expect(sleep.mock.calls.map(call => call[0])).toEqual([10, 20]);
+    });
+  });
+  
+  // ===== Transport =====
+  
+  describe('Transport', () => {
+    test('sends queries through the given transport instead of HTTP', async () => {
+      const transport = {
+        api: jest.fn().mockResolvedValue({ data: { boards: [{ id: 'board123', groups: [] }] } })
+      };
+      createHttpTransport.mockClear();
+      
+      const transportClient = createMondayClient({ apiToken: 'mock-api-token', transport });
+      await transportClient.getBoardGroups('board123');
+      
+      expect(createHttpTransport).not.toHaveBeenCalled();
+      expect(transport.api).toHaveBeenCalledWith(
+        expect.stringContaining('query GetGroups'),
+        { variables: { boardId: 'board123' } }
+      );
+    });
+    
+    test('configures the HTTP transport from the sync config', () => {
+      createHttpTransport.mockClear();
+      
+      createMondayClient({
+        monday_api_key: 'config-api-key',
+        monday_api_url: 'http://127.0.0.1:4100/v2',
+        monday_api_version: '2025-04',
+        monday_api_timeout_ms: 5000
+      });
+      
+      expect(createHttpTransport).toHaveBeenCalledWith({
+        apiToken: 'config-api-key',
+        apiUrl: 'http://127.0.0.1:4100/v2',
+        apiVersion: '2025-04',
+        timeoutMs: 5000
+      });
+    });
+    
+    test('passes the abort signal to the transport and does not retry cancelled requests', async () => {
+      const controller = new AbortController();
+      const aborted = new Error('Monday.com API request was aborted');
+      aborted.code = ABORTED_ERROR_CODE;
+      const transport = { api: jest.fn().mockRejectedValue(aborted) };
+      const transportClient = createMondayClient({ transport, signal: controller.signal, maxRetries: 3 });
+      
+      await expect(transportClient.executeQuery('query Test { boards { id } }')).rejects.toBe(aborted);
+      
+      expect(transport.api).toHaveBeenCalledTimes(1);
+      expect(transport.api.mock.calls[0][1]).toEqual({ variables: {}, signal: controller.signal });
+    });
+  });
+  
   // ===== Cache Management =====
   
   describe('Cache Management', () => {
@@ -0,0 +1,85 @@
+/**
+ * Tests for the Webhook Server and Replay Client
+ */
+
+const http = require('http');
+const { createWebhookServer } = require('../../src/api/webhookServer');
+const { createWebhookReplayClient } = require('../../src/api/webhookReplayClient');
+const recordedEvents = require('../fixtures/webhookEvents.json');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Webhook Server', () => {
+  let processor;
+  let server;
+  let address;
+
+  /**
+   * Sends a raw request to the test server
+   */
+  function request(method, requestPath, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ hostname: address.host, port: address.port, path: requestPath, method }, res => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  beforeEach(async () => {
+    processor = {
+      handleEvent: jest.fn(payload => ({ accepted: payload.event.type !== 'create_update', reason: null }))
+    };
+    server = createWebhookServer({ processor, port: 0 });
+    address = await server.start();
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  test('requires a processor', () => {
+    expect(() => createWebhookServer({})).toThrow('A webhook processor is required');
+  });
+
+  test('answers the challenge handshake and hands events to the processor', async () => {
+    const client = createWebhookReplayClient({ url: address.url });
+
+    const responses = await client.replay(recordedEvents);
+
+    expect(responses[0]).toEqual({ statusCode: 200, body: { challenge: recordedEvents[0].challenge } });
+    expect(responses.slice(1).every(response => response.statusCode === 200)).toBe(true);
+    expect(processor.handleEvent).toHaveBeenCalledTimes(recordedEvents.length - 1);
+    expect(processor.handleEvent.mock.calls.map(call => call[0].event.triggerUuid))
+      .toEqual(recordedEvents.slice(1).map(payload => payload.event.triggerUuid));
+    expect(responses[responses.length - 1].body).toEqual({ accepted: false, reason: null });
+  });
+
+  test('rejects other paths, methods and invalid bodies', async () => {
+    expect(await request('POST', '/other', '{}')).toBe(404);
+    expect(await request('GET', '/webhook')).toBe(405);
+    expect(await request('POST', '/webhook', 'not json')).toBe(400);
+    expect(processor.handleEvent).not.toHaveBeenCalled();
+  });
+
+  test('reports processor failures as server errors', async () => {
+    processor.handleEvent.mockImplementationOnce(() => {
+      throw new Error('boom');
+    });
+    const client = createWebhookReplayClient({ url: address.url });
+
+    const response = await client.send(recordedEvents[1]);
+
+    expect(response).toEqual({ statusCode: 500, body: { error: 'Failed to handle event' } });
+  });
+});
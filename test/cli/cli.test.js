@@ -6,6 +6,15 @@ const fs = require('fs');
 const cli = require('../../src/cli/cli');
 const { createPushSync } = require('../../src/sync/pushSyncLogic');
 const { createPullSync } = require('../../src/sync/pullSyncLogic');
+const { createCombinedSync } = require('../../src/sync/combinedSyncLogic');
+const { createWatchSync } = require('../../src/sync/watchSync');
+const { createWebhookProcessor } = require('../../src/sync/webhookProcessor');
+const { createWebhookServer } = require('../../src/api/webhookServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const { createTaskFileGenerator } = require('../../src/sync/taskFileGenerator');
+const { createSyncProfiles, validateSyncProfiles } = require('../../src/sync/syncProfiles');
+const { createSyncStateManager } = require('../../src/sync/syncStateManager');
+const taskMasterIO = require('../../src/sync/taskMasterIO');
 
 // Mock dependencies
 jest.mock('fs');
@@ -28,6 +37,31 @@ jest.mock('ora', () => {
 });
 jest.mock('../../src/sync/pushSyncLogic');
 jest.mock('../../src/sync/pullSyncLogic');
+jest.mock('../../src/sync/combinedSyncLogic');
+jest.mock('../../src/sync/watchSync');
+jest.mock('../../src/sync/webhookProcessor');
+jest.mock('../../src/api/mondayClient');
+jest.mock('../../src/sync/taskMasterIO', () => ({
+  listTags: jest.fn(),
+  readTasks: jest.fn(),
+  writeTasks: jest.fn(),
+  DEFAULT_TAG: 'master'
+}));
+jest.mock('../../src/sync/taskFileGenerator', () => ({
+  createTaskFileGenerator: jest.fn(),
+  TASK_MASTER_GENERATOR: 'task-master'
+}));
+jest.mock('../../src/sync/syncProfiles', () => ({
+  createSyncProfiles: jest.fn(),
+  validateSyncProfiles: jest.fn()
+}));
+jest.mock('../../src/sync/syncStateManager', () => ({
+  createSyncStateManager: jest.fn()
+}));
+jest.mock('../../src/api/webhookServer', () => ({
+  createWebhookServer: jest.fn(),
+  DEFAULT_PORT: 4000
+}));
 jest.mock('../../src/utils/logger', () => ({
   Logger: {
     debug: jest.fn(),
@@ -83,9 +117,25 @@ describe('CLI Module', () => {
     dryRun: false
   };
   
+  // Sync profiles of a multi-board configuration
+  const profileConfig = {
+    ...validConfig,
+    profiles: [
+      { name: 'backend', monday_board_id: 'board456', select: { ids: ['1'] } },
+      { name: 'main' }
+    ]
+  };
+  
+  const profileTasks = [
+    { id: 1, title: 'API routes' },
+    { id: 2, title: 'Landing page' }
+  ];
+  
   // Mock implementations
   let mockPushSync;
   let mockPullSync;
+  let mockTaskFileGenerator;
+  let mockSyncProfiles;
   
   beforeEach(() => {
     // Clear all mocks
@@ -110,6 +160,28 @@ describe('CLI Module', () => {
       pullSync: jest.fn().mockResolvedValue(pullSyncResults)
     };
     createPullSync.mockReturnValue(mockPullSync);
+    
+    // Mock task file generator
+    mockTaskFileGenerator = {
+      generate: jest.fn().mockResolvedValue({ generator: 'builtin', written: [], unchanged: [], removed: [] })
+    };
+    createTaskFileGenerator.mockReturnValue(mockTaskFileGenerator);
+    
+    // Mock sync profiles (backend takes task 1, main the rest)
+    const profileRuns = [
+      { name: 'backend', config: { ...validConfig, monday_board_id: 'board456' }, stateManager: { board: 'board456' } },
+      { name: 'main', config: validConfig, stateManager: { board: 'board123' } }
+    ];
+    mockSyncProfiles = {
+      getProfiles: jest.fn(name => name ? profileRuns.filter(run => run.name === name) : profileRuns),
+      routeTasks: jest.fn().mockResolvedValue({
+        routes: new Map([['backend', [profileTasks[0]]], ['main', [profileTasks[1]]]]),
+        boardIds: { 1: 'board456', 2: 'board123' },
+        unrouted: []
+      })
+    };
+    createSyncProfiles.mockReturnValue(mockSyncProfiles);
+    taskMasterIO.readTasks.mockResolvedValue(profileTasks);
   });
   
   afterEach(() => {
@@ -148,6 +220,34 @@ describe('CLI Module', () => {
       expect(console.error).toHaveBeenCalled();
       expect(mockExit).toHaveBeenCalledWith(1);
     });
+    
+    test('leaves the boards and groups to the profiles when profiles are configured', () => {
+      const profilesConfig = {
+        monday_api_key: 'test-api-key',
+        profiles: [{ name: 'backend', monday_board_id: 'board-backend', monday_group_ids: ['backend_group'] }]
+      };
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify(profilesConfig));
+      
+      const config = cli.loadConfig('config.json');
+      
+      expect(config).toEqual(profilesConfig);
+      expect(validateSyncProfiles).toHaveBeenCalledWith(profilesConfig.profiles, profilesConfig);
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('loadConfig conflict policy', () => {
+    test('exits when the conflict policy is invalid', () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        ...validConfig,
+        conflict_policy: { status: 'sometimes' }
+      }));
+      
+      cli.loadConfig('config.json');
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('conflict_policy.status must be one of'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
   });
   
   describe('formatSyncResults', () => {
@@ -160,6 +260,31 @@ describe('CLI Module', () => {
       expect(formatted).toContain('Summary: 1 created, 1 updated, 1 errors');
     });
     
+    test('lists adopted items', () => {
+      const formatted = cli.formatSyncResults({
+        ...pushSyncResults,
+        adopted: [{ taskId: '4', mondayItemId: 'monday-4' }]
+      });
+      
+      expect(formatted).toContain('Adopted 1 existing Monday.com items with matching Task IDs');
+      expect(formatted).toContain('Task 4 → Monday.com item monday-4');
+    });
+    
+    test('reports a resumed or abandoned push', () => {
+      const resumed = cli.formatSyncResults({
+        ...pushSyncResults,
+        journal: { action: 'resumed', startedAt: '2026-01-01T10:00:00.000Z', skippedTaskIds: ['1', '2'], unfinished: [] }
+      });
+      const abandoned = cli.formatSyncResults({
+        ...pushSyncResults,
+        journal: { action: 'abandoned', startedAt: '2026-01-01T10:00:00.000Z', skippedTaskIds: [], unfinished: ['create an item for task 3'] }
+      });
+      
+      expect(resumed).toContain('Resumed the push started at 2026-01-01T10:00:00.000Z, skipping 2 tasks it had finished');
+      expect(abandoned).toContain('Abandoned the push started at 2026-01-01T10:00:00.000Z and pushed every task again');
+      expect(abandoned).toContain('- create an item for task 3');
+    });
+    
     test('includes dry run message when appropriate', () => {
       const dryRunResults = { ...pushSyncResults, dryRun: true };
       const formatted = cli.formatSyncResults(dryRunResults);
@@ -168,6 +293,84 @@ describe('CLI Module', () => {
     });
   });
   
+  describe('formatApiBudget', () => {
+    test('reports the API budget used by a run', () => {
+      const formatted = cli.formatSyncResults({
+        ...pushSyncResults,
+        apiBudget: { used: 1234, queries: 5, remaining: 9998766, throttledMs: 0 }
+      });
+      
+      expect(formatted).toContain('API budget used: 1234 complexity points across 5 queries (9998766 remaining)');
+    });
+    
+    test('omits the budget line when no queries were tracked', () => {
+      expect(cli.formatApiBudget(null)).toBe('');
+      expect(cli.formatApiBudget({ used: 0, queries: 0 })).toBe('');
+    });
+  });
+  
+  describe('formatResolutions', () => {
+    test('lists the fields decided by the conflict policy', () => {
+      const formatted = cli.formatSyncResults({
+        ...pushSyncResults,
+        resolutions: [
+          { taskId: '2', field: 'status', winner: 'monday', reason: 'conflict_policy.status = monday' }
+        ]
+      });
+      
+      expect(formatted).toContain('Resolved 1 field conflicts by policy');
+      expect(formatted).toContain('Task 2 status: kept Monday.com value (conflict_policy.status = monday)');
+    });
+  });
+  
+  describe('formatResolvedConflicts', () => {
+    test('lists interactive choices and whether they were pushed', () => {
+      const formatted = cli.formatPullResults({
+        ...pullSyncResults,
+        resolvedConflicts: [
+          {
+            task: { id: '6' },
+            choices: [
+              { field: 'status', choice: 'local', value: 'done' },
+              { field: 'details', choice: 'skip' }
+            ],
+            pushed: true
+          },
+          {
+            task: { id: '7' },
+            choices: [{ field: 'title', choice: 'edit', value: 'Merged' }],
+            pushed: false,
+            error: 'API error'
+          }
+        ]
+      });
+      
+      expect(formatted).toContain('Resolved 2 conflicts interactively');
+      expect(formatted).toContain('Task 6: kept local status, skipped details (pushed to Monday.com)');
+      expect(formatted).toContain('Task 7: edited title (push to Monday.com failed: API error)');
+    });
+  });
+
+  describe('formatSubtaskChanges', () => {
+    test('lists subtasks synced with subitems', () => {
+      const formatted = cli.formatSyncResults({
+        ...pushSyncResults,
+        subtasks: {
+          created: [{ subtaskId: '3.1', subitemId: 'sub-1', title: 'First step' }],
+          updated: [{ subtaskId: '3.2', subitemId: 'sub-2', title: 'Second step', fields: ['status'] }],
+          deleted: [{ subtaskId: '3.3', subitemId: 'sub-3' }],
+          conflicts: []
+        }
+      });
+
+      expect(formatted).toContain('Synced 3 subtask changes to Monday.com subitems');
+      expect(formatted).toContain('+ Subtask 3.1: First step (created)');
+      expect(formatted).toContain('~ Subtask 3.2: Second step (updated status)');
+      expect(formatted).toContain('- Subtask 3.3 (deleted)');
+      expect(cli.formatSubtaskChanges({ created: [], updated: [], deleted: [], conflicts: [] }, 'anywhere')).toBe('');
+    });
+  });
+
   describe('formatPullResults', () => {
     test('formats pull sync results', () => {
       // Add orphanedTasks and orphanedTaskIds to the test results
@@ -205,15 +408,18 @@ describe('CLI Module', () => {
         deleteOrphaned: false
       });
       
-      expect(createPushSync).toHaveBeenCalledWith(expect.objectContaining({
-        mondayApiKey: 'test-api-key',
-        tasksFilePath: expect.stringContaining('tasks.json'),
-        syncFilePath: expect.stringContaining('state.json'),
-        dryRun: true,
-        deleteOrphaned: false,
-        mondayBoardId: 'board123',
-        mondayGroupIds: ['group123']
-      }));
+      expect(createPushSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board123' }),
+        expect.objectContaining({
+          mondayApiKey: 'test-api-key',
+          tasksFilePath: expect.stringContaining('tasks.json'),
+          syncFilePath: expect.stringContaining('state.json'),
+          dryRun: true,
+          deleteOrphaned: false,
+          mondayBoardId: 'board123',
+          mondayGroupIds: ['group123']
+        })
+      );
     });
     
     test('executes push sync and displays results', async () => {
@@ -226,6 +432,89 @@ describe('CLI Module', () => {
       expect(console.log).toHaveBeenCalled();
     });
     
+    test('regenerates the task files before pushing', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ ...validConfig, task_file_generator: 'task-master' }));
+      
+      await cli.runPushSync({
+        config: 'config.json',
+        tasks: 'tasks.json'
+      });
+      
+      expect(createTaskFileGenerator).toHaveBeenCalledWith({ mondayBoardId: 'board123', taskBoardIds: null, useTaskMaster: true });
+      expect(mockTaskFileGenerator.generate).toHaveBeenCalledWith(expect.stringContaining('tasks.json'), null, null);
+      expect(mockTaskFileGenerator.generate.mock.invocationCallOrder[0])
+        .toBeLessThan(mockPushSync.pushSync.mock.invocationCallOrder[0]);
+    });
+    
+    test('pushes a tag to the groups mapped to it', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        tag_mappings: { 'feature-x': { monday_group_ids: ['group_x'] } }
+      }));
+      taskMasterIO.listTags.mockResolvedValue(['master', 'feature-x']);
+      
+      await cli.runPushSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        skipGenerate: true,
+        tag: 'feature-x'
+      });
+      
+      expect(createPushSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_group_ids: ['group_x'] }),
+        expect.objectContaining({
+          mondayBoardId: 'board123',
+          mondayGroupIds: ['group_x'],
+          syncFilePath: expect.stringMatching(/\.taskmaster_sync_state\.feature-x\.json$/)
+        })
+      );
+      expect(mockPushSync.pushSync).toHaveBeenCalledWith(expect.stringContaining('tasks.json'), expect.objectContaining({ tag: 'feature-x' }));
+    });
+    
+    test('rejects tags that are not in tasks.json or have no mapping', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        tag_mappings: { 'feature-x': { monday_group_ids: ['group_x'] } }
+      }));
+      taskMasterIO.listTags.mockResolvedValue(['master']);
+      
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, tag: 'feature-x' });
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, tag: 'unmapped' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Tag "feature-x" not found'));
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Tag "unmapped" has no tag_mappings entry'));
+      expect(mockPushSync.pushSync).not.toHaveBeenCalled();
+    });
+    
+    test('pushes anyway when the task files cannot be generated', async () => {
+      mockTaskFileGenerator.generate.mockRejectedValueOnce(new Error('disk full'));
+      
+      await cli.runPushSync({
+        config: 'config.json',
+        tasks: 'tasks.json'
+      });
+      
+      expect(console.error).toHaveBeenCalledWith('Error: disk full');
+      expect(mockPushSync.pushSync).toHaveBeenCalled();
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+    
+    test('passes --resume to the push and rejects it together with --abandon', async () => {
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, resume: true });
+      
+      expect(mockPushSync.pushSync).toHaveBeenCalledWith(
+        expect.stringContaining('tasks.json'),
+        expect.objectContaining({ resume: true, abandon: false })
+      );
+      
+      mockPushSync.pushSync.mockClear();
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, resume: true, abandon: true });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('--resume and --abandon cannot be used together'));
+      expect(mockPushSync.pushSync).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
     test('handles errors gracefully', async () => {
       mockPushSync.pushSync.mockRejectedValueOnce(new Error('Test error'));
       
@@ -237,9 +526,101 @@ describe('CLI Module', () => {
       expect(console.error).toHaveBeenCalled();
       expect(mockExit).toHaveBeenCalledWith(1);
     });
+    
+    test('records the Monday.com API calls to a cassette', async () => {
+      const cassetteClient = { getComplexityBudget: jest.fn() };
+      createMondayClient.mockReturnValueOnce(cassetteClient);
+      
+      await cli.runPushSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        skipGenerate: true,
+        record: 'capture.json'
+      });
+      
+      expect(createMondayClient).toHaveBeenCalledWith(expect.objectContaining({
+        monday_api_key: 'test-api-key',
+        recordTo: expect.stringContaining('capture.json')
+      }));
+      expect(createPushSync.mock.calls[0][1].mondayClient).toBe(cassetteClient);
+    });
+    
+    test('rejects --record together with --replay', async () => {
+      await cli.runPushSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        skipGenerate: true,
+        record: 'capture.json',
+        replay: 'capture.json'
+      });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('--record and --replay cannot be used together'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('pushes the tasks routed to each sync profile to its board', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      const results = await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', state: 'state.json' });
+      
+      expect(createSyncProfiles).toHaveBeenCalledWith(
+        expect.objectContaining({ profiles: profileConfig.profiles }),
+        { syncFilePath: expect.stringContaining('state.json') }
+      );
+      expect(createPushSync).toHaveBeenCalledTimes(2);
+      expect(createPushSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board456' }),
+        expect.objectContaining({ mondayBoardId: 'board456', stateManager: { board: 'board456' } })
+      );
+      expect(mockPushSync.pushSync).toHaveBeenNthCalledWith(1, expect.stringContaining('tasks.json'), expect.objectContaining({ tasks: [profileTasks[0]] }));
+      expect(mockPushSync.pushSync).toHaveBeenNthCalledWith(2, expect.stringContaining('tasks.json'), expect.objectContaining({ tasks: [profileTasks[1]] }));
+      expect(createTaskFileGenerator).toHaveBeenCalledWith(expect.objectContaining({ taskBoardIds: { 1: 'board456', 2: 'board123' } }));
+      expect(Object.keys(results.profiles)).toEqual(['backend', 'main']);
+    });
+    
+    test('pushes a single sync profile with --profile', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, profile: 'main' });
+      
+      expect(mockSyncProfiles.getProfiles).toHaveBeenCalledWith('main');
+      expect(mockPushSync.pushSync).toHaveBeenCalledTimes(1);
+      expect(mockPushSync.pushSync).toHaveBeenCalledWith(expect.stringContaining('tasks.json'), expect.objectContaining({ tasks: [profileTasks[1]] }));
+    });
+    
+    test('rejects --profile when the configuration has no profiles', async () => {
+      await cli.runPushSync({ config: 'config.json', tasks: 'tasks.json', skipGenerate: true, profile: 'main' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('--profile main was given, but the configuration has no profiles'));
+      expect(mockPushSync.pushSync).not.toHaveBeenCalled();
+    });
   });
   
   describe('runPullSync', () => {
+    test('pulls a tag from the groups mapped to it', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        tag_mappings: { spike: { monday_board_id: 'board456', monday_group_ids: ['topics'] } }
+      }));
+      
+      await cli.runPullSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        skipGenerate: true,
+        tag: 'spike'
+      });
+      
+      expect(createPullSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board456', monday_group_ids: ['topics'] }),
+        expect.objectContaining({
+          tag: 'spike',
+          mondayBoardId: 'board456',
+          mondayGroupIds: ['topics'],
+          syncFilePath: expect.stringMatching(/\.taskmaster_sync_state\.spike\.json$/)
+        })
+      );
+    });
+    
     test('creates pull sync with correct options', async () => {
       await cli.runPullSync({
         config: 'config.json',
@@ -306,6 +687,43 @@ describe('CLI Module', () => {
       }));
     });
     
+    test('pulls each sync profile into the tasks routed to it', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      await cli.runPullSync({ config: 'config.json', tasks: 'tasks.json' });
+      
+      expect(createPullSync).toHaveBeenCalledTimes(2);
+      expect(createPullSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board456' }),
+        expect.objectContaining({ mondayBoardId: 'board456', stateManager: { board: 'board456' } })
+      );
+      
+      const backendOptions = mockPullSync.pullSync.mock.calls[0][0];
+      expect(backendOptions.regenerateTaskFiles).toBe(false);
+      expect(backendOptions.selectTask(profileTasks[0])).toBe(true);
+      expect(backendOptions.selectTask(profileTasks[1])).toBe(false);
+      
+      expect(mockTaskFileGenerator.generate).toHaveBeenCalledTimes(1);
+      expect(createTaskFileGenerator).toHaveBeenCalledWith(expect.objectContaining({ taskBoardIds: { 1: 'board456', 2: 'board123' } }));
+    });
+    
+    test('replays the Monday.com API calls from a cassette', async () => {
+      const cassetteClient = { getComplexityBudget: jest.fn() };
+      createMondayClient.mockReturnValueOnce(cassetteClient);
+      
+      await cli.runPullSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        regenerate: false,
+        replay: 'capture.json'
+      });
+      
+      expect(createMondayClient).toHaveBeenCalledWith(expect.objectContaining({
+        replayFrom: expect.stringContaining('capture.json')
+      }));
+      expect(createPullSync.mock.calls[0][1].mondayClient).toBe(cassetteClient);
+    });
+    
     test('executes pull sync and displays results', async () => {
       await cli.runPullSync({
         config: 'config.json',
@@ -316,6 +734,34 @@ describe('CLI Module', () => {
       expect(console.log).toHaveBeenCalled();
     });
     
+    test('passes conflict prompt callbacks in interactive mode', async () => {
+      await cli.runPullSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        interactive: true,
+        skipGenerate: true
+      });
+      
+      const pullOptions = mockPullSync.pullSync.mock.calls[0][0];
+      expect(pullOptions.resolveConflicts).toEqual(expect.any(Function));
+      expect(pullOptions.pushResolvedTask).toEqual(expect.any(Function));
+      expect(createPushSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board123' }),
+        expect.objectContaining({ statePath: expect.stringContaining('.taskmaster_sync_state.json') })
+      );
+    });
+    
+    test('does not resolve conflicts interactively in a dry run', async () => {
+      await cli.runPullSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        interactive: true,
+        dryRun: true
+      });
+      
+      expect(mockPullSync.pullSync.mock.calls[0][0].resolveConflicts).toBeUndefined();
+    });
+    
     test('handles errors gracefully', async () => {
       mockPullSync.pullSync.mockRejectedValueOnce(new Error('Test error'));
       
@@ -329,6 +775,270 @@ describe('CLI Module', () => {
     });
   });
   
+  describe('formatCombinedResults', () => {
+    const combinedResults = {
+      pull: {
+        newItems: [{ id: '4', title: 'New Task' }],
+        updatedItems: [],
+        orphanedTaskIds: ['7'],
+        conflictItems: [{ localTask: { id: '6' }, mondayTask: { id: '6' }, fields: [{ field: 'status' }] }],
+        resolutions: []
+      },
+      push: {
+        created: [{ taskId: '8', mondayItemId: 'monday-8' }],
+        updated: [{ taskId: '2', mondayItemId: 'monday-2' }],
+        recreated: [],
+        deleted: [],
+        conflicts: [],
+        resolutions: [],
+        errors: []
+      },
+      overlaps: [
+        { taskId: '7', mondayItemId: 'monday-7', decision: 'removed locally', reason: 'Monday.com item was deleted; the item is not recreated' }
+      ],
+      dryRun: true
+    };
+    
+    test('prints both directions, the settled overlaps and one summary', () => {
+      const formatted = cli.formatCombinedResults(combinedResults);
+      
+      expect(formatted).toContain('Monday.com → TaskMaster');
+      expect(formatted).toContain('+ Task 4: New Task (new)');
+      expect(formatted).toContain('- Task 7 (Monday.com item deleted)');
+      expect(formatted).toContain('TaskMaster → Monday.com');
+      expect(formatted).toContain('+ Task 8 → Monday.com item monday-8 (created)');
+      expect(formatted).toContain('Task 7 (Monday.com item monday-7): removed locally');
+      expect(formatted).toContain('- Task 6 (status)');
+      expect(formatted).toContain('Summary: pulled 1 new, 0 updated, 1 orphaned; pushed 1 created, 1 updated, 0 recreated, 0 adopted, 0 deleted; 1 conflicts, 0 errors');
+      expect(formatted.match(/Summary:/g)).toHaveLength(1);
+      expect(formatted).toContain('This was a dry run');
+    });
+  });
+  
+  describe('runSync', () => {
+    let mockCombinedSync;
+    
+    beforeEach(() => {
+      mockCombinedSync = {
+        sync: jest.fn().mockResolvedValue({
+          pull: { newItems: [], updatedItems: [], orphanedTaskIds: [], conflictItems: [] },
+          push: { created: [], updated: [], deleted: [], errors: [] },
+          overlaps: [],
+          dryRun: true
+        })
+      };
+      createCombinedSync.mockReturnValue(mockCombinedSync);
+    });
+    
+    test('runs the combined sync with the CLI options', async () => {
+      await cli.runSync({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        state: 'state.json',
+        dryRun: true,
+        removeOrphaned: false,
+        deleteOrphaned: false
+      });
+      
+      expect(createCombinedSync.mock.calls[0][1]).toMatchObject({
+        tasksFilePath: expect.stringContaining('tasks.json'),
+        syncFilePath: expect.stringContaining('state.json'),
+        mondayBoardId: 'board123',
+        mondayGroupIds: ['group123']
+      });
+      expect(mockCombinedSync.sync).toHaveBeenCalledWith(expect.objectContaining({
+        dryRun: true,
+        removeOrphaned: false,
+        recreateMissingTasks: true,
+        deleteOrphaned: false
+      }));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Monday.com → TaskMaster'));
+    });
+    
+    test('handles errors gracefully', async () => {
+      mockCombinedSync.sync.mockRejectedValueOnce(new Error('Test error'));
+      
+      await cli.runSync({ config: 'config.json', dryRun: true });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error during sync: Test error'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('syncs each sync profile with the tasks routed to it', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      const results = await cli.runSync({ config: 'config.json', tasks: 'tasks.json', state: 'state.json' });
+      
+      expect(createCombinedSync).toHaveBeenCalledTimes(2);
+      expect(createCombinedSync).toHaveBeenCalledWith(
+        expect.objectContaining({ monday_board_id: 'board456' }),
+        expect.objectContaining({ mondayBoardId: 'board456', stateManager: { board: 'board456' } })
+      );
+      
+      const backendOptions = mockCombinedSync.sync.mock.calls[0][0];
+      expect(backendOptions.regenerateTaskFiles).toBe(false);
+      expect(backendOptions.selectTask(profileTasks[0])).toBe(true);
+      expect(backendOptions.selectTask(profileTasks[1])).toBe(false);
+      expect(mockCombinedSync.sync.mock.calls[1][0].selectTask(profileTasks[1])).toBe(true);
+      
+      expect(createTaskFileGenerator).toHaveBeenCalledWith(expect.objectContaining({ taskBoardIds: { 1: 'board456', 2: 'board123' } }));
+      expect(Object.keys(results.profiles)).toEqual(['backend', 'main']);
+    });
+    
+    test('syncs a single sync profile with --profile', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      await cli.runSync({ config: 'config.json', tasks: 'tasks.json', dryRun: true, profile: 'backend' });
+      
+      expect(mockSyncProfiles.getProfiles).toHaveBeenCalledWith('backend');
+      expect(createCombinedSync).toHaveBeenCalledTimes(1);
+      expect(createCombinedSync.mock.calls[0][1]).toMatchObject({ mondayBoardId: 'board456' });
+    });
+  });
+  
+  describe('runWatch', () => {
+    let mockWatchSync;
+    
+    beforeEach(() => {
+      mockWatchSync = {
+        start: jest.fn().mockResolvedValue(),
+        stop: jest.fn().mockResolvedValue(),
+        getApiBudget: jest.fn().mockReturnValue(null),
+        waitUntilStopped: jest.fn(() => new Promise(() => {}))
+      };
+      createWatchSync.mockReturnValue(mockWatchSync);
+    });
+    
+    test('watches until SIGINT and then stops cleanly', async () => {
+      const watching = cli.runWatch({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        state: 'state.json',
+        pollInterval: '30',
+        debounce: '500'
+      });
+      
+      // Let the watch start before sending the signal
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mockWatchSync.start).toHaveBeenCalled();
+      expect(mockWatchSync.stop).not.toHaveBeenCalled();
+      
+      process.emit('SIGINT');
+      await watching;
+      
+      expect(createWatchSync.mock.calls[0][1]).toMatchObject({
+        tasksFilePath: expect.stringContaining('tasks.json'),
+        syncFilePath: expect.stringContaining('state.json'),
+        pollIntervalMs: 30000,
+        debounceMs: 500,
+        deleteOrphaned: true
+      });
+      expect(mockWatchSync.stop).toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Watch stopped'));
+      expect(process.listenerCount('SIGTERM')).toBe(0);
+    });
+    
+    test('exits with an error when the watch stops itself over an interrupted push', async () => {
+      mockWatchSync.waitUntilStopped.mockResolvedValue();
+      
+      await cli.runWatch({ config: 'config.json', tasks: 'tasks.json' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Run push with --resume or --abandon'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(process.listenerCount('SIGINT')).toBe(0);
+    });
+    
+    test('rejects an invalid poll interval', async () => {
+      await cli.runWatch({ config: 'config.json', pollInterval: 'soon' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('--poll-interval'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(createWatchSync).not.toHaveBeenCalled();
+    });
+    
+    test('refuses a configuration with sync profiles', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      await cli.runWatch({ config: 'config.json' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('watch syncs a single board and does not support sync profiles'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(createWatchSync).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('runServe', () => {
+    let mockProcessor;
+    let mockServer;
+    
+    beforeEach(() => {
+      mockProcessor = {
+        stop: jest.fn().mockResolvedValue(),
+        getApiBudget: jest.fn().mockReturnValue(null)
+      };
+      createWebhookProcessor.mockReturnValue(mockProcessor);
+      
+      mockServer = {
+        start: jest.fn().mockResolvedValue({ url: 'http://127.0.0.1:4567/hooks' }),
+        stop: jest.fn().mockResolvedValue()
+      };
+      createWebhookServer.mockReturnValue(mockServer);
+    });
+    
+    test('serves webhooks until SIGTERM and then stops cleanly', async () => {
+      const serving = cli.runServe({
+        config: 'config.json',
+        tasks: 'tasks.json',
+        state: 'state.json',
+        port: '4567',
+        path: '/hooks',
+        batchDelay: '250'
+      });
+      
+      // Let the server start before sending the signal
+      await new Promise(resolve => setImmediate(resolve));
+      expect(mockServer.start).toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('http://127.0.0.1:4567/hooks'));
+      
+      process.emit('SIGTERM');
+      await serving;
+      
+      expect(createWebhookProcessor.mock.calls[0][1]).toMatchObject({
+        tasksFilePath: expect.stringContaining('tasks.json'),
+        syncFilePath: expect.stringContaining('state.json'),
+        batchDelayMs: 250,
+        regenerateTaskFiles: true
+      });
+      expect(createWebhookServer).toHaveBeenCalledWith(expect.objectContaining({
+        processor: mockProcessor,
+        port: 4567,
+        path: '/hooks'
+      }));
+      expect(mockServer.stop).toHaveBeenCalled();
+      expect(mockProcessor.stop).toHaveBeenCalled();
+      expect(process.listenerCount('SIGINT')).toBe(0);
+    });
+    
+    test('handles errors gracefully', async () => {
+      mockServer.start.mockRejectedValueOnce(new Error('listen EADDRINUSE'));
+      
+      await cli.runServe({ config: 'config.json' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error running webhook server: listen EADDRINUSE'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('refuses a configuration with sync profiles', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify(profileConfig));
+      
+      await cli.runServe({ config: 'config.json' });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('serve syncs a single board and does not support sync profiles'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(createWebhookProcessor).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('showConfig', () => {
     test('displays configuration information', () => {
       cli.showConfig({
@@ -339,6 +1049,18 @@ describe('CLI Module', () => {
       expect(console.log).toHaveBeenCalledWith(expect.stringContaining('board123'));
     });
     
+    test('lists the sync profiles of a configuration without a top-level board', () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        monday_api_key: 'test-api-key',
+        profiles: [{ name: 'backend', monday_board_id: 'board-backend', monday_group_ids: ['backend_group'] }]
+      }));
+      
+      cli.showConfig({ config: 'config.json' });
+      
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('backend (board board-backend)'));
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+    
     test('handles errors gracefully', () => {
       fs.readFileSync.mockImplementationOnce(() => {
         throw new Error('Read error');
@@ -352,4 +1074,397 @@ describe('CLI Module', () => {
       expect(mockExit).toHaveBeenCalledWith(1);
     });
   });
-}); 
\ No newline at end of file
+  
+  describe('runInit', () => {
+    const board = {
+      id: 'board123',
+      name: 'Sprint Board',
+      columns: [
+        { id: 'text_task', title: 'Task ID', type: 'text', settings_str: '{}' },
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done","5":"To Do"}}' }
+      ]
+    };
+    
+    let mockBoardClient;
+    
+    beforeEach(() => {
+      mockBoardClient = {
+        getBoard: jest.fn().mockResolvedValue(board),
+        getBoardGroups: jest.fn().mockResolvedValue([{ id: 'topics', title: 'Tasks' }])
+      };
+      createMondayClient.mockReturnValue(mockBoardClient);
+      fs.existsSync.mockReturnValue(false);
+    });
+    
+    test('writes the proposed configuration in --yes mode', async () => {
+      const config = await cli.runInit({ board: 'board123', apiKey: 'test-api-key', developerId: 'dev-1', yes: true });
+      
+      expect(mockBoardClient.getBoard).toHaveBeenCalledWith('board123');
+      expect(config).toEqual({
+        monday_board_id: 'board123',
+        monday_group_ids: ['topics'],
+        developer_id: 'dev-1',
+        column_mappings: { taskId: 'text_task', status: 'status' },
+        status_mappings: { pending: 'To Do', 'in-progress': 'Working on it', done: 'Done' }
+      });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        expect.stringContaining('sync-config.json'),
+        `${JSON.stringify(config, null, 2)}\n`,
+        'utf8'
+      );
+      expect(fs.writeFileSync.mock.calls[0][1]).not.toContain('test-api-key');
+    });
+    
+    test('writes nothing when the proposal is not confirmed', async () => {
+      const readline = require('readline');
+      const createInterface = jest.spyOn(readline, 'createInterface').mockReturnValue({
+        on: jest.fn(),
+        question: jest.fn((question, callback) => callback('n')),
+        close: jest.fn()
+      });
+      
+      try {
+        const config = await cli.runInit({ board: 'board123', apiKey: 'test-api-key', developerId: 'dev-1' });
+        
+        expect(config).toBeNull();
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+      } finally {
+        createInterface.mockRestore();
+      }
+    });
+    
+    test('does not overwrite an existing config file in --yes mode without --force', async () => {
+      fs.existsSync.mockReturnValue(true);
+      
+      await cli.runInit({ board: 'board123', apiKey: 'test-api-key', yes: true });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('already exists (use --force to overwrite it)'));
+      expect(mockBoardClient.getBoard).not.toHaveBeenCalled();
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('runSetupBoard', () => {
+    const { COMPLEXITY_LABELS } = require('../../src/config/boardProvisioner');
+    const partialBoard = {
+      id: 'board123',
+      name: 'Sprint Board',
+      columns: [
+        { id: 'text_task', title: 'Task ID', type: 'text', settings_str: '{}' }
+      ]
+    };
+    const labels = values => JSON.stringify({ labels: Object.assign({}, values) });
+    const fullBoard = {
+      ...partialBoard,
+      columns: [
+        ...partialBoard.columns,
+        { id: 'status', title: 'Status', type: 'status', settings_str: labels(['pending', 'in-progress', 'done', 'review', 'deferred', 'cancelled']) },
+        { id: 'priority', title: 'Priority', type: 'status', settings_str: labels(['high', 'medium', 'low']) },
+        { id: 'deps', title: 'Dependencies', type: 'text', settings_str: '{}' },
+        { id: 'complexity', title: 'Complexity', type: 'status', settings_str: JSON.stringify({ labels: COMPLEXITY_LABELS }) },
+        { id: 'desc', title: 'Description', type: 'long_text', settings_str: '{}' },
+        { id: 'details', title: 'Details', type: 'long_text', settings_str: '{}' },
+        { id: 'tests', title: 'Test Strategy', type: 'long_text', settings_str: '{}' }
+      ]
+    };
+    
+    let mockBoardClient;
+    
+    beforeEach(() => {
+      mockBoardClient = {
+        getBoard: jest.fn().mockResolvedValue(partialBoard),
+        getBoardGroups: jest.fn().mockResolvedValue([{ id: 'group123', title: 'Tasks' }]),
+        createColumn: jest.fn((boardId, title, type) => Promise.resolve({ id: `${type}_${title.replace(/\s/g, '_').toLowerCase()}`, title, type })),
+        changeColumnMetadata: jest.fn().mockResolvedValue({}),
+        createGroup: jest.fn().mockResolvedValue({ id: 'group_new', title: 'Sprint 2' })
+      };
+      createMondayClient.mockReturnValue(mockBoardClient);
+    });
+    
+    test('refuses a configuration whose boards all come from profiles', async () => {
+      fs.readFileSync.mockReturnValueOnce(JSON.stringify({
+        monday_api_key: 'test-api-key',
+        profiles: [{ name: 'backend', monday_board_id: 'board-backend', monday_group_ids: ['backend_group'] }]
+      }));
+      
+      await cli.runSetupBoard({ dryRun: true });
+      
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('this configuration has none (its boards come from profiles)'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+      expect(mockBoardClient.getBoard).not.toHaveBeenCalled();
+    });
+    
+    test('shows the plan without changing anything in --dry-run mode', async () => {
+      const result = await cli.runSetupBoard({ dryRun: true });
+      
+      expect(result.plan.changes).toBe(7);
+      expect(result.written).toBe(false);
+      expect(mockBoardClient.createColumn).not.toHaveBeenCalled();
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('+ status: create status column "Status"'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Dry run: 7 change(s) to the board'));
+    });
+    
+    test('creates the missing columns and groups and writes their IDs to the config', async () => {
+      const result = await cli.runSetupBoard({ groups: 'group123, Sprint 2' });
+      
+      expect(mockBoardClient.createColumn).toHaveBeenCalledTimes(7);
+      expect(mockBoardClient.createColumn).toHaveBeenCalledWith('board123', 'Priority', 'status', {
+        defaults: { labels: { 0: 'high', 1: 'medium', 2: 'low' } }
+      });
+      expect(mockBoardClient.createGroup).toHaveBeenCalledWith('board123', 'Sprint 2');
+      expect(result.config).toEqual({
+        ...validConfig,
+        monday_group_ids: ['group123', 'group_new'],
+        column_mappings: {
+          taskId: 'text_task',
+          status: 'status_status',
+          priority: 'status_priority',
+          dependencies: 'text_dependencies',
+          complexity: 'status_complexity',
+          description: 'long_text_description',
+          details: 'long_text_details',
+          testStrategy: 'long_text_test_strategy'
+        }
+      });
+      expect(fs.writeFileSync).toHaveBeenCalledWith(
+        expect.stringContaining('sync-config.json'),
+        `${JSON.stringify(result.config, null, 2)}\n`,
+        'utf8'
+      );
+    });
+    
+    test('changes nothing when the board is already set up', async () => {
+      mockBoardClient.getBoard.mockResolvedValue(fullBoard);
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        column_mappings: {
+          taskId: 'text_task',
+          status: 'status',
+          priority: 'priority',
+          dependencies: 'deps',
+          complexity: 'complexity',
+          description: 'desc',
+          details: 'details',
+          testStrategy: 'tests'
+        }
+      }));
+      
+      const result = await cli.runSetupBoard({});
+      
+      expect(result.written).toBe(false);
+      expect(mockBoardClient.createColumn).not.toHaveBeenCalled();
+      expect(mockBoardClient.changeColumnMetadata).not.toHaveBeenCalled();
+      expect(fs.writeFileSync).not.toHaveBeenCalled();
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('The board is already set up'));
+    });
+  });
+  
+  describe('runValidate', () => {
+    const board = {
+      id: 'board123',
+      name: 'Sprint Board',
+      columns: [
+        { id: 'text_task', title: 'Task ID', type: 'text', settings_str: '{}' },
+        { id: 'status', title: 'Status', type: 'status', settings_str: '{"labels":{"0":"Working on it","1":"Done"}}' }
+      ]
+    };
+    const fixedBoard = {
+      ...board,
+      columns: [board.columns[0], { ...board.columns[1], settings_str: '{"labels":{"0":"Working on it","1":"Done","2":"To Do"}}' }]
+    };
+    
+    let mockBoardClient;
+    
+    beforeEach(() => {
+      mockBoardClient = {
+        getBoard: jest.fn().mockResolvedValue(board),
+        changeColumnMetadata: jest.fn().mockResolvedValue({})
+      };
+      createMondayClient.mockReturnValue(mockBoardClient);
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        column_mappings: { taskId: 'text_task', status: 'status', priority: 'text_priority' },
+        status_mappings: { pending: 'To Do', 'in-progress': 'Working on it', done: 'Done' }
+      }));
+    });
+    
+    test('reports every problem and exits with an error', async () => {
+      const [result] = await cli.runValidate({ dryRun: true });
+      
+      expect(result.validation.problems.map(problem => problem.type)).toEqual(['missing_column', 'missing_label']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('✗ column_mappings.priority: column text_priority does not exist on board board123'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('✗ status_mappings: label "To Do" does not exist in column "Status" (status)'));
+      expect(mockBoardClient.changeColumnMetadata).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('creates the missing labels with --create-labels', async () => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({
+        ...validConfig,
+        column_mappings: { taskId: 'text_task', status: 'status' },
+        status_mappings: { pending: 'To Do', done: 'Done' }
+      }));
+      mockBoardClient.getBoard.mockResolvedValueOnce(board).mockResolvedValueOnce(fixedBoard);
+      
+      const [result] = await cli.runValidate({ createLabels: true });
+      
+      expect(mockBoardClient.changeColumnMetadata).toHaveBeenCalledWith('board123', 'status', 'labels', {
+        0: 'Working on it', 1: 'Done', 2: 'To Do'
+      });
+      expect(result).toMatchObject({ createdLabels: 1, validation: { valid: true } });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('The configuration matches the board'));
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('runStateMigrate', () => {
+    const report = {
+      exists: true,
+      fromVersion: '1.0',
+      toVersion: '2.0',
+      needed: true,
+      migrated: false,
+      backupPath: null,
+      notes: ['item item-2 is linked to task 9 in mondayToTaskMaster, kept task 2']
+    };
+    
+    let mockStateManager;
+    
+    beforeEach(() => {
+      mockStateManager = { migrate: jest.fn() };
+      createSyncStateManager.mockReturnValue(mockStateManager);
+    });
+    
+    test('exits with an error when --check finds a file to migrate', async () => {
+      mockStateManager.migrate.mockResolvedValue(report);
+      
+      await cli.runStateMigrate({ state: 'state.json', check: true });
+      
+      expect(createSyncStateManager).toHaveBeenCalledWith({ syncFilePath: expect.stringMatching(/state\.json$/) });
+      expect(mockStateManager.migrate).toHaveBeenCalledWith({ check: true });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('kept task 2'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('is at version 1.0 and needs migrating to 2.0'));
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('migrates the file and shows where the backup is', async () => {
+      mockStateManager.migrate.mockResolvedValue({ ...report, migrated: true, backupPath: '/tmp/state.json.v1.0.bak' });
+      
+      await cli.runStateMigrate({ state: 'state.json' });
+      
+      expect(mockStateManager.migrate).toHaveBeenCalledWith({ check: false });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Migrated'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Backup: /tmp/state.json.v1.0.bak'));
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('runStateVerify and runStateRepair', () => {
+    let mockStateManager;
+    let mockBoardClient;
+    
+    beforeEach(() => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ ...validConfig, column_mappings: { taskId: 'text_task' } }));
+      taskMasterIO.readTasks.mockResolvedValue([
+        { id: 1, monday_item_id: 'item-gone' },
+        { id: 2, monday_item_id: 'item-2' }
+      ]);
+      mockBoardClient = {
+        getAllItems: jest.fn().mockResolvedValue([
+          { id: 'item-2', column_values: [{ id: 'text_task', text: '2' }] }
+        ])
+      };
+      createMondayClient.mockReturnValue(mockBoardClient);
+      mockStateManager = {
+        readSyncState: jest.fn().mockResolvedValue({
+          version: '2.0',
+          mappings: { 'item-gone': { taskId: '1', syncedAt: 10 }, 'item-2': { taskId: '2', syncedAt: 10 } }
+        }),
+        withRunLock: jest.fn(fn => fn()),
+        removeMondayItem: jest.fn().mockResolvedValue(true)
+      };
+      createSyncStateManager.mockReturnValue(mockStateManager);
+    });
+    
+    test('verify reports the problems with their repairs and exits with an error', async () => {
+      const [board] = await cli.runStateVerify({});
+      
+      expect(mockBoardClient.getAllItems).toHaveBeenCalledWith('board123');
+      expect(board.verification.problems.map(problem => problem.type)).toEqual(['dangling_mapping', 'deleted_item']);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('✗ task 1 points at item item-gone, which is no longer on board board123'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('→ clear monday_item_id of task 1'));
+      expect(mockStateManager.removeMondayItem).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('repair previews the repairs with --dry-run and applies them otherwise', async () => {
+      await cli.runStateRepair({ dryRun: true });
+      
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('[DRY RUN] Would apply 2 repair(s)'));
+      expect(mockStateManager.removeMondayItem).not.toHaveBeenCalled();
+      expect(taskMasterIO.writeTasks).not.toHaveBeenCalled();
+      
+      const [board] = await cli.runStateRepair({});
+      
+      expect(mockStateManager.withRunLock).toHaveBeenCalled();
+      expect(mockStateManager.removeMondayItem).toHaveBeenCalledWith('item-gone');
+      expect(taskMasterIO.writeTasks).toHaveBeenCalledWith(expect.stringMatching(/tasks\.json$/), [
+        { id: 1, monday_item_id: null },
+        { id: 2, monday_item_id: 'item-2' }
+      ], null);
+      expect(board.repaired).toEqual({ applied: 2, tasksChanged: 1 });
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('runStateRebuild', () => {
+    let mockStateManager;
+    
+    beforeEach(() => {
+      fs.readFileSync.mockReturnValue(JSON.stringify({ ...validConfig, column_mappings: { taskId: 'text_task' } }));
+      taskMasterIO.readTasks.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      createMondayClient.mockReturnValue({
+        getAllItems: jest.fn().mockResolvedValue([
+          { id: 'item-1', column_values: [{ id: 'text_task', text: '1' }] },
+          { id: 'item-2a', column_values: [{ id: 'text_task', text: '2' }] },
+          { id: 'item-2b', column_values: [{ id: 'text_task', text: '2' }] }
+        ])
+      });
+      mockStateManager = {
+        getEmptySyncState: jest.fn(() => ({ version: '2.0', lastSync: null, mappings: {} })),
+        withRunLock: jest.fn(fn => fn()),
+        writeSyncState: jest.fn().mockResolvedValue(undefined)
+      };
+      createSyncStateManager.mockReturnValue(mockStateManager);
+    });
+    
+    test('writes nothing while a task is named by more than one item', async () => {
+      await cli.runStateRebuild({});
+      
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('✓ task 1 → item item-1 (Task ID column)'));
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('? task 2 is named by 2 items: item-2a, item-2b - choose one with --choose 2=<item ID>'));
+      expect(mockStateManager.writeSyncState).not.toHaveBeenCalled();
+      expect(mockExit).toHaveBeenCalledWith(1);
+    });
+    
+    test('writes the rebuilt mappings once --choose settles the ambiguous tasks', async () => {
+      await cli.runStateRebuild({ choose: ['2=item-2b'], dryRun: true });
+      expect(mockStateManager.writeSyncState).not.toHaveBeenCalled();
+      
+      await cli.runStateRebuild({ choose: ['2=item-2b'] });
+      
+      expect(mockStateManager.writeSyncState).toHaveBeenCalledWith({
+        version: '2.0',
+        lastSync: null,
+        mappings: {
+          'item-1': { taskId: '1', syncedAt: null },
+          'item-2b': { taskId: '2', syncedAt: null }
+        },
+        subitems: {}
+      });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Rebuilt the sync state with 2 mapping(s)'));
+      expect(mockExit).not.toHaveBeenCalled();
+    });
+  });
+});
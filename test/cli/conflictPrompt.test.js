@@ -0,0 +1,101 @@
+/**
+ * Tests for the interactive conflict prompt
+ */
+
+const { createConflictPrompt, formatConflictDiff, parseEditedValue } = require('../../src/cli/conflictPrompt');
+
+describe('Conflict Prompt', () => {
+  const conflict = {
+    mondayTask: { id: '42', title: 'Monday title', monday_item_id: 'monday-item-123' },
+    localTask: { id: '42', title: 'Local title', monday_item_id: 'monday-item-123' },
+    reason: 'Changed both locally and in Monday.com: status, dependencies',
+    fields: [
+      { field: 'status', local: 'done', base: 'pending', remote: 'in-progress' },
+      { field: 'dependencies', local: ['1'], base: ['1', '2'], remote: ['2', '3'] }
+    ]
+  };
+  
+  // Creates a prompt that answers from a script and records what it printed
+  function scriptedPrompt(answers) {
+    const script = [...answers];
+    const questions = [];
+    const printed = [];
+    const prompt = createConflictPrompt({
+      ask: jest.fn(async question => {
+        questions.push(question);
+        return script.shift();
+      }),
+      print: text => printed.push(text)
+    });
+    
+    return { prompt, questions, printed };
+  }
+  
+  test('requires an ask function', () => {
+    expect(() => createConflictPrompt({})).toThrow('An ask function is required');
+  });
+  
+  test('formats a field-by-field diff', () => {
+    const diff = formatConflictDiff(conflict);
+    
+    expect(diff).toContain('Task 42: Local title (Monday.com item monday-item-123)');
+    expect(diff).toContain('    local:      done');
+    expect(diff).toContain('    Monday.com: in-progress');
+    expect(diff).toContain('    last sync:  pending');
+    expect(diff).toContain('    Monday.com: 2, 3');
+  });
+  
+  test('records local and Monday.com choices with their values', async () => {
+    const { prompt } = scriptedPrompt(['l', 'monday']);
+    
+    const decision = await prompt.resolveConflict(conflict);
+    
+    expect(decision.conflict).toBe(conflict);
+    expect(decision.choices).toEqual([
+      { field: 'status', choice: 'local', value: 'done' },
+      { field: 'dependencies', choice: 'monday', value: ['2', '3'] }
+    ]);
+  });
+  
+  test('asks for a merged value when editing', async () => {
+    const { prompt, questions } = scriptedPrompt(['e', 'review', 'E', '1, 3']);
+    
+    const decision = await prompt.resolveConflict(conflict);
+    
+    expect(questions[1]).toBe('  New status: ');
+    expect(questions[3]).toBe('  New dependencies (comma-separated): ');
+    expect(decision.choices).toEqual([
+      { field: 'status', choice: 'edit', value: 'review' },
+      { field: 'dependencies', choice: 'edit', value: ['1', '3'] }
+    ]);
+  });
+  
+  test('asks again after an unrecognized answer', async () => {
+    const { prompt, questions, printed } = scriptedPrompt(['x', 's', 's']);
+    
+    const decision = await prompt.resolveConflict(conflict);
+    
+    expect(questions).toHaveLength(3);
+    expect(printed).toContain('  Unrecognized answer "x" - enter l, m, e or s');
+    expect(decision.choices.map(choice => choice.choice)).toEqual(['skip', 'skip']);
+  });
+  
+  test('skips the remaining fields once input has ended', async () => {
+    const { prompt } = scriptedPrompt(['m']);
+    
+    const decisions = await prompt.resolveConflicts([conflict, conflict]);
+    
+    expect(decisions).toHaveLength(2);
+    expect(decisions[0].choices).toEqual([
+      { field: 'status', choice: 'monday', value: 'in-progress' },
+      { field: 'dependencies', choice: 'skip' }
+    ]);
+    expect(decisions[1].choices.every(choice => choice.choice === 'skip')).toBe(true);
+  });
+  
+  test('parses edited values', () => {
+    expect(parseEditedValue('details', '  merged text ')).toBe('merged text');
+    expect(parseEditedValue('details', '')).toBeNull();
+    expect(parseEditedValue('dependencies', '4, ,5')).toEqual(['4', '5']);
+  });
+});
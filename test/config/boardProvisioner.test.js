@@ -0,0 +1,151 @@
+/**
+ * Tests for the Board Provisioner
+ */
+
+const path = require('path');
+const { createFakeMondayServer } = require('../../src/api/fakeMondayServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const {
+  planBoardSetup,
+  applyBoardSetup,
+  applyPlanToConfig,
+  COMPLEXITY_LABELS
+} = require('../../src/config/boardProvisioner');
+const { DEFAULT_COLUMN_MAPPINGS } = require('../../src/config/configParser');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Board Provisioner', () => {
+  const fixturePath = path.join(__dirname, '../fixtures/mondayBoard.json');
+  const boardId = '1234567890';
+  const fixtureConfig = {
+    monday_board_id: boardId,
+    monday_group_ids: ['topics'],
+    column_mappings: DEFAULT_COLUMN_MAPPINGS,
+    status_mappings: { pending: 'pending', 'in-progress': 'in-progress', done: 'done', deferred: 'blocked', review: 'done', cancelled: 'blocked' }
+  };
+
+  let server;
+  let client;
+
+  beforeEach(() => {
+    server = createFakeMondayServer({ fixturePath });
+    client = createMondayClient({ transport: server, maxRetries: 1, retryDelayMs: 1 });
+  });
+
+  /**
+   * Plans the setup of a board of the fake server
+   * @param {string} id - The board ID
+   * @param {Object} config - The configuration
+   * @param {Object} options - Planning options
+   * @returns {Promise<Object>} - The plan
+   */
+  async function plan(id, config, options = {}) {
+    const board = await client.getBoard(id, true);
+    const groups = await client.getBoardGroups(id, true);
+    return planBoardSetup(board, groups, config, options);
+  }
+
+  test('changes nothing on a board that is already set up', async () => {
+    const setup = await plan(boardId, fixtureConfig);
+
+    expect(setup.changes).toBe(0);
+    expect(setup.columns.every(entry => entry.action === 'keep')).toBe(true);
+    expect(setup.groups).toEqual([{ name: 'topics', action: 'keep', groupId: 'topics', title: 'Tasks' }]);
+    expect(applyPlanToConfig(fixtureConfig, setup)).toEqual(fixtureConfig);
+  });
+
+  test('sets up an empty board and changes nothing when run again', async () => {
+    server.seed({ boards: [{ id: '555', name: 'New Project', groups: [{ id: 'topics', title: 'Group Title' }] }] });
+    const config = {
+      monday_board_id: '555',
+      monday_group_ids: ['Sprint 1'],
+      developer_id: 'dev-1',
+      status_mappings: { deferred: 'Stuck' }
+    };
+
+    const setup = await plan('555', config);
+    expect(setup.changes).toBe(9);
+    expect(setup.columns.map(entry => [entry.field, entry.action, entry.type])).toEqual([
+      ['taskId', 'create', 'text'],
+      ['status', 'create', 'status'],
+      ['priority', 'create', 'status'],
+      ['dependencies', 'create', 'text'],
+      ['complexity', 'create', 'status'],
+      ['description', 'create', 'long_text'],
+      ['details', 'create', 'long_text'],
+      ['testStrategy', 'create', 'long_text']
+    ]);
+
+    const applied = await applyBoardSetup(setup, client);
+    const updated = applyPlanToConfig(config, applied);
+
+    const columns = (await client.getBoard('555', true)).columns;
+    const statusColumn = columns.find(column => column.id === updated.column_mappings.status);
+    expect(statusColumn.title).toBe('Status');
+    expect(Object.values(JSON.parse(statusColumn.settings_str).labels))
+      .toEqual(['pending', 'in-progress', 'done', 'review', 'Stuck', 'cancelled']);
+    expect(server.getLabels('555', updated.column_mappings.complexity)).toEqual(COMPLEXITY_LABELS);
+    expect(Object.keys(updated.column_mappings)).toEqual(Object.keys(DEFAULT_COLUMN_MAPPINGS));
+    expect(updated.monday_group_ids).toEqual([expect.stringMatching(/^group_/)]);
+    expect(updated.developer_id).toBe('dev-1');
+
+    // Running again finds everything it created
+    const rerun = await plan('555', updated);
+    expect(rerun.changes).toBe(0);
+    expect(applyPlanToConfig(updated, rerun)).toEqual(updated);
+
+    // As does a run whose IDs were never written back
+    expect((await plan('555', config)).changes).toBe(0);
+  });
+
+  test('uses board columns matched by title when the configured IDs do not exist', async () => {
+    const setup = await plan(boardId, { ...fixtureConfig, column_mappings: { taskId: 'text_old', status: 'color_mkrat92y' } });
+
+    const taskId = setup.columns.find(entry => entry.field === 'taskId');
+    expect(taskId).toMatchObject({ action: 'use', columnId: 'text_mkraj7jy', title: 'Task ID' });
+    expect(setup.columns.find(entry => entry.field === 'status').action).toBe('keep');
+    expect(setup.columns.find(entry => entry.field === 'details').action).toBe('use');
+    expect(setup.changes).toBe(0);
+  });
+
+  test('adds the missing labels to existing status columns', async () => {
+    const setup = await plan(boardId, { ...fixtureConfig, status_mappings: {}, priority_mappings: { high: 'Urgent' } });
+
+    expect(setup.columns.find(entry => entry.field === 'status').labels)
+      .toEqual({ 3: 'review', 4: 'deferred', 6: 'cancelled' });
+    expect(setup.columns.find(entry => entry.field === 'priority').labels).toEqual({ 3: 'Urgent' });
+    expect(setup.changes).toBe(2);
+
+    await applyBoardSetup(setup, client);
+
+    expect(server.getLabels(boardId, 'color_mkrat92y')).toEqual({
+      0: 'in-progress', 1: 'done', 2: 'blocked', 3: 'review', 4: 'deferred', 5: 'pending', 6: 'cancelled'
+    });
+    expect(server.getLabels(boardId, 'color_mkrav3bj')).toEqual({ 0: 'medium', 1: 'low', 2: 'high', 3: 'Urgent' });
+  });
+
+  test('finds groups by ID or title and creates the others', async () => {
+    const setup = await plan(boardId, fixtureConfig, { groups: ['backlog', 'tasks', 'Sprint 2'] });
+
+    expect(setup.groups.map(entry => [entry.action, entry.groupId])).toEqual([
+      ['keep', 'backlog'],
+      ['use', 'topics'],
+      ['create', null]
+    ]);
+
+    const applied = await applyBoardSetup(setup, client);
+    const groups = await client.getBoardGroups(boardId, true);
+
+    expect(groups.map(group => group.title)).toContain('Sprint 2');
+    expect(applyPlanToConfig(fixtureConfig, applied).monday_group_ids)
+      .toEqual(['backlog', 'topics', groups.find(group => group.title === 'Sprint 2').id]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the Config Generator
+ */
+
+const {
+  proposeConfig,
+  matchColumns,
+  parseColumnLabels,
+  proposeLabelMappings,
+  STATUS_LABEL_SYNONYMS
+} = require('../../src/config/configGenerator');
+const { DEFAULT_COLUMN_MAPPINGS } = require('../../src/config/configParser');
+const boardFixture = require('../fixtures/mondayBoard.json');
+
+describe('Config Generator', () => {
+  // The fixture board as getBoard returns it (settings come as settings_str)
+  const fixtureBoard = boardFixture.boards[0];
+  const board = {
+    id: fixtureBoard.id,
+    name: fixtureBoard.name,
+    columns: [
+      { id: 'name', title: 'Name', type: 'name', settings_str: '{}' },
+      ...fixtureBoard.columns.map(column => ({
+        id: column.id,
+        title: column.title,
+        type: column.type,
+        settings_str: JSON.stringify(column.settings || {})
+      }))
+    ]
+  };
+  const groups = fixtureBoard.groups;
+
+  describe('parseColumnLabels', () => {
+    test('reads status labels in index order', () => {
+      expect(parseColumnLabels('{"labels":{"5":"Pending","0":"Working on it","1":"Done"}}'))
+        .toEqual(['Working on it', 'Done', 'Pending']);
+    });
+
+    test('reads dropdown labels and ignores empty or invalid settings', () => {
+      expect(parseColumnLabels({ labels: [{ id: 1, name: 'High' }, { id: 2, name: 'Low' }] })).toEqual(['High', 'Low']);
+      expect(parseColumnLabels('{"labels":{"0":"","1":"Done"}}')).toEqual(['Done']);
+      expect(parseColumnLabels('not json')).toEqual([]);
+      expect(parseColumnLabels('{}')).toEqual([]);
+    });
+  });
+
+  describe('matchColumns', () => {
+    test('matches the fixture columns to the fields they hold', () => {
+      const { mappings, unmatched } = matchColumns(board.columns);
+
+      expect(mappings).toEqual(DEFAULT_COLUMN_MAPPINGS);
+      expect(unmatched).toEqual([]);
+    });
+
+    test('requires a column type that can hold the field', () => {
+      const { mappings, unmatched } = matchColumns([
+        { id: 'status_text', title: 'Status', type: 'text' },
+        { id: 'task_number', title: 'Task ID', type: 'numbers' }
+      ]);
+
+      expect(mappings).toEqual({ taskId: 'task_number' });
+      expect(unmatched).toContain('status');
+    });
+
+    test('prefers exact titles and falls back to titles that contain the name', () => {
+      const { mappings } = matchColumns([
+        { id: 'long_notes', title: 'Description (old)', type: 'long_text' },
+        { id: 'long_desc', title: 'Description', type: 'long_text' },
+        { id: 'color_prio', title: 'Sprint Priority', type: 'status' }
+      ]);
+
+      expect(mappings.description).toBe('long_desc');
+      expect(mappings.priority).toBe('color_prio');
+    });
+  });
+
+  describe('proposeLabelMappings', () => {
+    test('maps statuses to the labels that stand for them', () => {
+      const { mappings, unmapped } = proposeLabelMappings(['Working on it', 'Done', 'Stuck', ''], STATUS_LABEL_SYNONYMS);
+
+      expect(mappings).toEqual({ 'in-progress': 'Working on it', done: 'Done', deferred: 'Stuck' });
+      expect(unmapped).toEqual(['pending', 'review', 'cancelled']);
+    });
+  });
+
+  describe('proposeConfig', () => {
+    test('proposes a configuration for the board', () => {
+      const proposal = proposeConfig(board, groups, { developerId: 'dev-1' });
+
+      expect(proposal.config).toEqual({
+        monday_board_id: '1234567890',
+        monday_group_ids: ['topics'],
+        developer_id: 'dev-1',
+        column_mappings: DEFAULT_COLUMN_MAPPINGS,
+        status_mappings: { pending: 'pending', 'in-progress': 'in-progress', done: 'done', deferred: 'blocked' },
+        priority_mappings: { high: 'high', medium: 'medium', low: 'low' }
+      });
+      expect(proposal.unmappedStatuses).toEqual(['review', 'cancelled']);
+      expect(proposal.unmappedPriorities).toEqual([]);
+    });
+
+    test('uses the groups asked for', () => {
+      const proposal = proposeConfig(board, groups, { groupIds: ['backlog', 'topics'], developerId: 'dev-1' });
+
+      expect(proposal.config.monday_group_ids).toEqual(['backlog', 'topics']);
+      expect(() => proposeConfig(board, groups, { groupIds: ['nope'] }))
+        .toThrow('Group nope not found on board 1234567890 (groups: topics, backlog)');
+    });
+
+    test('requires a Task ID column', () => {
+      const withoutTaskId = { ...board, columns: board.columns.filter(column => column.title !== 'Task ID') };
+
+      expect(() => proposeConfig(withoutTaskId, groups)).toThrow('Board 1234567890 has no text column for the Task ID');
+    });
+  });
+});
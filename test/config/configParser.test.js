@@ -1,6 +1,6 @@
 const fs = require('fs');
 const path = require('path');
-const { loadConfig, loadConfigAsync, validateConfig, DEFAULT_COLUMN_MAPPINGS, DEFAULT_STATUS_MAPPINGS, DEFAULT_PRIORITY_MAPPINGS } = require('../../src/config/configParser');
+const { loadConfig, loadConfigAsync, validateConfig, resolveTagConfig, DEFAULT_COLUMN_MAPPINGS, DEFAULT_STATUS_MAPPINGS, DEFAULT_PRIORITY_MAPPINGS } = require('../../src/config/configParser');
 
 // Mock the dotenv module
 jest.mock('dotenv', () => ({
@@ -15,6 +15,11 @@ jest.mock('fs', () => ({
   exists: jest.fn((path, callback) => callback(null, true))
 }));
 
+// Mock the sync state manager (loaded with the sync profiles; fs-extra needs the real fs)
+jest.mock('../../src/sync/syncStateManager', () => ({
+  createSyncStateManager: jest.fn()
+}));
+
 // Mock path.join to return a fixed path for testing
 jest.mock('path', () => ({
   join: jest.fn(() => '/mock/path/sync-config.json')
@@ -219,5 +224,69 @@ describe('Configuration Parser', () => {
 
       expect(() => validateConfig(invalidConfig)).toThrow('developer_id is required');
     });
+
+    test('should throw an error if conflict_policy has an invalid policy', () => {
+      const invalidConfig = {
+        monday_board_id: '12345',
+        monday_group_ids: ['group1', 'group2'],
+        monday_api_key: 'api_key_123',
+        developer_id: 'dev_123',
+        conflict_policy: { status: 'monday', details: 'whoever' }
+      };
+
+      expect(() => validateConfig(invalidConfig)).toThrow('conflict_policy.details must be one of');
+    });
+
+    test('should throw an error if a tag mapping has no groups', () => {
+      const invalidConfig = {
+        monday_board_id: '12345',
+        monday_group_ids: ['group1'],
+        monday_api_key: 'api_key_123',
+        developer_id: 'dev_123',
+        tag_mappings: { 'feature-x': { monday_board_id: '67890' } }
+      };
+
+      expect(() => validateConfig(invalidConfig)).toThrow('tag_mappings.feature-x.monday_group_ids must be a non-empty array');
+    });
+
+    test('should throw an error if two sync profiles use the same board', () => {
+      const invalidConfig = {
+        monday_board_id: '12345',
+        monday_group_ids: ['group1'],
+        monday_api_key: 'api_key_123',
+        developer_id: 'dev_123',
+        profiles: [
+          { name: 'backend', select: { ids: ['1-10'] } },
+          { name: 'frontend' }
+        ]
+      };
+
+      expect(() => validateConfig(invalidConfig)).toThrow('profiles.frontend uses board 12345, which profile backend already uses');
+    });
+  });
+
+  describe('resolveTagConfig', () => {
+    const config = {
+      monday_board_id: '12345',
+      monday_group_ids: ['group1'],
+      tag_mappings: {
+        'feature-x': { monday_group_ids: ['group_x'] },
+        spike: { monday_board_id: '67890', monday_group_ids: ['topics'] }
+      }
+    };
+
+    test('should use the board and groups of the tag mapping', () => {
+      expect(resolveTagConfig(config, 'feature-x')).toMatchObject({ monday_board_id: '12345', monday_group_ids: ['group_x'] });
+      expect(resolveTagConfig(config, 'spike')).toMatchObject({ monday_board_id: '67890', monday_group_ids: ['topics'] });
+    });
+
+    test('should keep the configured board and groups for master and no tag', () => {
+      expect(resolveTagConfig(config, null)).toBe(config);
+      expect(resolveTagConfig(config, 'master')).toBe(config);
+    });
+
+    test('should throw an error for other tags without a mapping', () => {
+      expect(() => resolveTagConfig(config, 'unmapped')).toThrow('Tag "unmapped" has no tag_mappings entry');
+    });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Tests for the Schema Validator
+ */
+
+const path = require('path');
+const { createFakeMondayServer } = require('../../src/api/fakeMondayServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const {
+  validateBoardSchema,
+  createMissingLabels,
+  checkBoardSchema
+} = require('../../src/config/schemaValidator');
+const { DEFAULT_COLUMN_MAPPINGS } = require('../../src/config/configParser');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Schema Validator', () => {
+  const fixturePath = path.join(__dirname, '../fixtures/mondayBoard.json');
+  const boardId = '1234567890';
+  const fixtureConfig = {
+    column_mappings: DEFAULT_COLUMN_MAPPINGS,
+    status_mappings: { pending: 'pending', 'in-progress': 'in-progress', done: 'done', deferred: 'blocked' },
+    priority_mappings: { high: 'high', medium: 'medium', low: 'low' }
+  };
+  const brokenConfig = {
+    column_mappings: { ...DEFAULT_COLUMN_MAPPINGS, taskId: 'text_old', status: 'long_text_mkrby17a', priority: 'color_mkrav3bj' },
+    status_mappings: { review: 'In Review' },
+    priority_mappings: { high: 'High', medium: 'Medium', low: 'Someday' }
+  };
+
+  let server;
+  let client;
+
+  beforeEach(() => {
+    server = createFakeMondayServer({ fixturePath });
+    client = createMondayClient({ transport: server, maxRetries: 1, retryDelayMs: 1 });
+  });
+
+  test('accepts a configuration that matches the board', async () => {
+    const validation = validateBoardSchema(await client.getBoard(boardId), fixtureConfig);
+
+    expect(validation).toEqual({ boardId, valid: true, problems: [], missingLabels: [] });
+  });
+
+  test('reports missing columns, incompatible columns and missing labels together', async () => {
+    const validation = validateBoardSchema(await client.getBoard(boardId), brokenConfig);
+
+    expect(validation.valid).toBe(false);
+    expect(validation.problems.map(problem => [problem.type, problem.field])).toEqual([
+      ['missing_column', 'taskId'],
+      ['incompatible_column', 'status'],
+      ['missing_label', 'priority']
+    ]);
+    expect(validation.problems[1].message)
+      .toBe('column_mappings.status: "Description" (long_text_mkrby17a) is a long_text column, status needs a status, color column');
+    expect(validation.problems[2].message)
+      .toBe('priority_mappings: label "Someday" does not exist in column "Priority" (color_mkrav3bj)');
+
+    // Labels of a column that cannot hold them are not checked; labels match regardless of case
+    expect(validation.missingLabels).toEqual([
+      expect.objectContaining({ field: 'priority', columnId: 'color_mkrav3bj', labels: { 3: 'Someday' } })
+    ]);
+  });
+
+  test('adds the missing labels next to the existing ones', async () => {
+    const config = { ...fixtureConfig, status_mappings: { review: 'In Review', cancelled: 'Dropped' } };
+    const validation = validateBoardSchema(await client.getBoard(boardId), config);
+
+    expect(await createMissingLabels(validation, client)).toBe(2);
+    expect(server.getLabels(boardId, 'color_mkrat92y')).toEqual({
+      0: 'in-progress', 1: 'done', 2: 'blocked', 3: 'In Review', 4: 'Dropped', 5: 'pending'
+    });
+    expect(validateBoardSchema(await client.getBoard(boardId, true), config).valid).toBe(true);
+  });
+
+  test('stops a run with every problem, after creating labels when asked to', async () => {
+    const check = checkBoardSchema(client, boardId, brokenConfig);
+    await expect(check).rejects.toMatchObject({ code: 'BOARD_SCHEMA_MISMATCH', problems: expect.any(Array) });
+    await expect(checkBoardSchema(client, boardId, brokenConfig)).rejects.toThrow(
+      /Board 1234567890 does not match the sync configuration \(3 problems\):\n {2}- column_mappings.taskId: column text_old does not exist on board 1234567890\n/
+    );
+
+    // A dry run never changes the board
+    await expect(checkBoardSchema(client, boardId, brokenConfig, { createMissingLabels: true, dryRun: true }))
+      .rejects.toThrow('(3 problems)');
+    expect(server.getLabels(boardId, 'color_mkrav3bj')).toEqual({ 0: 'medium', 1: 'low', 2: 'high' });
+
+    await expect(checkBoardSchema(client, boardId, brokenConfig, { createMissingLabels: true }))
+      .rejects.toThrow('(2 problems)');
+    expect(server.getLabels(boardId, 'color_mkrav3bj')).toEqual({ 0: 'medium', 1: 'low', 2: 'high', 3: 'Someday' });
+
+    expect((await checkBoardSchema(client, boardId, fixtureConfig)).valid).toBe(true);
+    expect(await checkBoardSchema({}, boardId, brokenConfig)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the Board Snapshot module
+ */
+
+const { createBoardSnapshot } = require('../../src/sync/boardSnapshot');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Board Snapshot', () => {
+  const columnMapping = { taskId: 'text_task_id' };
+  
+  const boardItems = [
+    { id: '100', name: 'Task 1', column_values: [{ id: 'text_task_id', text: '1' }] },
+    { id: '200', name: 'Task 2', column_values: [{ id: 'text_task_id', text: '2' }] },
+    { id: '300', name: 'Task 2 (duplicate)', column_values: [{ id: 'text_task_id', text: '2' }] },
+    { id: '400', name: 'No Task ID', column_values: [] }
+  ];
+  
+  let mockMondayClient;
+  let snapshot;
+  
+  beforeEach(async () => {
+    mockMondayClient = {
+      getAllItems: jest.fn().mockResolvedValue(boardItems)
+    };
+    
+    snapshot = createBoardSnapshot(mockMondayClient, 'board123', columnMapping);
+    await snapshot.load();
+  });
+  
+  test('loads every board item once', () => {
+    expect(mockMondayClient.getAllItems).toHaveBeenCalledTimes(1);
+    expect(mockMondayClient.getAllItems).toHaveBeenCalledWith('board123');
+    expect(snapshot.isLoaded()).toBe(true);
+    expect(snapshot.getItems()).toHaveLength(4);
+  });
+  
+  test('indexes items by ID and by Task ID column', () => {
+    expect(snapshot.hasItem('100')).toBe(true);
+    expect(snapshot.hasItem('999')).toBe(false);
+    expect(snapshot.getItem('400').name).toBe('No Task ID');
+    expect(snapshot.getItemIdsForTask('1')).toEqual(['100']);
+    expect(snapshot.getItemIdsForTask(2)).toEqual(['200', '300']);
+    expect(snapshot.getItemIdsForTask('3')).toEqual([]);
+  });
+  
+  test('tracks created and deleted items in memory', () => {
+    snapshot.addItem({ id: '500', name: 'New Task' }, '5');
+    expect(snapshot.hasItem('500')).toBe(true);
+    expect(snapshot.getItemIdsForTask('5')).toEqual(['500']);
+    
+    expect(snapshot.removeItem('200')).toBe(true);
+    expect(snapshot.hasItem('200')).toBe(false);
+    expect(snapshot.getItemIdsForTask('2')).toEqual(['300']);
+    
+    expect(snapshot.removeItem('200')).toBe(false);
+    expect(mockMondayClient.getAllItems).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for Combined Sync Logic
+ */
+
+const { createCombinedSync } = require('../../src/sync/combinedSyncLogic');
+const { createPullSync } = require('../../src/sync/pullSyncLogic');
+const { createPushSync } = require('../../src/sync/pushSyncLogic');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const { createSyncStateManager } = require('../../src/sync/syncStateManager');
+const taskMasterIO = require('../../src/sync/taskMasterIO');
+const { JOURNAL_UNFINISHED_ERROR_CODE } = require('../../src/sync/operationJournal');
+
+// Mock dependencies
+jest.mock('../../src/sync/pullSyncLogic');
+jest.mock('../../src/sync/pushSyncLogic');
+jest.mock('../../src/api/mondayClient');
+jest.mock('../../src/sync/syncStateManager');
+jest.mock('../../src/sync/taskMasterIO');
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Combined Sync Logic', () => {
+  const testConfig = {
+    monday_board_id: 'board123',
+    monday_group_ids: ['group123'],
+    monday_api_key: 'test-api-key',
+    column_mappings: {
+      taskId: 'text_task_id'
+    }
+  };
+
+  const testOptions = {
+    tasksFilePath: 'tasks/tasks.json',
+    syncFilePath: 'sync-state.json'
+  };
+
+  // Builds a board item for a task ID in a group
+  function boardItem(id, taskId, groupId = 'group123') {
+    return {
+      id,
+      name: `Item ${id}`,
+      group: { id: groupId },
+      column_values: [{ id: 'text_task_id', text: taskId }]
+    };
+  }
+
+  const localTasks = [
+    { id: '1', title: 'Synced Task', monday_item_id: 'item-1' },
+    { id: '2', title: 'Item deleted in Monday.com', monday_item_id: 'item-gone' }
+  ];
+
+  let mockMondayClient;
+  let mockStateManager;
+  let mockPull;
+  let mockPush;
+  let pullResults;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMondayClient = {
+      getAllItems: jest.fn().mockResolvedValue([
+        boardItem('item-1', '1'),
+        boardItem('item-3', '3'),
+        boardItem('item-other', '9', 'other_group')
+      ]),
+      getComplexityBudget: jest.fn().mockReturnValue({ used: 10, queries: 1 })
+    };
+    createMondayClient.mockReturnValue(mockMondayClient);
+
+    // Item 3 was synced for task 3, which has since been deleted locally
+    mockStateManager = {
+      getAllSyncedItems: jest.fn().mockResolvedValue({
+        'item-1': '1',
+        'item-3': '3'
+      })
+    };
+    createSyncStateManager.mockReturnValue(mockStateManager);
+
+    taskMasterIO.readTasks = jest.fn().mockResolvedValue(localTasks);
+
+    pullResults = {
+      newItems: [{ id: '3', title: 'Recreated Task', monday_item_id: 'item-3' }],
+      updatedItems: [],
+      conflictItems: [{ localTask: { id: '1' }, mondayTask: { id: '1' }, fields: [] }],
+      orphanedTaskIds: ['2'],
+      plannedTasks: [localTasks[0], { id: '3', title: 'Recreated Task', monday_item_id: 'item-3' }]
+    };
+    mockPull = { pullSync: jest.fn().mockResolvedValue(pullResults) };
+    createPullSync.mockReturnValue(mockPull);
+
+    mockPush = {
+      pushSync: jest.fn().mockResolvedValue({ created: [], updated: [], deleted: [], errors: [] })
+    };
+    createPushSync.mockReturnValue(mockPush);
+  });
+
+  test('throws error when required options are missing', () => {
+    expect(() => createCombinedSync({}, {})).toThrow('Monday.com API key is required');
+    expect(() => createCombinedSync({ monday_api_key: 'key' }, {})).toThrow('Monday.com board ID is required');
+  });
+
+  test('shares one client between the pull and the push', () => {
+    createCombinedSync(testConfig, testOptions);
+
+    expect(createMondayClient).toHaveBeenCalledTimes(1);
+    expect(createPullSync.mock.calls[0][1]).toMatchObject({ mondayClient: mockMondayClient });
+    expect(createPushSync.mock.calls[0][1]).toMatchObject({ mondayClient: mockMondayClient, statePath: 'sync-state.json' });
+  });
+
+  test('reads tasks.json once and fetches the board once for both directions', async () => {
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    const results = await combinedSync.sync({ dryRun: true });
+
+    expect(taskMasterIO.readTasks).toHaveBeenCalledTimes(1);
+    expect(mockMondayClient.getAllItems).toHaveBeenCalledTimes(1);
+
+    // The pull only sees items in the configured groups
+    const pullOptions = mockPull.pullSync.mock.calls[0][0];
+    expect(pullOptions).toMatchObject({ dryRun: true, localTasks });
+    expect(pullOptions.mondayItems.map(item => item.id)).toEqual(['item-1', 'item-3']);
+
+    // The push works on the tasks as the pull leaves them, against the same snapshot
+    const pushOptions = mockPush.pushSync.mock.calls[0][0];
+    expect(pushOptions.tasks).toBe(pullResults.plannedTasks);
+    expect(pushOptions.boardSnapshot.hasItem('item-other')).toBe(true);
+    expect(pushOptions.dryRun).toBe(true);
+
+    expect(results.dryRun).toBe(true);
+    expect(results.apiBudget).toEqual({ used: 10, queries: 1 });
+  });
+
+  test('does not push tasks the pull added or left in conflict', async () => {
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    await combinedSync.sync();
+
+    expect(mockPush.pushSync.mock.calls[0][0].skipTaskIds).toEqual(['3', '1']);
+  });
+
+  test('syncs only the selected tasks, with the sync state of their board', async () => {
+    const profileStateManager = { getAllSyncedItems: jest.fn().mockResolvedValue({ 'item-1': '1' }) };
+    pullResults.plannedTasks = [...pullResults.plannedTasks, { id: '5', title: 'Task of another profile' }];
+    const selectTask = task => task.id === '1';
+    const combinedSync = createCombinedSync(testConfig, { ...testOptions, stateManager: profileStateManager });
+
+    await combinedSync.sync({ dryRun: true, selectTask });
+
+    expect(createSyncStateManager).not.toHaveBeenCalled();
+    expect(createPullSync.mock.calls[0][1].stateManager).toBe(profileStateManager);
+    expect(createPushSync.mock.calls[0][1].stateManager).toBe(profileStateManager);
+    expect(mockPull.pullSync.mock.calls[0][0].selectTask).toBe(selectTask);
+
+    // The push leaves the other profile's task alone but keeps the task the pull brought in
+    expect(mockPush.pushSync.mock.calls[0][0].tasks.map(task => task.id)).toEqual(['1', '3']);
+  });
+
+  test('recreates locally deleted tasks instead of deleting their items by default', async () => {
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    const results = await combinedSync.sync();
+
+    expect(mockPull.pullSync.mock.calls[0][0].skipItemIds).toEqual([]);
+    expect(results.overlaps).toContainEqual(expect.objectContaining({
+      taskId: '3',
+      mondayItemId: 'item-3',
+      decision: 'recreated locally'
+    }));
+  });
+
+  test('leaves items of locally deleted tasks to the push when recreation is off', async () => {
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    const results = await combinedSync.sync({ recreateMissingTasks: false });
+
+    expect(mockPull.pullSync.mock.calls[0][0].skipItemIds).toEqual(['item-3']);
+    expect(results.overlaps).toContainEqual(expect.objectContaining({
+      taskId: '3',
+      decision: 'deleted in Monday.com'
+    }));
+  });
+
+  test('reports tasks whose Monday.com item was deleted', async () => {
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    const removed = await combinedSync.sync();
+    expect(removed.overlaps).toContainEqual(expect.objectContaining({
+      taskId: '2',
+      mondayItemId: 'item-gone',
+      decision: 'removed locally'
+    }));
+
+    const kept = await combinedSync.sync({ removeOrphaned: false });
+    expect(kept.overlaps).toContainEqual(expect.objectContaining({
+      taskId: '2',
+      decision: 'recreated in Monday.com'
+    }));
+  });
+
+  test('refuses to pull while an interrupted push has not been resumed or abandoned', async () => {
+    mockStateManager.readJournal = jest.fn().mockResolvedValue({ startedAt: '2026-01-01T10:00:00.000Z', operations: [] });
+    const combinedSync = createCombinedSync(testConfig, testOptions);
+
+    await expect(combinedSync.sync()).rejects.toThrow(expect.objectContaining({ code: JOURNAL_UNFINISHED_ERROR_CODE }));
+    expect(mockPull.pullSync).not.toHaveBeenCalled();
+
+    // A dry run changes nothing, so it goes ahead
+    await combinedSync.sync({ dryRun: true });
+    expect(mockPull.pullSync).toHaveBeenCalled();
+  });
+});
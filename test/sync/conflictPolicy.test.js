@@ -0,0 +1,72 @@
+/**
+ * Tests for field-level conflict policies
+ */
+
+const { createConflictPolicy, validateConflictPolicy } = require('../../src/sync/conflictPolicy');
+
+describe('Conflict Policy', () => {
+  const statusConflict = { field: 'status', local: 'done', base: 'pending', remote: 'in-progress' };
+  const detailsConflict = { field: 'details', local: 'Local', base: 'Base', remote: 'Remote' };
+  const descriptionConflict = { field: 'description', local: 'Local', base: 'Base', remote: 'Remote' };
+  
+  describe('validateConflictPolicy', () => {
+    test('accepts a missing or valid policy section', () => {
+      expect(() => validateConflictPolicy(undefined)).not.toThrow();
+      expect(() => validateConflictPolicy({ status: 'monday', details: 'local', default: 'newest' })).not.toThrow();
+    });
+    
+    test('rejects unknown fields and policies', () => {
+      expect(() => validateConflictPolicy({ owner: 'monday' })).toThrow('conflict_policy has unknown field "owner"');
+      expect(() => validateConflictPolicy({ status: 'remote' })).toThrow('conflict_policy.status must be one of');
+      expect(() => validateConflictPolicy(['monday'])).toThrow('conflict_policy must be an object');
+    });
+  });
+  
+  describe('resolveConflicts', () => {
+    test('gives each field to its configured owner', () => {
+      const policy = createConflictPolicy({ status: 'monday', details: 'local' });
+      
+      const { resolutions, unresolved } = policy.resolveConflicts([statusConflict, detailsConflict, descriptionConflict]);
+      
+      expect(resolutions).toEqual([
+        { field: 'status', winner: 'monday', policy: 'monday', reason: 'conflict_policy.status = monday' },
+        { field: 'details', winner: 'local', policy: 'local', reason: 'conflict_policy.details = local' }
+      ]);
+      expect(unresolved).toEqual([descriptionConflict]);
+    });
+    
+    test('applies the default policy to fields without their own', () => {
+      const policy = createConflictPolicy({ default: 'local' });
+      
+      const { resolutions } = policy.resolveConflicts([descriptionConflict]);
+      
+      expect(resolutions[0]).toMatchObject({ winner: 'local', reason: 'conflict_policy.default = local' });
+    });
+    
+    test('lets the newest edit win', () => {
+      const policy = createConflictPolicy({ description: 'newest' });
+      
+      const remoteNewer = policy.resolveConflict(descriptionConflict, {
+        localUpdatedAt: '2025-01-01T10:00:00Z',
+        remoteUpdatedAt: '2025-01-01T11:00:00Z'
+      });
+      const localNewer = policy.resolveConflict(descriptionConflict, {
+        localUpdatedAt: Date.parse('2025-01-01T12:00:00Z'),
+        remoteUpdatedAt: '2025-01-01T11:00:00Z'
+      });
+      
+      expect(remoteNewer.winner).toBe('monday');
+      expect(remoteNewer.reason).toContain('conflict_policy.description = newest');
+      expect(localNewer.winner).toBe('local');
+    });
+    
+    test('leaves newest conflicts unresolved when an edit time is unknown', () => {
+      const policy = createConflictPolicy({ description: 'newest' });
+      
+      const resolution = policy.resolveConflict(descriptionConflict, { remoteUpdatedAt: '2025-01-01T11:00:00Z' });
+      
+      expect(resolution.winner).toBeNull();
+      expect(resolution.reason).toContain('local edit time is unknown');
+    });
+  });
+});
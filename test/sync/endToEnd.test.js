@@ -0,0 +1,497 @@
+/**
+ * End-to-end sync tests against the fake Monday.com server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeMondayServer } = require('../../src/api/fakeMondayServer');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const { createPushSync } = require('../../src/sync/pushSyncLogic');
+const { createPullSync } = require('../../src/sync/pullSyncLogic');
+const { createSyncStateManager } = require('../../src/sync/syncStateManager');
+const taskMasterIO = require('../../src/sync/taskMasterIO');
+const { verifySyncState, rebuildSyncState, applyStateRepairs } = require('../../src/sync/stateVerifier');
+const { createOperationJournal, JOURNAL_UNFINISHED_ERROR_CODE } = require('../../src/sync/operationJournal');
+const cli = require('../../src/cli/cli');
+const {
+  DEFAULT_COLUMN_MAPPINGS,
+  DEFAULT_STATUS_MAPPINGS
+} = require('../../src/config/configParser');
+const boardFixture = require('../fixtures/mondayBoard.json');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    success: jest.fn()
+  }
+}));
+
+// chalk and ora are ES modules; the push command only needs them to print
+jest.mock('chalk', () => ({
+  red: jest.fn(text => text),
+  green: jest.fn(text => text),
+  blue: jest.fn(text => text),
+  yellow: jest.fn(text => text),
+  dim: jest.fn(text => text),
+  bold: jest.fn(text => text),
+  cyan: jest.fn(text => text)
+}));
+jest.mock('ora', () => {
+  return jest.fn(() => ({
+    start: jest.fn().mockReturnThis(),
+    stop: jest.fn().mockReturnThis(),
+    succeed: jest.fn().mockReturnThis(),
+    fail: jest.fn().mockReturnThis()
+  }));
+});
+
+describe('End-to-end sync', () => {
+  const boardId = '1234567890';
+  const config = {
+    monday_api_key: 'test-api-key',
+    monday_board_id: boardId,
+    monday_group_ids: ['topics'],
+    column_mappings: DEFAULT_COLUMN_MAPPINGS,
+    status_mappings: DEFAULT_STATUS_MAPPINGS,
+    subitem_column_mappings: { taskId: 'text_subtask_id', status: 'status' }
+  };
+
+  let tmpDir;
+  let tasksPath;
+  let statePath;
+  let server;
+  let mondayClient;
+
+  function writeTasks(tasks) {
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+  }
+
+  function readTasks() {
+    return JSON.parse(fs.readFileSync(tasksPath, 'utf8')).tasks;
+  }
+
+  // Constructed the way runPushSync constructs it, with the fake server's client passed as a cassette client is
+  function push(pushConfig = config, syncOptions = {}) {
+    const pushSync = createPushSync(pushConfig, {
+      mondayApiKey: pushConfig.monday_api_key,
+      tasksFilePath: tasksPath,
+      syncFilePath: statePath,
+      statePath,
+      dryRun: false,
+      deleteOrphaned: true,
+      mondayBoardId: pushConfig.monday_board_id,
+      mondayGroupIds: pushConfig.monday_group_ids,
+      columnMappings: pushConfig.column_mappings,
+      statusMappings: pushConfig.status_mappings,
+      priorityMappings: pushConfig.priority_mappings,
+      subitemColumnMappings: pushConfig.subitem_column_mappings,
+      mondayClient
+    });
+    return pushSync.pushSync(tasksPath, {
+      dryRun: false,
+      deleteOrphaned: true,
+      tag: null,
+      createMissingLabels: false,
+      resume: false,
+      abandon: false,
+      ...syncOptions
+    });
+  }
+
+  // Constructed the way runPullSync constructs it
+  function pull(options = {}) {
+    return createPullSync(config, { mondayClient, tasksFilePath: tasksPath, syncFilePath: statePath })
+      .pullSync({ regenerateTaskFiles: false, ...options });
+  }
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-sync-e2e-'));
+    tasksPath = path.join(tmpDir, 'tasks.json');
+    statePath = path.join(tmpDir, 'sync-state.json');
+
+    // Start from the fixture board without its items
+    server = createFakeMondayServer({
+      fixture: { boards: boardFixture.boards.map(board => ({ ...board, items: [] })) }
+    });
+    mondayClient = createMondayClient({ transport: server, retryDelayMs: 1, maxRetries: 1 });
+
+    writeTasks([
+      {
+        id: 1,
+        title: 'Set up the project',
+        description: 'Initialize the repository and tooling',
+        status: 'done',
+        priority: 'high',
+        dependencies: []
+      },
+      {
+        id: 2,
+        title: 'Write the sync engine',
+        description: 'Push and pull tasks',
+        status: 'pending',
+        priority: 'medium',
+        dependencies: [1],
+        subtasks: [
+          { id: 1, title: 'Read tasks.json', status: 'done' },
+          { id: 2, title: 'Write board items', status: 'pending' }
+        ]
+      }
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('push creates board items for local tasks', async () => {
+    const results = await push();
+
+    expect(results.created).toHaveLength(2);
+    expect(results.errors).toEqual([]);
+
+    const items = server.getItems(boardId);
+    expect(items.map(item => item.name)).toEqual(['Set up the project', 'Write the sync engine']);
+    expect(items[1]).toMatchObject({
+      groupId: 'topics',
+      columnValues: expect.objectContaining({
+        [DEFAULT_COLUMN_MAPPINGS.taskId]: '2',
+        [DEFAULT_COLUMN_MAPPINGS.status]: 'pending',
+        [DEFAULT_COLUMN_MAPPINGS.priority]: 'medium',
+        [DEFAULT_COLUMN_MAPPINGS.dependencies]: '1',
+        [DEFAULT_COLUMN_MAPPINGS.description]: 'Push and pull tasks'
+      })
+    });
+  });
+
+  test('push stops before writing when a mapped label is not on the board', async () => {
+    const shippedConfig = { ...config, status_mappings: { ...DEFAULT_STATUS_MAPPINGS, done: 'Shipped' } };
+
+    await expect(push(shippedConfig)).rejects.toThrow(
+      'status_mappings: label "Shipped" does not exist in column "Status" (color_mkrat92y)'
+    );
+    expect(server.getItems(boardId)).toEqual([]);
+
+    const results = await push(shippedConfig, { createMissingLabels: true });
+    expect(results.created).toHaveLength(2);
+    expect(server.getItems(boardId)[0].columnValues[DEFAULT_COLUMN_MAPPINGS.status]).toBe('Shipped');
+  });
+
+  test('push checks the labels of mappings passed as options', async () => {
+    const pushSync = createPushSync({
+      mondayApiKey: config.monday_api_key,
+      mondayBoardId: boardId,
+      mondayGroupIds: config.monday_group_ids,
+      columnMappings: DEFAULT_COLUMN_MAPPINGS,
+      priorityMappings: { high: 'Critical' },
+      statePath,
+      mondayClient
+    });
+
+    await expect(pushSync.pushSync(tasksPath)).rejects.toThrow(
+      'priority_mappings: label "Critical" does not exist in column "Priority" (color_mkrav3bj)'
+    );
+    expect(server.getItems(boardId)).toEqual([]);
+  });
+
+  test('push resolves a conflict by the configured conflict_policy', async () => {
+    await push();
+
+    // Both sides change the status of task 1 after the last sync
+    const [item] = server.getItems(boardId);
+    await mondayClient.updateItemColumnValues(item.id, boardId, { [DEFAULT_COLUMN_MAPPINGS.status]: { label: 'blocked' } });
+    writeTasks(readTasks().map(task => (task.id === 1 ? { ...task, status: 'in-progress' } : task)));
+    taskMasterIO.clearCache();
+
+    const results = await push({ ...config, conflict_policy: { status: 'local' } });
+
+    expect(results.conflicts).toEqual([]);
+    expect(results.updated.map(updated => updated.taskId)).toContain(1);
+    expect(server.getItems(boardId)[0].columnValues[DEFAULT_COLUMN_MAPPINGS.status]).toBe('in-progress');
+  });
+
+  test('pull brings board changes back into tasks.json', async () => {
+    await push();
+    const [, item] = server.getItems(boardId);
+
+    await mondayClient.updateItemColumnValues(item.id, boardId, {
+      name: 'Write the sync engine v2',
+      [DEFAULT_COLUMN_MAPPINGS.status]: { label: 'in-progress' }
+    });
+
+    const results = await pull();
+
+    expect(results.updatedTasks).toBe(1);
+    expect(readTasks().find(task => task.id === 2)).toMatchObject({
+      title: 'Write the sync engine v2',
+      status: 'in-progress',
+      priority: 'medium'
+    });
+  });
+
+  test('complexity is pushed as the board label for the score and pulled back as a score', async () => {
+    writeTasks(readTasks().map(task => ({ ...task, complexity: task.id === 1 ? 10 : 5 })));
+    await push();
+    const [first, second] = server.getItems(boardId);
+
+    // The board's labels run from 1 to 9, so 10 takes the nearest one
+    expect(first.columnValues[DEFAULT_COLUMN_MAPPINGS.complexity]).toBe('Complexity 9');
+    expect(second.columnValues[DEFAULT_COLUMN_MAPPINGS.complexity]).toBe('Complexity 5');
+
+    await mondayClient.updateItemColumnValues(second.id, boardId, {
+      [DEFAULT_COLUMN_MAPPINGS.complexity]: { label: 'Complexity 8' }
+    });
+    const results = await pull();
+
+    expect(results.updatedTasks).toBe(1);
+    expect(readTasks().map(task => task.complexity)).toEqual([10, 8]);
+  });
+
+  test('pull regenerates the task files of changed tasks', async () => {
+    await push();
+    const [, item] = server.getItems(boardId);
+    await mondayClient.updateItemColumnValues(item.id, boardId, {
+      [DEFAULT_COLUMN_MAPPINGS.status]: { label: 'done' }
+    });
+
+    await pull({ regenerateTaskFiles: true });
+
+    const taskFile = fs.readFileSync(path.join(tmpDir, 'task_002.txt'), 'utf8');
+    expect(taskFile).toContain('# Status: done\n# Dependencies: ✅ 1 (done)\n');
+    expect(taskFile).toContain(`# Monday Item: https://monday.com/boards/${boardId}/pulses/${item.id}\n`);
+    expect(taskFile).toContain('## 2. Write board items [pending]\n');
+  });
+
+  test('subtasks round-trip through subitems', async () => {
+    await push();
+    const [, item] = server.getItems(boardId);
+
+    expect(item.subitems.map(subitem => [subitem.name, subitem.columnValues])).toEqual([
+      ['Read tasks.json', { text_subtask_id: '2.1', status: 'done' }],
+      ['Write board items', { text_subtask_id: '2.2', status: 'pending' }]
+    ]);
+
+    await mondayClient.updateItemColumnValues(item.subitems[1].id, item.subitems[1].boardId, {
+      status: { label: 'done' }
+    });
+    await pull();
+
+    expect(readTasks().find(task => task.id === 2).subtasks).toEqual([
+      expect.objectContaining({ id: 1, title: 'Read tasks.json', status: 'done' }),
+      expect.objectContaining({ id: 2, title: 'Write board items', status: 'done' })
+    ]);
+  });
+
+  test('a round trip without changes leaves both sides as they were', async () => {
+    await push();
+    const tasksBefore = readTasks();
+    const boardBefore = server.getItems(boardId).map(({ id, name, columnValues }) => ({ id, name, columnValues }));
+
+    const pullResults = await pull();
+    const pushResults = await push();
+
+    expect(pullResults.newTasks).toBe(0);
+    expect(pullResults.updatedTasks).toBe(0);
+    expect(readTasks()).toEqual(tasksBefore);
+    expect(pushResults.created).toEqual([]);
+    expect(pushResults.errors).toEqual([]);
+    expect(server.getItems(boardId).map(({ id, name, columnValues }) => ({ id, name, columnValues })))
+      .toEqual(boardBefore);
+  });
+
+  test('state repair unlinks an item deleted on the board so the next push recreates it', async () => {
+    await push();
+    const [deletedItem, keptItem] = server.getItems(boardId);
+    await mondayClient.deleteItem(deletedItem.id);
+    writeTasks(readTasks().map(task => ({ ...task, monday_item_id: task.id === 1 ? deletedItem.id : keptItem.id })));
+
+    const stateManager = createSyncStateManager({ syncFilePath: statePath });
+    const verify = async tasks => verifySyncState({
+      mappings: (await stateManager.readSyncState(true)).mappings,
+      tasks,
+      items: await mondayClient.getAllItems(boardId),
+      columnMapping: config.column_mappings,
+      boardId
+    });
+
+    const tasks = readTasks();
+    const verification = await verify(tasks);
+    expect(verification.problems.map(problem => [problem.type, problem.taskId])).toEqual([
+      ['dangling_mapping', '1'],
+      ['deleted_item', '1']
+    ]);
+
+    await applyStateRepairs(verification.repairs, { stateManager, tasks, writeTasks });
+    expect(readTasks()[0].monday_item_id).toBeNull();
+    expect((await verify(readTasks())).valid).toBe(true);
+
+    const results = await push();
+    expect(results.created).toEqual([expect.objectContaining({ taskId: 1 })]);
+    expect(server.getItems(boardId)).toHaveLength(2);
+  });
+
+  test('a sync state rebuilt from the board keeps the next push from creating duplicates', async () => {
+    await push();
+    fs.unlinkSync(statePath);
+
+    const rebuild = rebuildSyncState({
+      tasks: readTasks(),
+      items: await mondayClient.getAllItems(boardId),
+      columnMapping: config.column_mappings,
+      subitemColumnMapping: config.subitem_column_mappings
+    });
+    expect(rebuild.linked.map(link => link.source)).toEqual(['task_id_column', 'task_id_column']);
+    expect(Object.values(rebuild.subitems).map(subitem => subitem.subtaskId)).toEqual(['2.1', '2.2']);
+
+    const stateManager = createSyncStateManager({ syncFilePath: statePath });
+    await stateManager.writeSyncState({ ...stateManager.getEmptySyncState(), mappings: rebuild.mappings, subitems: rebuild.subitems });
+
+    const results = await push();
+    expect(results.created).toEqual([]);
+    expect(results.errors).toEqual([]);
+    expect(server.getItems(boardId)).toHaveLength(2);
+    expect(server.getItems(boardId)[1].subitems.map(subitem => subitem.name)).toEqual(['Read tasks.json', 'Write board items']);
+  });
+
+  test('push adopts items that already carry a task ID when the sync state is lost', async () => {
+    await push();
+    fs.unlinkSync(statePath);
+
+    // Without a base snapshot the local values win over the board's
+    const [item] = server.getItems(boardId);
+    await mondayClient.updateItemColumnValues(item.id, boardId, { [DEFAULT_COLUMN_MAPPINGS.status]: { label: 'blocked' } });
+
+    const results = await push();
+    expect(results.adopted.map(adopted => adopted.taskId)).toEqual([1, 2]);
+    expect(results.created).toEqual([]);
+    expect(results.errors).toEqual([]);
+
+    const items = server.getItems(boardId);
+    expect(items).toHaveLength(2);
+    expect(items[0].columnValues[DEFAULT_COLUMN_MAPPINGS.status]).toBe('done');
+    expect(items[1].subitems).toHaveLength(2);
+
+    // The adopted items are linked again, so the next push updates them
+    const next = await push();
+    expect(next.updated.map(updated => updated.taskId)).toEqual([1, 2]);
+    expect(next.adopted).toEqual([]);
+  });
+
+  test('push resumes an interrupted push without duplicating the items it created', async () => {
+    await push();
+
+    // Simulate a push that created task 1's item and died creating task 2's
+    const stateManager = createSyncStateManager({ syncFilePath: statePath });
+    await stateManager.removeLocalTask('2');
+    const journal = createOperationJournal({ stateManager, boardId });
+    await journal.run({ type: 'create_item', taskId: '1' }, async () => ({ id: server.getItems(boardId)[0].id }));
+    await journal.record({ type: 'create_item', taskId: '2' });
+
+    await expect(push()).rejects.toThrow(expect.objectContaining({ code: JOURNAL_UNFINISHED_ERROR_CODE }));
+
+    const results = await push(config, { resume: true });
+    expect(results.journal.action).toBe('resumed');
+    expect(results.journal.skippedTaskIds).toEqual(['1']);
+    expect(results.adopted.map(adopted => adopted.taskId)).toEqual([2]);
+    expect(results.created).toEqual([]);
+    expect(server.getItems(boardId)).toHaveLength(2);
+    expect(fs.existsSync(stateManager.getJournalPath())).toBe(false);
+
+    // The journal is gone, so the next push is an ordinary one
+    const next = await push();
+    expect(next.journal).toBeNull();
+    expect(next.updated.map(updated => updated.taskId)).toEqual([1, 2]);
+  });
+
+  test('push abandons an interrupted push and pushes every task', async () => {
+    await push();
+
+    const stateManager = createSyncStateManager({ syncFilePath: statePath });
+    const journal = createOperationJournal({ stateManager, boardId });
+    await journal.record({ type: 'update_item', taskId: '1', mondayItemId: server.getItems(boardId)[0].id });
+
+    const results = await push(config, { abandon: true });
+    expect(results.journal.action).toBe('abandoned');
+    expect(results.updated.map(updated => updated.taskId)).toEqual([1, 2]);
+    expect(fs.existsSync(stateManager.getJournalPath())).toBe(false);
+  });
+
+  describe('push command', () => {
+    let configPath;
+    let logSpy;
+    let errorSpy;
+    let exitSpy;
+
+    // Drives push the way `taskmaster-sync push` does
+    function runPushCommand(commandConfig, options = {}) {
+      fs.writeFileSync(configPath, JSON.stringify(commandConfig, null, 2));
+      return cli.runPushSync({ config: configPath, tasks: tasksPath, state: statePath, skipGenerate: true, ...options });
+    }
+
+    beforeEach(() => {
+      configPath = path.join(tmpDir, 'sync-config.json');
+      logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      exitSpy = jest.spyOn(process, 'exit').mockImplementation(code => {
+        throw new Error(`process.exit(${code})`);
+      });
+    });
+
+    afterEach(async () => {
+      logSpy.mockRestore();
+      errorSpy.mockRestore();
+      exitSpy.mockRestore();
+      await server.close();
+    });
+
+    test('pushes to the board at the configured monday_api_url', async () => {
+      const apiUrl = await server.listen();
+
+      const results = await runPushCommand({ ...config, monday_api_url: apiUrl });
+
+      expect(errorSpy).not.toHaveBeenCalled();
+      expect(results.created).toHaveLength(2);
+      expect(server.getItems(boardId)).toHaveLength(2);
+    });
+
+    test('stops before writing when a mapped priority label is not on the board', async () => {
+      const apiUrl = await server.listen();
+      const commandConfig = { ...config, monday_api_url: apiUrl, priority_mappings: { high: 'Critical' } };
+
+      await expect(runPushCommand(commandConfig)).rejects.toThrow('process.exit(1)');
+
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('priority_mappings: label "Critical" does not exist in column "Priority" (color_mkrav3bj)')
+      );
+      expect(server.getItems(boardId)).toEqual([]);
+    });
+
+    test('reads mapped board labels back so they are not taken for board changes', async () => {
+      const apiUrl = await server.listen();
+      const commandConfig = {
+        ...config,
+        monday_api_url: apiUrl,
+        priority_mappings: { high: 'Critical', medium: 'Normal', low: 'low' }
+      };
+
+      await runPushCommand(commandConfig, { createLabels: true });
+      expect(server.getItems(boardId)[0].columnValues[DEFAULT_COLUMN_MAPPINGS.priority]).toBe('Critical');
+
+      // A local change to a task whose board priority carries a mapped label
+      writeTasks(readTasks().map(task => (task.id === 1 ? { ...task, status: 'in-progress' } : task)));
+      taskMasterIO.clearCache();
+
+      const results = await runPushCommand(commandConfig);
+      expect(results.conflicts).toEqual([]);
+      expect(results.updated.map(updated => updated.taskId)).toContain(1);
+      expect(server.getItems(boardId)[0].columnValues).toMatchObject({
+        [DEFAULT_COLUMN_MAPPINGS.status]: 'in-progress',
+        [DEFAULT_COLUMN_MAPPINGS.priority]: 'Critical'
+      });
+    });
+  });
+});
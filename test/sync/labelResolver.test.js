@@ -0,0 +1,94 @@
+/**
+ * Tests for the Label Resolver
+ */
+
+const {
+  createLabelResolver,
+  loadLabelResolver,
+  parseLabelSettings
+} = require('../../src/sync/labelResolver');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Label Resolver', () => {
+  const columns = [
+    { id: 'text_task', type: 'text', settings_str: '{}' },
+    {
+      id: 'complexity',
+      type: 'status',
+      settings_str: JSON.stringify({ labels: { 16: 'Complexity 1', 110: 'Complexity 2', 6: 'Complexity 5', 152: 'Complexity 9', 5: '' } })
+    },
+    {
+      id: 'effort',
+      type: 'dropdown',
+      settings_str: JSON.stringify({ labels: [{ id: 1, name: '1 - Trivial' }, { id: 2, name: '3 - Medium' }, { id: 3, name: 'Huge' }] })
+    },
+    { id: 'status', type: 'color', settings_str: '{"labels":{"0":"Working on it","1":"Done"}}' }
+  ];
+  const resolver = createLabelResolver(columns);
+
+  describe('parseLabelSettings', () => {
+    test('reads status and dropdown labels with their indexes and IDs', () => {
+      expect(parseLabelSettings('{"labels":{"5":"","0":"Working on it","1":"Done"}}')).toEqual([
+        { id: 0, label: 'Working on it' },
+        { id: 1, label: 'Done' },
+        { id: 5, label: '' }
+      ]);
+      expect(parseLabelSettings({ labels: [{ id: 4, name: 'High' }] })).toEqual([{ id: 4, label: 'High' }]);
+      expect(parseLabelSettings('not json')).toEqual([]);
+    });
+  });
+
+  describe('resolveLabel', () => {
+    test('finds labels by text, by the number in them and by index', () => {
+      expect(resolver.resolveLabel('status', 'done')).toEqual({ id: 1, label: 'Done' });
+      expect(resolver.resolveLabel('complexity', 5)).toEqual({ id: 6, label: 'Complexity 5' });
+      expect(resolver.resolveLabel('complexity', '110')).toEqual({ id: 110, label: 'Complexity 2' });
+      expect(resolver.resolveLabel('effort', 3)).toEqual({ id: 2, label: '3 - Medium' });
+    });
+
+    test('takes the nearest numbered label for scores the board has no label for', () => {
+      expect(resolver.resolveLabel('complexity', 10).label).toBe('Complexity 9');
+      expect(resolver.resolveLabel('complexity', 3).label).toBe('Complexity 2');
+      expect(resolver.resolveLabel('status', 'Stuck')).toBeNull();
+      expect(resolver.resolveLabel('text_task', 'x')).toBeNull();
+    });
+  });
+
+  describe('toColumnValue', () => {
+    test('gives an index for status columns and IDs for dropdown columns', () => {
+      expect(resolver.toColumnValue('complexity', 9)).toEqual({ index: 152 });
+      expect(resolver.toColumnValue('effort', 1)).toEqual({ ids: [1] });
+      expect(resolver.toColumnValue('status', 'Stuck')).toBeNull();
+      expect(resolver.hasLabels('text_task')).toBe(false);
+    });
+  });
+
+  describe('toNumber', () => {
+    test('reads the number from the label text or, without text, from the label index', () => {
+      expect(resolver.toNumber('complexity', { text: 'Complexity 5' })).toBe(5);
+      expect(resolver.toNumber('complexity', { text: '', value: '{"index":152}' })).toBe(9);
+      expect(resolver.toNumber('text_task', { text: '7' })).toBe(7);
+      expect(resolver.toNumber('effort', { text: 'Huge' })).toBeNull();
+    });
+  });
+
+  describe('loadLabelResolver', () => {
+    test('reads the board columns, or gives null when the board cannot be read', async () => {
+      const mondayClient = { getBoard: jest.fn().mockResolvedValue({ columns }) };
+      const loaded = await loadLabelResolver(mondayClient, 'board123');
+
+      expect(mondayClient.getBoard).toHaveBeenCalledWith('board123');
+      expect(loaded.toColumnValue('complexity', 1)).toEqual({ index: 16 });
+      expect(await loadLabelResolver({ getBoard: jest.fn().mockRejectedValue(new Error('down')) }, 'board123')).toBeNull();
+      expect(await loadLabelResolver({}, 'board123')).toBeNull();
+    });
+  });
+});
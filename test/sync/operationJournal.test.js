@@ -0,0 +1,164 @@
+/**
+ * Tests for the Operation Journal
+ */
+
+const {
+  createOperationJournal,
+  openOperationJournal,
+  summarizeJournal,
+  JOURNAL_UNFINISHED_ERROR_CODE
+} = require('../../src/sync/operationJournal');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Operation Journal', () => {
+  let stored;
+  let stateManager;
+
+  beforeEach(() => {
+    stored = null;
+    stateManager = {
+      readJournal: jest.fn(async () => (stored ? JSON.parse(JSON.stringify(stored)) : null)),
+      writeJournal: jest.fn(async journal => {
+        stored = JSON.parse(JSON.stringify(journal));
+      }),
+      removeJournal: jest.fn(async () => {
+        const existed = stored !== null;
+        stored = null;
+        return existed;
+      })
+    };
+  });
+
+  const interruptedJournal = () => ({
+    version: 1,
+    command: 'push',
+    boardId: '123',
+    startedAt: '2026-01-01T10:00:00.000Z',
+    operations: [
+      { id: 1, type: 'create_item', taskId: '1', mondayItemId: 'item-1', status: 'done' },
+      { id: 2, type: 'push_subtasks', taskId: '1', mondayItemId: 'item-1', status: 'done' },
+      { id: 3, type: 'update_item', taskId: '2', mondayItemId: 'item-2', status: 'done' },
+      { id: 4, type: 'update_item', taskId: '2', mondayItemId: 'item-2', status: 'failed', error: 'timeout' },
+      { id: 5, type: 'create_item', taskId: '3', status: 'pending' }
+    ]
+  });
+
+  test('writes each operation as pending before it runs and marks it done afterwards', async () => {
+    const journal = createOperationJournal({ stateManager, boardId: 123 });
+
+    const result = await journal.run({ type: 'create_item', taskId: 1 }, async () => {
+      expect(stored.operations).toEqual([expect.objectContaining({ id: 1, taskId: '1', status: 'pending' })]);
+      return { id: 'item-1' };
+    });
+
+    expect(result).toEqual({ id: 'item-1' });
+    expect(stored.boardId).toBe('123');
+    expect(stored.operations[0]).toEqual(expect.objectContaining({
+      type: 'create_item',
+      mondayItemId: 'item-1',
+      status: 'done'
+    }));
+
+    await journal.finish();
+    expect(stored).toBeNull();
+  });
+
+  test('marks a failed operation and rethrows its error', async () => {
+    const journal = createOperationJournal({ stateManager });
+
+    await expect(journal.run({ type: 'update_item', taskId: '2', mondayItemId: 'item-2' }, async () => {
+      throw new Error('Network error');
+    })).rejects.toThrow('Network error');
+
+    expect(stored.operations[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Network error' }));
+  });
+
+  test('keeps no journal when disabled', async () => {
+    const journal = createOperationJournal({ stateManager, enabled: false });
+
+    await expect(journal.run({ type: 'create_item', taskId: '1' }, async () => 'ok')).resolves.toBe('ok');
+    await journal.finish();
+
+    expect(stateManager.writeJournal).not.toHaveBeenCalled();
+    expect(stateManager.removeJournal).not.toHaveBeenCalled();
+  });
+
+  test('summarizes which tasks the interrupted run finished', () => {
+    const summary = summarizeJournal(interruptedJournal());
+
+    expect(summary.total).toBe(5);
+    expect(summary.done).toBe(3);
+    expect(summary.unfinished.map(operation => operation.id)).toEqual([4, 5]);
+    expect(summary.finishedTaskIds).toEqual(['1']);
+  });
+
+  test('refuses to push over an interrupted run without --resume or --abandon', async () => {
+    stored = interruptedJournal();
+
+    const open = openOperationJournal({ stateManager, boardId: '123' });
+
+    await expect(open).rejects.toThrow(expect.objectContaining({ code: JOURNAL_UNFINISHED_ERROR_CODE }));
+    await expect(openOperationJournal({ stateManager, boardId: '123' })).rejects.toThrow(
+      'A push of board 123 started at 2026-01-01T10:00:00.000Z was interrupted with 2 of 5 operations unfinished '
+      + '(update item item-2 for task 2: failed; create an item for task 3: pending)'
+    );
+    expect(stored).not.toBeNull();
+  });
+
+  test('names the command of the interrupted run', async () => {
+    stored = { ...interruptedJournal(), command: 'pull' };
+
+    await expect(openOperationJournal({ stateManager, boardId: '123' })).rejects.toThrow(
+      'A pull of board 123 started at 2026-01-01T10:00:00.000Z was interrupted'
+    );
+  });
+
+  test('resumes an interrupted run, skipping the tasks it finished', async () => {
+    stored = interruptedJournal();
+
+    const { journal, skipTaskIds, outcome } = await openOperationJournal({ stateManager, boardId: '123', resume: true });
+
+    expect(skipTaskIds).toEqual(['1']);
+    expect(outcome).toEqual({
+      action: 'resumed',
+      startedAt: '2026-01-01T10:00:00.000Z',
+      skippedTaskIds: ['1'],
+      unfinished: ['update item item-2 for task 2', 'create an item for task 3']
+    });
+
+    // New operations continue the interrupted run's journal
+    await journal.run({ type: 'create_item', taskId: '3' }, async () => ({ id: 'item-3' }));
+    expect(stored.resumedAt).toBeDefined();
+    expect(stored.operations[5]).toEqual(expect.objectContaining({ id: 6, taskId: '3', status: 'done' }));
+  });
+
+  test('abandons an interrupted run by removing its journal', async () => {
+    stored = interruptedJournal();
+
+    const { skipTaskIds, outcome } = await openOperationJournal({ stateManager, abandon: true });
+
+    expect(skipTaskIds).toEqual([]);
+    expect(outcome.action).toBe('abandoned');
+    expect(outcome.unfinished).toHaveLength(2);
+    expect(stored).toBeNull();
+  });
+
+  test('only warns about an interrupted run on a dry run', async () => {
+    stored = interruptedJournal();
+
+    const { journal, outcome } = await openOperationJournal({ stateManager, dryRun: true });
+    await journal.run({ type: 'create_item', taskId: '3' }, async () => ({ id: 'item-3' }));
+
+    expect(outcome).toBeNull();
+    expect(stateManager.writeJournal).not.toHaveBeenCalled();
+    expect(stored.operations).toHaveLength(5);
+  });
+});
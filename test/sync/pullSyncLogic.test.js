@@ -6,6 +6,7 @@ const { createPullSync } = require('../../src/sync/pullSyncLogic');
 const { createMondayClient } = require('../../src/api/mondayClient');
 const { createSyncStateManager } = require('../../src/sync/syncStateManager');
 const taskMasterIO = require('../../src/sync/taskMasterIO');
+const { JOURNAL_UNFINISHED_ERROR_CODE } = require('../../src/sync/operationJournal');
 
 // Mock dependencies
 jest.mock('../../src/api/mondayClient');
@@ -96,7 +97,7 @@ describe('Pull Sync Logic', () => {
     
     // Mock Monday client
     mockMondayClient = {
-      getItems: jest.fn().mockResolvedValue([testMondayItem]),
+      getAllItems: jest.fn().mockResolvedValue([testMondayItem]),
       getBoardGroups: jest.fn().mockResolvedValue([{ id: 'group123', title: 'Test Group' }])
     };
     
@@ -106,7 +107,7 @@ describe('Pull Sync Logic', () => {
     mockStateManager = {
       getLastSyncedTimestamp: jest.fn().mockResolvedValue(null),
       updateSyncedTimestamp: jest.fn().mockResolvedValue(undefined),
-      readSyncState: jest.fn().mockResolvedValue({ items: {} }),
+      getAllSyncedItems: jest.fn().mockResolvedValue({}),
       writeSyncState: jest.fn().mockResolvedValue(undefined),
       getTaskmasterTaskId: jest.fn().mockResolvedValue(null)
     };
@@ -259,7 +260,7 @@ describe('Pull Sync Logic', () => {
       
       // Verify getBoardGroups was called with correct params
       expect(mockMondayClient.getBoardGroups).toHaveBeenCalledWith(testConfig.monday_board_id);
-      expect(mockMondayClient.getItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group123' });
+      expect(mockMondayClient.getAllItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group123' });
       
       // Verify items were returned
       expect(items).toHaveLength(1);
@@ -284,10 +285,10 @@ describe('Pull Sync Logic', () => {
       
       await pullSync.fetchMondayItems();
       
-      // Verify getItems was called for each group
-      expect(mockMondayClient.getItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group1' });
-      expect(mockMondayClient.getItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group2' });
-      expect(mockMondayClient.getItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group3' });
+      // Verify getAllItems was called for each group
+      expect(mockMondayClient.getAllItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group1' });
+      expect(mockMondayClient.getAllItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group2' });
+      expect(mockMondayClient.getAllItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group3' });
     });
     
     test('throws error when no valid groups are found', async () => {
@@ -400,6 +401,150 @@ describe('Pull Sync Logic', () => {
       expect(comparison.updatedItems).toHaveLength(0);
       expect(comparison.conflicts).toHaveLength(0);
     });
+    
+    test('keeps locally owned fields when there is no base snapshot yet', async () => {
+      const pullSync = createPullSync({
+        ...testConfig,
+        conflict_policy: { details: 'local', testStrategy: 'local' }
+      }, testOptions);
+      
+      const comparison = await pullSync.compareItemsWithTasks([testMondayItem], [testLocalTask]);
+      
+      expect(comparison.updatedItems).toHaveLength(1);
+      expect(comparison.updatedItems[0]).toMatchObject({
+        title: 'Test Task from Monday',
+        status: 'in-progress',
+        details: 'Local implementation details here',
+        testStrategy: 'Local test strategy here'
+      });
+      expect(comparison.resolutions.map(resolution => resolution.field)).toEqual(['details', 'testStrategy']);
+    });
+    
+    describe('with a base snapshot from the last sync', () => {
+      // Base snapshot matching testLocalTask
+      const baseSnapshot = {
+        title: 'Test Local Task',
+        status: 'pending',
+        priority: 'medium',
+        dependencies: ['1', '2'],
+        description: 'This is a local task description',
+        details: 'Local implementation details here',
+        testStrategy: 'Local test strategy here'
+      };
+      
+      // Builds a Monday item from testLocalTask with some column texts overridden
+      function mondayItemFor(task, overrides = {}) {
+        const texts = {
+          text_mkraj7jy: task.id,
+          color_mkrat92y: task.status,
+          color_mkrav3bj: task.priority,
+          text_mkra1chv: task.dependencies.join(', '),
+          long_text_mkrby17a: task.description,
+          long_text_mkrbszdp: task.details,
+          long_text_mkrbazct: task.testStrategy,
+          ...overrides
+        };
+        
+        return {
+          id: 'monday-item-123',
+          name: overrides.name || task.title,
+          column_values: Object.entries(texts)
+            .filter(([id]) => id !== 'name')
+            .map(([id, text]) => ({ id, text, type: 'text' }))
+        };
+      }
+      
+      beforeEach(() => {
+        mockStateManager.getBaseSnapshot = jest.fn().mockResolvedValue(baseSnapshot);
+      });
+      
+      test('keeps local-only changes instead of overwriting them', async () => {
+        const pullSync = createPullSync(testConfig, testOptions);
+        const localTask = { ...testLocalTask, status: 'done' };
+        
+        const comparison = await pullSync.compareItemsWithTasks([mondayItemFor(testLocalTask)], [localTask]);
+        
+        expect(mockStateManager.getBaseSnapshot).toHaveBeenCalledWith('42');
+        expect(comparison.updatedItems).toHaveLength(0);
+        expect(comparison.unchangedItems).toHaveLength(1);
+        expect(comparison.conflicts).toHaveLength(0);
+      });
+      
+      test('merges one-sided changes from both sides', async () => {
+        const pullSync = createPullSync(testConfig, testOptions);
+        const localTask = { ...testLocalTask, details: 'New local details' };
+        const mondayItem = mondayItemFor(testLocalTask, { color_mkrat92y: 'in-progress' });
+        
+        const comparison = await pullSync.compareItemsWithTasks([mondayItem], [localTask]);
+        
+        expect(comparison.conflicts).toHaveLength(0);
+        expect(comparison.updatedItems).toHaveLength(1);
+        expect(comparison.updatedItems[0]).toMatchObject({
+          id: '42',
+          status: 'in-progress',
+          details: 'New local details'
+        });
+        
+        // The local details change is still pending, so the base keeps the old value
+        expect(comparison.baseSnapshots['42']).toMatchObject({
+          status: 'in-progress',
+          details: 'Local implementation details here'
+        });
+      });
+      
+      test('reports fields changed on both sides as conflicts', async () => {
+        const pullSync = createPullSync(testConfig, testOptions);
+        const localTask = { ...testLocalTask, status: 'done', details: 'New local details' };
+        const mondayItem = mondayItemFor(testLocalTask, { color_mkrat92y: 'in-progress' });
+        
+        const comparison = await pullSync.compareItemsWithTasks([mondayItem], [localTask]);
+        
+        expect(comparison.updatedItems).toHaveLength(0);
+        expect(comparison.conflicts).toHaveLength(1);
+        expect(comparison.conflicts[0].fields).toEqual([
+          { field: 'status', local: 'done', base: 'pending', remote: 'in-progress' }
+        ]);
+        expect(comparison.baseSnapshots).toEqual({});
+      });
+      
+      test('resolves conflicting fields with the configured conflict policy', async () => {
+        const pullSync = createPullSync({
+          ...testConfig,
+          conflict_policy: { status: 'monday', details: 'local' }
+        }, testOptions);
+        const localTask = { ...testLocalTask, status: 'done', details: 'New local details' };
+        const mondayItem = mondayItemFor(testLocalTask, {
+          color_mkrat92y: 'in-progress',
+          long_text_mkrbszdp: 'New Monday details'
+        });
+        
+        const comparison = await pullSync.compareItemsWithTasks([mondayItem], [localTask]);
+        
+        expect(comparison.conflicts).toHaveLength(0);
+        expect(comparison.updatedItems[0]).toMatchObject({
+          status: 'in-progress',
+          details: 'New local details'
+        });
+        expect(comparison.resolutions).toEqual([
+          { taskId: '42', field: 'status', winner: 'monday', policy: 'monday', reason: 'conflict_policy.status = monday' },
+          { taskId: '42', field: 'details', winner: 'local', policy: 'local', reason: 'conflict_policy.details = local' }
+        ]);
+      });
+      
+      test('uses Monday.com values for conflicting fields when forcing overwrite', async () => {
+        const pullSync = createPullSync(testConfig, testOptions);
+        const localTask = { ...testLocalTask, status: 'done', details: 'New local details' };
+        const mondayItem = mondayItemFor(testLocalTask, { color_mkrat92y: 'in-progress' });
+        
+        const comparison = await pullSync.compareItemsWithTasks([mondayItem], [localTask], { forceOverwrite: true });
+        
+        expect(comparison.conflicts).toHaveLength(0);
+        expect(comparison.updatedItems[0]).toMatchObject({
+          status: 'in-progress',
+          details: 'New local details'
+        });
+      });
+    });
   });
   
   describe('pullSync', () => {
@@ -408,7 +553,7 @@ describe('Pull Sync Logic', () => {
       // Create a new mock Monday client for this test
       const mockBoardGroups = [{ id: 'group123', title: 'Test Group' }]; // Match group ID in testConfig
       const mockMonday = {
-        getItems: jest.fn().mockImplementation((boardId, options) => {
+        getAllItems: jest.fn().mockImplementation((boardId, options) => {
           // Only return items for the specified group ID
           if (boardId === testConfig.monday_board_id && options.groupId === 'group123') {
             return Promise.resolve([
@@ -501,16 +646,304 @@ describe('Pull Sync Logic', () => {
       // Verify no write operations were performed
       expect(taskMasterIO.writeTasks).not.toHaveBeenCalled();
       
-      // Verify getBoardGroups and getItems were called with correct params
+      // Verify getBoardGroups and getAllItems were called with correct params
       expect(mockMonday.getBoardGroups).toHaveBeenCalledWith(testConfig.monday_board_id);
-      expect(mockMonday.getItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group123' });
+      expect(mockMonday.getAllItems).toHaveBeenCalledWith(testConfig.monday_board_id, { groupId: 'group123' });
+    });
+    
+    test('stores base snapshots for the tasks it writes', async () => {
+      mockStateManager.getBaseSnapshot = jest.fn().mockResolvedValue(null);
+      mockStateManager.storeBaseSnapshots = jest.fn().mockResolvedValue(undefined);
+      taskMasterIO.readTasks.mockResolvedValueOnce({ tasks: [] });
+      
+      const pullSync = createPullSync(testConfig, testOptions);
+      await pullSync.pullSync({ regenerateTaskFiles: false, removeOrphaned: false });
+      
+      expect(taskMasterIO.writeTasks).toHaveBeenCalled();
+      expect(mockStateManager.storeBaseSnapshots).toHaveBeenCalledWith({
+        42: expect.objectContaining({
+          title: 'Test Task from Monday',
+          status: 'in-progress',
+          dependencies: ['1', '2']
+        })
+      });
+    });
+    
+    test('plans the tasks.json contents from tasks and items provided by the caller', async () => {
+      const orphanedTask = { id: '7', title: 'Orphaned Task', monday_item_id: 'monday-item-gone' };
+      const untouchedTask = { id: '8', title: 'Local only task' };
+      
+      const pullSync = createPullSync(testConfig, testOptions);
+      const results = await pullSync.pullSync({
+        dryRun: true,
+        localTasks: [orphanedTask, untouchedTask],
+        mondayItems: [testMondayItem]
+      });
+      
+      expect(mockMondayClient.getAllItems).not.toHaveBeenCalled();
+      expect(taskMasterIO.readTasks).not.toHaveBeenCalled();
+      expect(results.orphanedTaskIds).toEqual(['7']);
+      expect(results.plannedTasks.map(task => task.id)).toEqual(['8', '42']);
+      expect(taskMasterIO.writeTasks).not.toHaveBeenCalled();
+    });
+    
+    test('limits the run to the Monday.com items in scope', async () => {
+      const deletedTask = { id: '7', title: 'Deleted in Monday', monday_item_id: 'monday-item-gone' };
+      const otherOrphan = { id: '8', title: 'Orphaned but out of scope', monday_item_id: 'monday-item-other' };
+      mockMondayClient.getItemsByIds = jest.fn().mockResolvedValue([
+        { ...testMondayItem, board: { id: 'board123' }, group: { id: 'group123' } },
+        { ...testMondayItem, id: 'monday-item-elsewhere', board: { id: 'board123' }, group: { id: 'other-group' } }
+      ]);
+      
+      const pullSync = createPullSync(testConfig, testOptions);
+      const results = await pullSync.pullSync({
+        dryRun: true,
+        localTasks: [deletedTask, otherOrphan],
+        scopeItemIds: ['monday-item-123', 'monday-item-gone', 'monday-item-elsewhere']
+      });
+      
+      expect(mockMondayClient.getItemsByIds).toHaveBeenCalledWith(['monday-item-123', 'monday-item-gone', 'monday-item-elsewhere']);
+      expect(mockMondayClient.getAllItems).not.toHaveBeenCalled();
+      expect(results.newTasks).toBe(1);
+      expect(results.orphanedTaskIds).toEqual(['7']);
+      expect(results.plannedTasks.map(task => task.id)).toEqual(['8', '42']);
+    });
+    
+    test('skips items the caller leaves alone', async () => {
+      const pullSync = createPullSync(testConfig, testOptions);
+      const results = await pullSync.pullSync({
+        dryRun: true,
+        localTasks: [],
+        mondayItems: [testMondayItem],
+        skipItemIds: ['monday-item-123']
+      });
+      
+      expect(results.newTasks).toBe(0);
+      expect(results.plannedTasks).toEqual([]);
+    });
+    
+    test('leaves tasks outside the selection and their items alone', async () => {
+      const otherBoardTask = { ...testLocalTask, id: '42', title: 'Synced with another board', monday_item_id: 'monday-item-other-board' };
+      const selectedOrphan = { id: '7', title: 'Orphaned on this board', monday_item_id: 'monday-item-gone' };
+      
+      const pullSync = createPullSync(testConfig, testOptions);
+      const results = await pullSync.pullSync({
+        dryRun: true,
+        localTasks: [otherBoardTask, selectedOrphan],
+        mondayItems: [testMondayItem],
+        selectTask: task => task.id === '7'
+      });
+      
+      expect(results.newTasks).toBe(0);
+      expect(results.updatedTasks).toBe(0);
+      expect(results.orphanedTaskIds).toEqual(['7']);
+      expect(results.plannedTasks).toEqual([otherBoardTask]);
+    });
+
+    test('pulls subitems into subtasks when subitem columns are mapped', async () => {
+      mockStateManager.getSubitemMappings = jest.fn().mockResolvedValue([]);
+      mockStateManager.storeSubitemMappings = jest.fn().mockResolvedValue(undefined);
+      const itemWithSubitems = {
+        ...testMondayItem,
+        subitems: [{
+          id: 'sub-1',
+          name: 'First step',
+          board: { id: 'subitems-board' },
+          column_values: [{ id: 'sub_status', text: 'done' }]
+        }]
+      };
+
+      const pullSync = createPullSync({
+        ...testConfig,
+        subitem_column_mappings: { status: 'sub_status' }
+      }, testOptions);
+      const results = await pullSync.pullSync({
+        regenerateTaskFiles: false,
+        localTasks: [],
+        mondayItems: [itemWithSubitems]
+      });
+
+      expect(results.plannedTasks[0].subtasks).toEqual([
+        { id: 1, title: 'First step', description: '', details: '', status: 'done', dependencies: [] }
+      ]);
+      expect(results.subtasks.created).toEqual([{ subtaskId: '42.1', subitemId: 'sub-1', title: 'First step' }]);
+      expect(mockStateManager.storeSubitemMappings).toHaveBeenCalledWith([
+        expect.objectContaining({ subitemId: 'sub-1', subtaskId: '42.1', parentItemId: 'monday-item-123' })
+      ]);
+    });
+
+    describe('interactive conflict resolution', () => {
+      // Status and details were changed on both sides since this base
+      const baseSnapshot = {
+        title: 'Test Local Task',
+        status: 'pending',
+        priority: 'medium',
+        dependencies: ['1', '2'],
+        description: 'This is a local task description',
+        details: 'Local implementation details here',
+        testStrategy: 'Local test strategy here'
+      };
+      const localTask = { ...testLocalTask, status: 'done', details: 'New local details' };
+      
+      beforeEach(() => {
+        mockStateManager.getBaseSnapshot = jest.fn().mockResolvedValue(baseSnapshot);
+        mockStateManager.storeBaseSnapshot = jest.fn().mockResolvedValue(undefined);
+        mockStateManager.storeBaseSnapshots = jest.fn().mockResolvedValue(undefined);
+        taskMasterIO.readTasks.mockResolvedValueOnce({ tasks: [localTask] });
+      });
+      
+      test('applies the chosen values and pushes them back to Monday.com', async () => {
+        const resolveConflicts = jest.fn(async conflictItems => [{
+          conflict: conflictItems[0],
+          choices: [
+            { field: 'status', choice: 'local', value: 'done' },
+            { field: 'details', choice: 'skip' }
+          ]
+        }]);
+        const pushResolvedTask = jest.fn().mockResolvedValue({ id: 'monday-item-123' });
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        const results = await pullSync.pullSync({
+          regenerateTaskFiles: false,
+          removeOrphaned: false,
+          resolveConflicts,
+          pushResolvedTask
+        });
+        
+        expect(resolveConflicts.mock.calls[0][0][0].fields.map(field => field.field)).toEqual(['status', 'details']);
+        expect(results.conflicts).toHaveLength(0);
+        expect(results.updatedTasks).toBe(1);
+        
+        // Monday-only changes are merged, the decided field takes the chosen value
+        const writtenTask = taskMasterIO.writeTasks.mock.calls[0][0].tasks[0];
+        expect(writtenTask).toMatchObject({
+          id: '42',
+          title: 'Test Task from Monday',
+          status: 'done',
+          details: 'New local details'
+        });
+        
+        // The skipped field is not pushed and stays pending in the base
+        expect(pushResolvedTask).toHaveBeenCalledWith(expect.objectContaining({ id: '42', status: 'done' }), {
+          resolutions: [{ field: 'details', winner: 'monday' }]
+        });
+        expect(mockStateManager.storeBaseSnapshot).toHaveBeenCalledWith('42', expect.objectContaining({
+          status: 'done',
+          details: 'Local implementation details here'
+        }));
+        expect(results.resolvedConflicts).toEqual([expect.objectContaining({
+          skippedFields: ['details'],
+          pushed: true
+        })]);
+      });
+      
+      test('checks the board before anything is pushed back and changes nothing when it does not match', async () => {
+        mockMondayClient.getBoard = jest.fn().mockResolvedValue({ id: 'board123', name: 'Test Board', columns: [] });
+        const resolveConflicts = jest.fn();
+        const pushResolvedTask = jest.fn();
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        await expect(pullSync.pullSync({
+          regenerateTaskFiles: false,
+          removeOrphaned: false,
+          resolveConflicts,
+          pushResolvedTask
+        })).rejects.toThrow(expect.objectContaining({ code: 'BOARD_SCHEMA_MISMATCH' }));
+        
+        expect(mockMondayClient.getBoard).toHaveBeenCalledWith('board123');
+        expect(resolveConflicts).not.toHaveBeenCalled();
+        expect(taskMasterIO.writeTasks).not.toHaveBeenCalled();
+        expect(pushResolvedTask).not.toHaveBeenCalled();
+      });
+      
+      test('journals each update pushed back to Monday.com', async () => {
+        const journals = [];
+        mockStateManager.readJournal = jest.fn().mockResolvedValue(null);
+        mockStateManager.writeJournal = jest.fn(async journal => journals.push(JSON.parse(JSON.stringify(journal))));
+        mockStateManager.removeJournal = jest.fn().mockResolvedValue(true);
+        const resolveConflicts = jest.fn(async conflictItems => [{
+          conflict: conflictItems[0],
+          choices: [{ field: 'status', choice: 'local', value: 'done' }, { field: 'details', choice: 'skip' }]
+        }]);
+        const pushResolvedTask = jest.fn(async () => {
+          // The update is recorded as pending before it is made
+          expect(journals[journals.length - 1]).toMatchObject({
+            command: 'pull',
+            boardId: 'board123',
+            operations: [{ type: 'update_item', taskId: '42', mondayItemId: 'monday-item-123', status: 'pending' }]
+          });
+          return { id: 'monday-item-123' };
+        });
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        await pullSync.pullSync({
+          regenerateTaskFiles: false,
+          removeOrphaned: false,
+          resolveConflicts,
+          pushResolvedTask
+        });
+        
+        expect(pushResolvedTask).toHaveBeenCalled();
+        expect(journals[journals.length - 1].operations[0].status).toBe('done');
+        expect(mockStateManager.removeJournal).toHaveBeenCalled();
+      });
+      
+      test('refuses to push back while an interrupted push has not been resumed or abandoned', async () => {
+        mockStateManager.readJournal = jest.fn().mockResolvedValue({ command: 'push', startedAt: '2026-01-01T10:00:00.000Z', operations: [] });
+        const resolveConflicts = jest.fn();
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        await expect(pullSync.pullSync({
+          regenerateTaskFiles: false,
+          removeOrphaned: false,
+          resolveConflicts,
+          pushResolvedTask: jest.fn()
+        })).rejects.toThrow(expect.objectContaining({ code: JOURNAL_UNFINISHED_ERROR_CODE }));
+        
+        expect(resolveConflicts).not.toHaveBeenCalled();
+        expect(taskMasterIO.writeTasks).not.toHaveBeenCalled();
+      });
+      
+      test('leaves a conflict unresolved when every field is skipped', async () => {
+        const resolveConflicts = jest.fn(async conflictItems => [{
+          conflict: conflictItems[0],
+          choices: conflictItems[0].fields.map(field => ({ field: field.field, choice: 'skip' }))
+        }]);
+        const pushResolvedTask = jest.fn();
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        const results = await pullSync.pullSync({
+          regenerateTaskFiles: false,
+          removeOrphaned: false,
+          resolveConflicts,
+          pushResolvedTask
+        });
+        
+        expect(results.conflicts).toHaveLength(1);
+        expect(results.resolvedConflicts).toHaveLength(0);
+        expect(pushResolvedTask).not.toHaveBeenCalled();
+      });
+      
+      test('does not prompt in dry run mode', async () => {
+        const resolveConflicts = jest.fn();
+        
+        const pullSync = createPullSync(testConfig, testOptions);
+        const results = await pullSync.pullSync({
+          dryRun: true,
+          removeOrphaned: false,
+          resolveConflicts
+        });
+        
+        expect(resolveConflicts).not.toHaveBeenCalled();
+        expect(results.conflicts).toHaveLength(1);
+      });
     });
     
     test('handles errors gracefully', async () => {
       const pullSync = createPullSync(testConfig, testOptions);
       
       // Mock fetchMondayItems to throw an error
-      mockMondayClient.getItems.mockRejectedValueOnce(new Error('API error'));
+      mockMondayClient.getAllItems.mockRejectedValueOnce(new Error('API error'));
       
       // Expect pullSync to throw the error
       await expect(pullSync.pullSync()).rejects.toThrow('API error');
@@ -85,6 +85,8 @@ describe('Push Sync Logic', () => {
       updateItemName: jest.fn().mockResolvedValue({ id: 'monday-item-123', name: 'Updated Task' }),
       updateItemColumnValues: jest.fn().mockResolvedValue({ id: 'monday-item-123', name: 'Test Task' }),
       getBoardGroups: jest.fn().mockResolvedValue([{ id: 'group123', title: 'Test Group' }]),
+      getAllItems: jest.fn().mockResolvedValue([]),
+      deleteItem: jest.fn().mockResolvedValue(true),
       flushBatch: jest.fn().mockResolvedValue(undefined)
     };
     
@@ -94,8 +96,9 @@ describe('Push Sync Logic', () => {
     mockStateManager = {
       updateSyncedTimestamp: jest.fn().mockResolvedValue(undefined),
       getMondayItemIdsForTask: jest.fn().mockResolvedValue([]),
-      readSyncState: jest.fn().mockResolvedValue({ items: {} }),
-      writeSyncState: jest.fn().mockResolvedValue(undefined)
+      getAllSyncedItems: jest.fn().mockResolvedValue({}),
+      writeSyncState: jest.fn().mockResolvedValue(undefined),
+      removeMondayItem: jest.fn().mockResolvedValue(true)
     };
     
     createSyncStateManager.mockReturnValue(mockStateManager);
@@ -369,6 +372,44 @@ describe('Push Sync Logic', () => {
       expect(result).toHaveProperty('taskId', '42');
     });
     
+    test('adopts an unlinked item that already has the task ID instead of creating one', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      mockMondayClient.getItemsByColumnValue = jest.fn().mockResolvedValue([
+        { id: 'monday-item-other', name: 'Test Task', column_values: [] },
+        { id: 'monday-item-123', name: 'Test Task', column_values: [] }
+      ]);
+      // The first match is already linked to another task
+      mockStateManager.getAllSyncedItems.mockResolvedValue({ 'monday-item-other': '7' });
+      
+      const result = await pushSync.syncTask(testTask, ['group123']);
+      
+      expect(mockMondayClient.getItemsByColumnValue).toHaveBeenCalledWith('board123', 'text_mkraj7jy', '42');
+      expect(mockMondayClient.createItem).not.toHaveBeenCalled();
+      expect(mockMondayClient.updateItemColumnValues).toHaveBeenCalledWith(
+        'monday-item-123',
+        'board123',
+        expect.objectContaining({ text_mkraj7jy: '42' })
+      );
+      expect(mockStateManager.updateSyncedTimestamp).toHaveBeenCalledWith('monday-item-123', '42');
+      expect(result).toMatchObject({ action: 'adopted', mondayItemId: 'monday-item-123', taskId: '42' });
+    });
+    
+    test('does not create an item when the lookup for an existing one fails', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      mockMondayClient.getItemsByColumnValue = jest.fn().mockRejectedValue(new Error('Network down'));
+      
+      const result = await pushSync.syncTask(testTask, ['group123']);
+      
+      expect(mockMondayClient.createItem).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        action: 'error',
+        taskId: '42',
+        error: 'Could not look up existing items for task 42, not creating one: Network down'
+      });
+    });
+    
     test('updates existing item if task exists in Monday.com', async () => {
       const pushSync = createPushSync(testConfig, testOptions);
       
@@ -437,6 +478,11 @@ describe('Push Sync Logic', () => {
         name: 'Test Task 2'
       });
       
+      // The second task's item exists on the board
+      mockMondayClient.getAllItems.mockResolvedValue([
+        { id: 'monday-item-456', name: 'Test Task 2', column_values: [] }
+      ]);
+      
       const results = await pushSync.pushSync('tasks/tasks.json');
       
       // Verify results
@@ -453,6 +499,254 @@ describe('Push Sync Logic', () => {
       expect(mockMondayClient.getBoardGroups).toHaveBeenCalled();
     });
     
+    test('fetches the board once per run regardless of task count', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      taskMasterIO.readTasks.mockResolvedValue([
+        { ...testTask, id: '1', monday_item_id: 'monday-item-1' },
+        { ...testTask, id: '2', monday_item_id: 'monday-item-2' },
+        { ...testTask, id: '3' }
+      ]);
+      
+      mockMondayClient.getAllItems.mockResolvedValue([
+        { id: 'monday-item-1', column_values: [{ id: 'text_mkraj7jy', text: '1' }] },
+        { id: 'monday-item-2', column_values: [{ id: 'text_mkraj7jy', text: '2' }] }
+      ]);
+      
+      mockStateManager.getMondayItemIdsForTask.mockImplementation(async taskId => {
+        return taskId === '3' ? [] : [`monday-item-${taskId}`];
+      });
+      
+      const results = await pushSync.pushSync('tasks/tasks.json');
+      
+      expect(mockMondayClient.getAllItems).toHaveBeenCalledTimes(1);
+      expect(results.updated.length).toBe(2);
+      expect(results.created.length).toBe(1);
+      expect(results.recreated.length).toBe(0);
+    });
+    
+    test('recreates items that are mapped in the sync state but missing from the board', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, id: '1' }]);
+      mockMondayClient.getAllItems.mockResolvedValue([]);
+      mockStateManager.getMondayItemIdsForTask.mockResolvedValue(['monday-item-gone']);
+      
+      const results = await pushSync.pushSync('tasks/tasks.json');
+      
+      expect(mockStateManager.removeMondayItem).toHaveBeenCalledWith('monday-item-gone');
+      expect(mockMondayClient.updateItemColumnValues).not.toHaveBeenCalled();
+      expect(results.recreated).toEqual([{
+        taskId: '1',
+        oldMondayItemId: 'monday-item-gone',
+        newMondayItemId: 'monday-item-123'
+      }]);
+    });
+    
+    test('reports an item adopted in place of a missing one as adopted', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, id: '1' }]);
+      mockMondayClient.getAllItems.mockResolvedValue([
+        { id: 'monday-item-123', name: 'Test Task', column_values: [{ id: 'text_mkraj7jy', text: '1' }] }
+      ]);
+      mockMondayClient.getItemsByColumnValue = jest.fn().mockResolvedValue([
+        { id: 'monday-item-123', name: 'Test Task', column_values: [{ id: 'text_mkraj7jy', text: '1' }] }
+      ]);
+      mockStateManager.getMondayItemIdsForTask.mockResolvedValue(['monday-item-gone']);
+      
+      const results = await pushSync.pushSync('tasks/tasks.json');
+      
+      expect(mockStateManager.removeMondayItem).toHaveBeenCalledWith('monday-item-gone');
+      expect(mockMondayClient.createItem).not.toHaveBeenCalled();
+      // The run's board snapshot finds the item, so the board is not queried per task
+      expect(mockMondayClient.getItemsByColumnValue).not.toHaveBeenCalled();
+      expect(results.adopted).toEqual([{ taskId: '1', mondayItemId: 'monday-item-123' }]);
+      expect(results.created).toEqual([]);
+      expect(results.recreated).toEqual([]);
+    });
+    
+    test('only cleans up sync state for orphaned items already gone from the board', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      
+      taskMasterIO.readTasks.mockResolvedValue([]);
+      mockStateManager.getAllSyncedItems.mockResolvedValue({
+        'monday-item-gone': '7',
+        'monday-item-8': '8'
+      });
+      mockMondayClient.getAllItems.mockResolvedValue([{ id: 'monday-item-8', column_values: [] }]);
+      
+      const results = await pushSync.pushSync('tasks/tasks.json');
+      
+      expect(mockMondayClient.deleteItem).toHaveBeenCalledTimes(1);
+      expect(mockMondayClient.deleteItem).toHaveBeenCalledWith('monday-item-8');
+      expect(mockStateManager.removeMondayItem).toHaveBeenCalledWith('monday-item-gone');
+      expect(results.deleted).toEqual([{ mondayItemId: 'monday-item-8', taskId: '8' }]);
+    });
+    
+    test('uses tasks and a board snapshot provided by the caller', async () => {
+      const pushSync = createPushSync(testConfig, testOptions);
+      const boardSnapshot = {
+        hasItem: jest.fn().mockReturnValue(true),
+        getItem: jest.fn().mockReturnValue(null),
+        getItems: jest.fn().mockReturnValue([]),
+        removeItem: jest.fn(),
+        addItem: jest.fn()
+      };
+      mockStateManager.getMondayItemIdsForTask.mockImplementation(async taskId => [`monday-item-${taskId}`]);
+      mockStateManager.getAllSyncedItems.mockResolvedValue({
+        'monday-item-1': '1',
+        'monday-item-2': '2'
+      });
+      
+      const results = await pushSync.pushSync({
+        tasks: [{ ...testTask, id: '1' }, { ...testTask, id: '2' }],
+        boardSnapshot,
+        skipTaskIds: ['2']
+      });
+      
+      expect(taskMasterIO.readTasks).not.toHaveBeenCalled();
+      expect(mockMondayClient.getAllItems).not.toHaveBeenCalled();
+      expect(results.updated).toEqual([{ taskId: '1', mondayItemId: 'monday-item-123' }]);
+      
+      // The skipped task is still local, so its item is not treated as orphaned
+      expect(mockMondayClient.deleteItem).not.toHaveBeenCalled();
+    });
+
+    test('pushes subtasks as subitems when subitem columns are mapped', async () => {
+      const pushSync = createPushSync({
+        ...testConfig,
+        subitem_column_mappings: { status: 'sub_status' }
+      }, testOptions);
+      mockMondayClient.createSubitem = jest.fn().mockResolvedValue({ id: 'sub-1', board: { id: 'subitems-board' } });
+      mockStateManager.storeSubitemMappings = jest.fn().mockResolvedValue(undefined);
+      taskMasterIO.readTasks.mockResolvedValue([{
+        ...testTask,
+        subtasks: [{ id: 1, title: 'First step', status: 'done' }]
+      }]);
+
+      const results = await pushSync.pushSync('tasks/tasks.json');
+
+      expect(mockMondayClient.createSubitem).toHaveBeenCalledWith('monday-item-123', 'First step', {
+        sub_status: { label: 'done' }
+      });
+      expect(mockStateManager.storeSubitemMappings).toHaveBeenCalledWith([
+        expect.objectContaining({ subitemId: 'sub-1', subtaskId: '42.1', parentItemId: 'monday-item-123' })
+      ]);
+      expect(results.subtasks.created).toEqual([{ subtaskId: '42.1', subitemId: 'sub-1', title: 'First step' }]);
+    });
+
+    describe('with a base snapshot from the last sync', () => {
+      const baseSnapshot = {
+        title: 'Test Task',
+        status: 'in-progress',
+        priority: 'high',
+        dependencies: ['1', '2'],
+        description: 'This is a test task',
+        details: 'Implementation details here',
+        testStrategy: 'Test strategy here'
+      };
+      
+      // Monday item for testTask with its status changed in Monday.com
+      const mondayItem = {
+        id: 'monday-item-123',
+        name: 'Test Task',
+        column_values: [
+          { id: 'text_mkraj7jy', text: '42' },
+          { id: 'color_mkrat92y', text: 'done' },
+          { id: 'color_mkrav3bj', text: 'high' },
+          { id: 'text_mkra1chv', text: '1, 2' },
+          { id: 'long_text_mkrby17a', text: 'This is a test task' },
+          { id: 'long_text_mkrbszdp', text: 'Implementation details here' },
+          { id: 'long_text_mkrbazct', text: 'Test strategy here' }
+        ]
+      };
+      
+      beforeEach(() => {
+        mockStateManager.getBaseSnapshot = jest.fn().mockResolvedValue(baseSnapshot);
+        mockStateManager.storeBaseSnapshot = jest.fn().mockResolvedValue(undefined);
+        mockStateManager.getMondayItemIdsForTask.mockResolvedValue(['monday-item-123']);
+        mockMondayClient.getAllItems.mockResolvedValue([mondayItem]);
+      });
+      
+      test('keeps fields changed only in Monday.com when pushing local changes', async () => {
+        const pushSync = createPushSync(testConfig, testOptions);
+        taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, details: 'New local details' }]);
+        
+        const results = await pushSync.pushSync('tasks/tasks.json');
+        
+        expect(results.updated).toHaveLength(1);
+        const columnValues = mockMondayClient.updateItemColumnValues.mock.calls[0][2];
+        expect(columnValues.color_mkrat92y).toEqual({ label: 'done' });
+        expect(columnValues.long_text_mkrbszdp).toBe('New local details');
+        
+        // The Monday.com status change is not pulled yet, so the base keeps the old status
+        expect(mockStateManager.storeBaseSnapshot).toHaveBeenCalledWith('42', expect.objectContaining({
+          status: 'in-progress',
+          details: 'New local details'
+        }));
+      });
+      
+      test('reads mapped labels passed as options back to TaskMaster values', async () => {
+        const pushSync = createPushSync({
+          ...testOptions,
+          columnMappings: testConfig.column_mappings,
+          statusMappings: testConfig.status_mappings,
+          priorityMappings: { high: 'Critical', medium: 'Normal', low: 'low' }
+        });
+        mockMondayClient.getAllItems.mockResolvedValue([{
+          ...mondayItem,
+          column_values: mondayItem.column_values.map(value => (value.id === 'color_mkrav3bj' ? { ...value, text: 'Critical' } : value))
+        }]);
+        taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, details: 'New local details' }]);
+        
+        const results = await pushSync.pushSync('tasks/tasks.json');
+        
+        // Critical reads back as high, so the priority is not a change made in Monday.com
+        expect(results.updated).toHaveLength(1);
+        expect(mockMondayClient.updateItemColumnValues.mock.calls[0][2].color_mkrav3bj).toEqual({ label: 'Critical' });
+        expect(mockStateManager.storeBaseSnapshot).toHaveBeenCalledWith('42', expect.objectContaining({ priority: 'high' }));
+      });
+      
+      test('leaves fields owned by Monday.com untouched when the policy resolves a conflict', async () => {
+        const pushSync = createPushSync({
+          ...testConfig,
+          conflict_policy: { status: 'monday' }
+        }, testOptions);
+        taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, status: 'pending', details: 'New local details' }]);
+        
+        const results = await pushSync.pushSync('tasks/tasks.json');
+        
+        expect(results.conflicts).toHaveLength(0);
+        expect(results.resolutions).toEqual([{
+          taskId: '42',
+          field: 'status',
+          winner: 'monday',
+          policy: 'monday',
+          reason: 'conflict_policy.status = monday'
+        }]);
+        const columnValues = mockMondayClient.updateItemColumnValues.mock.calls[0][2];
+        expect(columnValues).not.toHaveProperty('color_mkrat92y');
+        expect(columnValues.long_text_mkrbszdp).toBe('New local details');
+      });
+      
+      test('does not push tasks changed on both sides', async () => {
+        const pushSync = createPushSync(testConfig, testOptions);
+        taskMasterIO.readTasks.mockResolvedValue([{ ...testTask, status: 'pending' }]);
+        
+        const results = await pushSync.pushSync('tasks/tasks.json');
+        
+        expect(mockMondayClient.updateItemColumnValues).not.toHaveBeenCalled();
+        expect(mockStateManager.storeBaseSnapshot).not.toHaveBeenCalled();
+        expect(results.updated).toHaveLength(0);
+        expect(results.conflicts).toEqual([{
+          taskId: '42',
+          mondayItemId: 'monday-item-123',
+          fields: ['status']
+        }]);
+      });
+    });
+    
     test('handles empty tasks list', async () => {
       const pushSync = createPushSync(testConfig, testOptions);
       
@@ -0,0 +1,176 @@
+/**
+ * Tests for the State Verifier
+ */
+
+const {
+  verifySyncState,
+  rebuildSyncState,
+  applyStateRepairs,
+  describeRepair
+} = require('../../src/sync/stateVerifier');
+
+describe('State Verifier', () => {
+  const columnMapping = { taskId: 'text_task' };
+  const item = (id, taskId) => ({
+    id,
+    column_values: [{ id: 'text_task', text: taskId === undefined ? '' : String(taskId) }]
+  });
+
+  test('accepts a state that matches tasks.json and the board', () => {
+    const verification = verifySyncState({
+      mappings: { 'item-1': { taskId: '1', syncedAt: 10 }, 'item-2': { taskId: '2', syncedAt: 10 } },
+      tasks: [{ id: 1, monday_item_id: 'item-1' }, { id: 2 }],
+      items: [item('item-1', 1), item('item-2', 2), item('item-9')],
+      columnMapping
+    });
+
+    expect(verification).toEqual({ valid: true, problems: [], repairs: [] });
+  });
+
+  test('reports dangling mappings and tasks pointing at deleted items', () => {
+    const verification = verifySyncState({
+      mappings: {
+        'item-gone': { taskId: '1', syncedAt: 10 },
+        'item-1b': { taskId: '1', syncedAt: 5 },
+        'item-7': { taskId: '7', syncedAt: 10 },
+        'item-7b': { taskId: '7', syncedAt: 10 }
+      },
+      tasks: [{ id: 1, monday_item_id: 'item-gone' }, { id: 2, monday_item_id: 'item-gone-too' }],
+      items: [item('item-1b', 1), item('item-7', 7), item('item-7b', 7)],
+      columnMapping,
+      boardId: '123'
+    });
+
+    expect(verification.problems.map(problem => [problem.type, problem.taskId, problem.mondayItemId])).toEqual([
+      ['dangling_mapping', '1', 'item-gone'],
+      ['dangling_mapping', '7', 'item-7'],
+      ['dangling_mapping', '7', 'item-7b'],
+      ['deleted_item', '1', 'item-gone'],
+      ['deleted_item', '2', 'item-gone-too']
+    ]);
+    expect(verification.problems[0].message)
+      .toBe('item item-gone is mapped to task 1, but the item is no longer on board 123');
+    expect(verification.problems[3].message)
+      .toBe('task 1 points at item item-gone, which is no longer on board 123; item item-1b is linked to it');
+
+    // A deleted task's mappings go in one repair; a task follows the item it is still linked to
+    expect(verification.repairs).toEqual([
+      { type: 'remove_item_mapping', mondayItemId: 'item-gone' },
+      { type: 'remove_task_mappings', taskId: '7' },
+      { type: 'set_task_item', taskId: '1', mondayItemId: 'item-1b' },
+      { type: 'set_task_item', taskId: '2', mondayItemId: null }
+    ]);
+    expect(verification.repairs.map(describeRepair)).toEqual([
+      'remove the mapping of item item-gone',
+      'remove the mappings of task 7',
+      'set monday_item_id of task 1 to item-1b',
+      'clear monday_item_id of task 2'
+    ]);
+  });
+
+  test('keeps one item per task and relinks items to the task their Task ID column names', () => {
+    const verification = verifySyncState({
+      mappings: {
+        'item-3a': { taskId: '3', syncedAt: 10 },
+        'item-3b': { taskId: '3', syncedAt: 20 },
+        'item-5': { taskId: '4', syncedAt: 10 },
+        'item-8': { taskId: '6', syncedAt: 10 }
+      },
+      tasks: [{ id: 3 }, { id: 4, monday_item_id: 'item-5' }, { id: 5 }, { id: 6 }],
+      items: [item('item-3a', 3), item('item-3b', 3), item('item-3c', 3), item('item-5', 5), item('item-8', 99)],
+      columnMapping
+    });
+
+    expect(verification.problems.map(problem => [problem.type, problem.taskId, problem.mondayItemId])).toEqual([
+      ['task_id_mismatch', '4', 'item-5'],
+      ['task_id_mismatch', '6', 'item-8'],
+      ['duplicate_items', '3', 'item-3b']
+    ]);
+    expect(verification.problems[1].message).toBe(
+      'item item-8 is mapped to task 6, but its Task ID column says 99 (task 99 is not in tasks.json; the next push rewrites the column)'
+    );
+    expect(verification.problems[2].message).toBe(
+      'task 3 has 3 items on the board (item-3a, item-3b, item-3c), keeping item-3b; item-3c left on the board unlinked'
+    );
+    expect(verification.repairs).toEqual([
+      { type: 'link', mondayItemId: 'item-5', taskId: '5' },
+      { type: 'set_task_item', taskId: '4', mondayItemId: null },
+      { type: 'set_task_item', taskId: '5', mondayItemId: 'item-5' },
+      { type: 'set_task_item', taskId: '6', mondayItemId: 'item-8' },
+      { type: 'remove_item_mapping', mondayItemId: 'item-3a' },
+      { type: 'set_task_item', taskId: '3', mondayItemId: 'item-3b' }
+    ]);
+  });
+
+  test('rebuilds the mappings from the Task ID column, falling back to monday_item_id', () => {
+    const tasks = [
+      { id: 1, monday_item_id: 'item-old', subtasks: [{ id: 1 }, { id: 2 }] },
+      { id: 2, monday_item_id: 'item-2' },
+      { id: 3 },
+      { id: 4 },
+      { id: 5, monday_item_id: 'item-1' }
+    ];
+    const items = [
+      {
+        ...item('item-1', 1),
+        subitems: [
+          { id: 'sub-1', column_values: [{ id: 'text_subtask', text: '1.1' }] },
+          { id: 'sub-9', column_values: [{ id: 'text_subtask', text: '1.9' }] }
+        ]
+      },
+      item('item-2'),
+      item('item-3a', 3),
+      item('item-3b', 3),
+      item('item-42', 42)
+    ];
+    const input = { tasks, items, columnMapping, subitemColumnMapping: { taskId: 'text_subtask' } };
+
+    const rebuild = rebuildSyncState(input);
+
+    expect(rebuild.linked).toEqual([
+      { taskId: '1', mondayItemId: 'item-1', source: 'task_id_column' },
+      { taskId: '2', mondayItemId: 'item-2', source: 'monday_item_id' }
+    ]);
+    expect(rebuild.mappings).toEqual({
+      'item-1': { taskId: '1', syncedAt: null },
+      'item-2': { taskId: '2', syncedAt: null }
+    });
+    expect(rebuild.subitems).toEqual({
+      'sub-1': { subtaskId: '1.1', parentItemId: 'item-1', fields: null, lastSyncedAt: null }
+    });
+    expect(rebuild.ambiguous).toEqual([{ taskId: '3', mondayItemIds: ['item-3a', 'item-3b'] }]);
+    expect(rebuild.unmatchedTasks).toEqual(['4', '5']);
+    expect(rebuild.unmatchedItems).toEqual([{ mondayItemId: 'item-42', taskId: '42' }]);
+
+    // A choice settles an ambiguous task
+    const chosen = rebuildSyncState({ ...input, choices: { 3: 'item-3b' } });
+    expect(chosen.ambiguous).toEqual([]);
+    expect(chosen.linked).toContainEqual({ taskId: '3', mondayItemId: 'item-3b', source: 'choice' });
+  });
+
+  test('applies the repairs to the sync state and writes the changed tasks once', async () => {
+    const stateManager = {
+      removeMondayItem: jest.fn().mockResolvedValue(true),
+      removeLocalTask: jest.fn().mockResolvedValue('item-7'),
+      updateSyncedTimestamp: jest.fn().mockResolvedValue(undefined)
+    };
+    const tasks = [{ id: 1, monday_item_id: 'item-gone' }, { id: 2, monday_item_id: 'item-gone-too' }];
+    const writeTasks = jest.fn().mockResolvedValue(undefined);
+
+    const result = await applyStateRepairs([
+      { type: 'remove_item_mapping', mondayItemId: 'item-gone' },
+      { type: 'remove_task_mappings', taskId: '7' },
+      { type: 'link', mondayItemId: 'item-5', taskId: '5' },
+      { type: 'set_task_item', taskId: '1', mondayItemId: 'item-1b' },
+      { type: 'set_task_item', taskId: '2', mondayItemId: null }
+    ], { stateManager, tasks, writeTasks });
+
+    expect(result).toEqual({ applied: 5, tasksChanged: 2 });
+    expect(stateManager.removeMondayItem).toHaveBeenCalledWith('item-gone');
+    expect(stateManager.removeLocalTask).toHaveBeenCalledWith('7');
+    expect(stateManager.updateSyncedTimestamp).toHaveBeenCalledWith('item-5', '5');
+    expect(tasks).toEqual([{ id: 1, monday_item_id: 'item-1b' }, { id: 2, monday_item_id: null }]);
+    expect(writeTasks).toHaveBeenCalledTimes(1);
+    expect(writeTasks).toHaveBeenCalledWith(tasks);
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Tests for Subtask Sync
+ */
+
+const { createSubtaskSync, getFullSubtaskId } = require('../../src/sync/subtaskSync');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Subtask Sync', () => {
+  const subitemColumnMapping = {
+    taskId: 'sub_task_id',
+    status: 'sub_status',
+    description: 'sub_description'
+  };
+
+  const statusMappings = {
+    pending: 'Working on it',
+    done: 'Done'
+  };
+
+  // Builds a subitem as returned with its parent item
+  function subitem(id, name, status, description) {
+    return {
+      id,
+      name,
+      board: { id: 'subitems-board' },
+      column_values: [
+        { id: 'sub_status', text: status },
+        { id: 'sub_description', text: description }
+      ]
+    };
+  }
+
+  let mockMondayClient;
+  let mockStateManager;
+  let subtaskSync;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMondayClient = {
+      createSubitem: jest.fn().mockResolvedValue({ id: 'sub-new', board: { id: 'subitems-board' } }),
+      updateItemColumnValues: jest.fn().mockResolvedValue({ id: 'sub-1' }),
+      getItem: jest.fn().mockResolvedValue({ id: 'sub-1', board: { id: 'subitems-board' } }),
+      deleteItem: jest.fn().mockResolvedValue(true)
+    };
+
+    mockStateManager = {
+      getSubitemMappings: jest.fn().mockResolvedValue([]),
+      storeSubitemMappings: jest.fn().mockResolvedValue(undefined),
+      removeSubitemMappings: jest.fn().mockResolvedValue(0)
+    };
+
+    subtaskSync = createSubtaskSync({
+      mondayClient: mockMondayClient,
+      stateManager: mockStateManager,
+      subitemColumnMapping,
+      statusMappings
+    });
+  });
+
+  test('builds full subtask IDs from the parent task', () => {
+    expect(getFullSubtaskId({ id: 3 }, { id: 2 })).toBe('3.2');
+  });
+
+  test('only syncs subtask fields with a mapped column', () => {
+    expect(subtaskSync.syncedFields).toEqual(['title', 'status', 'description']);
+  });
+
+  test('maps subtasks to subitem column values and back', () => {
+    const subtask = { id: 2, title: 'Write tests', status: 'done', description: 'Cover the mapper' };
+
+    expect(subtaskSync.mapSubtaskToColumnValues(subtask, '3.2')).toEqual({
+      sub_task_id: '3.2',
+      sub_status: { label: 'Done' },
+      sub_description: 'Cover the mapper'
+    });
+    expect(subtaskSync.mapSubitemToSubtask(subitem('sub-1', 'Write tests', 'Done', 'Cover the mapper'))).toEqual({
+      title: 'Write tests',
+      status: 'done',
+      description: 'Cover the mapper'
+    });
+  });
+
+  describe('pushSubtasks', () => {
+    const task = {
+      id: '3',
+      subtasks: [
+        { id: 1, title: 'Synced step', status: 'done', description: 'Edited locally' },
+        { id: 2, title: 'New step', status: 'pending' }
+      ]
+    };
+
+    test('creates, updates and deletes subitems to match the local subtasks', async () => {
+      mockStateManager.getSubitemMappings.mockResolvedValue([
+        { subitemId: 'sub-1', subtaskId: '3.1', parentItemId: 'item-3', fields: { title: 'Synced step', status: 'pending', description: 'Original' } },
+        { subitemId: 'sub-9', subtaskId: '3.9', parentItemId: 'item-3', fields: { title: 'Removed step', status: 'pending', description: null } }
+      ]);
+      const item = {
+        id: 'item-3',
+        subitems: [
+          // Status changed in Monday.com, description changed locally
+          subitem('sub-1', 'Synced step', 'Done', 'Original'),
+          subitem('sub-9', 'Removed step', 'Working on it', '')
+        ]
+      };
+
+      const results = await subtaskSync.pushSubtasks(task, 'item-3', item);
+
+      // Only the locally changed field is pushed
+      expect(mockMondayClient.updateItemColumnValues).toHaveBeenCalledWith('sub-1', 'subitems-board', {
+        sub_task_id: '3.1',
+        sub_description: 'Edited locally'
+      });
+      expect(mockMondayClient.createSubitem).toHaveBeenCalledWith('item-3', 'New step', {
+        sub_task_id: '3.2',
+        sub_status: { label: 'Working on it' }
+      });
+      expect(mockMondayClient.deleteItem).toHaveBeenCalledWith('sub-9');
+
+      expect(results.created).toEqual([{ subtaskId: '3.2', subitemId: 'sub-new', title: 'New step' }]);
+      expect(results.updated).toEqual([{ subtaskId: '3.1', subitemId: 'sub-1', title: 'Synced step', fields: ['description'] }]);
+      expect(results.deleted).toEqual([{ subtaskId: '3.9', subitemId: 'sub-9' }]);
+
+      expect(mockStateManager.removeSubitemMappings).toHaveBeenCalledWith(['sub-9']);
+      expect(mockStateManager.storeSubitemMappings).toHaveBeenCalledWith([
+        expect.objectContaining({
+          subitemId: 'sub-1',
+          fields: { title: 'Synced step', status: 'done', description: 'Edited locally' }
+        }),
+        expect.objectContaining({ subitemId: 'sub-new', subtaskId: '3.2', parentItemId: 'item-3' })
+      ]);
+    });
+
+    test('links an unlinked subitem that already carries the subtask ID instead of creating another', async () => {
+      const existing = subitem('sub-1', 'Synced step', 'Done', 'Original');
+      existing.column_values.push({ id: 'sub_task_id', text: '3.1' });
+
+      const results = await subtaskSync.pushSubtasks(task, 'item-3', { id: 'item-3', subitems: [existing] });
+
+      expect(mockMondayClient.createSubitem).toHaveBeenCalledTimes(1);
+      expect(mockMondayClient.createSubitem).toHaveBeenCalledWith('item-3', 'New step', expect.any(Object));
+      expect(mockMondayClient.updateItemColumnValues).toHaveBeenCalledWith('sub-1', 'subitems-board', {
+        sub_task_id: '3.1',
+        sub_description: 'Edited locally'
+      });
+      expect(results.updated).toEqual([{ subtaskId: '3.1', subitemId: 'sub-1', title: 'Synced step', fields: ['description'] }]);
+      expect(mockStateManager.storeSubitemMappings).toHaveBeenCalledWith(expect.arrayContaining([
+        expect.objectContaining({
+          subitemId: 'sub-1',
+          subtaskId: '3.1',
+          parentItemId: 'item-3',
+          fields: { title: 'Synced step', status: 'done', description: 'Edited locally' }
+        })
+      ]));
+    });
+
+    test('does not touch Monday.com in dry run mode', async () => {
+      const results = await subtaskSync.pushSubtasks(task, 'item-3', null, { dryRun: true });
+
+      expect(results.created).toHaveLength(2);
+      expect(mockMondayClient.createSubitem).not.toHaveBeenCalled();
+      expect(mockStateManager.storeSubitemMappings).not.toHaveBeenCalled();
+    });
+
+    test('reports failed subitems without stopping the other subtasks', async () => {
+      mockMondayClient.createSubitem
+        .mockRejectedValueOnce(new Error('Subitems are not enabled'))
+        .mockResolvedValueOnce({ id: 'sub-2' });
+
+      const results = await subtaskSync.pushSubtasks(task, 'item-3', null);
+
+      expect(results.errors).toEqual([{ taskId: '3.1', error: 'Subitems are not enabled' }]);
+      expect(results.created).toEqual([{ subtaskId: '3.2', subitemId: 'sub-2', title: 'New step' }]);
+    });
+  });
+
+  describe('planPull', () => {
+    const mappings = [
+      { subitemId: 'sub-1', subtaskId: '3.1', parentItemId: 'item-3', fields: { title: 'Step one', status: 'pending', description: null } },
+      { subitemId: 'sub-2', subtaskId: '3.2', parentItemId: 'item-3', fields: { title: 'Step two', status: 'pending', description: null } }
+    ];
+
+    const task = {
+      id: '3',
+      subtasks: [
+        { id: 1, title: 'Step one', status: 'pending', description: '' },
+        { id: 2, title: 'Step two', status: 'pending', description: '' }
+      ]
+    };
+
+    test('brings subitem edits, additions and deletions into the subtasks', () => {
+      const item = {
+        id: 'item-3',
+        subitems: [
+          subitem('sub-1', 'Step one', 'Done', ''),
+          subitem('sub-3', 'Added in Monday.com', 'Working on it', 'New work')
+        ]
+      };
+
+      const plan = subtaskSync.planPull(task, item, mappings);
+
+      expect(plan.subtasks).toEqual([
+        { id: 1, title: 'Step one', status: 'done', description: '' },
+        { id: 3, title: 'Added in Monday.com', status: 'pending', description: 'New work', details: '', dependencies: [] }
+      ]);
+      expect(plan.changes.updated).toEqual([{ subtaskId: '3.1', subitemId: 'sub-1', title: 'Step one', fields: ['status'] }]);
+      expect(plan.changes.created).toEqual([{ subtaskId: '3.3', subitemId: 'sub-3', title: 'Added in Monday.com' }]);
+      expect(plan.changes.deleted).toEqual([{ subtaskId: '3.2', subitemId: 'sub-2', title: 'Step two' }]);
+      expect(plan.removeMappings).toEqual(['sub-2']);
+      expect(plan.storeMappings).toEqual([
+        expect.objectContaining({ subitemId: 'sub-1', fields: { title: 'Step one', status: 'done', description: null } }),
+        expect.objectContaining({ subitemId: 'sub-3', subtaskId: '3.3', parentItemId: 'item-3' })
+      ]);
+
+      // The task itself is left untouched
+      expect(task.subtasks[0].status).toBe('pending');
+    });
+
+    test('keeps local edits and leaves subtasks deleted locally to the push', () => {
+      const localTask = {
+        id: '3',
+        subtasks: [{ id: 1, title: 'Step one', status: 'done', description: '' }]
+      };
+      const item = {
+        id: 'item-3',
+        subitems: [
+          subitem('sub-1', 'Step one', 'Working on it', ''),
+          subitem('sub-2', 'Step two', 'Working on it', '')
+        ]
+      };
+
+      const plan = subtaskSync.planPull(localTask, item, mappings);
+
+      expect(plan.subtasks).toEqual(localTask.subtasks);
+      expect(plan.changes.updated).toEqual([]);
+      expect(plan.changes.created).toEqual([]);
+    });
+
+    test('restores mapped subitems of a task recreated locally', () => {
+      const item = {
+        id: 'item-3',
+        subitems: [subitem('sub-2', 'Step two', 'Working on it', '')]
+      };
+
+      const plan = subtaskSync.planPull({ id: '3', subtasks: [] }, item, [mappings[1]], { isNewTask: true });
+
+      expect(plan.subtasks.map(subtask => subtask.id)).toEqual([2]);
+    });
+
+    test('leaves subtasks alone when the item was fetched without subitems', () => {
+      const plan = subtaskSync.planPull(task, { id: 'item-3' }, mappings);
+
+      expect(plan.subtasks).toBe(task.subtasks);
+      expect(plan.removeMappings).toEqual([]);
+    });
+  });
+});
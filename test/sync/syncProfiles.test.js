@@ -0,0 +1,179 @@
+/**
+ * Tests for the Sync Profiles module
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { createSyncStateManager } = require('../../src/sync/syncStateManager');
+const {
+  createSyncProfiles,
+  validateSyncProfiles,
+  resolveProfileConfig,
+  taskMatchesProfile
+} = require('../../src/sync/syncProfiles');
+
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Sync Profiles', () => {
+  const config = {
+    monday_board_id: 'board-main',
+    monday_group_ids: ['topics'],
+    monday_api_key: 'test-api-key',
+    column_mappings: { taskId: 'text_task_id', status: 'status' },
+    status_mappings: { done: 'Done' },
+    profiles: [
+      {
+        name: 'backend',
+        monday_board_id: 'board-backend',
+        monday_group_ids: ['backend_group'],
+        column_mappings: { status: 'backend_status' },
+        select: { ids: ['1-3', 10], match: { title: '^API' } }
+      },
+      { name: 'main' }
+    ]
+  };
+
+  describe('validateSyncProfiles', () => {
+    test('accepts a valid profiles section and a missing one', () => {
+      expect(() => validateSyncProfiles(config.profiles, config)).not.toThrow();
+      expect(() => validateSyncProfiles(undefined, config)).not.toThrow();
+    });
+
+    test('rejects invalid profiles', () => {
+      expect(() => validateSyncProfiles([], config)).toThrow('profiles must be a non-empty array');
+      expect(() => validateSyncProfiles([{ monday_board_id: 'b' }], config)).toThrow('profiles[0].name');
+      expect(() => validateSyncProfiles([{ name: 'a', select: { ids: ['a'] } }, { name: 'a', monday_board_id: 'b' }], config))
+        .toThrow('profiles.a is defined more than once');
+      expect(() => validateSyncProfiles([{ name: 'a' }, { name: 'b', monday_board_id: 'b' }], config))
+        .toThrow('profiles.b has no select rule, but profile a already takes the remaining tasks');
+      expect(() => validateSyncProfiles([{ name: 'a', select: { ids: [1] } }, { name: 'b' }], config))
+        .toThrow('profiles.b uses board board-main, which profile a already uses');
+      expect(() => validateSyncProfiles([{ name: 'a', select: { ids: ['7-3'] } }], config))
+        .toThrow('profiles.a.select.ids has an invalid entry: "7-3"');
+      expect(() => validateSyncProfiles([{ name: 'a', select: { match: { title: '(' } } }], config))
+        .toThrow('profiles.a.select.match.title is not a valid regular expression');
+      expect(() => validateSyncProfiles([{ name: 'a', monday_group_ids: [] }], config))
+        .toThrow('profiles.a.monday_group_ids must be a non-empty array');
+    });
+
+    test('takes each board and its groups from the profiles when the configuration has no top-level board', () => {
+      const profilesOnly = { monday_api_key: 'test-api-key' };
+
+      expect(() => validateSyncProfiles([
+        { name: 'a', monday_board_id: 'board-a', monday_group_ids: ['group_a'], select: { ids: [1] } },
+        { name: 'b', monday_board_id: 'board-b', monday_group_ids: ['group_b'] }
+      ], profilesOnly)).not.toThrow();
+      expect(() => validateSyncProfiles([{ name: 'a', monday_group_ids: ['group_a'] }], profilesOnly))
+        .toThrow('profiles.a.monday_board_id is required when the configuration has no top-level monday_board_id');
+      expect(() => validateSyncProfiles([{ name: 'a', monday_board_id: 'board-a' }], profilesOnly))
+        .toThrow('profiles.a.monday_group_ids is required when the configuration has no top-level monday_group_ids');
+    });
+  });
+
+  describe('resolveProfileConfig', () => {
+    test('overrides the board and groups and merges the mappings', () => {
+      const profileConfig = resolveProfileConfig(config, config.profiles[0]);
+
+      expect(profileConfig.monday_board_id).toBe('board-backend');
+      expect(profileConfig.monday_group_ids).toEqual(['backend_group']);
+      expect(profileConfig.column_mappings).toEqual({ taskId: 'text_task_id', status: 'backend_status' });
+      expect(profileConfig.status_mappings).toEqual({ done: 'Done' });
+      expect(profileConfig.monday_api_key).toBe('test-api-key');
+      expect(profileConfig.profiles).toBeUndefined();
+    });
+
+    test('uses the top-level settings a profile leaves out', () => {
+      const profileConfig = resolveProfileConfig(config, config.profiles[1]);
+
+      expect(profileConfig.monday_board_id).toBe('board-main');
+      expect(profileConfig.column_mappings).toEqual(config.column_mappings);
+    });
+  });
+
+  describe('taskMatchesProfile', () => {
+    test('requires every condition of the select rule', () => {
+      const backend = config.profiles[0];
+
+      expect(taskMatchesProfile({ id: 2, title: 'API routes' }, backend)).toBe(true);
+      expect(taskMatchesProfile({ id: 10, title: 'API docs' }, backend)).toBe(true);
+      expect(taskMatchesProfile({ id: 4, title: 'API auth' }, backend)).toBe(false);
+      expect(taskMatchesProfile({ id: 2, title: 'Landing page' }, backend)).toBe(false);
+    });
+
+    test('matches every task when the profile has no select rule', () => {
+      expect(taskMatchesProfile({ id: 99 }, config.profiles[1])).toBe(true);
+    });
+  });
+
+  describe('createSyncProfiles', () => {
+    const syncFilePath = path.join(os.tmpdir(), `test-sync-profiles-${Date.now()}.json`);
+
+    afterEach(async () => {
+      await fs.remove(syncFilePath);
+      await fs.remove(`${syncFilePath}.lock`);
+    });
+
+    test('gets all profiles or the one asked for', () => {
+      const syncProfiles = createSyncProfiles(config, { syncFilePath });
+
+      expect(syncProfiles.getProfiles().map(profile => profile.name)).toEqual(['backend', 'main']);
+      expect(syncProfiles.getProfiles('main').map(profile => profile.boardId)).toEqual(['board-main']);
+      expect(() => syncProfiles.getProfiles('frontend')).toThrow('Profile "frontend" not found in the configuration (profiles: backend, main)');
+    });
+
+    test('routes tasks by select rule, with the default profile taking the rest', async () => {
+      const syncProfiles = createSyncProfiles(config, { syncFilePath });
+      const tasks = [
+        { id: 1, title: 'API routes' },
+        { id: 2, title: 'Landing page' },
+        { id: 10, title: 'API docs' }
+      ];
+
+      const routing = await syncProfiles.routeTasks(tasks);
+
+      expect(routing.routes.get('backend').map(task => task.id)).toEqual([1, 10]);
+      expect(routing.routes.get('main').map(task => task.id)).toEqual([2]);
+      expect(routing.boardIds).toEqual({ 1: 'board-backend', 2: 'board-main', 10: 'board-backend' });
+      expect(routing.unrouted).toEqual([]);
+    });
+
+    test('keeps tasks with the board they are already synced with', async () => {
+      await createSyncStateManager({ syncFilePath }).updateSyncedTimestamp('item-1', '1');
+      const syncProfiles = createSyncProfiles(config, { syncFilePath });
+
+      const routing = await syncProfiles.routeTasks([{ id: 1, title: 'API routes' }]);
+
+      expect(routing.routes.get('main').map(task => task.id)).toEqual([1]);
+      expect(routing.routes.get('backend')).toEqual([]);
+    });
+
+    test('reports tasks no profile selects', async () => {
+      const syncProfiles = createSyncProfiles({ ...config, profiles: [config.profiles[0]] }, { syncFilePath });
+
+      const routing = await syncProfiles.routeTasks([{ id: 1, title: 'API routes' }, { id: 5, title: 'Other' }]);
+
+      expect(routing.routes.get('backend').map(task => task.id)).toEqual([1]);
+      expect(routing.unrouted.map(task => task.id)).toEqual([5]);
+    });
+
+    test('keeps the sync state of other boards in their own sections', async () => {
+      const syncProfiles = createSyncProfiles(config, { syncFilePath });
+      const [backend, main] = syncProfiles.getProfiles();
+
+      await backend.stateManager.updateSyncedTimestamp('item-b', '1');
+      await main.stateManager.updateSyncedTimestamp('item-m', '2');
+
+      const fileState = await fs.readJson(syncFilePath);
+      expect(Object.keys(fileState.mappings)).toEqual(['item-m']);
+      expect(Object.keys(fileState.boards['board-backend'].mappings)).toEqual(['item-b']);
+    });
+  });
+});
@@ -5,7 +5,11 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
-const { createSyncStateManager } = require('../../src/sync/syncStateManager');
+const {
+  createSyncStateManager,
+  RUN_LOCKED_ERROR_CODE,
+  STATE_VERSION_ERROR_CODE
+} = require('../../src/sync/syncStateManager');
 
 // Create a temporary test file path
 const TEST_SYNC_FILE = path.join(os.tmpdir(), `test-sync-state-${Date.now()}.json`);
@@ -51,6 +55,9 @@ describe('Sync State Manager', () => {
         console.error('Error cleaning up lock file:', error);
       }
     }
+    
+    // And the backups kept by migrations
+    await fs.remove(`${TEST_SYNC_FILE}.v1.0.bak`);
   });
   
   describe('readSyncState', () => {
@@ -58,29 +65,30 @@ describe('Sync State Manager', () => {
       const syncState = await syncStateManager.readSyncState();
       
       expect(syncState).toEqual({
-        version: '1.0',
+        version: '2.0',
         lastSync: null,
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {},
-        items: {}
+        mappings: {}
       });
     });
     
+    test('should create the sync state file without waiting for its own lock', async () => {
+      const startedAt = Date.now();
+      
+      await syncStateManager.readSyncState();
+      
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+      expect(await fs.pathExists(TEST_SYNC_FILE)).toBe(true);
+      expect(await fs.pathExists(`${TEST_SYNC_FILE}.lock`)).toBe(false);
+    });
+    
     test('should read existing sync state', async () => {
       // Create a test sync state file
       const testSyncState = {
-        version: '1.0',
-        items: {
-          'monday-123': {
-            taskmasterTaskId: '42',
-            timestamp: 1620000000000
-          }
-        },
+        version: '2.0',
         lastSync: 1620000000000,
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {}
+        mappings: {
+          'monday-123': { taskId: '42', syncedAt: 1620000000000 }
+        }
       };
       
       await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(testSyncState));
@@ -98,29 +106,20 @@ describe('Sync State Manager', () => {
       // Should not throw, but return empty state
       const syncState = await syncStateManager.readSyncState();
       expect(syncState).toEqual({
-        version: '1.0',
+        version: '2.0',
         lastSync: null,
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {},
-        items: {}
+        mappings: {}
       });
     });
     
     test('should use cache if available', async () => {
       // Create a test sync state file
       const testSyncState = {
-        version: '1.0',
-        items: {
-          'monday-123': {
-            taskmasterTaskId: '42',
-            timestamp: 1620000000000
-          }
-        },
+        version: '2.0',
         lastSync: 1620000000000,
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {}
+        mappings: {
+          'monday-123': { taskId: '42', syncedAt: 1620000000000 }
+        }
       };
       
       await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(testSyncState));
@@ -130,17 +129,11 @@ describe('Sync State Manager', () => {
       
       // Modify the file directly
       const modifiedSyncState = {
-        version: '1.0',
-        items: {
-          'monday-456': {
-            taskmasterTaskId: '43',
-            timestamp: 1620000000001
-          }
-        },
+        version: '2.0',
         lastSync: 1620000000001,
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {}
+        mappings: {
+          'monday-456': { taskId: '43', syncedAt: 1620000000001 }
+        }
       };
       
       await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(modifiedSyncState));
@@ -161,11 +154,9 @@ describe('Sync State Manager', () => {
   describe('writeSyncState', () => {
     test('should write sync state to file', async () => {
       const testSyncState = {
-        items: {
-          'monday-123': {
-            taskmasterTaskId: '42',
-            timestamp: 1620000000000
-          }
+        version: '2.0',
+        mappings: {
+          'monday-123': { taskId: '42', syncedAt: 1620000000000 }
         },
         lastSync: null // Will be set by the write function
       };
@@ -177,8 +168,10 @@ describe('Sync State Manager', () => {
       const fileContent = await fs.readFile(TEST_SYNC_FILE, 'utf8');
       const parsedSyncState = JSON.parse(fileContent);
       
-      // Check that items were preserved
-      expect(parsedSyncState.items).toEqual(testSyncState.items);
+      // Check that the mappings were preserved
+      expect(parsedSyncState.mappings).toEqual({
+        'monday-123': { taskId: '42', syncedAt: 1620000000000 }
+      });
       
       // Check that lastSync was set
       expect(parsedSyncState.lastSync).toBeDefined();
@@ -192,22 +185,58 @@ describe('Sync State Manager', () => {
     });
     
     test('should ensure valid structure', async () => {
-      // Missing items property
+      // Missing mappings property
       const invalidSyncState = {
+        version: '2.0',
         lastSync: 1620000000000
       };
       
-      // Should still work by adding items
+      // Should still work by adding mappings
       await syncStateManager.writeSyncState(invalidSyncState);
       
       // Read back and verify
       const syncState = await syncStateManager.readSyncState(true);
       
-      expect(syncState.items).toEqual({});
+      expect(syncState.mappings).toEqual({});
       expect(syncState.lastSync).toBeDefined();
     });
   });
   
+  describe('Per-board state', () => {
+    test('keeps each board in its own section next to the top-level state', async () => {
+      const boardManager = createSyncStateManager({
+        syncFilePath: TEST_SYNC_FILE,
+        lockTimeoutMs: 1000,
+        boardId: 'board-2'
+      });
+      
+      await syncStateManager.updateSyncedTimestamp('monday-1', '1', 1000);
+      await boardManager.updateSyncedTimestamp('monday-2', '2', 2000);
+      
+      const fileState = JSON.parse(await fs.readFile(TEST_SYNC_FILE, 'utf8'));
+      expect(Object.keys(fileState.mappings)).toEqual(['monday-1']);
+      expect(Object.keys(fileState.boards['board-2'].mappings)).toEqual(['monday-2']);
+      
+      expect(await boardManager.getTaskmasterTaskId('monday-2')).toBe('2');
+      expect(await boardManager.getTaskmasterTaskId('monday-1')).toBeNull();
+    });
+    
+    test('keeps the board sections when the top-level state is written from a stale read', async () => {
+      const boardManager = createSyncStateManager({
+        syncFilePath: TEST_SYNC_FILE,
+        lockTimeoutMs: 1000,
+        boardId: 'board-2'
+      });
+      
+      const staleState = await syncStateManager.readSyncState();
+      await boardManager.updateSyncedTimestamp('monday-2', '2', 2000);
+      await syncStateManager.writeSyncState(staleState);
+      
+      const fileState = JSON.parse(await fs.readFile(TEST_SYNC_FILE, 'utf8'));
+      expect(Object.keys(fileState.boards['board-2'].mappings)).toEqual(['monday-2']);
+    });
+  });
+  
   describe('Item operations', () => {
     test('should update and get synced timestamp', async () => {
       const mondayItemId = 'monday-123';
@@ -310,8 +339,8 @@ describe('Sync State Manager', () => {
       // Clean up old entries
       const removedCount = await syncStateManager.cleanupOldEntries(maxAge);
       
-      // Expect 2 entries to be removed (1 from items, 1 from taskMappings)
-      expect(removedCount).toBe(2);
+      // Each mapping is kept once, so one entry is removed
+      expect(removedCount).toBe(1);
       
       // Verify only the old item was removed
       expect(await syncStateManager.getLastSyncedTimestamp('monday-old')).toBeNull();
@@ -319,25 +348,218 @@ describe('Sync State Manager', () => {
     });
   });
   
+  describe('Base snapshots', () => {
+    test('should store, get and remove base snapshots', async () => {
+      // Initially there is no snapshot
+      expect(await syncStateManager.getBaseSnapshot('42')).toBeNull();
+      
+      await syncStateManager.storeBaseSnapshot('42', { title: 'Task 42', status: 'pending' });
+      await syncStateManager.storeBaseSnapshots({
+        43: { title: 'Task 43', status: 'done' },
+        44: { title: 'Task 44', status: 'pending' }
+      });
+      
+      syncStateManager.clearCache();
+      expect(await syncStateManager.getBaseSnapshot('42')).toEqual({ title: 'Task 42', status: 'pending' });
+      expect(await syncStateManager.getBaseSnapshot(43)).toEqual({ title: 'Task 43', status: 'done' });
+      
+      expect(await syncStateManager.removeBaseSnapshot('42')).toBe(true);
+      expect(await syncStateManager.getBaseSnapshot('42')).toBeNull();
+      expect(await syncStateManager.removeBaseSnapshot('42')).toBe(false);
+    });
+  });
+
+  describe('Subitem mappings', () => {
+    test('should store, list and remove subitem mappings', async () => {
+      await syncStateManager.storeSubitemMappings([
+        { subitemId: 'sub-1', subtaskId: '3.1', parentItemId: 'item-3', fields: { title: 'Sub 1' } },
+        { subitemId: 'sub-2', subtaskId: '3.2', parentItemId: 'item-3' },
+        { subitemId: 'sub-9', subtaskId: '4.1', parentItemId: 'item-4' }
+      ]);
+
+      syncStateManager.clearCache();
+      const mappings = await syncStateManager.getSubitemMappings('item-3');
+      expect(mappings.map(mapping => mapping.subtaskId)).toEqual(['3.1', '3.2']);
+      expect(mappings[0]).toMatchObject({ subitemId: 'sub-1', parentItemId: 'item-3', fields: { title: 'Sub 1' } });
+      expect(await syncStateManager.getSubitemMappings()).toHaveLength(3);
+
+      expect(await syncStateManager.removeSubitemMappings(['sub-2', 'sub-missing'])).toBe(1);
+      expect((await syncStateManager.getSubitemMappings('item-3')).map(mapping => mapping.subitemId)).toEqual(['sub-1']);
+    });
+
+    test('should drop the subitems of a removed item', async () => {
+      await syncStateManager.updateSyncedTimestamp('item-3', '3');
+      await syncStateManager.storeSubitemMappings([
+        { subitemId: 'sub-1', subtaskId: '3.1', parentItemId: 'item-3' }
+      ]);
+
+      await syncStateManager.removeMondayItem('item-3');
+
+      expect(await syncStateManager.getSubitemMappings()).toEqual([]);
+    });
+  });
+
+  describe('Run lock', () => {
+    const RUN_LOCK_FILE = `${path.resolve(TEST_SYNC_FILE)}.run.lock`;
+    
+    afterEach(async () => {
+      await fs.remove(RUN_LOCK_FILE);
+    });
+    
+    test('should hold the run lock while a run is in progress', async () => {
+      const result = await syncStateManager.withRunLock(async () => {
+        expect(await fs.pathExists(RUN_LOCK_FILE)).toBe(true);
+        
+        // Nested runs share the lock
+        await syncStateManager.withRunLock(async () => {});
+        expect(await fs.pathExists(RUN_LOCK_FILE)).toBe(true);
+        
+        return 'done';
+      });
+      
+      expect(result).toBe('done');
+      expect(await fs.pathExists(RUN_LOCK_FILE)).toBe(false);
+    });
+    
+    test('should fail when another process holds the run lock', async () => {
+      await fs.writeFile(RUN_LOCK_FILE, 'other-process');
+      
+      await expect(syncStateManager.acquireRunLock({ timeoutMs: 150 })).rejects.toMatchObject({
+        code: RUN_LOCKED_ERROR_CODE,
+        message: expect.stringContaining('Another sync is already running')
+      });
+      expect(await fs.readFile(RUN_LOCK_FILE, 'utf8')).toBe('other-process');
+    });
+    
+    test('should remove a run lock left by a crashed run', async () => {
+      await fs.writeFile(RUN_LOCK_FILE, 'crashed-process');
+      const anHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      await fs.utimes(RUN_LOCK_FILE, anHourAgo, anHourAgo);
+      
+      await syncStateManager.acquireRunLock({ timeoutMs: 150 });
+      expect(await fs.readFile(RUN_LOCK_FILE, 'utf8')).not.toBe('crashed-process');
+      
+      await syncStateManager.releaseRunLock();
+      expect(await fs.pathExists(RUN_LOCK_FILE)).toBe(false);
+    });
+  });
+  
+  describe('Operation journal', () => {
+    afterEach(async () => {
+      await fs.remove(`${TEST_SYNC_FILE}.journal`);
+    });
+    
+    test('should write, read and remove the journal next to the sync state', async () => {
+      expect(syncStateManager.getJournalPath()).toBe(`${TEST_SYNC_FILE}.journal`);
+      expect(await syncStateManager.readJournal()).toBeNull();
+      
+      const journal = { version: 1, startedAt: '2026-01-01T00:00:00.000Z', operations: [{ id: 1, status: 'pending' }] };
+      await syncStateManager.writeJournal(journal);
+      
+      expect(await syncStateManager.readJournal()).toEqual(journal);
+      expect(await fs.pathExists(`${TEST_SYNC_FILE}.journal.lock`)).toBe(false);
+      expect(await syncStateManager.removeJournal()).toBe(true);
+      expect(await syncStateManager.removeJournal()).toBe(false);
+    });
+    
+    test('should keep a journal per board', () => {
+      const boardManager = createSyncStateManager({ syncFilePath: TEST_SYNC_FILE, boardId: 'board-2' });
+      expect(boardManager.getJournalPath()).toBe(`${TEST_SYNC_FILE}.board-2.journal`);
+    });
+  });
+  
+  describe('Schema migrations', () => {
+    const v1State = {
+      version: '1.0',
+      lastSync: 1620000000000,
+      items: {
+        'monday-1': { taskmasterTaskId: '1', timestamp: 1620000000000 }
+      },
+      taskMappings: [
+        { taskmasterTaskId: '1', mondayItemId: 'monday-1', timestamp: 1620000000000 },
+        { taskId: '1', mondayItemId: 'monday-1', mondayUpdateId: 'update-1' },
+        { taskmasterTaskId: '2', mondayItemId: 'monday-2', timestamp: 1620000000005 }
+      ],
+      mondayToTaskMaster: { 'monday-1': '1', 'monday-2': '2' },
+      taskMasterToMonday: { 1: ['monday-1'], 2: ['monday-2'] },
+      baseSnapshots: { 1: { fields: { title: 'Task 1' }, timestamp: 1620000000000 } }
+    };
+    
+    test('upgrades a 1.0 file on read and keeps a backup of it', async () => {
+      await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(v1State));
+      
+      const syncState = await syncStateManager.readSyncState();
+      
+      expect(syncState).toEqual({
+        version: '2.0',
+        lastSync: 1620000000000,
+        mappings: {
+          'monday-1': { taskId: '1', syncedAt: 1620000000000, updateId: 'update-1' },
+          'monday-2': { taskId: '2', syncedAt: 1620000000005 }
+        },
+        baseSnapshots: v1State.baseSnapshots
+      });
+      expect(await fs.readJson(TEST_SYNC_FILE)).toEqual(syncState);
+      expect(await fs.readJson(`${TEST_SYNC_FILE}.v1.0.bak`)).toEqual(v1State);
+      
+      expect(await syncStateManager.getUpdateIdForTask('1', 'monday-1')).toBe('update-1');
+      expect(await syncStateManager.getMondayItemIdsForTask('2')).toEqual(['monday-2']);
+    });
+    
+    test('refuses a file written by a newer version', async () => {
+      await fs.writeFile(TEST_SYNC_FILE, JSON.stringify({ version: '3.0', mappings: {} }));
+      
+      await expect(syncStateManager.readSyncState()).rejects.toMatchObject({ code: STATE_VERSION_ERROR_CODE });
+      await expect(syncStateManager.updateSyncedTimestamp('monday-1', '1')).rejects.toMatchObject({
+        code: STATE_VERSION_ERROR_CODE
+      });
+      expect(await fs.readJson(TEST_SYNC_FILE)).toEqual({ version: '3.0', mappings: {} });
+    });
+    
+    test('checks and migrates the file on request', async () => {
+      await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(v1State));
+      
+      const check = await syncStateManager.migrate({ check: true });
+      expect(check).toMatchObject({ exists: true, fromVersion: '1.0', toVersion: '2.0', needed: true, migrated: false });
+      expect(await fs.readJson(TEST_SYNC_FILE)).toEqual(v1State);
+      
+      const report = await syncStateManager.migrate();
+      expect(report).toMatchObject({ needed: true, migrated: true, backupPath: `${TEST_SYNC_FILE}.v1.0.bak` });
+      expect((await fs.readJson(TEST_SYNC_FILE)).version).toBe('2.0');
+      
+      expect(await syncStateManager.migrate({ check: true })).toMatchObject({ fromVersion: '2.0', needed: false });
+    });
+  });
+  
+  describe('Update IDs and local tasks', () => {
+    test('keeps the update ID on the mapping and drops the mappings of a removed task', async () => {
+      await syncStateManager.updateSyncedTimestamp('monday-1', '1', 1000);
+      await syncStateManager.updateSyncedTimestamp('monday-2', '1', 2000);
+      await syncStateManager.storeUpdateIdForTask('1', 'monday-1', 'update-1');
+      await syncStateManager.storeBaseSnapshot('1', { title: 'Task 1' });
+      
+      // A later sync of the same link keeps its update ID
+      await syncStateManager.updateSyncedTimestamp('monday-1', '1', 3000);
+      expect(await syncStateManager.getUpdateIdForTask('1', 'monday-1')).toBe('update-1');
+      expect(await syncStateManager.getUpdateIdForTask('2', 'monday-1')).toBeNull();
+      
+      expect(await syncStateManager.removeLocalTask('1')).toBe('monday-1');
+      expect(await syncStateManager.getAllSyncedItems()).toEqual({});
+      expect(await syncStateManager.getBaseSnapshot('1')).toBeNull();
+      expect(await syncStateManager.removeLocalTask('1')).toBeNull();
+    });
+  });
+  
   describe('Cache management', () => {
     test('should clear cache', async () => {
       // Create a sync state file
       const initialSyncState = {
-        version: '1.0',
+        version: '2.0',
         lastSync: 1620000000000,
-        items: {
-          'monday-123': {
-            taskmasterTaskId: '42',
-            timestamp: 1620000000000
-          },
-          'monday-456': {
-            taskmasterTaskId: '43',
-            timestamp: 1620000000001
-          }
-        },
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {}
+        mappings: {
+          'monday-123': { taskId: '42', syncedAt: 1620000000000 },
+          'monday-456': { taskId: '43', syncedAt: 1620000000001 }
+        }
       };
       
       await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(initialSyncState, null, 2));
@@ -347,17 +569,11 @@ describe('Sync State Manager', () => {
       
       // Modify the file directly
       const modifiedSyncState = {
-        version: '1.0',
+        version: '2.0',
         lastSync: 1620000000001,
-        items: {
-          'monday-456': {
-            taskmasterTaskId: '43',
-            timestamp: 1620000000001
-          }
-        },
-        taskMappings: [],
-        mondayToTaskMaster: {},
-        taskMasterToMonday: {}
+        mappings: {
+          'monday-456': { taskId: '43', syncedAt: 1620000000001 }
+        }
       };
       
       await fs.writeFile(TEST_SYNC_FILE, JSON.stringify(modifiedSyncState, null, 2));
@@ -0,0 +1,74 @@
+/**
+ * Tests for the Sync State Migrations
+ */
+
+const {
+  migrateState,
+  needsMigration,
+  getStateVersion,
+  STATE_VERSION_ERROR_CODE
+} = require('../../src/sync/syncStateMigrations');
+
+describe('Sync State Migrations', () => {
+  test('merges the four 1.0 copies into one mapping per item, noting where they disagree', () => {
+    const fileState = {
+      version: '1.0',
+      lastSync: 1000,
+      items: { 'item-1': { taskmasterTaskId: '1', timestamp: 100 } },
+      taskMappings: [
+        { taskmasterTaskId: '1', mondayItemId: 'item-1', timestamp: 300 },
+        { taskmasterTaskId: '2', mondayItemId: 'item-2', timestamp: '1970-01-01T00:00:00.200Z' }
+      ],
+      mondayToTaskMaster: { 'item-2': '9', 'item-3': '3' },
+      taskMasterToMonday: { 4: ['item-4'] },
+      subitems: { 'sub-1': { subtaskId: '1.1', parentItemId: 'item-1' } }
+    };
+
+    const migration = migrateState(fileState);
+
+    expect(migration.fromVersion).toBe('1.0');
+    expect(migration.state).toEqual({
+      version: '2.0',
+      lastSync: 1000,
+      mappings: {
+        'item-1': { taskId: '1', syncedAt: 300 },
+        'item-2': { taskId: '2', syncedAt: 200 },
+        'item-3': { taskId: '3', syncedAt: null },
+        'item-4': { taskId: '4', syncedAt: null }
+      },
+      subitems: fileState.subitems
+    });
+    expect(migration.notes).toEqual(['item item-2 is linked to task 9 in mondayToTaskMaster, kept task 2']);
+
+    // The parsed file is left as it was
+    expect(fileState.items).toBeDefined();
+  });
+
+  test('migrates every board section and treats files without a version as 1.0', () => {
+    const fileState = {
+      version: '2.0',
+      lastSync: null,
+      mappings: {},
+      boards: {
+        'board-2': { items: { 'item-9': { taskmasterTaskId: '9', timestamp: 5 } } }
+      }
+    };
+
+    expect(getStateVersion(fileState.boards['board-2'])).toBe('1.0');
+    expect(needsMigration(fileState)).toBe(true);
+
+    const { state } = migrateState(fileState);
+    expect(state.boards['board-2']).toEqual({
+      version: '2.0',
+      lastSync: null,
+      mappings: { 'item-9': { taskId: '9', syncedAt: 5 } }
+    });
+    expect(needsMigration(state)).toBe(false);
+  });
+
+  test('refuses versions no migration starts from', () => {
+    expect(() => migrateState({ version: '3.0', mappings: {} })).toThrow(
+      expect.objectContaining({ code: STATE_VERSION_ERROR_CODE })
+    );
+  });
+});
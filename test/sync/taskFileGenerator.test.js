@@ -0,0 +1,173 @@
+/**
+ * Tests for the Task File Generator
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createTaskFileGenerator,
+  formatTaskFile,
+  getTaskFileName
+} = require('../../src/sync/taskFileGenerator');
+
+// Mock the logger
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Task File Generator', () => {
+  const tasks = [
+    {
+      id: 1,
+      title: 'Set up the project',
+      description: 'Initialize the repository',
+      status: 'done',
+      priority: 'high',
+      dependencies: [],
+      details: 'Use npm init',
+      testStrategy: 'Run npm test'
+    },
+    {
+      id: 2,
+      title: 'Write the sync engine',
+      description: 'Push and pull tasks',
+      status: 'in-progress',
+      dependencies: [1, 3, '1.1'],
+      details: 'Line one\nLine two',
+      monday_item_id: '2222222222',
+      subtasks: [
+        { id: 1, title: 'Read tasks.json', status: 'done', description: 'Parse the file', details: '', dependencies: [] },
+        { id: 2, title: 'Write items', dependencies: [1, '1'] }
+      ]
+    },
+    {
+      id: 3,
+      title: 'Document it',
+      status: 'pending',
+      dependencies: []
+    }
+  ];
+
+  let tmpDir;
+  let tasksPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-master-sync-files-'));
+    tasksPath = path.join(tmpDir, 'tasks.json');
+    fs.writeFileSync(tasksPath, JSON.stringify({ tasks }, null, 2));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('formats a task the way task-master generate does', () => {
+    expect(getTaskFileName(7)).toBe('task_007.txt');
+    expect(formatTaskFile(tasks[1], tasks, { mondayBoardId: '1234567890' })).toBe([
+      '# Task ID: 2',
+      '# Title: Write the sync engine',
+      '# Status: in-progress',
+      '# Dependencies: ✅ 1 (done), ⏱️ 3 (pending), 1.1 (Not found)',
+      '# Priority: medium',
+      '# Monday Item: https://monday.com/boards/1234567890/pulses/2222222222',
+      '# Description: Push and pull tasks',
+      '# Details:',
+      'Line one',
+      'Line two',
+      '',
+      '# Test Strategy:',
+      '',
+      '',
+      '# Subtasks:',
+      '## 1. Read tasks.json [done]',
+      '### Dependencies: None',
+      '### Description: Parse the file',
+      '### Details:',
+      '',
+      '',
+      '## 2. Write items [pending]',
+      '### Dependencies: 2.1, 1',
+      '### Description: ',
+      '### Details:',
+      '',
+      '',
+      ''
+    ].join('\n'));
+  });
+
+  test('leaves out the Monday item line for unsynced tasks', () => {
+    const content = formatTaskFile(tasks[0], tasks, { mondayBoardId: '1234567890' });
+
+    expect(content).not.toContain('# Monday Item:');
+    expect(content).toContain('# Dependencies: None\n# Priority: high\n# Description: Initialize the repository\n');
+  });
+
+  test('writes only the files of changed tasks and removes stale ones', async () => {
+    const generator = createTaskFileGenerator({ mondayBoardId: '1234567890' });
+
+    expect(await generator.generate(tasksPath)).toEqual({
+      generator: 'builtin',
+      written: ['task_001.txt', 'task_002.txt', 'task_003.txt'],
+      unchanged: [],
+      removed: []
+    });
+
+    // Finishing task 3 changes its file and the dependency marker in task 2
+    fs.writeFileSync(path.join(tmpDir, 'task_004.txt'), 'old task');
+    fs.writeFileSync(path.join(tmpDir, 'notes.txt'), 'keep me');
+    const changed = tasks.map(task => task.id === 3 ? { ...task, status: 'done' } : task);
+
+    expect(await generator.generate(tasksPath, changed)).toEqual({
+      generator: 'builtin',
+      written: ['task_002.txt', 'task_003.txt'],
+      unchanged: ['task_001.txt'],
+      removed: ['task_004.txt']
+    });
+    expect(fs.readFileSync(path.join(tmpDir, 'task_002.txt'), 'utf8')).toContain('✅ 3 (done)');
+    expect(fs.existsSync(path.join(tmpDir, 'notes.txt'))).toBe(true);
+
+    expect(generator.removeTaskFile(3, tasksPath)).toBe(true);
+    expect(generator.removeTaskFile(3, tasksPath)).toBe(false);
+  });
+
+  test('keeps the files of each tag apart', async () => {
+    fs.writeFileSync(tasksPath, JSON.stringify({
+      master: { tasks },
+      'feature-x': { tasks: [{ id: 1, title: 'Feature task', status: 'pending' }] }
+    }));
+    fs.writeFileSync(path.join(tmpDir, 'task_002_feature-x.txt'), 'old task');
+    const generator = createTaskFileGenerator();
+
+    await generator.generate(tasksPath);
+    const result = await generator.generate(tasksPath, null, 'feature-x');
+
+    expect(getTaskFileName(1, 'feature-x')).toBe('task_001_feature-x.txt');
+    expect(result).toMatchObject({ written: ['task_001_feature-x.txt'], removed: ['task_002_feature-x.txt'] });
+    expect(fs.readFileSync(path.join(tmpDir, 'task_001_feature-x.txt'), 'utf8')).toContain('# Title: Feature task\n');
+    expect(fs.readdirSync(tmpDir).sort()).toEqual([
+      'task_001.txt', 'task_001_feature-x.txt', 'task_002.txt', 'task_003.txt', 'tasks.json'
+    ]);
+  });
+
+  test('runs task-master generate when asked to', async () => {
+    const execFile = jest.fn((command, args, callback) => callback(null, 'done', ''));
+    const generator = createTaskFileGenerator({ useTaskMaster: true, execFile });
+
+    expect(await generator.generate(tasksPath)).toMatchObject({ generator: 'task-master', written: [] });
+    expect(execFile).toHaveBeenCalledWith(
+      'npx',
+      ['task-master', 'generate', '--file', tasksPath, '--output', tmpDir],
+      expect.any(Function)
+    );
+    expect(fs.existsSync(path.join(tmpDir, 'task_001.txt'))).toBe(false);
+
+    execFile.mockImplementationOnce((command, args, callback) => callback(new Error('npx not found')));
+    await expect(generator.generate(tasksPath)).rejects.toThrow('task-master generate failed: npx not found');
+  });
+});
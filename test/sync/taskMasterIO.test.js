@@ -293,6 +293,76 @@ describe('TaskMaster IO Module', () => {
     });
   });
   
+  describe('tagged tasks.json', () => {
+    const taggedData = {
+      master: { tasks: [{ id: 1, title: 'Master task' }], metadata: { created: '2026-01-01' } },
+      'feature-x': { tasks: [{ id: 1, title: 'Feature task' }] }
+    };
+    const tempFilePath = '/tmp/taskmaster-tasks-mock-uuid.json';
+    
+    test('should read the tasks of a tag (master by default)', async () => {
+      for (let read = 0; read < 4; read++) {
+        fs.readFile.mockResolvedValueOnce(JSON.stringify(taggedData));
+      }
+      
+      expect(await taskMasterIO.readTasks(mockTasksPath)).toEqual(taggedData.master.tasks);
+      expect(await taskMasterIO.readTasks(mockTasksPath, false, 'feature-x')).toEqual(taggedData['feature-x'].tasks);
+      expect(await taskMasterIO.readTasks(mockTasksPath, false, 'missing')).toEqual([]);
+      expect(await taskMasterIO.listTags(mockTasksPath)).toEqual(['master', 'feature-x']);
+    });
+    
+    test('should write one tag without touching the others', async () => {
+      const tasks = [{ id: 1, title: 'Feature task v2' }];
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(taggedData));
+      
+      await taskMasterIO.writeTasks(mockTasksPath, tasks, 'feature-x');
+      
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        tempFilePath,
+        JSON.stringify({ ...taggedData, 'feature-x': { tasks } }, null, 2),
+        'utf8'
+      );
+    });
+    
+    test('should move an untagged file into master when writing another tag', async () => {
+      const untagged = { tasks: [{ id: 1, title: 'Old task' }], version: '1.0.0' };
+      const tasks = [{ id: 1, title: 'Feature task' }];
+      fs.readFile.mockResolvedValueOnce(JSON.stringify(untagged));
+      
+      await taskMasterIO.writeTasks(mockTasksPath, tasks, 'feature-x');
+      
+      expect(fs.writeFile).toHaveBeenCalledWith(
+        tempFilePath,
+        JSON.stringify({ master: untagged, 'feature-x': { tasks } }, null, 2),
+        'utf8'
+      );
+    });
+    
+    test('should treat an untagged file as the master tag', async () => {
+      for (let read = 0; read < 3; read++) {
+        fs.readFile.mockResolvedValueOnce(JSON.stringify({ tasks: [{ id: 1 }] }));
+      }
+      
+      expect(await taskMasterIO.readTasks(mockTasksPath, true, 'master')).toEqual([{ id: 1 }]);
+      expect(await taskMasterIO.readTasks(mockTasksPath, true, 'feature-x')).toEqual([]);
+      expect(await taskMasterIO.listTags(mockTasksPath)).toEqual(['master']);
+    });
+  });
+  
+  describe('getTasksFileEditTime', () => {
+    test('should return the modification time of tasks.json, or null if it cannot be read', () => {
+      fs.statSync.mockReturnValueOnce({ mtimeMs: 1234 });
+      
+      expect(taskMasterIO.getTasksFileEditTime('tasks/tasks.json')).toBe(1234);
+      expect(fs.statSync).toHaveBeenCalledWith('/mock/path/tasks/tasks.json');
+      
+      fs.statSync.mockImplementationOnce(() => {
+        throw new Error('ENOENT');
+      });
+      expect(taskMasterIO.getTasksFileEditTime(mockTasksPath)).toBeNull();
+    });
+  });
+  
   describe('getTaskById', () => {
     test('should return task if found', async () => {
       // Setup mock data
@@ -0,0 +1,111 @@
+/**
+ * Tests for the three-way merge of tasks
+ */
+
+const {
+  getSyncedFields,
+  snapshotTask,
+  threeWayMerge,
+  nextBaseSnapshot
+} = require('../../src/sync/threeWayMerge');
+
+describe('Three-Way Merge', () => {
+  const fields = ['title', 'status', 'dependencies', 'details'];
+  
+  const base = {
+    title: 'Task',
+    status: 'pending',
+    dependencies: ['1', '2'],
+    details: 'Details'
+  };
+  
+  const task = {
+    id: '42',
+    title: 'Task',
+    status: 'pending',
+    dependencies: [2, 1],
+    details: 'Details'
+  };
+  
+  describe('getSyncedFields', () => {
+    test('includes the title and every mapped field', () => {
+      expect(getSyncedFields({ taskId: 'text1', status: 'status1', details: 'long1' }))
+        .toEqual(['title', 'status', 'details']);
+    });
+  });
+  
+  describe('snapshotTask', () => {
+    test('normalizes empty values and dependency order', () => {
+      expect(snapshotTask({ title: 'Task', status: '', dependencies: [3, '1'] }, fields)).toEqual({
+        title: 'Task',
+        status: null,
+        dependencies: ['1', '3'],
+        details: null
+      });
+    });
+  });
+  
+  describe('threeWayMerge', () => {
+    test('reports no changes when both sides match the base', () => {
+      const merge = threeWayMerge(task, base, { ...task }, fields);
+      
+      expect(merge.localChanges).toEqual([]);
+      expect(merge.remoteChanges).toEqual([]);
+      expect(merge.conflicts).toEqual([]);
+    });
+    
+    test('merges changes made on one side only', () => {
+      const local = { ...task, details: 'Local details' };
+      const remote = { ...task, status: 'done' };
+      
+      const merge = threeWayMerge(local, base, remote, fields);
+      
+      expect(merge.localChanges).toEqual(['details']);
+      expect(merge.remoteChanges).toEqual(['status']);
+      expect(merge.conflicts).toEqual([]);
+      expect(merge.merged).toMatchObject({ status: 'done', details: 'Local details' });
+    });
+    
+    test('does not treat identical changes on both sides as conflicts', () => {
+      const merge = threeWayMerge({ ...task, status: 'done' }, base, { ...task, status: 'done' }, fields);
+      
+      expect(merge.conflicts).toEqual([]);
+      expect(merge.merged.status).toBe('done');
+    });
+    
+    test('reports fields changed differently on both sides as conflicts', () => {
+      const merge = threeWayMerge({ ...task, status: 'in-progress' }, base, { ...task, status: 'done' }, fields);
+      
+      expect(merge.conflicts).toEqual([
+        { field: 'status', local: 'in-progress', base: 'pending', remote: 'done' }
+      ]);
+      expect(merge.merged.status).toBe('in-progress');
+    });
+    
+    test('treats fields missing from the base as unchanged locally', () => {
+      const merge = threeWayMerge({ ...task, details: 'Local' }, { title: 'Task' }, { ...task, details: 'Remote' }, fields);
+      
+      expect(merge.conflicts).toEqual([]);
+      expect(merge.merged.details).toBe('Remote');
+    });
+  });
+  
+  describe('nextBaseSnapshot', () => {
+    test('keeps the previous base for fields the two sides still disagree on', () => {
+      const local = { ...task, details: 'Local details' };
+      
+      expect(nextBaseSnapshot(local, task, base, fields)).toEqual({
+        title: 'Task',
+        status: 'pending',
+        dependencies: ['1', '2'],
+        details: 'Details'
+      });
+    });
+    
+    test('falls back to the remote value without a previous base', () => {
+      const local = { ...task, details: 'Local details' };
+      
+      expect(nextBaseSnapshot(local, task, null, fields).details).toBe('Details');
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Tests for Watch Sync
+ */
+
+const { createWatchSync } = require('../../src/sync/watchSync');
+const { createPullSync } = require('../../src/sync/pullSyncLogic');
+const { createPushSync } = require('../../src/sync/pushSyncLogic');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const { createSyncStateManager, RUN_LOCKED_ERROR_CODE } = require('../../src/sync/syncStateManager');
+const taskMasterIO = require('../../src/sync/taskMasterIO');
+const { JOURNAL_UNFINISHED_ERROR_CODE } = require('../../src/sync/operationJournal');
+
+// Mock dependencies
+jest.mock('../../src/sync/pullSyncLogic');
+jest.mock('../../src/sync/pushSyncLogic');
+jest.mock('../../src/api/mondayClient');
+jest.mock('../../src/sync/syncStateManager', () => ({
+  createSyncStateManager: jest.fn(),
+  RUN_LOCKED_ERROR_CODE: 'SYNC_RUN_LOCKED'
+}));
+jest.mock('../../src/sync/taskMasterIO');
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Watch Sync', () => {
+  const testConfig = {
+    monday_board_id: 'board123',
+    monday_group_ids: ['group123'],
+    monday_api_key: 'test-api-key',
+    column_mappings: {
+      taskId: 'text_task_id'
+    }
+  };
+
+  let localTasks;
+  let mockStateManager;
+  let mockPull;
+  let mockPush;
+  let mockWatcher;
+  let watchCallback;
+  let watch;
+
+  // Waits for timers and queued runs to settle
+  function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  function createTestWatch(options = {}) {
+    return createWatchSync(testConfig, {
+      tasksFilePath: '/project/tasks/tasks.json',
+      syncFilePath: 'sync-state.json',
+      pollIntervalMs: 0,
+      debounceMs: 10,
+      watch,
+      ...options
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    localTasks = [
+      { id: '1', title: 'First task', status: 'pending' },
+      { id: '2', title: 'Second task', status: 'pending' }
+    ];
+    taskMasterIO.getTasksFilePath = jest.fn(tasksPath => tasksPath);
+    taskMasterIO.readTasks = jest.fn(async () => localTasks.map(task => ({ ...task })));
+
+    createMondayClient.mockReturnValue({});
+
+    mockStateManager = {
+      withRunLock: jest.fn(async fn => fn())
+    };
+    createSyncStateManager.mockReturnValue(mockStateManager);
+
+    mockPull = {
+      pullSync: jest.fn().mockResolvedValue({ orphanedTaskIds: [] })
+    };
+    createPullSync.mockReturnValue(mockPull);
+
+    mockPush = {
+      pushSync: jest.fn().mockResolvedValue({ created: [], updated: [], deleted: [], conflicts: [], errors: [] })
+    };
+    createPushSync.mockReturnValue(mockPush);
+
+    mockWatcher = { close: jest.fn() };
+    watch = jest.fn((directory, callback) => {
+      watchCallback = callback;
+      return mockWatcher;
+    });
+  });
+
+  test('throws error when required options are missing', () => {
+    expect(() => createWatchSync({}, {})).toThrow('Monday.com API key is required');
+    expect(() => createWatchSync({ monday_api_key: 'key' }, {})).toThrow('Monday.com board ID is required');
+  });
+
+  test('watches the directory of the resolved tasks.json', async () => {
+    const watchSync = createTestWatch();
+
+    await watchSync.start();
+
+    expect(taskMasterIO.getTasksFilePath).toHaveBeenCalledWith('/project/tasks/tasks.json');
+    expect(watch).toHaveBeenCalledWith('/project/tasks', expect.any(Function));
+    await watchSync.stop();
+  });
+
+  test('pushes only the tasks changed since the last push, after the debounce', async () => {
+    const onResult = jest.fn();
+    const watchSync = createTestWatch({ onResult });
+    await watchSync.start();
+
+    localTasks[1].status = 'done';
+    watchCallback('change', 'tasks.json');
+    watchCallback('change', 'tasks.json');
+    watchCallback('change', 'other.json');
+    await settle();
+
+    expect(mockPush.pushSync).toHaveBeenCalledTimes(1);
+    expect(mockPush.pushSync).toHaveBeenCalledWith(expect.objectContaining({
+      tasks: expect.arrayContaining([expect.objectContaining({ id: '2', status: 'done' })]),
+      skipTaskIds: ['1'],
+      deleteOrphaned: true
+    }));
+    expect(mockStateManager.withRunLock).toHaveBeenCalledWith(expect.any(Function), { timeoutMs: 5000 });
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ type: 'push' }));
+
+    // Nothing changed since that push
+    watchCallback('change', 'tasks.json');
+    await settle();
+    expect(mockPush.pushSync).toHaveBeenCalledTimes(1);
+
+    await watchSync.stop();
+  });
+
+  test('pushes deletions and retries tasks that failed to push', async () => {
+    mockPush.pushSync.mockResolvedValueOnce({
+      created: [],
+      updated: [],
+      deleted: [],
+      conflicts: [],
+      errors: [{ taskId: '1', error: 'API error' }]
+    });
+    const watchSync = createTestWatch();
+    await watchSync.start();
+
+    localTasks = [{ ...localTasks[0], title: 'Renamed' }];
+    await watchSync.pushChanges();
+    expect(mockPush.pushSync.mock.calls[0][0].skipTaskIds).toEqual([]);
+
+    // Task 2's deletion was pushed, task 1 failed and is pushed again
+    await watchSync.pushChanges();
+    expect(mockPush.pushSync).toHaveBeenCalledTimes(2);
+    expect(mockPush.pushSync.mock.calls[1][0].skipTaskIds).toEqual([]);
+
+    await watchSync.pushChanges();
+    expect(mockPush.pushSync).toHaveBeenCalledTimes(2);
+
+    await watchSync.stop();
+  });
+
+  test('waits for another run to release the lock and tries again later', async () => {
+    const lockedError = new Error('Another sync is already running');
+    lockedError.code = RUN_LOCKED_ERROR_CODE;
+    mockStateManager.withRunLock.mockRejectedValueOnce(lockedError);
+    const watchSync = createTestWatch();
+    await watchSync.start();
+
+    localTasks[0].status = 'done';
+    await watchSync.pushChanges();
+    expect(mockPush.pushSync).not.toHaveBeenCalled();
+
+    // The push is rescheduled after the debounce
+    await settle();
+    expect(mockPush.pushSync).toHaveBeenCalledTimes(1);
+
+    await watchSync.stop();
+  });
+
+  test('refuses to start while an interrupted push has not been resumed or abandoned', async () => {
+    mockStateManager.readJournal = jest.fn().mockResolvedValue({ startedAt: '2026-01-01T10:00:00.000Z', operations: [] });
+    const watchSync = createTestWatch();
+
+    await expect(watchSync.start()).rejects.toThrow(expect.objectContaining({ code: JOURNAL_UNFINISHED_ERROR_CODE }));
+    expect(watch).not.toHaveBeenCalled();
+  });
+
+  test('stops when a push finds the journal of an interrupted push', async () => {
+    const journalError = new Error('A push started at 2026-01-01T10:00:00.000Z was interrupted');
+    journalError.code = JOURNAL_UNFINISHED_ERROR_CODE;
+    mockPush.pushSync.mockRejectedValueOnce(journalError);
+    const watchSync = createTestWatch();
+    await watchSync.start();
+
+    localTasks[0].status = 'done';
+    await watchSync.pushChanges();
+    await watchSync.waitUntilStopped();
+
+    expect(watchSync.isRunning()).toBe(false);
+    expect(mockWatcher.close).toHaveBeenCalled();
+  });
+
+  test('polls Monday.com at the configured interval', async () => {
+    const onResult = jest.fn();
+    const watchSync = createTestWatch({ pollIntervalMs: 20, onResult });
+    await watchSync.start();
+
+    await settle(50);
+    await watchSync.stop();
+
+    expect(mockPull.pullSync.mock.calls.length).toBeGreaterThanOrEqual(1);
+    expect(mockPull.pullSync).toHaveBeenCalledWith({ regenerateTaskFiles: true });
+    expect(onResult).toHaveBeenCalledWith(expect.objectContaining({ type: 'pull' }));
+  });
+
+  test('stops watching and polling cleanly', async () => {
+    const watchSync = createTestWatch({ pollIntervalMs: 20 });
+    await watchSync.start();
+
+    await watchSync.stop();
+    const pulls = mockPull.pullSync.mock.calls.length;
+    watchCallback('change', 'tasks.json');
+    await settle(50);
+
+    expect(mockWatcher.close).toHaveBeenCalled();
+    expect(watchSync.isRunning()).toBe(false);
+    expect(mockPull.pullSync).toHaveBeenCalledTimes(pulls);
+    expect(mockPush.pushSync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for Webhook Processor
+ */
+
+const { createWebhookProcessor, normalizeEvent } = require('../../src/sync/webhookProcessor');
+const { createPullSync } = require('../../src/sync/pullSyncLogic');
+const { createMondayClient } = require('../../src/api/mondayClient');
+const { RUN_LOCKED_ERROR_CODE } = require('../../src/sync/syncStateManager');
+const recordedEvents = require('../fixtures/webhookEvents.json');
+
+// Mock dependencies
+jest.mock('../../src/sync/pullSyncLogic');
+jest.mock('../../src/api/mondayClient');
+jest.mock('../../src/utils/logger', () => ({
+  Logger: {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+describe('Webhook Processor', () => {
+  const testConfig = {
+    monday_board_id: '1234567890',
+    monday_group_ids: ['topics'],
+    monday_api_key: 'test-api-key'
+  };
+
+  let mockPull;
+
+  // Waits for batch timers and queued pulls to settle
+  function settle(ms = 50) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    createMondayClient.mockReturnValue({});
+    mockPull = {
+      pullSync: jest.fn().mockResolvedValue({ newTasks: 0, updatedTasks: 1, orphanedTaskIds: [] })
+    };
+    createPullSync.mockReturnValue(mockPull);
+  });
+
+  test('throws error when required options are missing', () => {
+    expect(() => createWebhookProcessor({}, {})).toThrow('Monday.com API key is required');
+    expect(() => createWebhookProcessor({ monday_api_key: 'key' }, {})).toThrow('Monday.com board ID is required');
+  });
+
+  test('normalizes item and subitem events', () => {
+    expect(normalizeEvent(recordedEvents[2])).toEqual({
+      eventId: '9c6f0c1f6a5e2b7b2d8d3b1e4f0a7c11',
+      type: 'change_column_value',
+      itemId: '2222222222',
+      boardId: '1234567890',
+      triggerTime: Date.parse('2026-10-19T09:15:02.812Z')
+    });
+    expect(normalizeEvent(recordedEvents[5])).toMatchObject({ type: 'item_deleted', itemId: '3333333333' });
+
+    // A subitem change refreshes its parent item
+    expect(normalizeEvent(recordedEvents[6])).toMatchObject({
+      type: 'change_column_value',
+      itemId: '4444444444',
+      boardId: '1234567890'
+    });
+
+    expect(normalizeEvent(recordedEvents[8])).toBeNull();
+  });
+
+  test('replays recorded events, deduplicating and ordering them into one pull', async () => {
+    const onResult = jest.fn();
+    const processor = createWebhookProcessor(testConfig, { batchDelayMs: 10, onResult });
+
+    const responses = recordedEvents.slice(1).map(payload => processor.handleEvent(payload));
+
+    expect(responses.map(response => response.reason)).toEqual([
+      null,
+      null,
+      'duplicate',
+      'out_of_order',
+      null,
+      null,
+      'other_board',
+      'unsupported'
+    ]);
+
+    await settle();
+
+    expect(mockPull.pullSync).toHaveBeenCalledTimes(1);
+    expect(mockPull.pullSync).toHaveBeenCalledWith({
+      scopeItemIds: ['1111111111', '2222222222', '3333333333', '4444444444'],
+      regenerateTaskFiles: true
+    });
+    expect(onResult).toHaveBeenCalledWith({
+      events: expect.arrayContaining([expect.objectContaining({ type: 'item_deleted', itemId: '3333333333' })]),
+      results: expect.objectContaining({ updatedTasks: 1 })
+    });
+  });
+
+  test('pulls the events again when another sync holds the run lock', async () => {
+    const lockedError = new Error('Another sync is already running');
+    lockedError.code = RUN_LOCKED_ERROR_CODE;
+    mockPull.pullSync.mockRejectedValueOnce(lockedError);
+    const processor = createWebhookProcessor(testConfig, { batchDelayMs: 10 });
+
+    processor.handleEvent(recordedEvents[2]);
+    await processor.flush();
+    expect(processor.getPendingCount()).toBe(1);
+
+    await settle();
+    expect(mockPull.pullSync).toHaveBeenCalledTimes(2);
+    expect(mockPull.pullSync.mock.calls[1][0].scopeItemIds).toEqual(['2222222222']);
+    expect(processor.getPendingCount()).toBe(0);
+  });
+
+  test('pulls pending events when stopped', async () => {
+    const processor = createWebhookProcessor(testConfig, { batchDelayMs: 60000, regenerateTaskFiles: false });
+
+    processor.handleEvent(recordedEvents[1]);
+    await processor.stop();
+
+    expect(mockPull.pullSync).toHaveBeenCalledWith({
+      scopeItemIds: ['1111111111'],
+      regenerateTaskFiles: false
+    });
+  });
+});